@@ -0,0 +1,10 @@
+// Lints the Netlify Functions, their shared server library and its tests (see the lint script)
+module.exports = {
+  root: true,
+  env: { node: true, es2022: true },
+  extends: ['eslint:recommended'],
+  parserOptions: { ecmaVersion: 'latest', sourceType: 'script' },
+  rules: {
+    'no-unused-vars': ['error', { args: 'none', ignoreRestSiblings: true }],
+  },
+};
@@ -0,0 +1,94 @@
+const { admin, db } = require('./shared/firebaseAdmin.cjs');
+const { errorResponse, jsonResponse, createHandler } = require('./shared/http.cjs');
+const { requireUser } = require('./shared/auth.cjs');
+const {
+  API_KEY_DISPLAY_LENGTH,
+  MAX_API_KEYS_PER_BLOG,
+  generateApiKey,
+  hashApiKey,
+  getApiKeysRef,
+  validateApiKeyInput,
+  toApiKeySummary
+} = require('./shared/apiKeys.cjs');
+
+// Load every key of a blog, newest first
+async function loadApiKeys(userId, blogId) {
+  const snapshot = await getApiKeysRef(db)
+    .where('uid', '==', userId)
+    .where('blogId', '==', blogId)
+    .get();
+  return snapshot.docs
+    .map(toApiKeySummary)
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+// Keys are managed with a Firebase ID token only, never with an API key
+exports.handler = createHandler({
+  name: 'admin-api-keys',
+  methods: ['GET', 'POST', 'DELETE'],
+  authenticate: requireUser
+}, async ({ request, caller, headers }) => {
+  const userId = caller.uid;
+  const { data } = request;
+
+  if (!data.blogId) {
+    return errorResponse(headers, 400, 'blogId is required');
+  }
+
+  const blogDoc = await db.collection('users').doc(userId).collection('blogs').doc(data.blogId).get();
+  if (!blogDoc.exists) {
+    return errorResponse(headers, 404, 'Blog not found');
+  }
+
+  switch (request.method) {
+    case 'GET': {
+      // List the blog's keys, including revoked and expired ones
+      return jsonResponse(headers, 200, { keys: await loadApiKeys(userId, data.blogId) });
+    }
+
+    case 'POST': {
+      // Create a key; the plain key is returned once and only its hash is stored
+      const inputError = validateApiKeyInput(data);
+      if (inputError) {
+        return errorResponse(headers, 400, inputError);
+      }
+
+      const existingKeys = await loadApiKeys(userId, data.blogId);
+      if (existingKeys.filter(key => key.active).length >= MAX_API_KEYS_PER_BLOG) {
+        return errorResponse(headers, 400, `A blog can have at most ${MAX_API_KEYS_PER_BLOG} active API keys. Revoke an unused key first.`);
+      }
+
+      const key = generateApiKey();
+      const keyRef = getApiKeysRef(db).doc(hashApiKey(key));
+      await keyRef.set({
+        uid: userId,
+        blogId: data.blogId,
+        name: data.name.trim(),
+        displayPrefix: key.slice(0, API_KEY_DISPLAY_LENGTH),
+        scopes: [...new Set(data.scopes)],
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt: data.expiresAt ? admin.firestore.Timestamp.fromDate(new Date(data.expiresAt)) : null,
+        revokedAt: null,
+        lastUsedAt: null
+      });
+
+      return jsonResponse(headers, 201, { key, apiKey: toApiKeySummary(await keyRef.get()) });
+    }
+
+    case 'DELETE': {
+      // Revoke a key; revoked keys stay listed so their last use remains visible
+      const keyRef = data.id ? getApiKeysRef(db).doc(data.id) : null;
+      const keyDoc = keyRef ? await keyRef.get() : null;
+
+      if (!keyDoc || !keyDoc.exists || keyDoc.data().uid !== userId || keyDoc.data().blogId !== data.blogId) {
+        return errorResponse(headers, 404, 'API key not found');
+      }
+
+      if (!keyDoc.data().revokedAt) {
+        await keyRef.update({ revokedAt: admin.firestore.FieldValue.serverTimestamp() });
+      }
+
+      return jsonResponse(headers, 200, { success: true });
+    }
+  }
+});
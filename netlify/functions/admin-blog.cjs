@@ -1,29 +1,11 @@
-const admin = require('firebase-admin');
+const { admin, db } = require('./shared/firebaseAdmin.cjs');
+const { errorResponse, jsonResponse, assertValid, createHandler } = require('./shared/http.cjs');
+const { requireUser } = require('./shared/auth.cjs');
+const { createLogger } = require('./shared/logger.cjs');
 const { validateObject } = require('./shared/validation.cjs');
+const { purgeBlogCache } = require('./shared/caching.cjs');
 
-// Initialize Firebase Admin SDK
-if (!admin.apps.length) {
-  const serviceAccount = {
-    type: "service_account",
-    project_id: process.env.FIREBASE_PROJECT_ID || "admin-cms-ph",
-    private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
-    private_key: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
-    client_email: process.env.FIREBASE_CLIENT_EMAIL || "firebase-adminsdk-fbsvc@admin-cms-ph.iam.gserviceaccount.com",
-    client_id: process.env.FIREBASE_CLIENT_ID,
-    auth_uri: "https://accounts.google.com/o/oauth2/auth",
-    token_uri: "https://oauth2.googleapis.com/token",
-    auth_provider_x509_cert_url: "https://www.googleapis.com/oauth2/v1/certs",
-    client_x509_cert_url: process.env.FIREBASE_CLIENT_X509_CERT_URL
-  };
-
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-    projectId: process.env.FIREBASE_PROJECT_ID || "admin-cms-ph"
-  });
-}
-
-const db = admin.firestore();
-const auth = admin.auth();
+const logger = createLogger({ function: 'admin-blog' });
 
 // Helper function to get user settings and validate limits
 async function validateUserLimits(userId, operation) {
@@ -61,7 +43,7 @@ async function validateUserLimits(userId, operation) {
       currentCount: operation === 'create_blog' ? (await db.collection('users').doc(userId).collection('blogs').get()).size : 0
     };
   } catch (error) {
-    console.error('Error validating user limits:', error);
+    logger.error('Error validating user limits', { error });
     return {
       allowed: false,
       reason: 'Unable to validate user limits',
@@ -105,250 +87,125 @@ async function deleteQueryBatch(query, resolve, reject) {
   }
 }
 
-exports.handler = async (event, context) => {
-  // Set CORS headers
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'DELETE, OPTIONS',
-    'Content-Type': 'application/json'
-  };
-
-  // Handle preflight requests
-  if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers,
-      body: ''
-    };
-  }
-
-  try {
-    // Verify authentication
-    const authHeader = event.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return {
-        statusCode: 401,
-        headers,
-        body: JSON.stringify({ error: 'Unauthorized' })
-      };
-    }
-
-    const token = authHeader.split('Bearer ')[1];
-    const decodedToken = await auth.verifyIdToken(token);
+exports.handler = createHandler({
+  name: 'admin-blog',
+  methods: ['POST', 'DELETE'],
+  authenticate: requireUser
+}, async ({ request, caller, headers, log }) => {
+  const userId = caller.uid;
+
+  if (request.method === 'POST') {
+    // Create new blog - ADD SERVER-SIDE VALIDATION
+    const data = request.body;
+    const { name, description } = data;
     
-    if (!decodedToken) {
-      return {
-        statusCode: 401,
-        headers,
-        body: JSON.stringify({ error: 'Invalid token' })
-      };
+    // Use centralized validation
+    assertValid(validateObject(data, {
+      name: 'blogName'
+    }));
+    
+    // Additional description validation
+    if (description && (typeof description !== 'string' || description.length > 500)) {
+      return errorResponse(headers, 400, 'Description must be a string with maximum 500 characters');
     }
-
-    const { httpMethod } = event;
-    const userId = decodedToken.uid;
     
-    if (httpMethod === 'POST') {
-      // Create new blog - ADD SERVER-SIDE VALIDATION
-      const data = JSON.parse(event.body);
-      const { name, description } = data;
-      
-      // Use centralized validation
-      const validationErrors = validateObject(data, {
-        name: 'blogName'
+    // CRITICAL: Server-side blog limit validation
+    const limitValidation = await validateUserLimits(userId, 'create_blog');
+    
+    if (!limitValidation.allowed) {
+      return errorResponse(headers, 403, limitValidation.reason, {
+        code: 'BLOG_LIMIT_EXCEEDED',
+        details: {
+          currentCount: limitValidation.currentCount,
+          limit: limitValidation.limit || 1
+        }
       });
-      
-      if (Object.keys(validationErrors).length > 0) {
-        const firstError = Object.values(validationErrors)[0];
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify({ error: firstError })
-        };
-      }
-      
-      // Additional description validation
-      if (description && (typeof description !== 'string' || description.length > 500)) {
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify({ error: 'Description must be a string with maximum 500 characters' })
-        };
-      }
-      
-      // CRITICAL: Server-side blog limit validation
-      const limitValidation = await validateUserLimits(userId, 'create_blog');
-      
-      if (!limitValidation.allowed) {
-        return {
-          statusCode: 403,
-          headers,
-          body: JSON.stringify({ 
-            error: limitValidation.reason,
-            code: 'BLOG_LIMIT_EXCEEDED',
-            details: {
-              currentCount: limitValidation.currentCount,
-              limit: limitValidation.limit || 1
-            }
-          })
-        };
-      }
-      
-      try {
-        // Generate unique blog ID
-        const blogId = `blog_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-        const blogRef = db.collection('users').doc(userId).collection('blogs').doc(blogId);
-        
-        const blogData = {
-          name: name.trim(),
-          description: (description || '').trim(),
-          createdAt: admin.firestore.FieldValue.serverTimestamp(),
-          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-          isDefault: false,
-          contentCount: 0,
-          productCount: 0,
-          status: 'active',
-          createdBy: userId
-        };
-        
-        await blogRef.set(blogData);
-        
-        return {
-          statusCode: 201,
-          headers,
-          body: JSON.stringify({ 
-            success: true,
-            message: 'Blog created successfully',
-            blog: {
-              id: blogId,
-              ...blogData
-            }
-          })
-        };
-      } catch (error) {
-        console.error('Error creating blog:', error);
-        return {
-          statusCode: 500,
-          headers,
-          body: JSON.stringify({ 
-            error: 'Failed to create blog',
-            details: process.env.NODE_ENV === 'development' ? error.message : undefined
-          })
-        };
-      }
     }
     
-    if (httpMethod === 'DELETE') {
-      // Delete blog and all its content
-      const data = JSON.parse(event.body);
-      const { blogId } = data;
-      
-      if (!blogId) {
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify({ error: 'blogId is required' })
-        };
-      }
-
-      // Validate blogId format
-      if (typeof blogId !== 'string' || !blogId.trim()) {
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify({ error: 'blogId must be a non-empty string' })
-        };
-      }
-
-      // Verify the blog exists and belongs to the user
+    try {
+      // Generate unique blog ID
+      const blogId = `blog_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
       const blogRef = db.collection('users').doc(userId).collection('blogs').doc(blogId);
-      const blogDoc = await blogRef.get();
       
-      if (!blogDoc.exists) {
-        return {
-          statusCode: 404,
-          headers,
-          body: JSON.stringify({ error: 'Blog not found' })
-        };
-      }
+      const blogData = {
+        name: name.trim(),
+        description: (description || '').trim(),
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        isDefault: false,
+        contentCount: 0,
+        productCount: 0,
+        status: 'active',
+        createdBy: userId
+      };
+      
+      await blogRef.set(blogData);
+      
+      return jsonResponse(headers, 201, {
+        success: true,
+        message: 'Blog created successfully',
+        blog: {
+          id: blogId,
+          ...blogData
+        }
+      });
+    } catch (error) {
+      log.error('Error creating blog', { error });
+      return errorResponse(headers, 500, 'Failed to create blog', {
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+  
+  // Delete blog and all its content
+  const { blogId } = request.body;
+  
+  if (!blogId) {
+    return errorResponse(headers, 400, 'blogId is required');
+  }
 
-      // Check if this is the user's only blog
-      const allBlogsSnapshot = await db.collection('users').doc(userId).collection('blogs').get();
-      if (allBlogsSnapshot.size <= 1) {
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify({ 
-            error: 'Cannot delete the last blog. Users must have at least one blog.',
-            code: 'LAST_BLOG_DELETION_FORBIDDEN'
-          })
-        };
-      }
+  // Validate blogId format
+  if (typeof blogId !== 'string' || !blogId.trim()) {
+    return errorResponse(headers, 400, 'blogId must be a non-empty string');
+  }
 
-      try {
-        // Delete all content in the blog
-        const contentRef = db.collection('users').doc(userId).collection('blogs').doc(blogId).collection('content');
-        await deleteCollection(contentRef);
-        
-        // Delete all products in the blog
-        const productsRef = db.collection('users').doc(userId).collection('blogs').doc(blogId).collection('products');
-        await deleteCollection(productsRef);
-        
-        // Delete the blog document itself
-        await blogRef.delete();
-        
-        return {
-          statusCode: 200,
-          headers,
-          body: JSON.stringify({ 
-            success: true,
-            message: 'Blog and all associated content deleted successfully'
-          })
-        };
-      } catch (error) {
-        console.error('Error during blog deletion:', error);
-        return {
-          statusCode: 500,
-          headers,
-          body: JSON.stringify({ 
-            error: 'Failed to delete blog completely',
-            details: process.env.NODE_ENV === 'development' ? error.message : undefined
-          })
-        };
-      }
-    }
+  // Verify the blog exists and belongs to the user
+  const blogRef = db.collection('users').doc(userId).collection('blogs').doc(blogId);
+  const blogDoc = await blogRef.get();
+  
+  if (!blogDoc.exists) {
+    return errorResponse(headers, 404, 'Blog not found');
+  }
 
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
+  // Check if this is the user's only blog
+  const allBlogsSnapshot = await db.collection('users').doc(userId).collection('blogs').get();
+  if (allBlogsSnapshot.size <= 1) {
+    return errorResponse(headers, 400, 'Cannot delete the last blog. Users must have at least one blog.', {
+      code: 'LAST_BLOG_DELETION_FORBIDDEN'
+    });
+  }
 
-  } catch (error) {
-    console.error('Admin blog function error:', error);
+  try {
+    // Delete all content in the blog
+    const contentRef = db.collection('users').doc(userId).collection('blogs').doc(blogId).collection('content');
+    await deleteCollection(contentRef);
     
-    let errorMessage = 'Internal server error';
-    let statusCode = 500;
+    // Delete all products in the blog
+    const productsRef = db.collection('users').doc(userId).collection('blogs').doc(blogId).collection('products');
+    await deleteCollection(productsRef);
     
-    if (error.code === 'auth/id-token-expired') {
-      errorMessage = 'Authentication token expired';
-      statusCode = 401;
-    } else if (error.code === 'auth/id-token-revoked') {
-      errorMessage = 'Authentication token revoked';
-      statusCode = 401;
-    } else if (error.code === 'auth/invalid-id-token') {
-      errorMessage = 'Invalid authentication token';
-      statusCode = 401;
-    }
+    // Delete the blog document itself
+    await blogRef.delete();
+    await purgeBlogCache(blogId);
     
-    return {
-      statusCode,
-      headers,
-      body: JSON.stringify({ 
-        error: errorMessage,
-        code: error.code,
-        details: process.env.NODE_ENV === 'development' ? error.message : undefined
-      })
-    };
+    return jsonResponse(headers, 200, {
+      success: true,
+      message: 'Blog and all associated content deleted successfully'
+    });
+  } catch (error) {
+    log.error('Error during blog deletion', { error });
+    return errorResponse(headers, 500, 'Failed to delete blog completely', {
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
   }
-};
\ No newline at end of file
+});
@@ -0,0 +1,127 @@
+const { admin, db } = require('./shared/firebaseAdmin.cjs');
+const { errorResponse, jsonResponse, createHandler } = require('./shared/http.cjs');
+const { requireUser } = require('./shared/auth.cjs');
+const {
+  PREVIEW_TOKEN_TYPES,
+  MAX_PREVIEW_TOKENS_PER_ITEM,
+  getPreviewSecret,
+  getPreviewTokensRef,
+  createPreviewToken,
+  parsePreviewHours,
+  toPreviewTokenSummary
+} = require('./shared/previewTokens.cjs');
+
+const COLLECTIONS = { content: 'content', product: 'products' };
+
+// Load every preview link of an item, newest first
+async function loadPreviewTokens(blogRef, type, itemId) {
+  const snapshot = await getPreviewTokensRef(blogRef)
+    .where('type', '==', type)
+    .where('itemId', '==', itemId)
+    .get();
+  return snapshot.docs
+    .map(toPreviewTokenSummary)
+    .sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+// Preview links are shared by people, so they are managed from the dashboard only, never with an API key
+exports.handler = createHandler({
+  name: 'admin-preview-tokens',
+  methods: ['GET', 'POST', 'DELETE'],
+  authenticate: requireUser
+}, async ({ request, caller, headers }) => {
+  const userId = caller.uid;
+  const { data } = request;
+
+  if (!data.blogId) {
+    return errorResponse(headers, 400, 'blogId is required');
+  }
+
+  const blogRef = db.collection('users').doc(userId).collection('blogs').doc(data.blogId);
+  const blogDoc = await blogRef.get();
+  if (!blogDoc.exists) {
+    return errorResponse(headers, 404, 'Blog not found');
+  }
+
+  if (request.method === 'GET' || request.method === 'POST') {
+    if (!PREVIEW_TOKEN_TYPES.includes(data.type) || !data.itemId) {
+      return errorResponse(headers, 400, `type (${PREVIEW_TOKEN_TYPES.join(' or ')}) and itemId are required`);
+    }
+  }
+
+  switch (request.method) {
+    case 'GET': {
+      // List the item's preview links, including revoked and expired ones
+      return jsonResponse(headers, 200, { previewTokens: await loadPreviewTokens(blogRef, data.type, data.itemId) });
+    }
+
+    case 'POST': {
+      // Create a preview link; the token is returned once and can be revoked later by its record ID
+      const secret = getPreviewSecret();
+      if (!secret) {
+        return errorResponse(headers, 503, 'Preview links are not configured. Set PREVIEW_TOKEN_SECRET for the functions.');
+      }
+
+      const hours = parsePreviewHours(data.expiresInHours);
+      if (typeof hours === 'string') {
+        return errorResponse(headers, 400, hours);
+      }
+
+      const itemDoc = await blogRef.collection(COLLECTIONS[data.type]).doc(data.itemId).get();
+      if (!itemDoc.exists) {
+        return errorResponse(headers, 404, `${data.type === 'content' ? 'Content' : 'Product'} not found`);
+      }
+
+      const existingTokens = await loadPreviewTokens(blogRef, data.type, data.itemId);
+      if (existingTokens.filter(previewToken => previewToken.active).length >= MAX_PREVIEW_TOKENS_PER_ITEM) {
+        return errorResponse(headers, 400, `An item can have at most ${MAX_PREVIEW_TOKENS_PER_ITEM} active preview links. Revoke an unused link first.`);
+      }
+
+      const tokenRef = getPreviewTokensRef(blogRef).doc();
+      const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+      await tokenRef.set({
+        type: data.type,
+        itemId: data.itemId,
+        createdBy: {
+          uid: userId,
+          email: caller.email,
+          name: caller.name
+        },
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+        revokedAt: null
+      });
+
+      const previewToken = createPreviewToken(secret, {
+        tokenId: tokenRef.id,
+        blogId: data.blogId,
+        type: data.type,
+        itemId: data.itemId,
+        expiresAt
+      });
+      const slug = itemDoc.data().slug || data.itemId;
+
+      return jsonResponse(headers, 201, {
+        token: previewToken,
+        path: `/preview/${data.type}/${userId}/${data.blogId}/${encodeURIComponent(slug)}?token=${previewToken}`,
+        previewToken: toPreviewTokenSummary(await tokenRef.get())
+      });
+    }
+
+    case 'DELETE': {
+      // Revoke a preview link; the link stops working on its next request
+      const tokenRef = data.id ? getPreviewTokensRef(blogRef).doc(data.id) : null;
+      const tokenDoc = tokenRef ? await tokenRef.get() : null;
+
+      if (!tokenDoc || !tokenDoc.exists) {
+        return errorResponse(headers, 404, 'Preview link not found');
+      }
+
+      if (!tokenDoc.data().revokedAt) {
+        await tokenRef.update({ revokedAt: admin.firestore.FieldValue.serverTimestamp() });
+      }
+
+      return jsonResponse(headers, 200, { success: true });
+    }
+  }
+});
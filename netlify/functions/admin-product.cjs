@@ -1,354 +1,311 @@
-const admin = require('firebase-admin');
-const { validateObject, validateArray } = require('./shared/validation.cjs');
-
-// Initialize Firebase Admin SDK
-if (!admin.apps.length) {
-  const serviceAccount = {
-    type: "service_account",
-    project_id: process.env.FIREBASE_PROJECT_ID || "admin-cms-ph",
-    private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
-    private_key: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
-    client_email: process.env.FIREBASE_CLIENT_EMAIL || "firebase-adminsdk-fbsvc@admin-cms-ph.iam.gserviceaccount.com",
-    client_id: process.env.FIREBASE_CLIENT_ID,
-    auth_uri: "https://accounts.google.com/o/oauth2/auth",
-    token_uri: "https://oauth2.googleapis.com/token",
-    auth_provider_x509_cert_url: "https://www.googleapis.com/oauth2/v1/certs",
-    client_x509_cert_url: process.env.FIREBASE_CLIENT_X509_CERT_URL
-  };
-
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-    projectId: process.env.FIREBASE_PROJECT_ID || "admin-cms-ph"
-  });
+const { admin, db } = require('./shared/firebaseAdmin.cjs');
+const { errorResponse, jsonResponse, assertValid, createHandler } = require('./shared/http.cjs');
+const { requireCaller } = require('./shared/auth.cjs');
+const { PRODUCT_SCHEMA, validateSchema, validateSchedule } = require('./shared/validation.cjs');
+const { isTrashed, getTrashRetentionDays, getPurgeDate } = require('./shared/trash.cjs');
+const { addSlugChangeToBatch } = require('./shared/redirects.cjs');
+const { addSearchIndexToBatch, getSearchIndexRef } = require('./shared/search.cjs');
+const { API_KEY_SCOPES, canAccessBlog } = require('./shared/apiKeys.cjs');
+const { getLifecycleEvents, toWebhookItem, dispatchWebhookEvents, dispatchWebhookEvent } = require('./shared/webhooks.cjs');
+const { isPublicChange, recordPublicChange } = require('./shared/caching.cjs');
+const { getVersion, validateVersion, assertVersion, commitVersionedUpdate } = require('./shared/versioning.cjs');
+const { withIdempotencyKey } = require('./shared/idempotency.cjs');
+
+// Convert an ISO date string to a Firestore timestamp (null when empty)
+function toTimestamp(value) {
+  return value ? admin.firestore.Timestamp.fromDate(new Date(value)) : null;
 }
 
-const db = admin.firestore();
-const auth = admin.auth();
-
-exports.handler = async (event, context) => {
-  // Set CORS headers
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Content-Type': 'application/json'
-  };
-
-  // Handle preflight requests
-  if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers,
-      body: ''
-    };
-  }
+// Convert a stored Firestore timestamp back to an ISO string for comparisons
+function timestampToISO(timestamp) {
+  return timestamp ? timestamp.toDate().toISOString() : null;
+}
 
-  try {
-    // Verify authentication
-    const authHeader = event.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return {
-        statusCode: 401,
-        headers,
-        body: JSON.stringify({ error: 'Unauthorized' })
-      };
-    }
+// Load a blog document for its trash settings (null when missing)
+async function getBlogData(userId, blogId) {
+  const blogDoc = await db.collection('users').doc(userId).collection('blogs').doc(blogId).get();
+  return blogDoc.exists ? blogDoc.data() : null;
+}
+
+exports.handler = createHandler({
+  name: 'admin-product',
+  methods: ['POST', 'PUT', 'DELETE'],
+  allowHeaders: ['Idempotency-Key'],
+  exposeHeaders: ['Idempotent-Replayed'],
+  // A Firebase ID token, or a blog API key with the write products scope
+  authenticate: requireCaller(API_KEY_SCOPES.WRITE_PRODUCTS)
+}, withIdempotencyKey('admin-product', async ({ request, caller, headers, log }) => {
+  const userId = caller.uid;
+  
+  switch (request.method) {
+    case 'POST': {
+      // Create new product
+      const { blogId, ...data } = request.body;
+      
+      if (!blogId) {
+        return errorResponse(headers, 400, 'blogId is required');
+      }
 
-    const token = authHeader.split('Bearer ')[1];
-    const decodedToken = await auth.verifyIdToken(token);
-    
-    if (!decodedToken) {
-      return {
-        statusCode: 401,
-        headers,
-        body: JSON.stringify({ error: 'Invalid token' })
+      if (!canAccessBlog(caller, blogId)) {
+        return errorResponse(headers, 403, 'API key does not have access to this blog');
+      }
+      
+      // Reject unknown or malformed fields against the schema shared with the editor
+      assertValid(validateSchema(data, PRODUCT_SCHEMA));
+
+      // Validate publish schedule
+      const status = data.status || 'draft';
+      const scheduleError = validateSchedule(status, data.publishAt, data.unpublishAt);
+      if (scheduleError) {
+        return errorResponse(headers, 400, scheduleError);
+      }
+      
+      // Reference to user's blog products collection
+      const productsRef = db.collection('users').doc(userId).collection('blogs').doc(blogId).collection('products');
+      
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      
+      const productData = {
+        name: data.name.trim(),
+        slug: data.slug.trim(),
+        description: data.description.trim(),
+        price: data.price,
+        percentOff: data.percentOff || 0,
+        imageUrls: data.imageUrls || [],
+        productUrl: (data.productUrl || '').trim(),
+        category: (data.category || '').trim(),
+        tags: data.tags || [],
+        status,
+        publishAt: status === 'scheduled' ? toTimestamp(data.publishAt) : null,
+        unpublishAt: status !== 'draft' ? toTimestamp(data.unpublishAt) : null,
+        userId,
+        blogId,
+        createdAt: now,
+        updatedAt: now,
+        version: 1
       };
+
+      const docRef = productsRef.doc();
+      const batch = db.batch();
+      batch.set(docRef, productData);
+      addSearchIndexToBatch(batch, productsRef.parent, 'product', docRef.id, productData, now);
+      await batch.commit();
+
+      await dispatchWebhookEvents(productsRef.parent, getLifecycleEvents('product', null, productData),
+        toWebhookItem('product', docRef.id, productData));
+      if (isPublicChange(null, productData)) {
+        await recordPublicChange(productsRef.parent, ['products']);
+      }
+      
+      return jsonResponse(headers, 201, {
+        id: docRef.id,
+        version: productData.version
+      });
     }
 
-    const { httpMethod } = event;
-    const userId = decodedToken.uid;
-    
-    switch (httpMethod) {
-      case 'POST': {
-        // Create new product
-        const data = JSON.parse(event.body);
-        
-        // Centralized validation
-        if (!data.blogId) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'blogId is required' })
-          };
-        }
-        
-        // Use centralized validation
-        const validationErrors = validateObject(data, {
-          name: 'productName',
-          slug: 'slug',
-          description: 'description',
-          price: 'price',
-          percentOff: 'percentOff',
-          category: 'category'
-        });
-        
-        if (Object.keys(validationErrors).length > 0) {
-          const firstError = Object.values(validationErrors)[0];
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: firstError })
-          };
-        }
-        
-        // Validate arrays
-        const arrayErrors = [];
-        if (data.imageUrls && !Array.isArray(data.imageUrls)) arrayErrors.push('Image URLs must be an array');
-        if (data.tags && !Array.isArray(data.tags)) arrayErrors.push('Tags must be an array');
-        
-        if (arrayErrors.length > 0) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: arrayErrors[0] })
-          };
-        }
-        
-        // Validate status
-        if (data.status && !['draft', 'published'].includes(data.status)) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'Status must be either "draft" or "published"' })
-          };
-        }
-        
-        // Reference to user's blog products collection
-        const productsRef = db.collection('users').doc(userId).collection('blogs').doc(data.blogId).collection('products');
-        
-        const now = admin.firestore.FieldValue.serverTimestamp();
-        
-        // Ensure price and percentOff are numbers
-        const productData = {
-          name: data.name.trim(),
-          slug: data.slug.trim(),
-          description: data.description.trim(),
-          price: parseFloat(data.price),
-          percentOff: parseFloat(data.percentOff) || 0,
-          imageUrls: data.imageUrls || [],
-          productUrl: (data.productUrl || '').trim(),
-          category: (data.category || '').trim(),
-          tags: data.tags || [],
-          status: data.status || 'draft',
-          userId,
-          blogId: data.blogId,
-          createdAt: now,
-          updatedAt: now
-        };
-
-        const docRef = await productsRef.add(productData);
-        
-        return {
-          statusCode: 201,
-          headers,
-          body: JSON.stringify({ 
-            id: docRef.id,
-          })
-        };
+    case 'PUT': {
+      // Update existing product
+      const data = request.body;
+      const { id, blogId, restore, version, ...updateData } = data;
+      
+      if (!id) {
+        return errorResponse(headers, 400, 'Product ID is required');
       }
 
-      case 'PUT': {
-        // Update existing product
-        const data = JSON.parse(event.body);
-        const { id, blogId, ...updateData } = data;
-        
-        if (!id) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'Product ID is required' })
-          };
-        }
+      if (!blogId) {
+        return errorResponse(headers, 400, 'blogId is required');
+      }
 
-        if (!blogId) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'blogId is required' })
-          };
-        }
+      if (!canAccessBlog(caller, blogId)) {
+        return errorResponse(headers, 403, 'API key does not have access to this blog');
+      }
 
-        // Validate required fields for updates
-        if (updateData.name !== undefined && (typeof updateData.name !== 'string' || !updateData.name.trim())) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'Product name must be a non-empty string' })
-          };
-        }
+      const versionError = validateVersion(version);
+      if (versionError) {
+        return errorResponse(headers, 400, versionError);
+      }
 
-        if (updateData.slug !== undefined && (typeof updateData.slug !== 'string' || !updateData.slug.trim())) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'Slug must be a non-empty string' })
-          };
-        }
+      // Fields left out keep their value, but those sent must match the schema
+      assertValid(validateSchema(updateData, PRODUCT_SCHEMA, { partial: true }));
 
-        if (updateData.description !== undefined && (typeof updateData.description !== 'string' || !updateData.description.trim())) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'Description must be a non-empty string' })
-          };
-        }
+      // Reference to user's blog products collection
+      const productsRef = db.collection('users').doc(userId).collection('blogs').doc(blogId).collection('products');
+      const docRef = productsRef.doc(id);
+      const doc = await docRef.get();
+      
+      if (!doc.exists) {
+        return errorResponse(headers, 404, 'Product not found');
+      }
 
-        // Validate price
-        if (updateData.price !== undefined && (isNaN(parseFloat(updateData.price)) || parseFloat(updateData.price) < 0)) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'Price must be a valid number >= 0' })
-          };
-        }
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      const existingData = doc.data();
 
-        // Validate percentOff
-        if (updateData.percentOff !== undefined && (isNaN(parseFloat(updateData.percentOff)) || parseFloat(updateData.percentOff) < 0 || parseFloat(updateData.percentOff) > 100)) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'Percent off must be a number between 0 and 100' })
-          };
+      // Restore a product from the trash
+      if (restore === true) {
+        if (!isTrashed(existingData)) {
+          return errorResponse(headers, 400, 'Product is not in the trash');
         }
 
-        // Validate status
-        if (updateData.status && !['draft', 'published'].includes(updateData.status)) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'Status must be either "draft" or "published"' })
-          };
-        }
+        const restoredData = { ...existingData, deletedAt: null, purgeAt: null };
+        const batch = db.batch();
+        batch.update(docRef, {
+          deletedAt: admin.firestore.FieldValue.delete(),
+          purgeAt: admin.firestore.FieldValue.delete(),
+          updatedAt: now
+        });
+        // Search index entries carry the trash state, so the product shows up in search again
+        addSearchIndexToBatch(batch, productsRef.parent, 'product', id, restoredData, now);
+        await batch.commit();
 
-        // Validate arrays
-        if (updateData.imageUrls && !Array.isArray(updateData.imageUrls)) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'Image URLs must be an array' })
-          };
+        await dispatchWebhookEvents(productsRef.parent, getLifecycleEvents('product', existingData, restoredData),
+          toWebhookItem('product', id, restoredData));
+        if (isPublicChange(existingData, restoredData)) {
+          await recordPublicChange(productsRef.parent, ['products']);
         }
 
-        if (updateData.tags && !Array.isArray(updateData.tags)) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'Tags must be an array' })
-          };
-        }
+        return jsonResponse(headers, 200, { success: true });
+      }
 
-        // Reference to user's blog products collection
-        const productsRef = db.collection('users').doc(userId).collection('blogs').doc(blogId).collection('products');
-        const docRef = productsRef.doc(id);
-        const doc = await docRef.get();
-        
-        if (!doc.exists) {
-          return {
-            statusCode: 404,
-            headers,
-            body: JSON.stringify({ error: 'Product not found' })
-          };
-        }
+      if (isTrashed(existingData)) {
+        return errorResponse(headers, 400, 'Restore this product from the trash before editing it');
+      }
 
-        const now = admin.firestore.FieldValue.serverTimestamp();
-        
-        // Build update object with only the fields that are being changed
-        const productData = {
-          updatedAt: now
-        };
-
-        // Only include fields that are explicitly provided in the update
-        if (updateData.name !== undefined) productData.name = updateData.name;
-        if (updateData.slug !== undefined) productData.slug = updateData.slug;
-        if (updateData.description !== undefined) productData.description = updateData.description;
-        if (updateData.price !== undefined) productData.price = parseFloat(updateData.price);
-        if (updateData.percentOff !== undefined) productData.percentOff = parseFloat(updateData.percentOff);
-        if (updateData.imageUrls !== undefined) productData.imageUrls = updateData.imageUrls;
-        if (updateData.imageUrl !== undefined) productData.imageUrl = updateData.imageUrl;
-        if (updateData.productUrl !== undefined) productData.productUrl = updateData.productUrl;
-        if (updateData.category !== undefined) productData.category = updateData.category;
-        if (updateData.tags !== undefined) productData.tags = updateData.tags;
-        if (updateData.status !== undefined) productData.status = updateData.status;
-
-        await docRef.update(productData);
-        
-        return {
-          statusCode: 200,
-          headers,
-          body: JSON.stringify({ success: true })
-        };
+      // Reject saves based on an older version than the stored one, e.g. from another tab
+      assertVersion(id, existingData, version, 'Product');
+
+      // Validate the publish schedule against the resulting state
+      const nextStatus = updateData.status !== undefined ? updateData.status : (existingData.status || 'draft');
+      const existingPublishAt = timestampToISO(existingData.publishAt);
+      const nextPublishAt = updateData.publishAt !== undefined ? updateData.publishAt : existingPublishAt;
+      const nextUnpublishAt = updateData.unpublishAt !== undefined ? updateData.unpublishAt : timestampToISO(existingData.unpublishAt);
+      const publishAtChanged = nextStatus !== existingData.status ||
+        (nextPublishAt ? new Date(nextPublishAt).toISOString() : null) !== existingPublishAt;
+
+      const scheduleError = validateSchedule(nextStatus, nextPublishAt, nextUnpublishAt, { requireFuture: publishAtChanged });
+      if (scheduleError) {
+        return errorResponse(headers, 400, scheduleError);
       }
+      
+      // Build update object with only the fields that are being changed
+      const productData = {
+        updatedAt: now,
+        version: getVersion(existingData) + 1
+      };
 
-      case 'DELETE': {
-        // Delete product
-        const data = JSON.parse(event.body);
-        const { id, blogId } = data;
-        
-        if (!id) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'Product ID is required' })
-          };
-        }
+      // Only include fields that are explicitly provided in the update
+      if (updateData.name !== undefined) productData.name = updateData.name;
+      if (updateData.slug !== undefined) productData.slug = updateData.slug;
+      if (updateData.description !== undefined) productData.description = updateData.description;
+      if (updateData.price !== undefined) productData.price = updateData.price;
+      if (updateData.percentOff !== undefined) productData.percentOff = updateData.percentOff || 0;
+      if (updateData.imageUrls !== undefined) productData.imageUrls = updateData.imageUrls;
+      if (updateData.imageUrl !== undefined) productData.imageUrl = updateData.imageUrl;
+      if (updateData.productUrl !== undefined) productData.productUrl = updateData.productUrl;
+      if (updateData.category !== undefined) productData.category = updateData.category;
+      if (updateData.tags !== undefined) productData.tags = updateData.tags;
+      if (updateData.status !== undefined) productData.status = updateData.status;
+
+      // publishAt only applies while scheduled; unpublishAt never applies to drafts
+      if (updateData.status !== undefined || updateData.publishAt !== undefined) {
+        productData.publishAt = nextStatus === 'scheduled' ? toTimestamp(nextPublishAt) : null;
+      }
+      if (updateData.status !== undefined || updateData.unpublishAt !== undefined) {
+        productData.unpublishAt = nextStatus !== 'draft' ? toTimestamp(nextUnpublishAt) : null;
+      }
+
+      // Write in a transaction that fails if the product was saved since it was read above
+      await commitVersionedUpdate(db, docRef, existingData, 'Product', async (transaction) => {
+        transaction.update(docRef, productData);
+        addSearchIndexToBatch(transaction, productsRef.parent, 'product', id, { ...existingData, ...productData }, now);
 
-        if (!blogId) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'blogId is required' })
-          };
+        // Keep links to published products working when their slug changes
+        if (productData.slug !== undefined && productData.slug !== existingData.slug &&
+            existingData.status === 'published' && existingData.slug) {
+          await addSlugChangeToBatch(transaction, db.collection('users').doc(userId).collection('blogs').doc(blogId).collection('redirects'), {
+            type: 'product',
+            targetId: id,
+            oldSlug: existingData.slug,
+            newSlug: productData.slug,
+            createdAt: now
+          });
         }
+      });
 
-        // Reference to user's blog products collection
-        const productsRef = db.collection('users').doc(userId).collection('blogs').doc(blogId).collection('products');
-        const docRef = productsRef.doc(id);
-        const doc = await docRef.get();
-        
-        if (!doc.exists) {
-          return {
-            statusCode: 404,
-            headers,
-            body: JSON.stringify({ error: 'Product not found' })
-          };
+      const updatedData = { ...existingData, ...productData };
+      await dispatchWebhookEvents(productsRef.parent, getLifecycleEvents('product', existingData, updatedData),
+        toWebhookItem('product', id, updatedData));
+      if (isPublicChange(existingData, updatedData)) {
+        await recordPublicChange(productsRef.parent, ['products']);
+      }
+      
+      return jsonResponse(headers, 200, { success: true, version: productData.version });
+    }
+
+    case 'DELETE': {
+      // Move a product to the trash, or permanently delete a product already in the trash
+      const data = request.body;
+      const { id, blogId, permanent } = data;
+      
+      if (!id) {
+        return errorResponse(headers, 400, 'Product ID is required');
+      }
+
+      if (!blogId) {
+        return errorResponse(headers, 400, 'blogId is required');
+      }
+
+      if (!canAccessBlog(caller, blogId)) {
+        return errorResponse(headers, 403, 'API key does not have access to this blog');
+      }
+
+      // Reference to user's blog products collection
+      const productsRef = db.collection('users').doc(userId).collection('blogs').doc(blogId).collection('products');
+      const docRef = productsRef.doc(id);
+      const doc = await docRef.get();
+      
+      if (!doc.exists) {
+        return errorResponse(headers, 404, 'Product not found');
+      }
+
+      if (permanent === true) {
+        if (!isTrashed(doc.data())) {
+          return errorResponse(headers, 400, 'Move the product to the trash before deleting it permanently');
         }
 
         await docRef.delete();
-        
-        return {
-          statusCode: 200,
-          headers,
-          body: JSON.stringify({ success: true })
-        };
+        await getSearchIndexRef(productsRef.parent, 'product', id).delete();
+        await dispatchWebhookEvent(productsRef.parent, 'product.deleted', { ...toWebhookItem('product', id, doc.data()), permanent: true });
+
+        return jsonResponse(headers, 200, { success: true });
       }
 
-      default:
-        return {
-          statusCode: 405,
-          headers,
-          body: JSON.stringify({ error: 'Method not allowed' })
-        };
-    }
+      if (isTrashed(doc.data())) {
+        return errorResponse(headers, 400, 'Product is already in the trash');
+      }
 
-  } catch (error) {
-    console.error('Admin product function error:', error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ 
-        error: 'Internal server error',
-        details: process.env.NODE_ENV === 'development' ? error.message : undefined
-      })
-    };
+      // Keep trashed products for the blog's retention period before they are purged
+      const deletedAt = new Date();
+      const purgeAt = getPurgeDate(deletedAt, getTrashRetentionDays(await getBlogData(userId, blogId)));
+      const trashFields = {
+        deletedAt: admin.firestore.Timestamp.fromDate(deletedAt),
+        purgeAt: admin.firestore.Timestamp.fromDate(purgeAt)
+      };
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      const batch = db.batch();
+      batch.update(docRef, { ...trashFields, updatedAt: now });
+      // Search index entries carry the trash state, so the product drops out of search
+      addSearchIndexToBatch(batch, productsRef.parent, 'product', id, { ...doc.data(), ...trashFields }, now);
+      await batch.commit();
+      await dispatchWebhookEvent(productsRef.parent, 'product.deleted', { ...toWebhookItem('product', id, doc.data()), permanent: false });
+      if (isPublicChange(doc.data(), null)) {
+        await recordPublicChange(productsRef.parent, ['products']);
+      }
+      
+      return jsonResponse(headers, 200, {
+        success: true,
+        deletedAt: deletedAt.toISOString(),
+        purgeAt: purgeAt.toISOString()
+      });
+    }
   }
-};
+}));
@@ -0,0 +1,308 @@
+const { admin, db } = require('./shared/firebaseAdmin.cjs');
+const { errorResponse, jsonResponse, createHandler } = require('./shared/http.cjs');
+const { requireUser } = require('./shared/auth.cjs');
+const {
+  TAXONOMY_KINDS,
+  validateTermName,
+  getTermKey,
+  rewriteTermUsage,
+  listTerms
+} = require('./shared/taxonomy.cjs');
+const { isTrashed } = require('./shared/trash.cjs');
+const { recordPublicChange } = require('./shared/caching.cjs');
+
+// Load every taxonomy term of a blog
+async function loadTerms(blogRef) {
+  const snapshot = await blogRef.collection('taxonomy').get();
+  return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+}
+
+// Find a term of the given kind by its name, ignoring case
+function findTermByName(terms, kind, name) {
+  const key = getTermKey(name);
+  return terms.find(term => term.kind === kind && term.nameKey === key) || null;
+}
+
+// Check whether making parentId the parent of termId would create a cycle
+function createsCycle(terms, termId, parentId) {
+  let currentId = parentId;
+  const visited = new Set();
+  while (currentId) {
+    if (currentId === termId || visited.has(currentId)) return true;
+    visited.add(currentId);
+    const parent = terms.find(term => term.id === currentId);
+    currentId = parent ? parent.parentId : null;
+  }
+  return false;
+}
+
+// Validate a category parent, returning an error message or null
+function validateParent(terms, kind, termId, parentId) {
+  if (!parentId) return null;
+  if (kind !== 'category') return 'Only categories can have a parent';
+
+  const parent = terms.find(term => term.id === parentId);
+  if (!parent || parent.kind !== 'category') return 'Parent category not found';
+  if (termId && createsCycle(terms, termId, parentId)) return 'A category cannot be nested under itself or its subcategories';
+  return null;
+}
+
+// Walk up from parentId past any terms that are being removed
+function resolveParentId(terms, parentId, removedIds) {
+  let currentId = parentId;
+  while (currentId && removedIds.includes(currentId)) {
+    const parent = terms.find(term => term.id === currentId);
+    currentId = parent ? parent.parentId : null;
+  }
+  return currentId || null;
+}
+
+// Queue parent updates for the subcategories of removed categories
+function reparentChildren(batch, blogRef, terms, removedIds, now) {
+  terms
+    .filter(term => term.parentId && removedIds.includes(term.parentId) && !removedIds.includes(term.id))
+    .forEach(term => {
+      batch.update(blogRef.collection('taxonomy').doc(term.id), {
+        parentId: resolveParentId(terms, term.parentId, removedIds),
+        updatedAt: now
+      });
+    });
+}
+
+// Build a new term document
+function buildTerm(kind, name, description, parentId, now) {
+  return {
+    kind,
+    name: name.trim(),
+    nameKey: getTermKey(name),
+    description: (description || '').trim(),
+    parentId: kind === 'category' ? parentId || null : null,
+    createdAt: now,
+    updatedAt: now
+  };
+}
+
+exports.handler = createHandler({
+  name: 'admin-taxonomy',
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  authenticate: requireUser
+}, async ({ request, caller, headers }) => {
+  const userId = caller.uid;
+  const { data } = request;
+
+  if (!data.blogId) {
+    return errorResponse(headers, 400, 'blogId is required');
+  }
+
+  if (request.method !== 'GET' && !TAXONOMY_KINDS.includes(data.kind)) {
+    return errorResponse(headers, 400, `kind must be one of: ${TAXONOMY_KINDS.join(', ')}`);
+  }
+
+  const blogRef = db.collection('users').doc(userId).collection('blogs').doc(data.blogId);
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  
+  switch (request.method) {
+    case 'GET': {
+      // List managed terms and names used by content or products, with usage counts
+      const [terms, contentSnapshot, productSnapshot] = await Promise.all([
+        loadTerms(blogRef),
+        blogRef.collection('content').get(),
+        blogRef.collection('products').get()
+      ]);
+      const contentDocs = contentSnapshot.docs.map(doc => doc.data()).filter(item => !isTrashed(item));
+      const productDocs = productSnapshot.docs.map(doc => doc.data()).filter(item => !isTrashed(item));
+
+      const result = {};
+      TAXONOMY_KINDS.forEach(kind => {
+        result[kind === 'category' ? 'categories' : 'tags'] = listTerms(kind, terms, contentDocs, productDocs);
+      });
+
+      return jsonResponse(headers, 200, result);
+    }
+
+    case 'POST': {
+      const { operation = 'create', kind } = data;
+      const terms = await loadTerms(blogRef);
+
+      switch (operation) {
+        case 'create': {
+          // Add a term to the taxonomy
+          const nameError = validateTermName(data.name);
+          if (nameError) {
+            return errorResponse(headers, 400, nameError);
+          }
+
+          if (findTermByName(terms, kind, data.name)) {
+            return errorResponse(headers, 409, `A ${kind} named "${data.name.trim()}" already exists`);
+          }
+
+          const parentError = validateParent(terms, kind, null, data.parentId);
+          if (parentError) {
+            return errorResponse(headers, 400, parentError);
+          }
+
+          const termRef = blogRef.collection('taxonomy').doc();
+          await termRef.set(buildTerm(kind, data.name, data.description, data.parentId, now));
+
+          return jsonResponse(headers, 201, { id: termRef.id });
+        }
+
+        case 'merge': {
+          // Merge several terms into one, rewriting every item that uses them
+          const { sourceNames, targetName } = data;
+          if (!Array.isArray(sourceNames) || sourceNames.length === 0) {
+            return errorResponse(headers, 400, 'sourceNames must be a non-empty array');
+          }
+
+          const nameError = validateTermName(targetName);
+          if (nameError) {
+            return errorResponse(headers, 400, nameError);
+          }
+
+          const target = targetName.trim();
+          const fromNames = sourceNames.filter(name => typeof name === 'string' && name !== target);
+          if (fromNames.length === 0) {
+            return errorResponse(headers, 400, 'Choose at least one term other than the merge target');
+          }
+
+          // The merge target joins the taxonomy if it is not managed yet
+          const batch = db.batch();
+          let targetTerm = findTermByName(terms, kind, target);
+          if (targetTerm && targetTerm.name !== target && !fromNames.includes(targetTerm.name)) {
+            return errorResponse(headers, 409, `A ${kind} named "${targetTerm.name}" already exists`);
+          }
+          if (!targetTerm || targetTerm.name !== target) {
+            const targetRef = targetTerm
+              ? blogRef.collection('taxonomy').doc(targetTerm.id)
+              : blogRef.collection('taxonomy').doc();
+            if (targetTerm) {
+              batch.update(targetRef, { name: target, nameKey: getTermKey(target), updatedAt: now });
+            } else {
+              batch.set(targetRef, buildTerm(kind, target, '', null, now));
+            }
+            targetTerm = { ...(targetTerm || { kind, parentId: null }), id: targetRef.id, name: target };
+          }
+
+          const removedIds = terms
+            .filter(term => term.kind === kind && fromNames.includes(term.name) && term.id !== targetTerm.id)
+            .map(term => term.id);
+          removedIds.forEach(termId => batch.delete(blogRef.collection('taxonomy').doc(termId)));
+
+          // Subcategories of merged categories move under the target
+          terms
+            .filter(term => term.parentId && removedIds.includes(term.parentId) && !removedIds.includes(term.id))
+            .forEach(term => {
+              // Nesting under the target would create a cycle when the term is the target or one of its ancestors
+              const parentId = createsCycle(terms, term.id, targetTerm.id)
+                ? resolveParentId(terms, term.parentId, removedIds)
+                : targetTerm.id;
+              batch.update(blogRef.collection('taxonomy').doc(term.id), { parentId, updatedAt: now });
+            });
+          await batch.commit();
+
+          const updatedCount = await rewriteTermUsage(db, blogRef, kind, fromNames, target, now);
+          // Merged terms change the categories and tags of items in the public APIs
+          if (updatedCount > 0) {
+            await recordPublicChange(blogRef);
+          }
+
+          return jsonResponse(headers, 200, { success: true, updatedCount });
+        }
+
+        default:
+          return errorResponse(headers, 400, `Unknown operation: ${operation}`);
+      }
+    }
+
+    case 'PUT': {
+      // Rename a term or change its description or parent; names in use but not managed are added to the taxonomy
+      const { kind, name, newName, description, parentId } = data;
+      const nameError = validateTermName(name);
+      if (nameError) {
+        return errorResponse(headers, 400, nameError);
+      }
+
+      const terms = await loadTerms(blogRef);
+      const existingTerm = terms.find(term => term.kind === kind && term.name === name) || null;
+      if (!existingTerm && findTermByName(terms, kind, name)) {
+        return errorResponse(headers, 409, `A ${kind} with this name already exists in a different case. Merge them instead.`);
+      }
+
+      const nextName = newName !== undefined ? newName : name;
+      const newNameError = validateTermName(nextName);
+      if (newNameError) {
+        return errorResponse(headers, 400, newNameError);
+      }
+
+      const renamed = nextName.trim() !== name;
+      const conflictingTerm = renamed ? findTermByName(terms, kind, nextName) : null;
+      if (conflictingTerm && (!existingTerm || conflictingTerm.id !== existingTerm.id)) {
+        return errorResponse(headers, 409, `A ${kind} named "${conflictingTerm.name}" already exists. Merge them instead.`);
+      }
+
+      if (description !== undefined && (typeof description !== 'string' || description.length > 500)) {
+        return errorResponse(headers, 400, 'Description must be a string with maximum 500 characters');
+      }
+
+      const termRef = existingTerm
+        ? blogRef.collection('taxonomy').doc(existingTerm.id)
+        : blogRef.collection('taxonomy').doc();
+
+      if (parentId !== undefined) {
+        const parentError = validateParent(terms, kind, termRef.id, parentId);
+        if (parentError) {
+          return errorResponse(headers, 400, parentError);
+        }
+      }
+
+      if (existingTerm) {
+        const termData = { updatedAt: now };
+        if (renamed) {
+          termData.name = nextName.trim();
+          termData.nameKey = getTermKey(nextName);
+        }
+        if (description !== undefined) termData.description = description.trim();
+        if (parentId !== undefined) termData.parentId = parentId || null;
+        await termRef.update(termData);
+      } else {
+        await termRef.set(buildTerm(kind, nextName, description, parentId, now));
+      }
+
+      const updatedCount = renamed
+        ? await rewriteTermUsage(db, blogRef, kind, [name], nextName.trim(), now)
+        : 0;
+      // Renamed terms change the categories and tags of items in the public APIs
+      if (updatedCount > 0) {
+        await recordPublicChange(blogRef);
+      }
+
+      return jsonResponse(headers, 200, { success: true, id: termRef.id, updatedCount });
+    }
+
+    case 'DELETE': {
+      // Remove a term from the taxonomy and from every item that uses it
+      const { kind, name } = data;
+      const nameError = validateTermName(name);
+      if (nameError) {
+        return errorResponse(headers, 400, nameError);
+      }
+
+      const terms = await loadTerms(blogRef);
+      const existingTerm = terms.find(term => term.kind === kind && term.name === name);
+      if (existingTerm) {
+        const batch = db.batch();
+        batch.delete(blogRef.collection('taxonomy').doc(existingTerm.id));
+        reparentChildren(batch, blogRef, terms, [existingTerm.id], now);
+        await batch.commit();
+      }
+
+      const updatedCount = await rewriteTermUsage(db, blogRef, kind, [name], null, now);
+      // Removed terms change the categories and tags of items in the public APIs
+      if (updatedCount > 0) {
+        await recordPublicChange(blogRef);
+      }
+
+      return jsonResponse(headers, 200, { success: true, updatedCount });
+    }
+  }
+});
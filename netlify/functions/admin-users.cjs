@@ -1,70 +1,8 @@
-const admin = require('firebase-admin');
+const { admin, db, auth } = require('./shared/firebaseAdmin.cjs');
+const { errorResponse, jsonResponse, assertValid, createHandler } = require('./shared/http.cjs');
+const { requireAdmin } = require('./shared/auth.cjs');
 const { validateObject, validateStorageQuota } = require('./shared/validation.cjs');
 
-console.log('Admin Users Function: Starting initialization...');
-console.log('Environment check:', {
-  hasProjectId: !!process.env.FIREBASE_PROJECT_ID,
-  hasPrivateKeyId: !!process.env.FIREBASE_PRIVATE_KEY_ID,
-  hasPrivateKey: !!process.env.FIREBASE_PRIVATE_KEY,
-  hasClientEmail: !!process.env.FIREBASE_CLIENT_EMAIL,
-  hasClientId: !!process.env.FIREBASE_CLIENT_ID,
-  hasClientX509CertUrl: !!process.env.FIREBASE_CLIENT_X509_CERT_URL,
-  nodeEnv: process.env.NODE_ENV
-});
-
-// Initialize Firebase Admin SDK
-if (!admin.apps.length) {
-  console.log('Admin Users Function: No existing Firebase apps, initializing...');
-  
-  const serviceAccount = {
-    type: "service_account",
-    project_id: process.env.FIREBASE_PROJECT_ID || "admin-cms-ph",
-    private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
-    private_key: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
-    client_email: process.env.FIREBASE_CLIENT_EMAIL || "firebase-adminsdk-fbsvc@admin-cms-ph.iam.gserviceaccount.com",
-    client_id: process.env.FIREBASE_CLIENT_ID,
-    auth_uri: "https://accounts.google.com/o/oauth2/auth",
-    token_uri: "https://oauth2.googleapis.com/token",
-    auth_provider_x509_cert_url: "https://www.googleapis.com/oauth2/v1/certs",
-    client_x509_cert_url: process.env.FIREBASE_CLIENT_X509_CERT_URL
-  };
-
-  console.log('Admin Users Function: Service account config (excluding private_key):', {
-    type: serviceAccount.type,
-    project_id: serviceAccount.project_id,
-    private_key_id: serviceAccount.private_key_id,
-    private_key_length: serviceAccount.private_key ? serviceAccount.private_key.length : 0,
-    private_key_starts_with: serviceAccount.private_key ? serviceAccount.private_key.substring(0, 30) + '...' : 'undefined',
-    client_email: serviceAccount.client_email,
-    client_id: serviceAccount.client_id,
-    client_x509_cert_url: serviceAccount.client_x509_cert_url
-  });
-
-  try {
-    console.log('Admin Users Function: Attempting to initialize Firebase Admin SDK...');
-    
-    admin.initializeApp({
-      credential: admin.credential.cert(serviceAccount),
-      projectId: process.env.FIREBASE_PROJECT_ID || "admin-cms-ph"
-    });
-    
-    console.log('Admin Users Function: Firebase Admin SDK initialized successfully');
-  } catch (initError) {
-    console.error('Admin Users Function: Failed to initialize Firebase Admin SDK:', initError);
-    console.error('Admin Users Function: Init error details:', {
-      code: initError.code,
-      message: initError.message,
-      stack: initError.stack
-    });
-    throw initError;
-  }
-} else {
-  console.log('Admin Users Function: Firebase Admin SDK already initialized');
-}
-
-const db = admin.firestore();
-const auth = admin.auth();
-
 // Helper function to delete all documents in a collection
 async function deleteCollection(collectionRef, batchSize = 100) {
   const query = collectionRef.limit(batchSize);
@@ -100,755 +38,484 @@ async function deleteQueryBatch(query, resolve, reject) {
   }
 }
 
-exports.handler = async (event, context) => {
-  console.log('Admin Users Function: Handler called', {
-    method: event.httpMethod,
-    path: event.path,
-    hasAuthHeader: !!event.headers.authorization,
-    timestamp: new Date().toISOString()
-  });
-  
-  // Set CORS headers
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
-    'Content-Type': 'application/json'
-  };
-
-  // Handle preflight requests
-  if (event.httpMethod === 'OPTIONS') {
-    console.log('Admin Users Function: Handling OPTIONS request');
-    return {
-      statusCode: 200,
-      headers,
-      body: ''
-    };
-  }
-
-  try {
-    console.log('Admin Users Function: Processing request...');
-    
-    // Verify authentication
-    const authHeader = event.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      console.log('Admin Users Function: Missing or invalid authorization header');
-      return {
-        statusCode: 401,
-        headers,
-        body: JSON.stringify({ error: 'Unauthorized' })
-      };
-    }
-
-    const token = authHeader.split('Bearer ')[1];
-    console.log('Admin Users Function: Attempting to verify token...');
-    
-    const decodedToken = await auth.verifyIdToken(token);
-    console.log('Admin Users Function: Token verified successfully for user:', decodedToken.uid);
-    
-    if (!decodedToken) {
-      console.log('Admin Users Function: Token verification returned null');
-      return {
-        statusCode: 401,
-        headers,
-        body: JSON.stringify({ error: 'Invalid token' })
-      };
-    }
-
-    const requestingUserId = decodedToken.uid;
-    console.log('Admin Users Function: Checking admin privileges for user:', requestingUserId);
-
-    // Verify the requesting user is an admin
-    const adminSettingsRef = db.collection('users').doc(requestingUserId).collection('userSettings').doc('preferences');
-    const adminSettingsDoc = await adminSettingsRef.get();
-    
-    console.log('Admin Users Function: Admin settings doc exists:', adminSettingsDoc.exists);
-    if (adminSettingsDoc.exists) {
-      const adminData = adminSettingsDoc.data();
-      console.log('Admin Users Function: User role:', adminData.role);
-    }
-    
-    if (!adminSettingsDoc.exists || adminSettingsDoc.data().role !== 'admin') {
-      console.log('Admin Users Function: Access denied - user is not admin');
-      return {
-        statusCode: 403,
-        headers,
-        body: JSON.stringify({ error: 'Forbidden: Admin access required' })
-      };
-    }
+exports.handler = createHandler({
+  name: 'admin-users',
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  authenticate: requireAdmin
+}, async ({ request, caller, headers, log }) => {
+  const requestingUserId = caller.uid;
+
+  switch (request.method) {
+    case 'POST': {
+      // Create new user account
+      const data = request.body;
+      const { email, password, displayName } = data;
+      
+      // Use centralized validation
+      assertValid(validateObject(data, {
+        email: 'email',
+        password: 'password',
+        displayName: 'displayName'
+      }));
+
+      try {
+        // Create user in Firebase Authentication
+        const userRecord = await auth.createUser({
+          email: email.trim(),
+          password: password,
+          displayName: displayName.trim(),
+          emailVerified: true // Admin-created accounts are automatically verified
+        });
 
-    console.log('Admin Users Function: Admin access confirmed, processing', event.httpMethod, 'request');
-    const { httpMethod } = event;
-    
-    switch (httpMethod) {
-      case 'POST': {
-        console.log('Admin Users Function: Processing POST request (create user)...');
-        // Create new user account
-        const data = JSON.parse(event.body);
-        console.log('Admin Users Function: POST request data:', {
-          email: data.email,
-          displayName: data.displayName,
-          hasPassword: !!data.password
+        // Create user settings in Firestore
+        const userSettingsRef = db.collection('users').doc(userRecord.uid).collection('userSettings').doc('preferences');
+        await userSettingsRef.set({
+          role: 'user', // Default role
+          canManageMultipleBlogs: false,
+          currency: '$',
+          maxBlogs: 1,
+          totalStorageMB: 100,
+          displayName: displayName.trim(),
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          createdBy: requestingUserId
         });
-        const { email, password, displayName } = data;
+
+        // Create default blog for the new user
+        const blogId = `blog_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+        const blogRef = db.collection('users').doc(userRecord.uid).collection('blogs').doc(blogId);
         
-        // Use centralized validation
-        const validationErrors = validateObject(data, {
-          email: 'email',
-          password: 'password',
-          displayName: 'displayName'
+        await blogRef.set({
+          name: 'My Blog',
+          description: 'My personal blog',
+          createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          isDefault: true,
+          contentCount: 0,
+          productCount: 0,
+          status: 'active'
         });
         
-        if (Object.keys(validationErrors).length > 0) {
-          const firstError = Object.values(validationErrors)[0];
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: firstError })
-          };
-        }
-
-        try {
-          console.log('Admin Users Function: Creating user in Firebase Auth...');
-          
-          // Create user in Firebase Authentication
-          const userRecord = await auth.createUser({
-            email: email.trim(),
-            password: password,
-            displayName: displayName.trim(),
-            emailVerified: true // Admin-created accounts are automatically verified
-          });
-          
-          console.log('Admin Users Function: User created in Firebase Auth:', userRecord.uid);
-
-          // Create user settings in Firestore
-          console.log('Admin Users Function: Creating user settings in Firestore...');
-          const userSettingsRef = db.collection('users').doc(userRecord.uid).collection('userSettings').doc('preferences');
-          await userSettingsRef.set({
-            role: 'user', // Default role
-            canManageMultipleBlogs: false,
-            currency: '$',
+        log.info('User created', { userId: userRecord.uid, defaultBlogId: blogId });
+
+        return jsonResponse(headers, 201, {
+          success: true,
+          message: 'User account created successfully',
+          user: {
+            uid: userRecord.uid,
+            email: userRecord.email,
+            displayName: userRecord.displayName,
+            emailVerified: userRecord.emailVerified,
+            creationTime: userRecord.metadata.creationTime,
+            role: 'user',
             maxBlogs: 1,
             totalStorageMB: 100,
-            displayName: displayName.trim(),
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-            createdBy: requestingUserId
-          });
-          
-          console.log('Admin Users Function: User settings created');
-
-          // Create default blog for the new user
-          console.log('Admin Users Function: Creating default blog...');
-          const blogId = `blog_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-          const blogRef = db.collection('users').doc(userRecord.uid).collection('blogs').doc(blogId);
-          
-          await blogRef.set({
-            name: 'My Blog',
-            description: 'My personal blog',
-            createdAt: admin.firestore.FieldValue.serverTimestamp(),
-            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-            isDefault: true,
-            contentCount: 0,
-            productCount: 0,
-            status: 'active'
-          });
-          
-          console.log('Admin Users Function: Default blog created:', blogId);
-
-          return {
-            statusCode: 201,
-            headers,
-            body: JSON.stringify({ 
-              success: true,
-              message: 'User account created successfully',
-              user: {
-                uid: userRecord.uid,
-                email: userRecord.email,
-                displayName: userRecord.displayName,
-                emailVerified: userRecord.emailVerified,
-                creationTime: userRecord.metadata.creationTime,
-                role: 'user',
-                maxBlogs: 1,
-                totalStorageMB: 100,
-                defaultBlogId: blogId
-              }
-            })
-          };
-        } catch (error) {
-          console.error('Admin Users Function: Error in POST operation:', error);
-          
-          // Provide specific error messages based on Firebase error codes
-          let errorMessage = 'Failed to create user account';
-          let statusCode = 500;
-          
-          if (error.code === 'auth/email-already-exists') {
-            errorMessage = 'An account with this email already exists';
-            statusCode = 400;
-          } else if (error.code === 'auth/invalid-email') {
-            errorMessage = 'Invalid email address';
-            statusCode = 400;
-          } else if (error.code === 'auth/weak-password') {
-            errorMessage = 'Password is too weak';
-            statusCode = 400;
-          } else if (error.code === 'auth/insufficient-permission') {
-            errorMessage = 'Insufficient permissions to create users';
-            statusCode = 403;
+            defaultBlogId: blogId
           }
-          
-          return {
-            statusCode,
-            headers,
-            body: JSON.stringify({ 
-              error: errorMessage,
-              code: error.code,
-              details: process.env.NODE_ENV === 'development' ? error.message : undefined
-            })
-          };
+        });
+      } catch (error) {
+        log.error('Error creating user', { error });
+        
+        // Provide specific error messages based on Firebase error codes
+        let errorMessage = 'Failed to create user account';
+        let statusCode = 500;
+        
+        if (error.code === 'auth/email-already-exists') {
+          errorMessage = 'An account with this email already exists';
+          statusCode = 400;
+        } else if (error.code === 'auth/invalid-email') {
+          errorMessage = 'Invalid email address';
+          statusCode = 400;
+        } else if (error.code === 'auth/weak-password') {
+          errorMessage = 'Password is too weak';
+          statusCode = 400;
+        } else if (error.code === 'auth/insufficient-permission') {
+          errorMessage = 'Insufficient permissions to create users';
+          statusCode = 403;
         }
+        
+        return errorResponse(headers, statusCode, errorMessage, {
+          details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
       }
+    }
 
-      case 'GET': {
-        console.log('Admin Users Function: Fetching users list...');
-        // List all users with their settings
-        try {
-          // Use pagination to handle large user lists
-          console.log('Admin Users Function: Calling auth.listUsers...');
-          const listUsersResult = await auth.listUsers(1000); // Max 1000 users per request
-          console.log('Admin Users Function: Retrieved', listUsersResult.users.length, 'users from Firebase Auth');
-          const users = [];
-
-          for (const userRecord of listUsersResult.users) {
-            try {
-              console.log('Admin Users Function: Processing user:', userRecord.uid);
-              // Get user settings from Firestore
-              const userSettingsRef = db.collection('users').doc(userRecord.uid).collection('userSettings').doc('preferences');
-              const userSettingsDoc = await userSettingsRef.get();
-              
-              const settings = userSettingsDoc.exists ? userSettingsDoc.data() : {};
-              console.log('Admin Users Function: User settings for', userRecord.uid, ':', {
-                exists: userSettingsDoc.exists,
-                role: settings.role,
-                maxBlogs: settings.maxBlogs,
-                totalStorageMB: settings.totalStorageMB
-              });
-              
-              users.push({
-                uid: userRecord.uid,
-                email: userRecord.email,
-                displayName: settings.displayName || userRecord.displayName || 'No name',
-                disabled: userRecord.disabled,
-                emailVerified: userRecord.emailVerified,
-                creationTime: userRecord.metadata.creationTime,
-                lastSignInTime: userRecord.metadata.lastSignInTime,
-                role: settings.role || 'user',
-                canManageMultipleBlogs: settings.canManageMultipleBlogs || false,
-                currency: settings.currency || '$',
-                maxBlogs: settings.maxBlogs || 1,
-                totalStorageMB: settings.totalStorageMB || 100
-              });
-            } catch (error) {
-              console.warn('Admin Users Function: Error fetching settings for user', userRecord.uid, ':', error);
-              // Include user with default settings if we can't fetch their settings
-              users.push({
-                uid: userRecord.uid,
-                email: userRecord.email,
-                displayName: userRecord.displayName || 'No name',
-                disabled: userRecord.disabled,
-                emailVerified: userRecord.emailVerified,
-                creationTime: userRecord.metadata.creationTime,
-                lastSignInTime: userRecord.metadata.lastSignInTime,
-                role: 'user',
-                canManageMultipleBlogs: false,
-                currency: '$',
-                maxBlogs: 1,
-                totalStorageMB: 100
-              });
-            }
-          }
+    case 'GET': {
+      // List all users with their settings
+      try {
+        // Use pagination to handle large user lists
+        const listUsersResult = await auth.listUsers(1000); // Max 1000 users per request
+        const users = [];
 
-          console.log('Admin Users Function: Successfully processed', users.length, 'users');
-          return {
-            statusCode: 200,
-            headers,
-            body: JSON.stringify({ users })
-          };
-        } catch (error) {
-          console.error('Admin Users Function: Error in GET operation:', error);
-          console.error('Admin Users Function: Error details:', {
-            code: error.code,
-            message: error.message,
-            stack: error.stack
-          });
-          
-          // Provide more specific error information
-          let errorMessage = 'Failed to list users';
-          if (error.code === 'auth/insufficient-permission') {
-            errorMessage = 'Insufficient permissions to list users. Check Firebase Admin SDK configuration.';
-          } else if (error.code === 'auth/project-not-found') {
-            errorMessage = 'Firebase project not found. Check project configuration.';
+        for (const userRecord of listUsersResult.users) {
+          try {
+            // Get user settings from Firestore
+            const userSettingsRef = db.collection('users').doc(userRecord.uid).collection('userSettings').doc('preferences');
+            const userSettingsDoc = await userSettingsRef.get();
+            
+            const settings = userSettingsDoc.exists ? userSettingsDoc.data() : {};
+            
+            users.push({
+              uid: userRecord.uid,
+              email: userRecord.email,
+              displayName: settings.displayName || userRecord.displayName || 'No name',
+              disabled: userRecord.disabled,
+              emailVerified: userRecord.emailVerified,
+              creationTime: userRecord.metadata.creationTime,
+              lastSignInTime: userRecord.metadata.lastSignInTime,
+              role: settings.role || 'user',
+              canManageMultipleBlogs: settings.canManageMultipleBlogs || false,
+              currency: settings.currency || '$',
+              maxBlogs: settings.maxBlogs || 1,
+              totalStorageMB: settings.totalStorageMB || 100
+            });
+          } catch (error) {
+            log.warn('Error fetching settings for user', { userId: userRecord.uid, error });
+            // Include user with default settings if we can't fetch their settings
+            users.push({
+              uid: userRecord.uid,
+              email: userRecord.email,
+              displayName: userRecord.displayName || 'No name',
+              disabled: userRecord.disabled,
+              emailVerified: userRecord.emailVerified,
+              creationTime: userRecord.metadata.creationTime,
+              lastSignInTime: userRecord.metadata.lastSignInTime,
+              role: 'user',
+              canManageMultipleBlogs: false,
+              currency: '$',
+              maxBlogs: 1,
+              totalStorageMB: 100
+            });
           }
-          
-          return {
-            statusCode: 500,
-            headers,
-            body: JSON.stringify({ 
-              error: errorMessage,
-              code: error.code,
-              details: process.env.NODE_ENV === 'development' ? error.message : undefined
-            })
-          };
         }
-      }
 
-      case 'PUT': {
-        console.log('Admin Users Function: Processing PUT request...');
-        // Update user settings
-        const data = JSON.parse(event.body);
-        console.log('Admin Users Function: PUT request data:', {
-          userId: data.userId,
-          role: data.role,
-          maxBlogs: data.maxBlogs,
-          totalStorageMB: data.totalStorageMB
-        });
-        const { userId, role, canManageMultipleBlogs, maxBlogs, totalStorageMB } = data;
+        return jsonResponse(headers, 200, { users });
+      } catch (error) {
+        log.error('Error listing users', { error });
         
-        // Basic validation
-        if (!userId || typeof userId !== 'string' || !userId.trim()) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'User ID is required and must be a non-empty string' })
-          };
+        // Provide more specific error information
+        let errorMessage = 'Failed to list users';
+        if (error.code === 'auth/insufficient-permission') {
+          errorMessage = 'Insufficient permissions to list users. Check Firebase Admin SDK configuration.';
+        } else if (error.code === 'auth/project-not-found') {
+          errorMessage = 'Firebase project not found. Check project configuration.';
         }
         
-        // Validate role
-        if (role && !['admin', 'user'].includes(role)) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'Invalid role. Must be "admin" or "user"' })
-          };
+        return errorResponse(headers, 500, errorMessage, {
+          details: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+      }
+    }
+
+    case 'PUT': {
+      // Update user settings
+      const data = request.body;
+      const { userId, role, canManageMultipleBlogs, maxBlogs, totalStorageMB } = data;
+      
+      // Basic validation
+      if (!userId || typeof userId !== 'string' || !userId.trim()) {
+        return errorResponse(headers, 400, 'User ID is required and must be a non-empty string');
+      }
+      
+      // Validate role
+      if (role && !['admin', 'user'].includes(role)) {
+        return errorResponse(headers, 400, 'Invalid role. Must be "admin" or "user"');
+      }
+
+      // Validate boolean
+      if (canManageMultipleBlogs !== undefined && typeof canManageMultipleBlogs !== 'boolean') {
+        return errorResponse(headers, 400, 'canManageMultipleBlogs must be a boolean');
+      }
+
+      // Use centralized storage quota validation
+      assertValid(validateStorageQuota(maxBlogs, totalStorageMB));
+      try {
+        // Verify the target user exists
+        await auth.getUser(userId);
+
+        // Update user settings in Firestore
+        const userSettingsRef = db.collection('users').doc(userId).collection('userSettings').doc('preferences');
+        const updateData = {
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedBy: requestingUserId
+        };
+
+        if (role !== undefined) {
+          updateData.role = role;
         }
 
-        // Validate boolean
-        if (canManageMultipleBlogs !== undefined && typeof canManageMultipleBlogs !== 'boolean') {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'canManageMultipleBlogs must be a boolean' })
-          };
+        if (canManageMultipleBlogs !== undefined) {
+          updateData.canManageMultipleBlogs = canManageMultipleBlogs;
         }
 
-        // Use centralized storage quota validation
-        const quotaErrors = validateStorageQuota(maxBlogs, totalStorageMB);
-        if (Object.keys(quotaErrors).length > 0) {
-          const firstError = Object.values(quotaErrors)[0];
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: firstError })
-          };
+        if (maxBlogs !== undefined) {
+          updateData.maxBlogs = maxBlogs;
         }
-        try {
-          console.log('Admin Users Function: Verifying target user exists:', userId);
-          // Verify the target user exists
-          await auth.getUser(userId);
-          console.log('Admin Users Function: Target user verified');
 
-          console.log('Admin Users Function: Updating user settings in Firestore...');
-          // Update user settings in Firestore
-          const userSettingsRef = db.collection('users').doc(userId).collection('userSettings').doc('preferences');
-          const updateData = {
-            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-            updatedBy: requestingUserId
-          };
+        if (totalStorageMB !== undefined) {
+          updateData.totalStorageMB = totalStorageMB;
+        }
+        
+        await userSettingsRef.set(updateData, { merge: true });
 
-          if (role !== undefined) {
-            updateData.role = role;
-          }
+        return jsonResponse(headers, 200, {
+          success: true,
+          message: 'User settings updated successfully'
+        });
+      } catch (error) {
+        log.error('Error updating user settings', { error });
+        
+        if (error.code === 'auth/user-not-found') {
+          return errorResponse(headers, 404, 'User not found');
+        }
 
-          if (canManageMultipleBlogs !== undefined) {
-            updateData.canManageMultipleBlogs = canManageMultipleBlogs;
-          }
+        return errorResponse(headers, 500, 'Failed to update user settings');
+      }
+    }
 
-          if (maxBlogs !== undefined) {
-            updateData.maxBlogs = maxBlogs;
-          }
+    case 'DELETE': {
+      // Delete user account and all associated data
+      const data = request.body;
+      const { userId } = data;
+      
+      if (!userId) {
+        return errorResponse(headers, 400, 'User ID is required');
+      }
 
-          if (totalStorageMB !== undefined) {
-            updateData.totalStorageMB = totalStorageMB;
-          }
-          
-          console.log('Admin Users Function: Update data:', updateData);
-          await userSettingsRef.set(updateData, { merge: true });
-          console.log('Admin Users Function: User settings updated successfully');
-
-          return {
-            statusCode: 200,
-            headers,
-            body: JSON.stringify({ 
-              success: true,
-              message: 'User settings updated successfully'
-            })
-          };
-        } catch (error) {
-          console.error('Admin Users Function: Error in PUT operation:', error);
-          
-          if (error.code === 'auth/user-not-found') {
-            return {
-              statusCode: 404,
-              headers,
-              body: JSON.stringify({ error: 'User not found' })
-            };
-          }
+      // Validate userId format
+      if (typeof userId !== 'string' || !userId.trim()) {
+        return errorResponse(headers, 400, 'User ID must be a non-empty string');
+      }
 
-          return {
-            statusCode: 500,
-            headers,
-            body: JSON.stringify({ error: 'Failed to update user settings' })
-          };
-        }
+      // Prevent self-deletion
+      if (userId === requestingUserId) {
+        return errorResponse(headers, 400, 'Cannot delete your own account', { code: 'SELF_DELETION_FORBIDDEN' });
       }
 
-      case 'DELETE': {
-        console.log('Admin Users Function: Processing DELETE request...');
-        // Delete user account and all associated data
-        const data = JSON.parse(event.body);
-        console.log('Admin Users Function: DELETE request data:', { userId: data.userId });
-        const { userId } = data;
+      try {
+        // Verify the target user exists
+        const userRecord = await auth.getUser(userId);
         
-        if (!userId) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'User ID is required' })
-          };
+        log.info('Deleting user', { userId, email: userRecord.email, deletedBy: requestingUserId });
+
+        // Track deletion progress for better error reporting
+        const deletionProgress = {
+          userRecord: userRecord,
+          blogsDeleted: false,
+          userSettingsDeleted: false,
+          appSettingsDeleted: false,
+          analyticsDeleted: false,
+          storageDeleted: false,
+          authDeleted: false,
+          errors: []
+        };
+        // Step 1: Delete all user's blogs and their content/products
+        try {
+          const blogsRef = db.collection('users').doc(userId).collection('blogs');
+          const blogsSnapshot = await blogsRef.get();
+          
+          for (const blogDoc of blogsSnapshot.docs) {
+            const blogId = blogDoc.id;
+            
+            // Delete all content in this blog
+            const contentRef = blogsRef.doc(blogId).collection('content');
+            await deleteCollection(contentRef);
+            
+            // Delete all products in this blog
+            const productsRef = blogsRef.doc(blogId).collection('products');
+            await deleteCollection(productsRef);
+            
+            // Delete the blog document itself
+            await blogDoc.ref.delete();
+          }
+          deletionProgress.blogsDeleted = true;
+          log.info('Deleted user blogs', { userId, count: blogsSnapshot.size });
+        } catch (error) {
+          log.error('Error deleting user blogs', { userId, error });
+          deletionProgress.errors.push(`Failed to delete blogs: ${error.message}`);
         }
 
-        // Validate userId format
-        if (typeof userId !== 'string' || !userId.trim()) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'User ID must be a non-empty string' })
-          };
+        // Step 2: Delete user settings
+        try {
+          const userSettingsRef = db.collection('users').doc(userId).collection('userSettings').doc('preferences');
+          const userSettingsDoc = await userSettingsRef.get();
+          if (userSettingsDoc.exists) {
+            await userSettingsRef.delete();
+          }
+          deletionProgress.userSettingsDeleted = true;
+        } catch (error) {
+          log.error('Error deleting user settings', { userId, error });
+          deletionProgress.errors.push(`Failed to delete user settings: ${error.message}`);
         }
 
-        // Prevent self-deletion
-        if (userId === requestingUserId) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ 
-              error: 'Cannot delete your own account',
-              code: 'SELF_DELETION_FORBIDDEN'
-            })
-          };
+        // Step 3: Delete user's app settings
+        try {
+          const appSettingsRef = db.collection('users').doc(userId).collection('appSettings').doc('public');
+          const appSettingsDoc = await appSettingsRef.get();
+          if (appSettingsDoc.exists) {
+            await appSettingsRef.delete();
+          }
+          deletionProgress.appSettingsDeleted = true;
+        } catch (error) {
+          log.error('Error deleting user app settings', { userId, error });
+          deletionProgress.errors.push(`Failed to delete app settings: ${error.message}`);
         }
 
+        // Step 4: Delete user's analytics data (pageViews and interactions)
         try {
-          console.log('Admin Users Function: Verifying target user for deletion:', userId);
-          // Verify the target user exists
-          const userRecord = await auth.getUser(userId);
-          
-          console.log(`Admin ${requestingUserId} is deleting user ${userId} (${userRecord.email})`);
-
-          // Track deletion progress for better error reporting
-          const deletionProgress = {
-            userRecord: userRecord,
-            blogsDeleted: false,
-            userSettingsDeleted: false,
-            appSettingsDeleted: false,
-            analyticsDeleted: false,
-            storageDeleted: false,
-            authDeleted: false,
-            errors: []
-          };
-          // Step 1: Delete all user's blogs and their content/products
-          try {
-            const blogsRef = db.collection('users').doc(userId).collection('blogs');
-            const blogsSnapshot = await blogsRef.get();
-            
-            for (const blogDoc of blogsSnapshot.docs) {
-              const blogId = blogDoc.id;
-              console.log(`Deleting blog ${blogId} for user ${userId}`);
-              
-              // Delete all content in this blog
-              const contentRef = blogsRef.doc(blogId).collection('content');
-              await deleteCollection(contentRef);
-              
-              // Delete all products in this blog
-              const productsRef = blogsRef.doc(blogId).collection('products');
-              await deleteCollection(productsRef);
-              
-              // Delete the blog document itself
-              await blogDoc.ref.delete();
-            }
-            deletionProgress.blogsDeleted = true;
-            console.log(`Successfully deleted ${blogsSnapshot.size} blogs for user ${userId}`);
-          } catch (error) {
-            console.error(`Error deleting blogs for user ${userId}:`, error);
-            deletionProgress.errors.push(`Failed to delete blogs: ${error.message}`);
+          // Note: These are global collections, so we filter by userId
+          const pageViewsRef = db.collection('pageViews').where('userId', '==', userId);
+          const pageViewsSnapshot = await pageViewsRef.get();
+          if (!pageViewsSnapshot.empty) {
+            const pageViewsBatch = db.batch();
+            pageViewsSnapshot.docs.forEach(doc => {
+              pageViewsBatch.delete(doc.ref);
+            });
+            await pageViewsBatch.commit();
+            log.info('Deleted user page views', { userId, count: pageViewsSnapshot.size });
           }
 
-          // Step 2: Delete user settings
-          try {
-            const userSettingsRef = db.collection('users').doc(userId).collection('userSettings').doc('preferences');
-            const userSettingsDoc = await userSettingsRef.get();
-            if (userSettingsDoc.exists) {
-              await userSettingsRef.delete();
-            }
-            deletionProgress.userSettingsDeleted = true;
-            console.log(`Successfully deleted user settings for user ${userId}`);
-          } catch (error) {
-            console.error(`Error deleting user settings for user ${userId}:`, error);
-            deletionProgress.errors.push(`Failed to delete user settings: ${error.message}`);
+          const interactionsRef = db.collection('interactions').where('userId', '==', userId);
+          const interactionsSnapshot = await interactionsRef.get();
+          if (!interactionsSnapshot.empty) {
+            const interactionsBatch = db.batch();
+            interactionsSnapshot.docs.forEach(doc => {
+              interactionsBatch.delete(doc.ref);
+            });
+            await interactionsBatch.commit();
+            log.info('Deleted user interactions', { userId, count: interactionsSnapshot.size });
           }
+          deletionProgress.analyticsDeleted = true;
+        } catch (error) {
+          log.error('Error deleting user analytics data', { userId, error });
+          deletionProgress.errors.push(`Failed to delete analytics data: ${error.message}`);
+        }
 
-          // Step 3: Delete user's app settings
-          try {
-            const appSettingsRef = db.collection('users').doc(userId).collection('appSettings').doc('public');
-            const appSettingsDoc = await appSettingsRef.get();
-            if (appSettingsDoc.exists) {
-              await appSettingsRef.delete();
-            }
-            deletionProgress.appSettingsDeleted = true;
-            console.log(`Successfully deleted app settings for user ${userId}`);
-          } catch (error) {
-            console.error(`Error deleting app settings for user ${userId}:`, error);
-            deletionProgress.errors.push(`Failed to delete app settings: ${error.message}`);
-          }
+        // Step 5: Delete the main user document
+        try {
+          await db.collection('users').doc(userId).delete();
+        } catch (error) {
+          log.error('Error deleting user document', { userId, error });
+          deletionProgress.errors.push(`Failed to delete main user document: ${error.message}`);
+        }
 
-          // Step 4: Delete user's analytics data (pageViews and interactions)
+        // Step 6: Delete user's Firebase Storage files
+        try {
+          const bucket = admin.storage().bucket();
+          let storageErrors = [];
+          
+          // Delete public images
           try {
-            // Note: These are global collections, so we filter by userId
-            const pageViewsRef = db.collection('pageViews').where('userId', '==', userId);
-            const pageViewsSnapshot = await pageViewsRef.get();
-            if (!pageViewsSnapshot.empty) {
-              const pageViewsBatch = db.batch();
-              pageViewsSnapshot.docs.forEach(doc => {
-                pageViewsBatch.delete(doc.ref);
-              });
-              await pageViewsBatch.commit();
-              console.log(`Deleted ${pageViewsSnapshot.size} page views for user ${userId}`);
-            }
-
-            const interactionsRef = db.collection('interactions').where('userId', '==', userId);
-            const interactionsSnapshot = await interactionsRef.get();
-            if (!interactionsSnapshot.empty) {
-              const interactionsBatch = db.batch();
-              interactionsSnapshot.docs.forEach(doc => {
-                interactionsBatch.delete(doc.ref);
+            const [publicFiles] = await bucket.getFiles({ prefix: `users/${userId}/public_images/` });
+            if (publicFiles.length > 0) {
+              await bucket.deleteFiles({
+                prefix: `users/${userId}/public_images/`,
+                force: true
               });
-              await interactionsBatch.commit();
-              console.log(`Deleted ${interactionsSnapshot.size} interactions for user ${userId}`);
+              log.info('Deleted user public images', { userId, count: publicFiles.length });
             }
-            deletionProgress.analyticsDeleted = true;
-          } catch (error) {
-            console.error(`Error deleting analytics data for user ${userId}:`, error);
-            deletionProgress.errors.push(`Failed to delete analytics data: ${error.message}`);
-          }
-
-          // Step 5: Delete the main user document
-          try {
-            await db.collection('users').doc(userId).delete();
-            console.log(`Successfully deleted main user document for user ${userId}`);
-          } catch (error) {
-            console.error(`Error deleting main user document for user ${userId}:`, error);
-            deletionProgress.errors.push(`Failed to delete main user document: ${error.message}`);
+          } catch (storageError) {
+            log.error('Error deleting user public images', { userId, error: storageError });
+            storageErrors.push(`Public images: ${storageError.message}`);
           }
 
-          // Step 6: Delete user's Firebase Storage files
+          // Delete private files
           try {
-            const bucket = admin.storage().bucket();
-            let storageErrors = [];
-            
-            // Delete public images
-            try {
-              const [publicFiles] = await bucket.getFiles({ prefix: `users/${userId}/public_images/` });
-              if (publicFiles.length > 0) {
-                await bucket.deleteFiles({
-                  prefix: `users/${userId}/public_images/`,
-                  force: true
-                });
-                console.log(`Deleted ${publicFiles.length} public images for user ${userId}`);
-              }
-            } catch (storageError) {
-              console.error(`Error deleting public images for user ${userId}:`, storageError);
-              storageErrors.push(`Public images: ${storageError.message}`);
-            }
-
-            // Delete private files
-            try {
-              const [privateFiles] = await bucket.getFiles({ prefix: `users/${userId}/private/` });
-              if (privateFiles.length > 0) {
-                await bucket.deleteFiles({
-                  prefix: `users/${userId}/private/`,
-                  force: true
-                });
-                console.log(`Deleted ${privateFiles.length} private files for user ${userId}`);
-              }
-            } catch (storageError) {
-              console.error(`Error deleting private files for user ${userId}:`, storageError);
-              storageErrors.push(`Private files: ${storageError.message}`);
-            }
-            
-            if (storageErrors.length === 0) {
-              deletionProgress.storageDeleted = true;
-            } else {
-              deletionProgress.errors.push(`Storage cleanup issues: ${storageErrors.join(', ')}`);
+            const [privateFiles] = await bucket.getFiles({ prefix: `users/${userId}/private/` });
+            if (privateFiles.length > 0) {
+              await bucket.deleteFiles({
+                prefix: `users/${userId}/private/`,
+                force: true
+              });
+              log.info('Deleted user private files', { userId, count: privateFiles.length });
             }
-          } catch (error) {
-            console.error(`Critical error during storage cleanup for user ${userId}:`, error);
-            deletionProgress.errors.push(`Storage cleanup failed: ${error.message}`);
-          }
-
-          // Step 7: Delete user from Firebase Authentication (do this last)
-          try {
-            await auth.deleteUser(userId);
-            deletionProgress.authDeleted = true;
-            console.log(`Successfully deleted authentication record for user ${userId}`);
-          } catch (error) {
-            console.error(`Error deleting authentication record for user ${userId}:`, error);
-            deletionProgress.errors.push(`Failed to delete authentication record: ${error.message}`);
+          } catch (storageError) {
+            log.error('Error deleting user private files', { userId, error: storageError });
+            storageErrors.push(`Private files: ${storageError.message}`);
           }
           
-          // Generate comprehensive deletion report
-          const deletionSummary = {
-            userId,
-            userEmail: userRecord.email,
-            blogsDeleted: deletionProgress.blogsDeleted,
-            userSettingsDeleted: deletionProgress.userSettingsDeleted,
-            appSettingsDeleted: deletionProgress.appSettingsDeleted,
-            analyticsDeleted: deletionProgress.analyticsDeleted,
-            storageDeleted: deletionProgress.storageDeleted,
-            authDeleted: deletionProgress.authDeleted,
-            errors: deletionProgress.errors,
-            partialDeletion: deletionProgress.errors.length > 0,
-            completedSteps: [
-              deletionProgress.blogsDeleted && 'Blogs and content',
-              deletionProgress.userSettingsDeleted && 'User settings',
-              deletionProgress.appSettingsDeleted && 'App settings',
-              deletionProgress.analyticsDeleted && 'Analytics data',
-              deletionProgress.storageDeleted && 'Storage files',
-              deletionProgress.authDeleted && 'Authentication record'
-            ].filter(Boolean)
-          };
-          
-          console.log(`User deletion completed for ${userId}:`, deletionSummary);
-          
-          if (deletionProgress.errors.length === 0) {
-            return {
-              statusCode: 200,
-              headers,
-              body: JSON.stringify({ 
-                success: true,
-                message: 'User and all associated data deleted successfully',
-                ...deletionSummary
-              })
-            };
+          if (storageErrors.length === 0) {
+            deletionProgress.storageDeleted = true;
           } else {
-            // Partial deletion occurred
-            return {
-              statusCode: 207, // Multi-Status - indicates partial success
-              headers,
-              body: JSON.stringify({ 
-                success: false,
-                message: `User deletion completed with ${deletionProgress.errors.length} error(s)`,
-                warning: 'Some data may not have been completely removed',
-                ...deletionSummary
-              })
-            };
+            deletionProgress.errors.push(`Storage cleanup issues: ${storageErrors.join(', ')}`);
           }
         } catch (error) {
-          console.error('Error during user deletion:', error);
-          
-          // Provide more specific error information
-          let errorDetails = {
-            code: error.code,
-            message: error.message,
-            userId,
-            userEmail: userRecord?.email || 'Unknown'
-          };
-          
-          if (error.code === 'auth/user-not-found') {
-            return {
-              statusCode: 404,
-              headers,
-              body: JSON.stringify({ 
-                error: 'User not found',
-                details: errorDetails
-              })
-            };
-          }
-          
-          if (error.code === 'auth/insufficient-permission') {
-            return {
-              statusCode: 403,
-              headers,
-              body: JSON.stringify({ 
-                error: 'Insufficient permissions to delete user',
-                message: 'The Firebase Admin SDK service account may lack necessary permissions',
-                recommendation: 'Check Firebase IAM roles for the service account',
-                details: errorDetails
-              })
-            };
-          }
-
-          return {
-            statusCode: 500,
-            headers,
-            body: JSON.stringify({ 
-              error: 'User deletion failed',
-              message: 'An error occurred during the deletion process',
-              details: process.env.NODE_ENV === 'development' ? errorDetails : undefined,
-              recommendation: 'Check server logs for detailed error information'
-            })
-          };
+          log.error('Error during user storage cleanup', { userId, error });
+          deletionProgress.errors.push(`Storage cleanup failed: ${error.message}`);
         }
-      }
 
-      default:
-        return {
-          statusCode: 405,
-          headers,
-          body: JSON.stringify({ error: 'Method not allowed' })
+        // Step 7: Delete user from Firebase Authentication (do this last)
+        try {
+          await auth.deleteUser(userId);
+          deletionProgress.authDeleted = true;
+        } catch (error) {
+          log.error('Error deleting user authentication record', { userId, error });
+          deletionProgress.errors.push(`Failed to delete authentication record: ${error.message}`);
+        }
+        
+        // Generate comprehensive deletion report
+        const deletionSummary = {
+          userId,
+          userEmail: userRecord.email,
+          blogsDeleted: deletionProgress.blogsDeleted,
+          userSettingsDeleted: deletionProgress.userSettingsDeleted,
+          appSettingsDeleted: deletionProgress.appSettingsDeleted,
+          analyticsDeleted: deletionProgress.analyticsDeleted,
+          storageDeleted: deletionProgress.storageDeleted,
+          authDeleted: deletionProgress.authDeleted,
+          errors: deletionProgress.errors,
+          partialDeletion: deletionProgress.errors.length > 0,
+          completedSteps: [
+            deletionProgress.blogsDeleted && 'Blogs and content',
+            deletionProgress.userSettingsDeleted && 'User settings',
+            deletionProgress.appSettingsDeleted && 'App settings',
+            deletionProgress.analyticsDeleted && 'Analytics data',
+            deletionProgress.storageDeleted && 'Storage files',
+            deletionProgress.authDeleted && 'Authentication record'
+          ].filter(Boolean)
         };
-    }
+        
+        log.info('User deletion completed', deletionSummary);
+        
+        if (deletionProgress.errors.length === 0) {
+          return jsonResponse(headers, 200, {
+            success: true,
+            message: 'User and all associated data deleted successfully',
+            ...deletionSummary
+          });
+        } else {
+          // Partial deletion occurred
+          // Multi-Status - indicates partial success
+          return jsonResponse(headers, 207, {
+            success: false,
+            message: `User deletion completed with ${deletionProgress.errors.length} error(s)`,
+            warning: 'Some data may not have been completely removed',
+            ...deletionSummary
+          });
+        }
+      } catch (error) {
+        log.error('Error during user deletion', { error });
+        
+        // Provide more specific error information
+        const errorDetails = {
+          code: error.code,
+          message: error.message,
+          userId
+        };
+        
+        if (error.code === 'auth/user-not-found') {
+          return errorResponse(headers, 404, 'User not found', { details: errorDetails });
+        }
+        
+        if (error.code === 'auth/insufficient-permission') {
+          return errorResponse(headers, 403, 'Insufficient permissions to delete user. Check the Firebase IAM roles of the Admin SDK service account.', {
+            details: errorDetails
+          });
+        }
 
-  } catch (error) {
-    console.error('Admin Users Function: Unhandled error:', error);
-    console.error('Admin Users Function: Error details:', {
-      code: error.code,
-      message: error.message,
-      stack: error.stack,
-      timestamp: new Date().toISOString()
-    });
-    
-    // Provide more detailed error information
-    let errorMessage = 'Internal server error';
-    let statusCode = 500;
-    
-    if (error.code === 'auth/id-token-expired') {
-      errorMessage = 'Authentication token expired';
-      statusCode = 401;
-    } else if (error.code === 'auth/id-token-revoked') {
-      errorMessage = 'Authentication token revoked';
-      statusCode = 401;
-    } else if (error.code === 'auth/invalid-id-token') {
-      errorMessage = 'Invalid authentication token';
-      statusCode = 401;
+        return errorResponse(headers, 500, 'User deletion failed. Check the function logs for details.', {
+          details: process.env.NODE_ENV === 'development' ? errorDetails : undefined
+        });
+      }
     }
-    
-    return {
-      statusCode,
-      headers,
-      body: JSON.stringify({ 
-        error: errorMessage,
-        code: error.code,
-        details: process.env.NODE_ENV === 'development' ? error.message : undefined,
-        stack: process.env.NODE_ENV === 'development' ? error.stack : undefined
-      })
-    };
   }
-};
\ No newline at end of file
+});
@@ -0,0 +1,197 @@
+const { admin, db } = require('./shared/firebaseAdmin.cjs');
+const { errorResponse, jsonResponse, createHandler } = require('./shared/http.cjs');
+const { requireUser } = require('./shared/auth.cjs');
+const { toDate } = require('./shared/publishing.cjs');
+const {
+  MAX_WEBHOOKS_PER_BLOG,
+  generateWebhookSecret,
+  validateWebhookInput,
+  getDeliveriesRef,
+  deliver
+} = require('./shared/webhooks.cjs');
+
+const MAX_DESCRIPTION_LENGTH = 200;
+const DELIVERY_LOG_LIMIT = 50;
+
+function toISO(value) {
+  const date = toDate(value);
+  return date ? date.toISOString() : null;
+}
+
+// Webhook details for the dashboard, including its signing secret
+function toWebhookSummary(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    url: data.url,
+    description: data.description || '',
+    events: data.events || [],
+    active: data.active !== false,
+    secret: data.secret,
+    createdAt: toISO(data.createdAt),
+    updatedAt: toISO(data.updatedAt)
+  };
+}
+
+function toDeliverySummary(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    event: data.event,
+    status: data.status,
+    attempts: data.attempts || 0,
+    url: data.url || '',
+    requestHeaders: data.requestHeaders || {},
+    requestBody: data.requestBody || '',
+    responseStatus: data.responseStatus || null,
+    error: data.error || null,
+    durationMs: data.durationMs || null,
+    redeliveryOf: data.redeliveryOf || null,
+    createdAt: toISO(data.createdAt),
+    lastAttemptAt: toISO(data.lastAttemptAt),
+    nextAttemptAt: toISO(data.nextAttemptAt)
+  };
+}
+
+// Validate the optional description of a webhook, returning an error message or null
+function validateDescription(description) {
+  if (description === undefined || description === null || description === '') return null;
+  if (typeof description !== 'string') return 'Description must be a string';
+  if (description.length > MAX_DESCRIPTION_LENGTH) {
+    return `Description must be less than ${MAX_DESCRIPTION_LENGTH} characters`;
+  }
+  return null;
+}
+
+// Webhooks carry signing secrets, so they are managed from the dashboard only, never with an API key
+exports.handler = createHandler({
+  name: 'admin-webhooks',
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  authenticate: requireUser
+}, async ({ request, caller, headers }) => {
+  const userId = caller.uid;
+  const { data } = request;
+
+  if (!data.blogId) {
+    return errorResponse(headers, 400, 'blogId is required');
+  }
+
+  const blogRef = db.collection('users').doc(userId).collection('blogs').doc(data.blogId);
+  const webhooksRef = blogRef.collection('webhooks');
+  const now = admin.firestore.FieldValue.serverTimestamp();
+
+  // Load the webhook named by a request, or null when it does not exist
+  const loadWebhook = async (webhookId) => {
+    if (!webhookId || typeof webhookId !== 'string') return null;
+    const webhookDoc = await webhooksRef.doc(webhookId).get();
+    return webhookDoc.exists ? webhookDoc : null;
+  };
+
+  const notFound = errorResponse(headers, 404, 'Webhook not found');
+
+  switch (request.method) {
+    case 'GET': {
+      // List the blog's webhooks, or the latest deliveries of one webhook
+      if (data.webhookId) {
+        const webhookDoc = await loadWebhook(data.webhookId);
+        if (!webhookDoc) return notFound;
+
+        const snapshot = await getDeliveriesRef(webhookDoc.ref).orderBy('createdAt', 'desc').limit(DELIVERY_LOG_LIMIT).get();
+        return jsonResponse(headers, 200, { deliveries: snapshot.docs.map(toDeliverySummary) });
+      }
+
+      const snapshot = await webhooksRef.orderBy('createdAt', 'desc').get();
+      return jsonResponse(headers, 200, { webhooks: snapshot.docs.map(toWebhookSummary) });
+    }
+
+    case 'POST': {
+      const { operation = 'create' } = data;
+
+      switch (operation) {
+        case 'create': {
+          // Add a webhook with a new signing secret
+          const inputError = validateWebhookInput(data) || validateDescription(data.description);
+          if (inputError) {
+            return errorResponse(headers, 400, inputError);
+          }
+
+          const existing = await webhooksRef.count().get();
+          if (existing.data().count >= MAX_WEBHOOKS_PER_BLOG) {
+            return errorResponse(headers, 400, `A blog can have at most ${MAX_WEBHOOKS_PER_BLOG} webhooks`);
+          }
+
+          const webhookRef = webhooksRef.doc();
+          await webhookRef.set({
+            url: data.url.trim(),
+            description: (data.description || '').trim(),
+            events: [...new Set(data.events)],
+            active: true,
+            secret: generateWebhookSecret(),
+            createdAt: now,
+            updatedAt: now
+          });
+
+          return jsonResponse(headers, 201, { webhook: toWebhookSummary(await webhookRef.get()) });
+        }
+
+        case 'redeliver': {
+          // Send a logged delivery's request body again, as a new delivery
+          const webhookDoc = await loadWebhook(data.webhookId);
+          if (!webhookDoc) return notFound;
+
+          const deliveryDoc = data.deliveryId && typeof data.deliveryId === 'string'
+            ? await getDeliveriesRef(webhookDoc.ref).doc(data.deliveryId).get()
+            : null;
+          if (!deliveryDoc || !deliveryDoc.exists) {
+            return errorResponse(headers, 404, 'Delivery not found');
+          }
+
+          const original = deliveryDoc.data();
+          const redelivery = await deliver(webhookDoc.ref, webhookDoc.data(), original.event, original.requestBody, deliveryDoc.id);
+
+          return jsonResponse(headers, 200, { delivery: toDeliverySummary(await getDeliveriesRef(webhookDoc.ref).doc(redelivery.id).get()) });
+        }
+
+        default:
+          return errorResponse(headers, 400, 'operation must be one of: create, redeliver');
+      }
+    }
+
+    case 'PUT': {
+      // Change a webhook's URL, events, description or active state, or rotate its secret
+      const webhookDoc = await loadWebhook(data.id);
+      if (!webhookDoc) return notFound;
+
+      const existing = webhookDoc.data();
+      const url = data.url !== undefined ? data.url : existing.url;
+      const events = data.events !== undefined ? data.events : existing.events;
+      const inputError = validateWebhookInput({ url, events }) || validateDescription(data.description);
+      if (inputError) {
+        return errorResponse(headers, 400, inputError);
+      }
+
+      const update = {
+        url: url.trim(),
+        events: [...new Set(events)],
+        updatedAt: now
+      };
+      if (data.description !== undefined) update.description = (data.description || '').trim();
+      if (data.active !== undefined) update.active = Boolean(data.active);
+      if (data.rotateSecret === true) update.secret = generateWebhookSecret();
+
+      await webhookDoc.ref.update(update);
+
+      return jsonResponse(headers, 200, { webhook: toWebhookSummary(await webhookDoc.ref.get()) });
+    }
+
+    case 'DELETE': {
+      // Remove a webhook together with its delivery log
+      const webhookDoc = await loadWebhook(data.id);
+      if (!webhookDoc) return notFound;
+
+      await db.recursiveDelete(webhookDoc.ref);
+
+      return jsonResponse(headers, 200, { success: true });
+    }
+  }
+});
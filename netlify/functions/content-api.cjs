@@ -1,440 +1,407 @@
-const admin = require('firebase-admin');
-
-// Initialize Firebase Admin SDK
-if (!admin.apps.length) {
-  const serviceAccount = {
-    type: "service_account",
-    project_id: process.env.FIREBASE_PROJECT_ID || "admin-cms-ph",
-    private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
-    private_key: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
-    client_email: process.env.FIREBASE_CLIENT_EMAIL || "firebase-adminsdk-fbsvc@admin-cms-ph.iam.gserviceaccount.com",
-    client_id: process.env.FIREBASE_CLIENT_ID,
-    auth_uri: "https://accounts.google.com/o/oauth2/auth",
-    token_uri: "https://oauth2.googleapis.com/token",
-    auth_provider_x509_cert_url: "https://www.googleapis.com/oauth2/v1/certs",
-    client_x509_cert_url: process.env.FIREBASE_CLIENT_X509_CERT_URL
-  };
-
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-    projectId: process.env.FIREBASE_PROJECT_ID || "admin-cms-ph"
-  });
-}
+const { admin, db } = require('./shared/firebaseAdmin.cjs');
+const { errorResponse, jsonResponse, createHandler } = require('./shared/http.cjs');
+const { requireCaller, requireBlogCaller } = require('./shared/auth.cjs');
+const { PUBLIC_QUERY_STATUSES, isWithinPublishWindow } = require('./shared/publishing.cjs');
+const { isTrashed } = require('./shared/trash.cjs');
+const { getPublicOrigin } = require('./shared/siteUrls.cjs');
+const { CONTENT_SUMMARY_FIELDS, toPublicContent, toContentEntry } = require('./shared/publicContent.cjs');
+const { getRedirectId } = require('./shared/redirects.cjs');
+const { parseRelatedLimit, loadAdjacentEntries, loadRelatedEntries } = require('./shared/related.cjs');
+const { parsePageSize, encodeCursor, decodeCursor, fetchPage, countVisible, buildNextUrl } = require('./shared/pagination.cjs');
+const { API_KEY_SCOPES } = require('./shared/apiKeys.cjs');
+const { verifyPreviewToken } = require('./shared/previewTokens.cjs');
+const { parseFieldSelection, selectFields, loadIncludes, isCdnCacheable } = require('./shared/fieldSelection.cjs');
+const {
+  PRIVATE_CACHE_CONTROL,
+  getLastModified,
+  getListLastModified,
+  getBlogCacheTags,
+  toCachedResponse
+} = require('./shared/caching.cjs');
+const { createRateLimiter, getRateLimitHeaders, toRateLimitedResponse } = require('./shared/rateLimit.cjs');
+const { withIdempotencyKey } = require('./shared/idempotency.cjs');
+const { createContent, updateContent, deleteContent } = require('./shared/contentWrites.cjs');
+
+// Shared rate limiter with each blog's per-IP and per-API-key limits
+const rateLimiter = createRateLimiter(db);
+
+// Fields the list can be sorted by, all sorted by Firestore so cursors work for each
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'title'];
+
+// Response formats of the public API; html adds rendered content and SEO data to each item
+const RESPONSE_FORMATS = ['markdown', 'html'];
+
+// Records ?include= can embed in each item: related products and the author's public profile
+const CONTENT_INCLUDES = ['products', 'author'];
+
+// Cached responses are purged when the collections they were built from change
+const getContentCacheTags = (blogId, selection) =>
+  getBlogCacheTags(blogId, selection.include.includes('products') ? ['content', 'products'] : ['content']);
+
+// Find one published content item by slug or ID, with previous/next navigation and related content
+async function getPublicContentItem(event, { uid, blogId, slug, id, queryParams, headers }) {
+  const { format = 'markdown', related } = queryParams;
+  if (!RESPONSE_FORMATS.includes(format)) {
+    return errorResponse(headers, 400, `format must be one of: ${RESPONSE_FORMATS.join(', ')}`);
+  }
 
-const db = admin.firestore();
-const auth = admin.auth();
-
-// Simple in-memory rate limiting (for basic protection)
-const rateLimitMap = new Map();
-const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
-const RATE_LIMIT_MAX_REQUESTS = 100; // 100 requests per minute per IP
-
-function checkRateLimit(clientIP) {
-  const now = Date.now();
-  const clientData = rateLimitMap.get(clientIP) || { count: 0, resetTime: now + RATE_LIMIT_WINDOW };
-  
-  // Reset if window has passed
-  if (now > clientData.resetTime) {
-    clientData.count = 0;
-    clientData.resetTime = now + RATE_LIMIT_WINDOW;
+  const selection = parseFieldSelection(queryParams, CONTENT_INCLUDES);
+  if (selection.error) {
+    return errorResponse(headers, 400, selection.error);
   }
-  
-  clientData.count++;
-  rateLimitMap.set(clientIP, clientData);
-  
-  return {
-    allowed: clientData.count <= RATE_LIMIT_MAX_REQUESTS,
-    remaining: Math.max(0, RATE_LIMIT_MAX_REQUESTS - clientData.count),
-    resetTime: clientData.resetTime
-  };
-}
 
-exports.handler = async (event, context) => {
-  // Set CORS headers
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-    'Content-Type': 'application/json'
-  };
-
-  // Handle preflight requests
-  if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers,
-      body: ''
-    };
+  const blogRef = db.collection('users').doc(uid).collection('blogs').doc(blogId);
+  const contentRef = blogRef.collection('content');
+  const now = new Date();
+  const isPublic = (data) => PUBLIC_QUERY_STATUSES.includes(data.status) && !isTrashed(data) && isWithinPublishWindow(data, now);
+
+  // A preview link serves the draft it was made for, whatever the slug or ID in the URL; the
+  // response is private to whoever holds the link, so it is never cached or indexed
+  const previewToken = queryParams.previewToken;
+  if (previewToken) {
+    headers = { ...headers, 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' };
   }
 
-  const { httpMethod } = event;
+  let itemDoc = null;
+  let preview = null;
+  if (previewToken) {
+    const previewResult = await verifyPreviewToken(blogRef, previewToken, 'content');
+    if (previewResult.error) {
+      return errorResponse(headers, previewResult.statusCode, previewResult.error);
+    }
 
-  // For GET requests (public content access), skip authentication
-  if (httpMethod === 'GET') {
-    try {
-      // Basic rate limiting
-      const clientIP = event.headers['x-forwarded-for'] || event.headers['x-real-ip'] || 'unknown';
-      const rateLimitResult = checkRateLimit(clientIP);
-      
-      if (!rateLimitResult.allowed) {
+    const doc = await contentRef.doc(previewResult.itemId).get();
+    itemDoc = doc.exists && !isTrashed(doc.data()) ? doc : null;
+    preview = { expiresAt: previewResult.expiresAt.toISOString() };
+  } else if (id) {
+    const doc = await contentRef.doc(id).get();
+    itemDoc = doc.exists && isPublic(doc.data()) ? doc : null;
+  } else {
+    const snapshot = await contentRef.where('slug', '==', slug).get();
+    itemDoc = snapshot.docs.find(doc => isPublic(doc.data())) || null;
+
+    if (!itemDoc) {
+      // Send requests for a renamed slug to the current one
+      const redirectDoc = await blogRef.collection('redirects').doc(getRedirectId('content', slug)).get();
+      if (redirectDoc.exists && redirectDoc.data().toSlug) {
+        const toSlug = redirectDoc.data().toSlug;
+        // Keep options such as format, but not the lookup parameters of the query string fallback
+        const search = new URLSearchParams(
+          Object.entries(queryParams).filter(([key]) => !['uid', 'blogId', 'slug', 'id'].includes(key))
+        ).toString();
         return {
-          statusCode: 429,
+          statusCode: 301,
           headers: {
             ...headers,
-            'X-RateLimit-Limit': RATE_LIMIT_MAX_REQUESTS.toString(),
-            'X-RateLimit-Remaining': '0',
-            'X-RateLimit-Reset': rateLimitResult.resetTime.toString(),
-            'Retry-After': Math.ceil((rateLimitResult.resetTime - Date.now()) / 1000).toString()
+            'Location': `/users/${uid}/blogs/${blogId}/api/content/${encodeURIComponent(toSlug)}.json${search ? `?${search}` : ''}`
           },
-          body: JSON.stringify({ 
-            error: 'Rate limit exceeded',
-            message: `Too many requests. Limit: ${RATE_LIMIT_MAX_REQUESTS} requests per minute.`
-          })
-        };
-      }
-
-      // Extract uid and blogId from the request path using regex
-      // Expected path format: /users/{uid}/blogs/{blogId}/api/content.json
-      const pathMatch = event.path.match(/\/users\/([^\/]+)\/blogs\/([^\/]+)\/api\/content\.json/);
-      
-      let uid, blogId;
-      
-      if (pathMatch) {
-        uid = pathMatch[1];
-        blogId = pathMatch[2];
-      } else {
-        // Fallback to query parameters if path parsing fails
-        const queryParams = event.queryStringParameters || {};
-        uid = queryParams.uid;
-        blogId = queryParams.blogId;
-      }
-      
-      if (!uid || !blogId) {
-        return {
-          statusCode: 400,
-          headers,
-          body: JSON.stringify({ 
-            error: 'Missing required parameters: uid and blogId',
-            debug: {
-              path: event.path,
-              queryParams: event.queryStringParameters,
-              extractedUid: uid,
-              extractedBlogId: blogId
-            }
-          })
+          body: JSON.stringify({ error: 'Content moved', slug: toSlug })
         };
       }
+    }
+  }
 
-      // Parse query parameters for filtering, pagination, and sorting
-      const queryParams = event.queryStringParameters || {};
-      const {
-        category,
-        tag,
-        status = 'published',
-        limit,
-        offset = '0',
-        sortBy = 'createdAt',
-        sortOrder = 'desc'
-      } = queryParams;
-
-      // Query Firestore for published content in the user's blog
-      const contentRef = db.collection('users').doc(uid).collection('blogs').doc(blogId).collection('content');
-      let query = contentRef;
-
-      // Apply status filter (default to published for public API)
-      if (status && status !== 'all') {
-        query = query.where('status', '==', status);
-      } else {
-        query = query.where('status', '==', 'published');
-      }
+  if (!itemDoc) {
+    return errorResponse(headers, 404, 'Content not found');
+  }
 
-      // Apply category filter
-      if (category) {
-        query = query.where('categories', 'array-contains', category);
-      }
+  let renderContext = null;
+  if (format === 'html') {
+    const blogDoc = await blogRef.get();
+    renderContext = {
+      origin: await getPublicOrigin(db, uid, event),
+      blogName: blogDoc.exists ? blogDoc.data().name || '' : '',
+      uid,
+      blogId
+    };
+  }
 
-      // Apply tag filter
-      if (tag) {
-        query = query.where('tags', 'array-contains', tag);
-      }
+  const embedIncludes = await loadIncludes(db, {
+    uid,
+    blogRef,
+    include: selection.include,
+    relatedLimit: parseRelatedLimit(related),
+    entries: [toContentEntry(itemDoc)]
+  });
+  const toItemData = (item) => embedIncludes(selectFields(item, selection), toContentEntry(itemDoc));
+
+  // A draft is outside the published order, so previews have no navigation or related items
+  if (preview) {
+    return jsonResponse(headers, 200, {
+      data: toItemData({ ...toPublicContent(itemDoc, renderContext), status: itemDoc.data().status || 'draft' }),
+      preview,
+      navigation: { previous: null, next: null },
+      related: []
+    });
+  }
 
-      // Apply sorting (limited by Firestore capabilities)
-      if (sortBy === 'createdAt' || sortBy === 'updatedAt') {
-        query = query.orderBy(sortBy, sortOrder === 'asc' ? 'asc' : 'desc');
-      }
+  // Navigation and related items come from the other published content of the blog, reading only the
+  // neighbours and the newest items sharing a category or tag
+  const publishedQuery = contentRef.where('status', '==', 'published').select(...CONTENT_SUMMARY_FIELDS);
+  const entryOptions = { dateField: 'publishDate', isVisible: data => Boolean(data.slug) && isPublic(data), toEntry: toContentEntry };
+  const [{ previous, next }, relatedEntries] = await Promise.all([
+    loadAdjacentEntries(publishedQuery, itemDoc, entryOptions),
+    loadRelatedEntries(publishedQuery, toContentEntry(itemDoc), {
+      ...entryOptions,
+      categoryFilter: ['categories', 'array-contains-any'],
+      limit: parseRelatedLimit(related)
+    })
+  ]);
+
+  return toCachedResponse(event, {
+    headers,
+    body: JSON.stringify({
+      data: toItemData(toPublicContent(itemDoc, renderContext)),
+      navigation: {
+        previous: previous ? previous.summary : null,
+        next: next ? next.summary : null
+      },
+      related: relatedEntries.map(entry => entry.summary)
+    }),
+    // The neighbours and related items are part of the response, so their changes count too
+    lastModified: getLastModified([itemDoc.data(), previous && previous.summary, next && next.summary, ...relatedEntries.map(entry => entry.summary)]),
+    cacheTags: getContentCacheTags(blogId, selection),
+    storeOnCdn: isCdnCacheable(selection)
+  });
+}
 
-      // Apply pagination
-      if (limit) {
-        const limitNum = parseInt(limit);
-        if (!isNaN(limitNum) && limitNum > 0 && limitNum <= 100) {
-          query = query.limit(limitNum);
+exports.handler = createHandler({
+  name: 'content-api',
+  methods: ['GET', 'POST', 'PUT', 'DELETE'],
+  allowHeaders: ['If-None-Match', 'If-Modified-Since', 'Idempotency-Key'],
+  exposeHeaders: ['ETag', 'Last-Modified', 'Idempotent-Replayed'],
+  // Reads are public; writes need a Firebase ID token, or a blog API key with the write content scope
+  authenticate: (event) => (event.httpMethod === 'GET' ? null : requireCaller(API_KEY_SCOPES.WRITE_CONTENT)(event))
+}, withIdempotencyKey('content-api', async ({ event, request, caller, headers }) => {
+  // For GET requests (public content access), skip authentication
+  if (request.method === 'GET') {
+    // Extract uid, blogId and an optional single item from the request path using regex
+    // Expected path format: /users/{uid}/blogs/{blogId}/api/content.json,
+    // /users/{uid}/blogs/{blogId}/api/content/{slug}.json or /users/{uid}/blogs/{blogId}/api/content/id/{id}.json
+    const pathMatch = event.path.match(/\/users\/([^/]+)\/blogs\/([^/]+)\/api\/content(?:\.json|\/(?:(id)\/)?([^/]+)\.json)/);
+    
+    let uid, blogId, itemSlug, itemId;
+    
+    if (pathMatch) {
+      uid = pathMatch[1];
+      blogId = pathMatch[2];
+      if (pathMatch[4]) {
+        const key = decodeURIComponent(pathMatch[4]);
+        if (pathMatch[3]) {
+          itemId = key;
+        } else {
+          itemSlug = key;
         }
       }
-
-      if (offset && offset !== '0') {
-        const offsetNum = parseInt(offset);
-        if (!isNaN(offsetNum) && offsetNum > 0) {
-          query = query.offset(offsetNum);
+    } else {
+      // Fallback to query parameters if path parsing fails
+      const queryParams = request.query;
+      uid = queryParams.uid;
+      blogId = queryParams.blogId;
+      itemSlug = queryParams.slug;
+      itemId = queryParams.id;
+    }
+    
+    if (!uid || !blogId) {
+      return errorResponse(headers, 400, 'Missing required parameters: uid and blogId', {
+        details: {
+          path: event.path,
+          queryParams: request.query,
+          extractedUid: uid,
+          extractedBlogId: blogId
         }
-      }
-
-      const snapshot = await query.get();
-
-      const content = [];
-      snapshot.forEach(doc => {
-        const data = doc.data();
-        
-        // Convert Firestore timestamps to ISO strings
-        const processedData = {
-          id: doc.id,
-          ...data,
-          createdAt: data.createdAt ? data.createdAt.toDate().toISOString() : null,
-          updatedAt: data.updatedAt ? data.updatedAt.toDate().toISOString() : null,
-          publishDate: data.publishDate ? data.publishDate.toDate().toISOString() : null
-        };
-        
-        content.push(processedData);
       });
+    }
 
-      // Client-side sorting for fields not supported by Firestore ordering
-      if (sortBy === 'title') {
-        content.sort((a, b) => {
-          const comparison = (a.title || '').localeCompare(b.title || '');
-          return sortOrder === 'asc' ? comparison : -comparison;
-        });
-      } else if (sortBy !== 'createdAt' && sortBy !== 'updatedAt') {
-        // Default sort by creation date if sortBy is not supported
-        content.sort((a, b) => {
-          const dateA = new Date(a.createdAt || 0);
-          const dateB = new Date(b.createdAt || 0);
-          
-          if (sortOrder === 'asc') {
-            return dateA.getTime() - dateB.getTime();
-          } else {
-            return dateB.getTime() - dateA.getTime();
-          }
-        });
-      }
+    // Rate limit per client IP, or per API key for integrations, with the blog's configured limits
+    const rateLimit = await rateLimiter.check(event, { uid, blogId });
+    if (!rateLimit.allowed) {
+      return toRateLimitedResponse(headers, rateLimit);
+    }
 
-      return {
-        statusCode: 200,
-        headers: {
-          ...headers,
-          'X-RateLimit-Limit': RATE_LIMIT_MAX_REQUESTS.toString(),
-          'X-RateLimit-Remaining': rateLimitResult.remaining.toString(),
-          'X-RateLimit-Reset': rateLimitResult.resetTime.toString()
-        },
-        body: JSON.stringify({
-          data: content,
-          pagination: {
-            total: content.length,
-            limit: limit ? parseInt(limit) : null,
-            offset: parseInt(offset),
-            hasMore: limit ? content.length === parseInt(limit) : false
-          },
-          filters: {
-            category: category || null,
-            tag: tag || null,
-            status: status || 'published',
-            sortBy,
-            sortOrder
-          }
-        })
-      };
+    const rateLimitHeaders = getRateLimitHeaders(rateLimit);
 
-    } catch (error) {
-      console.error('Error fetching public content:', error);
-      return {
-        statusCode: 500,
-        headers,
-        body: JSON.stringify({ 
-          error: 'Internal server error',
-          message: error.message,
-        })
-      };
+    if (itemSlug || itemId) {
+      return await getPublicContentItem(event, {
+        uid,
+        blogId,
+        slug: itemSlug,
+        id: itemId,
+        queryParams: request.query,
+        headers: { ...headers, ...rateLimitHeaders }
+      });
     }
-  }
 
-  // For all other methods (POST, PUT, DELETE), require authentication
-  try {
-    // Verify authentication for administrative operations
-    const authHeader = event.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return {
-        statusCode: 401,
-        headers,
-        body: JSON.stringify({ error: 'Unauthorized' })
-      };
+    // Parse query parameters for filtering, pagination, and sorting
+    const queryParams = request.query;
+    const {
+      category,
+      tag,
+      contentType,
+      status = 'published',
+      limit,
+      offset,
+      cursor,
+      format = 'markdown'
+    } = queryParams;
+    const sortBy = SORT_FIELDS.includes(queryParams.sortBy) ? queryParams.sortBy : 'createdAt';
+    const sortOrder = queryParams.sortOrder === 'asc' ? 'asc' : 'desc';
+    const pageSize = parsePageSize(limit);
+
+    if (offset && offset !== '0') {
+      return errorResponse(headers, 400, 'offset is not supported; follow pagination.next or pass pagination.nextCursor as cursor');
     }
 
-    const token = authHeader.split('Bearer ')[1];
-    const decodedToken = await auth.verifyIdToken(token);
-    
-    if (!decodedToken) {
-      return {
-        statusCode: 401,
-        headers,
-        body: JSON.stringify({ error: 'Invalid token' })
-      };
+    if (!RESPONSE_FORMATS.includes(format)) {
+      return errorResponse(headers, 400, `format must be one of: ${RESPONSE_FORMATS.join(', ')}`);
     }
 
-    const userId = decodedToken.uid;
-    
-    switch (httpMethod) {
-      case 'POST': {
-        // Create new content
-        const data = JSON.parse(event.body);
-        
-        if (!data.blogId) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'blogId is required' })
-          };
-        }
-        
-        // Reference to user's blog content collection
-        const contentRef = db.collection('users').doc(userId).collection('blogs').doc(data.blogId).collection('content');
-        
-        const now = admin.firestore.FieldValue.serverTimestamp();
-        
-        const contentData = {
-          ...data,
-          userId,
-          blogId: data.blogId,
-          createdAt: now,
-          updatedAt: now,
-          publishDate: data.status === 'published' ? now : null
-        };
+    const selection = parseFieldSelection(queryParams, CONTENT_INCLUDES);
+    if (selection.error) {
+      return errorResponse(headers, 400, selection.error);
+    }
 
-        const docRef = await contentRef.add(contentData);
-        
-        return {
-          statusCode: 201,
-          headers,
-          body: JSON.stringify({ 
-            id: docRef.id,
-          })
-        };
-      }
+    // Query Firestore for published content in the user's blog
+    const contentRef = db.collection('users').doc(uid).collection('blogs').doc(blogId).collection('content');
+    let query = contentRef;
 
-      case 'PUT': {
-        // Update existing content
-        const data = JSON.parse(event.body);
-        const { id, blogId, ...updateData } = data;
-        
-        if (!id) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'Content ID is required' })
-          };
-        }
+    // Apply status filter (default to published for public API)
+    const requestedStatus = status && status !== 'all' ? status : 'published';
+    const readsDrafts = requestedStatus !== 'published';
 
-        if (!blogId) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'blogId is required' })
-          };
-        }
+    // Unpublished items are only served to the blog's owner or an API key with the read drafts scope
+    if (readsDrafts) {
+      await requireBlogCaller(event, { scope: API_KEY_SCOPES.READ_DRAFTS, uid, blogId });
+    }
 
-        // Reference to user's blog content collection
-        const contentRef = db.collection('users').doc(userId).collection('blogs').doc(blogId).collection('content');
-        const docRef = contentRef.doc(id);
-        const doc = await docRef.get();
-        
-        if (!doc.exists) {
-          return {
-            statusCode: 404,
-            headers,
-            body: JSON.stringify({ error: 'Content not found' })
-          };
-        }
+    if (requestedStatus === 'published') {
+      query = query.where('status', 'in', PUBLIC_QUERY_STATUSES);
+    } else {
+      query = query.where('status', '==', requestedStatus);
+    }
 
-        const now = admin.firestore.FieldValue.serverTimestamp();
-        const existingData = doc.data();
-        
-        const contentData = {
-          ...updateData,
-          userId,
-          blogId: blogId,
-          updatedAt: now,
-          // Update publishDate if status changed to published
-          publishDate: updateData.status === 'published' && existingData.status !== 'published' 
-            ? now 
-            : existingData.publishDate
-        };
+    // Apply category filter
+    if (category) {
+      query = query.where('categories', 'array-contains', category);
+    }
 
-        await docRef.update(contentData);
-        
-        return {
-          statusCode: 200,
-          headers,
-          body: JSON.stringify({ success: true })
-        };
-      }
+    // Apply tag filter
+    if (tag) {
+      query = query.where('tags', 'array-contains', tag);
+    }
 
-      case 'DELETE': {
-        // Delete content
-        const data = JSON.parse(event.body);
-        const { id, blogId } = data;
-        
-        if (!id) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'Content ID is required' })
-          };
-        }
+    // Apply custom content type filter
+    if (contentType) {
+      query = query.where('contentType', '==', contentType);
+    }
 
-        if (!blogId) {
-          return {
-            statusCode: 400,
-            headers,
-            body: JSON.stringify({ error: 'blogId is required' })
-          };
-        }
+    // The total covers every page, so it is counted before sorting and the cursor are applied
+    const filteredQuery = query;
 
-        // Reference to user's blog content collection
-        const contentRef = db.collection('users').doc(userId).collection('blogs').doc(blogId).collection('content');
-        const docRef = contentRef.doc(id);
-        const doc = await docRef.get();
-        
-        if (!doc.exists) {
-          return {
-            statusCode: 404,
-            headers,
-            body: JSON.stringify({ error: 'Content not found' })
-          };
-        }
+    // Sort by the requested field, then by document ID so items with equal values keep a stable order
+    query = query
+      .orderBy(sortBy, sortOrder)
+      .orderBy(admin.firestore.FieldPath.documentId(), sortOrder);
 
-        await docRef.delete();
-        
-        return {
-          statusCode: 200,
-          headers,
-          body: JSON.stringify({ success: true })
-        };
+    if (cursor) {
+      const position = decodeCursor(cursor, (seconds, nanoseconds) => new admin.firestore.Timestamp(seconds, nanoseconds));
+      if (!position || position.sortBy !== sortBy || position.sortOrder !== sortOrder) {
+        return errorResponse(headers, 400, 'Invalid cursor for this sort order');
       }
+      query = query.startAfter(position.value, position.id);
+    }
 
-      default:
-        return {
-          statusCode: 405,
-          headers,
-          body: JSON.stringify({ error: 'Method not allowed' })
-        };
+    const now = new Date();
+
+    // Never serve or count trashed items, or published items before their publish time or after their
+    // unpublish time
+    const [page, total] = await Promise.all([
+      fetchPage(query, pageSize, data => !isTrashed(data) && (readsDrafts || isWithinPublishWindow(data, now))),
+      countVisible(filteredQuery, readsDrafts ? null : now)
+    ]);
+    const nextCursor = page.hasMore
+      ? encodeCursor({ sortBy, sortOrder, value: page.lastDoc.get(sortBy), id: page.lastDoc.id })
+      : null;
+
+    // The blog names the site in rendered responses, and its last public change counts towards Last-Modified
+    const blogDoc = await contentRef.parent.get();
+
+    // Rendered responses link each item to its public page and name the blog in its structured data
+    let renderContext = null;
+    if (format === 'html') {
+      renderContext = {
+        origin: await getPublicOrigin(db, uid, event),
+        blogName: blogDoc.exists ? blogDoc.data().name || '' : '',
+        uid,
+        blogId
+      };
     }
 
-  } catch (error) {
-    console.error('Admin content function error:', error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ 
-        error: 'Internal server error',
-        details: process.env.NODE_ENV === 'development' ? error.message : undefined
-      })
-    };
+    // The author's profile is read once for the whole page, and related products once per item
+    const embedIncludes = await loadIncludes(db, {
+      uid,
+      blogRef: contentRef.parent,
+      include: selection.include,
+      relatedLimit: parseRelatedLimit(queryParams.related),
+      entries: page.docs.map(toContentEntry)
+    });
+    const content = page.docs.map(doc =>
+      embedIncludes(selectFields(toPublicContent(doc, renderContext), selection), toContentEntry(doc)));
+
+    const body = JSON.stringify({
+      data: content,
+      pagination: {
+        total,
+        limit: pageSize,
+        hasMore: page.hasMore,
+        nextCursor,
+        next: nextCursor ? buildNextUrl(event.path, queryParams, nextCursor) : null
+      },
+      filters: {
+        category: category || null,
+        tag: tag || null,
+        contentType: contentType || null,
+        status: status || 'published',
+        sortBy,
+        sortOrder,
+        format,
+        include: selection.include
+      }
+    });
+
+    // Drafts are only served to authorized callers, so those responses stay out of every cache
+    if (readsDrafts) {
+      return {
+        statusCode: 200,
+        headers: { ...headers, ...rateLimitHeaders, 'Cache-Control': PRIVATE_CACHE_CONTROL },
+        body
+      };
+    }
+
+    return toCachedResponse(event, {
+      headers: { ...headers, ...rateLimitHeaders },
+      body,
+      lastModified: getListLastModified(page.docs.map(doc => doc.data()), blogDoc.data()),
+      cacheTags: getContentCacheTags(blogId, selection),
+      storeOnCdn: isCdnCacheable(selection)
+    });
+  }
+
+  // All other methods (POST, PUT, DELETE) were authenticated above
+  switch (request.method) {
+    case 'POST': {
+      // Create new content, with the same validation, workflow and history as the dashboard's writes
+      return jsonResponse(headers, 201, await createContent(caller, request.body));
+    }
+
+    case 'PUT': {
+      // Update existing content, or restore it from the trash
+      return jsonResponse(headers, 200, await updateContent(caller, request.body));
+    }
+
+    case 'DELETE': {
+      // Move content to the trash, or permanently delete content already in the trash
+      return jsonResponse(headers, 200, await deleteContent(caller, request.body));
+    }
   }
-};
\ No newline at end of file
+}));
@@ -0,0 +1,168 @@
+const { db } = require('./shared/firebaseAdmin.cjs');
+const { errorResponse, createHandler } = require('./shared/http.cjs');
+const { toDate, isWithinPublishWindow } = require('./shared/publishing.cjs');
+const { isTrashed } = require('./shared/trash.cjs');
+const { renderMarkdown, toPlainText, truncateText } = require('./shared/markdown.cjs');
+const { FEED_FORMATS, FEED_MODES, getImageMimeType, buildFeed } = require('./shared/feeds.cjs');
+const { computeETag, isNotModified } = require('./shared/caching.cjs');
+const { fetchPage } = require('./shared/pagination.cjs');
+const { getPublicOrigin, getBlogApiUrl, getContentUrl } = require('./shared/siteUrls.cjs');
+const { createRateLimiter, getRateLimitHeaders, toRateLimitedResponse } = require('./shared/rateLimit.cjs');
+
+// Shared rate limiter with each blog's per-IP and per-API-key limits
+const rateLimiter = createRateLimiter(db);
+
+const DEFAULT_FEED_LIMIT = 20;
+const MAX_FEED_LIMIT = 100;
+const EXCERPT_LENGTH = 300;
+
+// Feeds may be cached briefly by clients and CDNs; conditional requests revalidate them cheaply
+const FEED_CACHE_CONTROL = 'public, max-age=300';
+
+// Feed file names served alongside content.json, by format
+const FEED_FILES = { 'rss.xml': 'rss', 'atom.xml': 'atom', 'feed.json': 'json' };
+
+// When an item went public: scheduled items that are due but not yet published by publish-scheduled
+// count from their publish time
+const getPublishedAt = (data) =>
+  toDate(data.status === 'scheduled' ? data.publishAt : data.publishDate) || toDate(data.createdAt) || new Date();
+
+// Convert a published content document to a feed item
+function toFeedItem(doc, { origin, uid, blogId, mode }) {
+  const data = doc.data();
+  const plainText = toPlainText(data.content);
+  const publishedAt = getPublishedAt(data);
+  const imageUrl = data.featuredImageUrl || '';
+
+  return {
+    // Built from the document ID so the entry keeps its identity when the slug changes
+    id: getBlogApiUrl(origin, uid, blogId, `content/${doc.id}`),
+    url: getContentUrl(origin, uid, blogId, data.slug),
+    title: data.title || '',
+    summary: data.metaDescription || truncateText(plainText, EXCERPT_LENGTH),
+    contentHtml: mode === 'full' ? renderMarkdown(data.content) : null,
+    publishedAt,
+    updatedAt: toDate(data.updatedAt) || publishedAt,
+    author: data.author || '',
+    categories: [...new Set([...(data.categories || []), ...(data.tags || [])])],
+    image: imageUrl ? { url: imageUrl, mimeType: getImageMimeType(imageUrl) } : null
+  };
+}
+
+exports.handler = createHandler({
+  name: 'feed-api',
+  methods: ['GET'],
+  allowHeaders: ['If-None-Match', 'If-Modified-Since'],
+  exposeHeaders: ['ETag', 'Last-Modified']
+}, async ({ event, request, headers }) => {
+  // Extract uid, blogId and the feed format from the request path
+  // Expected path format: /users/{uid}/blogs/{blogId}/api/{rss.xml|atom.xml|feed.json}
+  const pathMatch = event.path.match(/\/users\/([^/]+)\/blogs\/([^/]+)\/api\/(rss\.xml|atom\.xml|feed\.json)/);
+  const queryParams = request.query;
+  const uid = pathMatch ? pathMatch[1] : queryParams.uid;
+  const blogId = pathMatch ? pathMatch[2] : queryParams.blogId;
+  const format = pathMatch ? FEED_FILES[pathMatch[3]] : (queryParams.format || 'rss');
+
+  if (!uid || !blogId) {
+    return errorResponse(headers, 400, 'Missing required parameters: uid and blogId');
+  }
+
+  // Rate limit per client IP, or per API key for integrations, with the blog's configured limits
+  const rateLimit = await rateLimiter.check(event, { uid, blogId });
+  if (!rateLimit.allowed) {
+    return toRateLimitedResponse(headers, rateLimit);
+  }
+
+  if (!FEED_FORMATS[format]) {
+    return errorResponse(headers, 400, `format must be one of: ${Object.keys(FEED_FORMATS).join(', ')}`);
+  }
+
+  const { category, tag, mode = 'full', limit } = queryParams;
+  if (!FEED_MODES.includes(mode)) {
+    return errorResponse(headers, 400, `mode must be one of: ${FEED_MODES.join(', ')}`);
+  }
+  const limitNum = Math.min(Math.max(parseInt(limit) || DEFAULT_FEED_LIMIT, 1), MAX_FEED_LIMIT);
+
+  const blogRef = db.collection('users').doc(uid).collection('blogs').doc(blogId);
+  const blogDoc = await blogRef.get();
+  if (!blogDoc.exists) {
+    return errorResponse(headers, 404, 'Blog not found');
+  }
+  const blogData = blogDoc.data();
+
+  // Firestore allows one array-contains filter per query, so a tag alongside a category is applied below
+  let query = blogRef.collection('content');
+  if (category) {
+    query = query.where('categories', 'array-contains', category);
+  } else if (tag) {
+    query = query.where('tags', 'array-contains', tag);
+  }
+  const now = new Date();
+  const isVisible = (data) => !isTrashed(data) && isWithinPublishWindow(data, now) &&
+    (!(category && tag) || (data.tags || []).includes(tag));
+
+  // Newest first, read a page at a time: published items by publish date, plus scheduled items whose
+  // publish time has passed but that publish-scheduled has not picked up yet
+  const [published, due] = await Promise.all([
+    fetchPage(query.where('status', '==', 'published').orderBy('publishDate', 'desc'), limitNum, isVisible),
+    fetchPage(
+      query.where('status', '==', 'scheduled').where('publishAt', '<=', now).orderBy('publishAt', 'desc'),
+      limitNum,
+      isVisible
+    )
+  ]);
+
+  // Only the items that make it into the feed are rendered
+  const origin = await getPublicOrigin(db, uid, event);
+  const items = [...published.docs, ...due.docs]
+    .sort((a, b) => getPublishedAt(b.data()) - getPublishedAt(a.data()))
+    .slice(0, limitNum)
+    .map(doc => toFeedItem(doc, { origin, uid, blogId, mode }));
+
+  const feedTitle = [blogData.name || 'Blog', category, tag && `#${tag}`].filter(Boolean).join(' – ');
+  const feedQuery = event.rawQuery ? `?${event.rawQuery}` : '';
+  const feedFile = Object.keys(FEED_FILES).find(file => FEED_FILES[file] === format);
+  // Items leaving the feed (trashed, unpublished or deleted) count through the blog's last public change
+  const lastModified = new Date(Math.max(
+    ...items.map(item => item.updatedAt.getTime()),
+    (toDate(blogData.updatedAt) || toDate(blogData.createdAt) || new Date(0)).getTime(),
+    (toDate(blogData.lastPublicChangeAt) || new Date(0)).getTime()
+  ));
+
+  const body = buildFeed(format, {
+    title: feedTitle,
+    description: blogData.description || '',
+    homeUrl: origin,
+    feedUrl: `${getBlogApiUrl(origin, uid, blogId, feedFile)}${feedQuery}`,
+    updatedAt: lastModified
+  }, items);
+
+  const etag = computeETag(body);
+  const cacheHeaders = {
+    'Cache-Control': FEED_CACHE_CONTROL,
+    'ETag': etag,
+    'Last-Modified': lastModified.toUTCString()
+  };
+  const rateLimitHeaders = {
+    ...getRateLimitHeaders(rateLimit)
+  };
+
+  if (isNotModified(event.headers, { etag, lastModified })) {
+    return {
+      statusCode: 304,
+      headers: { ...headers, ...cacheHeaders, ...rateLimitHeaders },
+      body: ''
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers: {
+      ...headers,
+      ...cacheHeaders,
+      ...rateLimitHeaders,
+      'Content-Type': FEED_FORMATS[format]
+    },
+    body
+  };
+});
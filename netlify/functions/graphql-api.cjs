@@ -0,0 +1,769 @@
+const { admin, db } = require('./shared/firebaseAdmin.cjs');
+const { errorResponse, jsonResponse, createHandler } = require('./shared/http.cjs');
+const {
+  GraphQLError,
+  Kind,
+  buildSchema,
+  getNamedType,
+  getNullableType,
+  getOperationAST,
+  isListType,
+  isObjectType,
+  valueFromAST,
+  parse,
+  validate,
+  execute,
+  specifiedRules,
+  printSchema
+} = require('graphql');
+const { PUBLIC_QUERY_STATUSES, isWithinPublishWindow } = require('./shared/publishing.cjs');
+const { isTrashed } = require('./shared/trash.cjs');
+const { getPublicOrigin } = require('./shared/siteUrls.cjs');
+const { getRedirectId } = require('./shared/redirects.cjs');
+const { MAX_RELATED_LIMIT, loadAdjacentEntries, loadRelatedEntries } = require('./shared/related.cjs');
+const { MAX_PAGE_SIZE, encodeCursor, decodeCursor, fetchPage, countVisible } = require('./shared/pagination.cjs');
+const { TAXONOMY_KINDS, listTerms } = require('./shared/taxonomy.cjs');
+const { CONTENT_SUMMARY_FIELDS, renderContentFields, toPublicContent, toContentEntry } = require('./shared/publicContent.cjs');
+const {
+  PRODUCT_SUMMARY_FIELDS,
+  PRICE_SCAN_FIELDS,
+  getPublicAppSettings,
+  toPublicProduct,
+  isInPriceRange,
+  toProductEntry
+} = require('./shared/publicProducts.cjs');
+const { createRateLimiter, getRateLimitHeaders, toRateLimitedResponse } = require('./shared/rateLimit.cjs');
+const { createLogger } = require('./shared/logger.cjs');
+
+const logger = createLogger({ function: 'graphql-api' });
+
+// Shared rate limiter with each blog's per-IP and per-API-key limits
+const rateLimiter = createRateLimiter(db);
+
+// Related items can nest related items, so queries are limited in depth (introspection excepted)
+const MAX_QUERY_DEPTH = 8;
+
+// Queries are also limited in the number of objects they may resolve, counting each list at its page
+// size or related limit and each alias separately (see getSelectionCost)
+const MAX_QUERY_COST = 2000;
+
+const DEFAULT_PAGE_SIZE = 20;
+
+const typeDefs = `
+  "An ISO 8601 date and time"
+  scalar DateTime
+
+  "Any JSON value, e.g. custom fields and structured data"
+  scalar JSON
+
+  """
+  Read-only access to one blog's published content and products. Drafts, scheduled items before
+  their publish time, unpublished and trashed items are never returned.
+  """
+  type Query {
+    "The blog the endpoint belongs to; null when it does not exist"
+    blog: Blog
+
+    "Published content, newest first by default"
+    content(
+      filter: ContentFilter
+      sortBy: ContentSortField = CREATED_AT
+      sortOrder: SortOrder = DESC
+      "Page size, at most 100"
+      first: Int = ${DEFAULT_PAGE_SIZE}
+      "pageInfo.endCursor of the previous page"
+      after: String
+    ): ContentConnection!
+
+    "One published content item by ID or slug; old slugs resolve to the renamed item"
+    contentItem(id: ID, slug: String): Content
+
+    "Published products, newest first by default"
+    products(
+      filter: ProductFilter
+      sortBy: ProductSortField = CREATED_AT
+      sortOrder: SortOrder = DESC
+      "Page size, at most 100"
+      first: Int = ${DEFAULT_PAGE_SIZE}
+      "pageInfo.endCursor of the previous page"
+      after: String
+    ): ProductConnection!
+
+    "One published product by ID or slug; old slugs resolve to the renamed product"
+    product(id: ID, slug: String): Product
+
+    "Categories and tags with the number of published items using them"
+    taxonomy: Taxonomy!
+
+    "Active announcements from the site administrators"
+    broadcasts: [Broadcast!]!
+  }
+
+  type Blog {
+    id: ID!
+    name: String!
+    description: String!
+    createdAt: DateTime
+    updatedAt: DateTime
+  }
+
+  enum SortOrder {
+    ASC
+    DESC
+  }
+
+  enum ContentSortField {
+    CREATED_AT
+    UPDATED_AT
+    TITLE
+  }
+
+  enum ProductSortField {
+    CREATED_AT
+    UPDATED_AT
+    PRICE
+    NAME
+  }
+
+  input ContentFilter {
+    category: String
+    tag: String
+    "ID of a custom content type"
+    contentType: String
+  }
+
+  input ProductFilter {
+    category: String
+    tag: String
+    "Lowest discounted price"
+    minPrice: Float
+    "Highest discounted price"
+    maxPrice: Float
+  }
+
+  type PageInfo {
+    hasNextPage: Boolean!
+    "Pass as after to get the next page"
+    endCursor: String
+  }
+
+  type ContentConnection {
+    nodes: [Content!]!
+    pageInfo: PageInfo!
+    "Number of items matching the filter across all pages"
+    totalCount: Int!
+  }
+
+  type ProductConnection {
+    nodes: [Product!]!
+    pageInfo: PageInfo!
+    "Number of products matching the filter across all pages"
+    totalCount: Int!
+  }
+
+  type TocEntry {
+    "Anchor of the heading in html"
+    id: String!
+    text: String!
+    level: Int!
+  }
+
+  type Content {
+    id: ID!
+    title: String!
+    slug: String!
+    "Markdown body"
+    content: String!
+    metaDescription: String
+    seoTitle: String
+    keywords: [String!]!
+    author: String
+    featuredImageUrl: String
+    categories: [String!]!
+    tags: [String!]!
+    "ID of the item's custom content type"
+    contentType: String
+    "Values of the content type's custom fields"
+    fields: JSON!
+    "Plain-text opening of the body"
+    excerpt: String!
+    status: String!
+    publishDate: DateTime
+    publishAt: DateTime
+    unpublishAt: DateTime
+    createdAt: DateTime
+    updatedAt: DateTime
+    "Body rendered to HTML; raw HTML in the Markdown is escaped"
+    html: String!
+    toc: [TocEntry!]!
+    wordCount: Int!
+    "Reading time in minutes"
+    readingTime: Int!
+    "schema.org BlogPosting structured data"
+    jsonLd: JSON!
+    "Content sharing the most categories and tags, at most 12"
+    related(limit: Int = 4): [Content!]!
+    "The next older published item"
+    previous: Content
+    "The next newer published item"
+    next: Content
+  }
+
+  type Product {
+    id: ID!
+    name: String!
+    slug: String!
+    "Markdown description"
+    description: String!
+    price: Float!
+    percentOff: Float!
+    originalPrice: Float!
+    discountedPrice: Float!
+    savings: Float!
+    "Currency symbol from the account's settings"
+    currency: String!
+    imageUrls: [String!]!
+    productUrl: String!
+    "Plain-text opening of the description"
+    excerpt: String!
+    category: String
+    tags: [String!]!
+    status: String!
+    publishDate: DateTime
+    publishAt: DateTime
+    unpublishAt: DateTime
+    createdAt: DateTime
+    updatedAt: DateTime
+    "Description rendered to HTML"
+    descriptionHtml: String!
+    "schema.org Product structured data"
+    jsonLd: JSON!
+    "Products sharing the category or tags, at most 12"
+    related(limit: Int = 4): [Product!]!
+    "The next older published product"
+    previous: Product
+    "The next newer published product"
+    next: Product
+  }
+
+  type Taxonomy {
+    categories: [Term!]!
+    tags: [Term!]!
+  }
+
+  type Term {
+    "Null for names used by items but not added to the taxonomy"
+    id: ID
+    name: String!
+    description: String!
+    "Parent category, for nested categories"
+    parentId: ID
+    contentCount: Int!
+    productCount: Int!
+  }
+
+  type Broadcast {
+    id: ID!
+    title: String!
+    description: String!
+    createdAt: DateTime
+    updatedAt: DateTime
+  }
+`;
+
+const CONTENT_SORT_FIELDS = { CREATED_AT: 'createdAt', UPDATED_AT: 'updatedAt', TITLE: 'title' };
+const PRODUCT_SORT_FIELDS = { CREATED_AT: 'createdAt', UPDATED_AT: 'updatedAt', PRICE: 'price', NAME: 'name' };
+
+// Items keep their Firestore document for the fields that are only computed when they are selected
+const DOC = Symbol('doc');
+
+const toContentNode = (doc) => ({ ...toPublicContent(doc), [DOC]: doc });
+const toProductNode = (doc, currency) => ({ ...toPublicProduct(doc, { currency }), [DOC]: doc });
+
+const badInput = (message) => new GraphQLError(message, { extensions: { code: 'BAD_USER_INPUT' } });
+
+// Per-request loaders; each document or query is read at most once per request however often it is selected
+function createContext(event, uid, blogId) {
+  const blogRef = db.collection('users').doc(uid).collection('blogs').doc(blogId);
+  const now = new Date();
+  const cache = new Map();
+  const once = (key, load) => {
+    if (!cache.has(key)) cache.set(key, load());
+    return cache.get(key);
+  };
+
+  const context = {
+    uid,
+    blogId,
+    blogRef,
+    now,
+    isPublic: (data) => PUBLIC_QUERY_STATUSES.includes(data.status) && !isTrashed(data) && isWithinPublishWindow(data, now),
+    getBlog: () => once('blog', () => blogRef.get()),
+    getCurrency: () => once('currency', async () => (await getPublicAppSettings(db, uid)).currency || '$'),
+    getRenderContext: () => once('renderContext', async () => {
+      const blogDoc = await context.getBlog();
+      return {
+        origin: await getPublicOrigin(db, uid, event),
+        blogName: blogDoc.exists ? blogDoc.data().name || '' : '',
+        uid,
+        blogId
+      };
+    }),
+    getDoc: (collection, id) => once(`doc:${collection}/${id}`, () => blogRef.collection(collection).doc(id).get()),
+    // Summary fields of every published item, for taxonomy counts
+    getPublishedDocs: (collection) => once(`published:${collection}`, async () => {
+      const snapshot = await blogRef.collection(collection)
+        .where('status', 'in', PUBLIC_QUERY_STATUSES)
+        .select(...(collection === 'content' ? CONTENT_SUMMARY_FIELDS : PRODUCT_SUMMARY_FIELDS))
+        .get();
+      return snapshot.docs.filter(doc => context.isPublic(doc.data()));
+    }),
+    once
+  };
+  return context;
+}
+
+// Read one page of a published-items query as a connection; the total is only counted when selected
+async function resolveConnection(context, query, { sortBy, sortOrder, first, after, isVisible, countTotal, toNode }) {
+  if (first < 1 || first > MAX_PAGE_SIZE) {
+    throw badInput(`first must be between 1 and ${MAX_PAGE_SIZE}`);
+  }
+
+  // Sort by the requested field, then by document ID so items with equal values keep a stable order
+  let pageQuery = query
+    .orderBy(sortBy, sortOrder)
+    .orderBy(admin.firestore.FieldPath.documentId(), sortOrder);
+
+  if (after) {
+    const position = decodeCursor(after, (seconds, nanoseconds) => new admin.firestore.Timestamp(seconds, nanoseconds));
+    if (!position || position.sortBy !== sortBy || position.sortOrder !== sortOrder) {
+      throw badInput('Invalid cursor for this sort order');
+    }
+    pageQuery = pageQuery.startAfter(position.value, position.id);
+  }
+
+  const page = await fetchPage(pageQuery, first, isVisible);
+  const nodes = await Promise.all(page.docs.map(toNode));
+
+  return {
+    nodes,
+    pageInfo: {
+      hasNextPage: page.hasMore,
+      endCursor: page.hasMore
+        ? encodeCursor({ sortBy, sortOrder, value: page.lastDoc.get(sortBy), id: page.lastDoc.id })
+        : null
+    },
+    totalCount: countTotal
+  };
+}
+
+// Find one published item by ID or slug, following old-slug redirects to the renamed item
+async function findPublishedItem(context, collection, type, { id, slug }) {
+  if (Boolean(id) === Boolean(slug)) {
+    throw badInput('Pass either id or slug');
+  }
+
+  if (id) {
+    const doc = await context.getDoc(collection, id);
+    return doc.exists && context.isPublic(doc.data()) ? doc : null;
+  }
+
+  const findBySlug = async (value) => {
+    const snapshot = await context.blogRef.collection(collection).where('slug', '==', value).get();
+    return snapshot.docs.find(doc => context.isPublic(doc.data())) || null;
+  };
+
+  const doc = await findBySlug(slug);
+  if (doc) return doc;
+
+  const redirectDoc = await context.blogRef.collection('redirects').doc(getRedirectId(type, slug)).get();
+  const toSlug = redirectDoc.exists ? redirectDoc.data().toSlug : null;
+  return toSlug && toSlug !== slug ? findBySlug(toSlug) : null;
+}
+
+// How previous/next and related items of a content item or product are read from the other published items
+const getEntryOptions = async (context, collection) => {
+  const isContent = collection === 'content';
+  const currency = isContent ? null : await context.getCurrency();
+  return {
+    query: context.blogRef.collection(collection)
+      .where('status', '==', 'published')
+      .select(...(isContent ? CONTENT_SUMMARY_FIELDS : PRODUCT_SUMMARY_FIELDS)),
+    dateField: isContent ? 'publishDate' : 'createdAt',
+    categoryFilter: isContent ? ['categories', 'array-contains-any'] : ['category', 'in'],
+    isVisible: data => Boolean(data.slug) && context.isPublic(data),
+    toEntry: isContent ? toContentEntry : doc => toProductEntry(doc, currency)
+  };
+};
+
+// Previous and next items, read once per item as both fields need the same neighbours
+const resolveNeighbours = (context, collection, item) => context.once(`neighbours:${collection}/${item.id}`, async () => {
+  const { query, ...options } = await getEntryOptions(context, collection);
+  return loadAdjacentEntries(query, item[DOC], options);
+});
+
+// Load the full documents of summary entries as nodes
+async function loadEntryNodes(context, collection, entries) {
+  const docs = await Promise.all(entries.map(entry => context.getDoc(collection, entry.id)));
+  const currency = collection === 'products' ? await context.getCurrency() : null;
+  return docs
+    .filter(doc => doc.exists)
+    .map(doc => collection === 'content' ? toContentNode(doc) : toProductNode(doc, currency));
+}
+
+const resolveAdjacent = (collection, direction) => async (item, args, context) => {
+  const neighbours = await resolveNeighbours(context, collection, item);
+  if (!neighbours[direction]) return null;
+  const [node] = await loadEntryNodes(context, collection, [neighbours[direction]]);
+  return node || null;
+};
+
+// Related items are read once per item and limit, however often the item appears in the query
+const resolveRelated = (collection) => async (item, { limit }, context) => {
+  if (limit < 0 || limit > MAX_RELATED_LIMIT) {
+    throw badInput(`limit must be between 0 and ${MAX_RELATED_LIMIT}`);
+  }
+  const entries = await context.once(`related:${collection}/${item.id}:${limit}`, async () => {
+    const { query, ...options } = await getEntryOptions(context, collection);
+    return loadRelatedEntries(query, options.toEntry(item[DOC]), { ...options, limit });
+  });
+  return loadEntryNodes(context, collection, entries);
+};
+
+// Rendered fields are computed once per item and only when one of them is selected
+const renderContent = (context, item) => context.once(`render:content/${item.id}`, async () =>
+  renderContentFields(item[DOC].data(), await context.getRenderContext()));
+
+const renderProduct = (context, item) => context.once(`render:products/${item.id}`, async () =>
+  toPublicProduct(item[DOC], { currency: item.currency, renderContext: await context.getRenderContext() }));
+
+const toISO = (value) => value && typeof value.toDate === 'function' ? value.toDate().toISOString() : null;
+
+const resolvers = {
+  Query: {
+    blog: async (root, args, context) => {
+      const blogDoc = await context.getBlog();
+      if (!blogDoc.exists) return null;
+      const data = blogDoc.data();
+      return {
+        id: blogDoc.id,
+        name: data.name || '',
+        description: data.description || '',
+        createdAt: toISO(data.createdAt),
+        updatedAt: toISO(data.updatedAt)
+      };
+    },
+
+    content: async (root, { filter, sortBy, sortOrder, first, after }, context) => {
+      const { category, tag, contentType } = filter || {};
+      let query = context.blogRef.collection('content').where('status', 'in', PUBLIC_QUERY_STATUSES);
+      if (category) query = query.where('categories', 'array-contains', category);
+      if (tag) query = query.where('tags', 'array-contains', tag);
+      if (contentType) query = query.where('contentType', '==', contentType);
+
+      return resolveConnection(context, query, {
+        sortBy: CONTENT_SORT_FIELDS[sortBy],
+        sortOrder: sortOrder.toLowerCase(),
+        first,
+        after,
+        isVisible: context.isPublic,
+        countTotal: () => countVisible(query, context.now),
+        toNode: toContentNode
+      });
+    },
+
+    contentItem: async (root, args, context) => {
+      const doc = await findPublishedItem(context, 'content', 'content', args);
+      return doc ? toContentNode(doc) : null;
+    },
+
+    products: async (root, { filter, sortBy, sortOrder, first, after }, context) => {
+      const { category, tag, minPrice, maxPrice } = filter || {};
+      let query = context.blogRef.collection('products').where('status', 'in', PUBLIC_QUERY_STATUSES);
+      if (category) query = query.where('category', '==', category);
+      if (tag) query = query.where('tags', 'array-contains', tag);
+
+      // Discounted prices are not stored, so a price range is checked on each product
+      const hasPriceRange = minPrice != null || maxPrice != null;
+      const inPriceRange = (data) => !hasPriceRange || isInPriceRange(data, minPrice, maxPrice);
+      const currency = await context.getCurrency();
+
+      return resolveConnection(context, query, {
+        sortBy: PRODUCT_SORT_FIELDS[sortBy],
+        sortOrder: sortOrder.toLowerCase(),
+        first,
+        after,
+        isVisible: data => context.isPublic(data) && inPriceRange(data),
+        countTotal: async () => {
+          if (!hasPriceRange) return countVisible(query, context.now);
+          const snapshot = await query.select(...PRICE_SCAN_FIELDS).get();
+          return snapshot.docs.filter(doc => context.isPublic(doc.data()) && inPriceRange(doc.data())).length;
+        },
+        toNode: doc => toProductNode(doc, currency)
+      });
+    },
+
+    product: async (root, args, context) => {
+      const doc = await findPublishedItem(context, 'products', 'product', args);
+      return doc ? toProductNode(doc, await context.getCurrency()) : null;
+    },
+
+    taxonomy: async (root, args, context) => {
+      const [termsSnapshot, contentDocs, productDocs] = await Promise.all([
+        context.blogRef.collection('taxonomy').get(),
+        context.getPublishedDocs('content'),
+        context.getPublishedDocs('products')
+      ]);
+      const terms = termsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      const result = {};
+      TAXONOMY_KINDS.forEach(kind => {
+        result[kind === 'category' ? 'categories' : 'tags'] = listTerms(
+          kind,
+          terms,
+          contentDocs.map(doc => doc.data()),
+          productDocs.map(doc => doc.data())
+        );
+      });
+      return result;
+    },
+
+    broadcasts: async () => {
+      const snapshot = await db.collection('broadcast-messages')
+        .where('isActive', '==', true)
+        .orderBy('createdAt', 'desc')
+        .get();
+      return snapshot.docs.map(doc => {
+        const data = doc.data();
+        return {
+          id: doc.id,
+          title: data.title || '',
+          description: data.description || '',
+          createdAt: toISO(data.createdAt),
+          updatedAt: toISO(data.updatedAt)
+        };
+      });
+    }
+  },
+
+  Content: {
+    title: item => item.title || '',
+    slug: item => item.slug || '',
+    content: item => item.content || '',
+    keywords: item => item.keywords || [],
+    categories: item => item.categories || [],
+    tags: item => item.tags || [],
+    html: async (item, args, context) => (await renderContent(context, item)).html,
+    toc: async (item, args, context) => (await renderContent(context, item)).toc,
+    wordCount: async (item, args, context) => (await renderContent(context, item)).wordCount,
+    readingTime: async (item, args, context) => (await renderContent(context, item)).readingTime,
+    jsonLd: async (item, args, context) => (await renderContent(context, item)).jsonLd,
+    related: resolveRelated('content'),
+    previous: resolveAdjacent('content', 'previous'),
+    next: resolveAdjacent('content', 'next')
+  },
+
+  Product: {
+    name: item => item.name || '',
+    slug: item => item.slug || '',
+    description: item => item.description || '',
+    price: item => item.price || 0,
+    percentOff: item => item.percentOff || 0,
+    tags: item => item.tags || [],
+    descriptionHtml: async (item, args, context) => (await renderProduct(context, item)).descriptionHtml,
+    jsonLd: async (item, args, context) => (await renderProduct(context, item)).jsonLd,
+    related: resolveRelated('products'),
+    previous: resolveAdjacent('products', 'previous'),
+    next: resolveAdjacent('products', 'next')
+  }
+};
+
+// Build the executable schema from the type definitions and resolvers
+function buildExecutableSchema() {
+  const schema = buildSchema(typeDefs);
+  Object.entries(resolvers).forEach(([typeName, fieldResolvers]) => {
+    const fields = schema.getType(typeName).getFields();
+    Object.entries(fieldResolvers).forEach(([fieldName, resolve]) => {
+      fields[fieldName].resolve = resolve;
+    });
+  });
+  return schema;
+}
+
+const schema = buildExecutableSchema();
+
+// Depth of a selection set, following fragments; introspection fields are not counted
+function getSelectionDepth(validationContext, selectionSet, visitedFragments) {
+  if (!selectionSet) return 0;
+  return Math.max(0, ...selectionSet.selections.map(selection => {
+    if (selection.kind === Kind.FIELD) {
+      if (selection.name.value.startsWith('__')) return 0;
+      return 1 + getSelectionDepth(validationContext, selection.selectionSet, visitedFragments);
+    }
+    if (selection.kind === Kind.INLINE_FRAGMENT) {
+      return getSelectionDepth(validationContext, selection.selectionSet, visitedFragments);
+    }
+    const name = selection.name.value;
+    const fragment = validationContext.getFragment(name);
+    if (!fragment || visitedFragments.has(name)) return 0;
+    return getSelectionDepth(validationContext, fragment.selectionSet, new Set([...visitedFragments, name]));
+  }));
+}
+
+const depthLimitRule = (validationContext) => ({
+  OperationDefinition(node) {
+    const depth = getSelectionDepth(validationContext, node.selectionSet, new Set());
+    if (depth > MAX_QUERY_DEPTH) {
+      validationContext.reportError(new GraphQLError(
+        `Query is nested ${depth} levels deep; the limit is ${MAX_QUERY_DEPTH}`,
+        { nodes: [node] }
+      ));
+    }
+  }
+});
+
+// Number of objects a selection set may resolve: each object field counts one plus its selections, and a list
+// field counts that for each item it may return (a connection's first for its nodes, limit for related items).
+// Arguments left out count at their defaults. Aliases are counted as the separate fields they are, and
+// introspection is free.
+function getSelectionCost(selectionSet, parentType, fragments, variables, listSize = 1) {
+  if (!selectionSet) return 0;
+  return selectionSet.selections.reduce((total, selection) => {
+    if (selection.kind === Kind.INLINE_FRAGMENT) {
+      const type = selection.typeCondition ? schema.getType(selection.typeCondition.name.value) : parentType;
+      return total + getSelectionCost(selection.selectionSet, type, fragments, variables, listSize);
+    }
+    if (selection.kind === Kind.FRAGMENT_SPREAD) {
+      const fragment = fragments[selection.name.value];
+      if (!fragment) return total;
+      const type = schema.getType(fragment.typeCondition.name.value);
+      return total + getSelectionCost(fragment.selectionSet, type, fragments, variables, listSize);
+    }
+
+    const fieldDef = isObjectType(parentType) ? parentType.getFields()[selection.name.value] : null;
+    if (!fieldDef || selection.name.value.startsWith('__')) return total;
+    const type = getNamedType(fieldDef.type);
+    if (!isObjectType(type)) return total;
+
+    const getArgument = (name) => {
+      const argDef = fieldDef.args.find(arg => arg.name === name);
+      const argNode = (selection.arguments || []).find(arg => arg.name.value === name);
+      const value = argNode ? valueFromAST(argNode.value, argDef.type, variables) : argDef.defaultValue;
+      return Number.isInteger(value) ? Math.max(value, 0) : 0;
+    };
+    const hasArgument = (name) => fieldDef.args.some(arg => arg.name === name);
+    const count = isListType(getNullableType(fieldDef.type)) ? (hasArgument('limit') ? getArgument('limit') : listSize) : 1;
+    const childListSize = hasArgument('first') ? getArgument('first') : 1;
+
+    return total + count * (1 + getSelectionCost(selection.selectionSet, type, fragments, variables, childListSize));
+  }, 0);
+}
+
+function getQueryCost(document, operationName, variables) {
+  const operation = getOperationAST(document, operationName);
+  if (!operation) return 0;
+  const fragments = Object.fromEntries(document.definitions
+    .filter(definition => definition.kind === Kind.FRAGMENT_DEFINITION)
+    .map(definition => [definition.name.value, definition]));
+  return getSelectionCost(operation.selectionSet, schema.getRootType(operation.operation), fragments, variables || {});
+}
+
+// Unexpected resolver errors are logged and reported without their details
+function formatError(error) {
+  if (error.originalError && !(error.originalError instanceof GraphQLError)) {
+    logger.error('GraphQL resolver error', { error: error.originalError });
+    return { message: 'Internal server error', locations: error.locations, path: error.path };
+  }
+  return error.toJSON();
+}
+
+exports.handler = createHandler({
+  name: 'graphql-api',
+  methods: ['GET', 'POST']
+}, async ({ event, request, headers }) => {
+  // Extract uid and blogId from the request path
+  // Expected path format: /users/{uid}/blogs/{blogId}/api/graphql
+  const queryParams = request.query;
+  const pathMatch = event.path.match(/\/users\/([^/]+)\/blogs\/([^/]+)\/api\/graphql/);
+  const uid = pathMatch ? pathMatch[1] : queryParams.uid;
+  const blogId = pathMatch ? pathMatch[2] : queryParams.blogId;
+
+  if (!uid || !blogId) {
+    return errorResponse(headers, 400, 'Missing required parameters: uid and blogId');
+  }
+
+  // Rate limit per client IP, or per API key for integrations, with the blog's configured limits
+  const rateLimit = await rateLimiter.check(event, { uid, blogId });
+  if (!rateLimit.allowed) {
+    return toRateLimitedResponse(headers, rateLimit);
+  }
+
+  const responseHeaders = {
+    ...headers,
+    ...getRateLimitHeaders(rateLimit)
+  };
+
+  let graphqlRequest;
+  if (request.method === 'GET') {
+    // A GET without a query returns the schema in SDL, e.g. for code generators
+    if (!queryParams.query) {
+      return {
+        statusCode: 200,
+        headers: { ...responseHeaders, 'Content-Type': 'text/plain; charset=utf-8' },
+        body: printSchema(schema)
+      };
+    }
+    graphqlRequest = {
+      query: queryParams.query,
+      variables: queryParams.variables,
+      operationName: queryParams.operationName
+    };
+  } else {
+    graphqlRequest = request.body;
+  }
+
+  // Errors in the request itself are reported the GraphQL way, as { errors: [...] }
+  let variables = graphqlRequest.variables || null;
+  if (typeof variables === 'string') {
+    try {
+      variables = JSON.parse(variables);
+    } catch (error) {
+      return jsonResponse(responseHeaders, 400, { errors: [{ message: 'variables must be valid JSON' }] });
+    }
+  }
+
+  if (typeof graphqlRequest.query !== 'string' || !graphqlRequest.query.trim()) {
+    return jsonResponse(responseHeaders, 400, { errors: [{ message: 'A query is required' }] });
+  }
+
+  let document;
+  try {
+    document = parse(graphqlRequest.query);
+  } catch (error) {
+    return jsonResponse(responseHeaders, 400, { errors: [formatError(error)] });
+  }
+
+  const validationErrors = validate(schema, document, [...specifiedRules, depthLimitRule]);
+  if (validationErrors.length > 0) {
+    return jsonResponse(responseHeaders, 400, { errors: validationErrors.map(formatError) });
+  }
+
+  const cost = getQueryCost(document, graphqlRequest.operationName || null, variables);
+  if (cost > MAX_QUERY_COST) {
+    return jsonResponse(responseHeaders, 400, {
+      errors: [{ message: `Query may resolve ${cost} objects; the limit is ${MAX_QUERY_COST}` }]
+    });
+  }
+
+  const result = await execute({
+    schema,
+    document,
+    variableValues: variables,
+    operationName: graphqlRequest.operationName || null,
+    contextValue: createContext(event, uid, blogId)
+  });
+
+  return jsonResponse(responseHeaders, 200, {
+    data: result.data,
+    ...(result.errors ? { errors: result.errors.map(formatError) } : {})
+  });
+});
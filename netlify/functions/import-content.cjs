@@ -1,28 +1,14 @@
-const admin = require('firebase-admin');
-
-// Initialize Firebase Admin SDK
-if (!admin.apps.length) {
-  const serviceAccount = {
-    type: "service_account",
-    project_id: process.env.FIREBASE_PROJECT_ID || "admin-cms-ph",
-    private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
-    private_key: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
-    client_email: process.env.FIREBASE_CLIENT_EMAIL || "firebase-adminsdk-fbsvc@admin-cms-ph.iam.gserviceaccount.com",
-    client_id: process.env.FIREBASE_CLIENT_ID,
-    auth_uri: "https://accounts.google.com/o/oauth2/auth",
-    token_uri: "https://oauth2.googleapis.com/token",
-    auth_provider_x509_cert_url: "https://www.googleapis.com/oauth2/v1/certs",
-    client_x509_cert_url: process.env.FIREBASE_CLIENT_X509_CERT_URL
-  };
-
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-    projectId: process.env.FIREBASE_PROJECT_ID || "admin-cms-ph"
-  });
-}
-
-const db = admin.firestore();
-const auth = admin.auth();
+const { admin, db } = require('./shared/firebaseAdmin.cjs');
+const { errorResponse, jsonResponse, createHandler } = require('./shared/http.cjs');
+const { requireCaller } = require('./shared/auth.cjs');
+const { CONTENT_SCHEMA, validateSchema, validateSchedule } = require('./shared/validation.cjs');
+const { WORKFLOW_TRANSITIONS, getWorkflowSettings, validateTransition } = require('./shared/workflow.cjs');
+const { validateContentFields } = require('./shared/contentTypes.cjs');
+const { indexSearchItems } = require('./shared/search.cjs');
+const { API_KEY_SCOPES, canAccessBlog } = require('./shared/apiKeys.cjs');
+const { toWebhookItem, dispatchWebhookEvent } = require('./shared/webhooks.cjs');
+const { recordPublicChange } = require('./shared/caching.cjs');
+const { addNewContentToBatch } = require('./shared/contentWrites.cjs');
 
 // Generate slug from title
 function generateSlug(title) {
@@ -34,337 +20,228 @@ function generateSlug(title) {
     .trim('-');
 }
 
-// Validate content item
-function validateContentItem(item, index) {
-  const errors = [];
-  
-  // Validate item is an object
-  if (!item || typeof item !== 'object') {
-    errors.push('Item must be a valid object');
-    return errors;
-  }
+// Fields of exported items that are not imported, since imports always create new items
+const EXPORT_ONLY_FIELDS = ['id', 'userId', 'blogId', 'createdAt', 'updatedAt', 'publishDate'];
 
-  // Required fields
-  if (!item.title || !item.title.trim()) {
-    errors.push('Missing required field: title');
-  } else if (typeof item.title !== 'string') {
-    errors.push('Title must be a string');
-  } else if (item.title.trim().length < 3) {
-    errors.push('Title must be at least 3 characters');
-  } else if (item.title.length > 200) {
-    errors.push('Title must be less than 200 characters');
-  }
-  
-  if (!item.content || !item.content.trim()) {
-    errors.push('Missing required field: content');
-  } else if (typeof item.content !== 'string') {
-    errors.push('Content must be a string');
-  } else if (item.content.trim().length < 10) {
-    errors.push('Content must be at least 10 characters');
-  } else if (item.content.length > 50000) {
-    errors.push('Content must be less than 50,000 characters');
+// Statuses imported items can have: every workflow status an export contains, as long as new content may
+// move to it from draft under the blog's workflow
+const IMPORT_STATUSES = Object.keys(WORKFLOW_TRANSITIONS);
+
+// Items committed per batch; each writes the item, its first revision and its transition
+const IMPORT_BATCH_SIZE = 100;
+
+// Convert an ISO date string to a Firestore timestamp (null when empty)
+function toTimestamp(value) {
+  return value ? admin.firestore.Timestamp.fromDate(new Date(value)) : null;
+}
+
+// Validate a content item against the shared content schema and the blog's workflow, returning the
+// normalized item and any { field: message } errors
+function validateContentItem(rawItem, workflow) {
+  if (!rawItem || typeof rawItem !== 'object' || Array.isArray(rawItem)) {
+    return { item: null, errors: { item: 'Item must be a valid object' } };
   }
-  
+
+  const item = { ...rawItem };
+  EXPORT_ONLY_FIELDS.forEach(field => delete item[field]);
+
   // Generate slug if missing
-  if (!item.slug || !item.slug.trim()) {
-    if (item.title && item.title.trim()) {
-      item.slug = generateSlug(item.title);
-    } else {
-      errors.push('Missing required field: slug (and cannot generate from title)');
-    }
-  } else if (typeof item.slug !== 'string' || !/^[a-z0-9-]+$/.test(item.slug)) {
-    errors.push('Slug can only contain lowercase letters, numbers, and hyphens');
-  } else if (item.slug.length > 100) {
-    errors.push('Slug must be less than 100 characters');
+  if ((item.slug === undefined || item.slug === null || item.slug === '') && typeof item.title === 'string' && item.title.trim()) {
+    item.slug = generateSlug(item.title);
   }
-  
-  // Normalize and validate status
-  let normalizedStatus = '';
+
+  // Normalize status
   if (item.status === null || item.status === undefined || item.status === '') {
-    normalizedStatus = 'draft';
+    item.status = 'draft';
   } else if (typeof item.status === 'string') {
-    normalizedStatus = item.status.trim().toLowerCase();
-  } else {
-    normalizedStatus = String(item.status).trim().toLowerCase();
-  }
-  
-  // Validate normalized status
-  if (!['draft', 'published'].includes(normalizedStatus)) {
-    errors.push('Invalid status: must be "draft" or "published"');
-  } else {
-    item.status = normalizedStatus;
-  }
-  
-  // Validate optional fields
-  if (item.metaDescription && (typeof item.metaDescription !== 'string' || item.metaDescription.length > 250)) {
-    errors.push('Meta description must be a string with maximum 250 characters');
-  }
-  
-  if (item.seoTitle && (typeof item.seoTitle !== 'string' || item.seoTitle.length > 160)) {
-    errors.push('SEO title must be a string with maximum 60 characters');
-  }
-  
-  if (item.author && (typeof item.author !== 'string' || item.author.length > 100)) {
-    errors.push('Author must be a string with maximum 100 characters');
-  }
-  
-  if (item.featuredImageUrl && typeof item.featuredImageUrl !== 'string') {
-    errors.push('Featured image URL must be a string');
-  }
-  
-  // Ensure arrays are arrays
-  if (item.keywords && !Array.isArray(item.keywords)) {
-    errors.push('Keywords must be an array');
-  } else {
-    item.keywords = item.keywords || [];
+    item.status = item.status.trim().toLowerCase();
   }
-  
-  if (item.categories && !Array.isArray(item.categories)) {
-    errors.push('Categories must be an array');
-  } else {
-    item.categories = item.categories || [];
-  }
-  
-  if (item.tags && !Array.isArray(item.tags)) {
-    errors.push('Tags must be an array');
-  } else {
-    item.tags = item.tags || [];
-  }
-  
-  // Ensure strings are strings
-  item.featuredImageUrl = item.featuredImageUrl || '';
-  item.metaDescription = item.metaDescription || '';
-  item.seoTitle = item.seoTitle || '';
-  item.author = item.author || '';
-  
-  return errors;
-}
 
-exports.handler = async (event, context) => {
-  // Set CORS headers
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Content-Type': 'application/json'
-  };
-
-  // Handle preflight requests
-  if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers,
-      body: ''
-    };
+  const errors = validateSchema(item, CONTENT_SCHEMA);
+  if (!errors.status && !IMPORT_STATUSES.includes(item.status)) {
+    errors.status = `Status must be one of: ${IMPORT_STATUSES.join(', ')}`;
   }
 
-  if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
+  // Imported items are new content, so they follow the same workflow as content created in the editor
+  if (!errors.status) {
+    const transitionError = validateTransition('draft', item.status, workflow);
+    if (transitionError) errors.status = transitionError;
   }
 
-  try {
-    // Verify authentication
-    const authHeader = event.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return {
-        statusCode: 401,
-        headers,
-        body: JSON.stringify({ error: 'Unauthorized' })
-      };
+  // Scheduled items need a future publishAt, as when they are scheduled in the editor
+  if (!errors.status && !errors.publishAt && !errors.unpublishAt) {
+    const scheduleError = validateSchedule(item.status, item.publishAt, item.unpublishAt);
+    if (scheduleError) {
+      errors[scheduleError.startsWith('unpublishAt') ? 'unpublishAt' : 'publishAt'] = scheduleError;
     }
+  }
 
-    const token = authHeader.split('Bearer ')[1];
-    const decodedToken = await auth.verifyIdToken(token);
-    
-    if (!decodedToken) {
-      return {
-        statusCode: 401,
-        headers,
-        body: JSON.stringify({ error: 'Invalid token' })
-      };
-    }
+  return { item, errors };
+}
 
-    const userId = decodedToken.uid;
+exports.handler = createHandler({
+  name: 'import-content',
+  methods: ['POST'],
+  // A Firebase ID token, or a blog API key with the import/export scope
+  authenticate: requireCaller(API_KEY_SCOPES.IMPORT_EXPORT)
+}, async ({ request, caller, headers, log }) => {
+  const userId = caller.uid;
 
-    // Parse JSON body
-    let requestData;
-    try {
-      requestData = JSON.parse(event.body);
-    } catch (parseError) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ 
-          error: 'Invalid JSON format in request body',
-          details: parseError.message
-        })
-      };
-    }
+  const { blogId, items } = request.body;
 
-    const { blogId, items } = requestData;
+  if (!blogId) {
+    return errorResponse(headers, 400, 'blogId is required');
+  }
 
-    if (!blogId) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: 'blogId is required' })
-      };
-    }
+  if (!canAccessBlog(caller, blogId)) {
+    return errorResponse(headers, 403, 'API key does not have access to this blog');
+  }
 
-    if (!items || !Array.isArray(items)) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: 'items array is required' })
-      };
-    }
+  if (!items || !Array.isArray(items)) {
+    return errorResponse(headers, 400, 'items array is required');
+  }
 
-    if (items.length === 0) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: 'items array cannot be empty' })
-      };
-    }
+  if (items.length === 0) {
+    return errorResponse(headers, 400, 'items array cannot be empty');
+  }
 
-    // Process items
-    const contentRef = db.collection('users').doc(userId).collection('blogs').doc(blogId).collection('content');
-    const batch = db.batch();
-    const errors = [];
-    let successCount = 0;
+  // Process items
+  const blogRef = db.collection('users').doc(userId).collection('blogs').doc(blogId);
+  const contentRef = blogRef.collection('content');
+  const blogDoc = await blogRef.get();
+  const workflow = getWorkflowSettings(blogDoc.exists ? blogDoc.data() : null);
+  let batch = db.batch();
+  let batchSize = 0;
+  const errors = [];
+  const importedItems = [];
+  let successCount = 0;
 
-    for (let i = 0; i < items.length; i++) {
-      const item = items[i];
-      const itemIndex = i + 1; // 1-based indexing for user-friendly error messages
-      
-      console.log(`Processing item ${itemIndex}/${items.length}:`, {
-        title: item.title,
-        slug: item.slug,
-        status: item.status,
-        statusType: typeof item.status
-      });
+  for (let i = 0; i < items.length; i++) {
+    const itemIndex = i + 1; // 1-based indexing for user-friendly error messages
+
+    try {
+      // Validate item
+      const { item, errors: fieldErrors } = validateContentItem(items[i], workflow);
       
-      try {
-        // Validate item
-        const validationErrors = validateContentItem(item, itemIndex);
-        console.log(`Validation result for item ${itemIndex}:`, {
-          hasErrors: validationErrors.length > 0,
-          errors: validationErrors,
-          normalizedStatus: item.status
+      if (Object.keys(fieldErrors).length > 0) {
+        errors.push({
+          item: itemIndex,
+          message: Object.values(fieldErrors).join(', '),
+          fields: fieldErrors
         });
-        
-        if (validationErrors.length > 0) {
-          console.error(`Item ${itemIndex} validation failed:`, validationErrors);
-          errors.push({
-            item: itemIndex,
-            message: validationErrors.join(', ')
-          });
-          continue;
-        }
+        continue;
+      }
 
-        // Check for duplicate slug
-        const existingQuery = await contentRef.where('slug', '==', item.slug).limit(1).get();
-        if (!existingQuery.empty) {
-          console.error(`Item ${itemIndex} has duplicate slug:`, item.slug);
+      // Check for duplicate slug
+      const existingQuery = await contentRef.where('slug', '==', item.slug).limit(1).get();
+      if (!existingQuery.empty) {
+        errors.push({
+          item: itemIndex,
+          message: `Duplicate slug "${item.slug}" - item already exists`
+        });
+        continue;
+      }
+
+      // Validate custom fields against the item's content type
+      let fields = {};
+      if (item.contentType) {
+        const fieldsResult = await validateContentFields(blogRef, item.contentType, item.fields);
+        if (fieldsResult.error) {
           errors.push({
             item: itemIndex,
-            message: `Duplicate slug "${item.slug}" - item already exists`
+            message: fieldsResult.error
           });
           continue;
         }
-
-        // Prepare content data
-        const now = admin.firestore.FieldValue.serverTimestamp();
-        const contentData = {
-          title: item.title.trim(),
-          slug: item.slug.trim(),
-          content: item.content.trim(),
-          featuredImageUrl: item.featuredImageUrl || '',
-          metaDescription: item.metaDescription || '',
-          seoTitle: item.seoTitle || '',
-          keywords: item.keywords || [],
-          author: item.author || '',
-          categories: item.categories || [],
-          tags: item.tags || [],
-          status: (item.status || 'draft').toLowerCase(),
-          userId,
-          blogId,
-          createdAt: now,
-          updatedAt: now,
-          publishDate: (item.status || 'draft').toLowerCase() === 'published' ? now : null,
-          // Analytics fields
-          viewCount: 0,
-          clickCount: 0,
-          shareCount: 0,
-          likeCount: 0
-        };
-
-        console.log(`Prepared content data for item ${itemIndex}:`, {
-          title: contentData.title,
-          slug: contentData.slug,
-          status: contentData.status,
-          publishDate: contentData.publishDate ? 'SET' : 'NULL'
-        });
-        // Add to batch
-        const docRef = contentRef.doc();
-        batch.set(docRef, contentData);
-        console.log(`Item ${itemIndex} added to batch successfully`);
-        successCount++;
-
-      } catch (error) {
-        console.error(`Error processing item ${itemIndex}:`, error);
-        console.error(`Item ${itemIndex} processing error details:`, {
-          itemData: item,
-          errorMessage: error.message,
-          errorStack: error.stack
-        });
+        fields = fieldsResult.fields;
+      } else if (item.fields && Object.keys(item.fields).length > 0) {
         errors.push({
           item: itemIndex,
-          message: `Processing error: ${error.message}`
+          message: 'Custom fields require a contentType'
         });
+        continue;
+      }
+
+      // Prepare content data
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      const contentData = {
+        title: item.title.trim(),
+        slug: item.slug.trim(),
+        content: item.content.trim(),
+        featuredImageUrl: item.featuredImageUrl || '',
+        metaDescription: item.metaDescription || '',
+        seoTitle: item.seoTitle || '',
+        keywords: item.keywords || [],
+        author: item.author || '',
+        categories: item.categories || [],
+        tags: item.tags || [],
+        contentType: item.contentType || null,
+        fields,
+        status: item.status,
+        // publishAt only applies while scheduled; unpublishAt never applies to drafts
+        publishAt: item.status === 'scheduled' ? toTimestamp(item.publishAt) : null,
+        unpublishAt: item.status !== 'draft' ? toTimestamp(item.unpublishAt) : null,
+        userId,
+        blogId,
+        createdAt: now,
+        updatedAt: now,
+        publishDate: item.status === 'published' ? now : null,
+        version: 1,
+        // Analytics fields
+        viewCount: 0,
+        clickCount: 0,
+        shareCount: 0,
+        likeCount: 0
+      };
+
+      // Add to batch with the item's first revision and workflow transition
+      const docRef = contentRef.doc();
+      importedItems.push({ id: docRef.id, data: addNewContentToBatch(batch, docRef, contentData, { caller, workflowComment: '', now }) });
+      successCount++;
+
+      batchSize++;
+      if (batchSize === IMPORT_BATCH_SIZE) {
+        await batch.commit();
+        batch = db.batch();
+        batchSize = 0;
       }
+
+    } catch (error) {
+      log.error('Error importing item', { item: itemIndex, error });
+      errors.push({
+        item: itemIndex,
+        message: `Processing error: ${error.message}`
+      });
     }
+  }
 
-    // Commit batch if there are successful items
-    if (successCount > 0) {
-      console.log(`Committing batch with ${successCount} items...`);
+  // Commit the last batch if there are successful items
+  if (successCount > 0) {
+    if (batchSize > 0) {
       await batch.commit();
-      console.log('Batch commit successful');
-    } else {
-      console.log('No items to commit - batch is empty');
     }
 
-    console.log('Import process completed:', {
-      totalItems: items.length,
-      successCount,
-      errorCount: errors.length,
-      errors: errors.slice(0, 10) // Log first 10 errors
-    });
-
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({
-        totalItems: items.length,
-        successCount,
-        errorCount: errors.length,
-        errors: errors.slice(0, 50) // Limit error details to prevent large responses
-      })
-    };
-
-  } catch (error) {
-    console.error('Import content function error:', error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ 
-        error: 'Internal server error',
-        details: process.env.NODE_ENV === 'development' ? error.message : undefined
-      })
-    };
+    // Index imported items for search in separate batches to keep the import batch within Firestore limits
+    await indexSearchItems(db, blogRef, 'content', importedItems, admin.firestore.FieldValue.serverTimestamp());
   }
-};
+
+  log.info('Import completed', { type: 'content', totalItems: items.length, successCount, errorCount: errors.length });
+
+  await dispatchWebhookEvent(blogRef, 'import.completed', {
+    type: 'content',
+    totalItems: items.length,
+    successCount,
+    errorCount: errors.length,
+    items: importedItems.map(item => toWebhookItem('content', item.id, item.data))
+  });
+  if (successCount > 0) {
+    await recordPublicChange(blogRef, ['content']);
+  }
+
+  return jsonResponse(headers, 200, {
+    totalItems: items.length,
+    successCount,
+    errorCount: errors.length,
+    errors: errors.slice(0, 50) // Limit error details to prevent large responses
+  });
+});
@@ -1,28 +1,11 @@
-const admin = require('firebase-admin');
-
-// Initialize Firebase Admin SDK
-if (!admin.apps.length) {
-  const serviceAccount = {
-    type: "service_account",
-    project_id: process.env.FIREBASE_PROJECT_ID || "admin-cms-ph",
-    private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
-    private_key: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
-    client_email: process.env.FIREBASE_CLIENT_EMAIL || "firebase-adminsdk-fbsvc@admin-cms-ph.iam.gserviceaccount.com",
-    client_id: process.env.FIREBASE_CLIENT_ID,
-    auth_uri: "https://accounts.google.com/o/oauth2/auth",
-    token_uri: "https://oauth2.googleapis.com/token",
-    auth_provider_x509_cert_url: "https://www.googleapis.com/oauth2/v1/certs",
-    client_x509_cert_url: process.env.FIREBASE_CLIENT_X509_CERT_URL
-  };
-
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-    projectId: process.env.FIREBASE_PROJECT_ID || "admin-cms-ph"
-  });
-}
-
-const db = admin.firestore();
-const auth = admin.auth();
+const { admin, db } = require('./shared/firebaseAdmin.cjs');
+const { errorResponse, jsonResponse, createHandler } = require('./shared/http.cjs');
+const { requireCaller } = require('./shared/auth.cjs');
+const { PRODUCT_SCHEMA, validateSchema } = require('./shared/validation.cjs');
+const { indexSearchItems } = require('./shared/search.cjs');
+const { API_KEY_SCOPES, canAccessBlog } = require('./shared/apiKeys.cjs');
+const { toWebhookItem, dispatchWebhookEvent } = require('./shared/webhooks.cjs');
+const { recordPublicChange } = require('./shared/caching.cjs');
 
 // Generate slug from name
 function generateSlug(name) {
@@ -34,340 +17,166 @@ function generateSlug(name) {
     .trim('-');
 }
 
-// Validate product item
-function validateProductItem(item, index) {
-  const errors = [];
-  
-  // Validate item is an object
-  if (!item || typeof item !== 'object') {
-    errors.push('Item must be a valid object');
-    return errors;
-  }
+// Fields of exported products that are not imported, since imports always create new products
+const EXPORT_ONLY_FIELDS = ['id', 'userId', 'blogId', 'createdAt', 'updatedAt'];
 
-  // Required fields
-  if (!item.name || !item.name.trim()) {
-    errors.push('Missing required field: name');
-  } else if (typeof item.name !== 'string') {
-    errors.push('Name must be a string');
-  } else if (item.name.trim().length < 3) {
-    errors.push('Product name must be at least 3 characters');
-  } else if (item.name.length > 200) {
-    errors.push('Product name must be less than 200 characters');
-  }
-  
-  if (!item.description || !item.description.trim()) {
-    errors.push('Missing required field: description');
-  } else if (typeof item.description !== 'string') {
-    errors.push('Description must be a string');
-  } else if (item.description.trim().length < 10) {
-    errors.push('Description must be at least 10 characters');
-  } else if (item.description.length > 10000) {
-    errors.push('Description must be less than 10,000 characters');
+// Statuses imported products can have
+const IMPORT_STATUSES = ['draft', 'published'];
+
+// Validate a product item against the shared product schema, returning the normalized item and any
+// { field: message } errors
+function validateProductItem(rawItem) {
+  if (!rawItem || typeof rawItem !== 'object' || Array.isArray(rawItem)) {
+    return { item: null, errors: { item: 'Item must be a valid object' } };
   }
-  
+
+  const item = { ...rawItem };
+  EXPORT_ONLY_FIELDS.forEach(field => delete item[field]);
+
   // Generate slug if missing
-  if (!item.slug || !item.slug.trim()) {
-    if (item.name && item.name.trim()) {
-      item.slug = generateSlug(item.name);
-    } else {
-      errors.push('Missing required field: slug (and cannot generate from name)');
-    }
-  } else if (typeof item.slug !== 'string' || !/^[a-z0-9-]+$/.test(item.slug)) {
-    errors.push('Slug can only contain lowercase letters, numbers, and hyphens');
-  } else if (item.slug.length > 100) {
-    errors.push('Slug must be less than 100 characters');
-  }
-  
-  // Validate price
-  if (item.price === undefined || item.price === null || isNaN(parseFloat(item.price)) || parseFloat(item.price) < 0) {
-    errors.push('Invalid price: must be a valid number >= 0');
-  } else if (parseFloat(item.price) > 999999.99) {
-    errors.push('Price cannot exceed $999,999.99');
-  }
-  
-  // Validate percentOff
-  if (item.percentOff !== undefined && item.percentOff !== null && (isNaN(parseFloat(item.percentOff)) || parseFloat(item.percentOff) < 0 || parseFloat(item.percentOff) > 100)) {
-    errors.push('Invalid percentOff: must be a number between 0 and 100');
+  if ((item.slug === undefined || item.slug === null || item.slug === '') && typeof item.name === 'string' && item.name.trim()) {
+    item.slug = generateSlug(item.name);
   }
-  
-  // Normalize and validate status
-  let normalizedStatus = '';
+
+  // Normalize status
   if (item.status === null || item.status === undefined || item.status === '') {
-    normalizedStatus = 'draft';
+    item.status = 'draft';
   } else if (typeof item.status === 'string') {
-    normalizedStatus = item.status.trim().toLowerCase();
-  } else {
-    normalizedStatus = String(item.status).trim().toLowerCase();
-  }
-  
-  // Validate normalized status
-  if (!['draft', 'published'].includes(normalizedStatus)) {
-    errors.push('Invalid status: must be "draft" or "published"');
-  } else {
-    item.status = normalizedStatus;
-  }
-  
-  // Set default for percentOff
-  if (item.percentOff === undefined || item.percentOff === null) {
-    item.percentOff = 0;
-  }
-  
-  // Validate optional fields
-  if (item.productUrl && (typeof item.productUrl !== 'string' || item.productUrl.length > 500)) {
-    errors.push('Product URL must be a string with maximum 500 characters');
+    item.status = item.status.trim().toLowerCase();
   }
-  
-  if (item.category && (typeof item.category !== 'string' || item.category.length > 100)) {
-    errors.push('Category must be a string with maximum 100 characters');
-  }
-  
-  // Ensure arrays are arrays
-  if (item.imageUrls && !Array.isArray(item.imageUrls)) {
-    errors.push('Image URLs must be an array');
-  } else {
-    item.imageUrls = item.imageUrls || [];
-  }
-  
-  if (item.tags && !Array.isArray(item.tags)) {
-    errors.push('Tags must be an array');
-  } else {
-    item.tags = item.tags || [];
-  }
-  
-  // Ensure strings are strings
-  item.productUrl = item.productUrl || '';
-  item.category = item.category || '';
-  
-  return errors;
-}
-
-exports.handler = async (event, context) => {
-  // Set CORS headers
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS',
-    'Content-Type': 'application/json'
-  };
 
-  // Handle preflight requests
-  if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers,
-      body: ''
-    };
+  const errors = validateSchema(item, PRODUCT_SCHEMA);
+  if (!errors.status && !IMPORT_STATUSES.includes(item.status)) {
+    errors.status = `Status must be one of: ${IMPORT_STATUSES.join(', ')}`;
   }
 
-  if (event.httpMethod !== 'POST') {
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
-  }
-
-  try {
-    // Verify authentication
-    const authHeader = event.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return {
-        statusCode: 401,
-        headers,
-        body: JSON.stringify({ error: 'Unauthorized' })
-      };
-    }
+  return { item, errors };
+}
 
-    const token = authHeader.split('Bearer ')[1];
-    const decodedToken = await auth.verifyIdToken(token);
-    
-    if (!decodedToken) {
-      return {
-        statusCode: 401,
-        headers,
-        body: JSON.stringify({ error: 'Invalid token' })
-      };
-    }
+exports.handler = createHandler({
+  name: 'import-products',
+  methods: ['POST'],
+  // A Firebase ID token, or a blog API key with the import/export scope
+  authenticate: requireCaller(API_KEY_SCOPES.IMPORT_EXPORT)
+}, async ({ request, caller, headers, log }) => {
+  const userId = caller.uid;
 
-    const userId = decodedToken.uid;
+  const { blogId, items } = request.body;
 
-    // Parse JSON body
-    let requestData;
-    try {
-      requestData = JSON.parse(event.body);
-    } catch (parseError) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ 
-          error: 'Invalid JSON format in request body',
-          details: parseError.message
-        })
-      };
-    }
+  if (!blogId) {
+    return errorResponse(headers, 400, 'blogId is required');
+  }
 
-    const { blogId, items } = requestData;
+  if (!canAccessBlog(caller, blogId)) {
+    return errorResponse(headers, 403, 'API key does not have access to this blog');
+  }
 
-    if (!blogId) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: 'blogId is required' })
-      };
-    }
+  if (!items || !Array.isArray(items)) {
+    return errorResponse(headers, 400, 'items array is required');
+  }
 
-    if (!items || !Array.isArray(items)) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: 'items array is required' })
-      };
-    }
+  if (items.length === 0) {
+    return errorResponse(headers, 400, 'items array cannot be empty');
+  }
 
-    if (items.length === 0) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ error: 'items array cannot be empty' })
-      };
-    }
+  // Process items
+  const productsRef = db.collection('users').doc(userId).collection('blogs').doc(blogId).collection('products');
+  const batch = db.batch();
+  const importedItems = [];
+  const errors = [];
+  let successCount = 0;
 
-    // Process items
-    const productsRef = db.collection('users').doc(userId).collection('blogs').doc(blogId).collection('products');
-    const batch = db.batch();
-    const errors = [];
-    let successCount = 0;
+  for (let i = 0; i < items.length; i++) {
+    const itemIndex = i + 1; // 1-based indexing for user-friendly error messages
 
-    for (let i = 0; i < items.length; i++) {
-      const item = items[i];
-      const itemIndex = i + 1; // 1-based indexing for user-friendly error messages
-      
-      console.log(`Processing product ${itemIndex}/${items.length}:`, {
-        name: item.name,
-        slug: item.slug,
-        status: item.status,
-        statusType: typeof item.status,
-        price: item.price,
-        priceType: typeof item.price
-      });
+    try {
+      // Validate item
+      const { item, errors: fieldErrors } = validateProductItem(items[i]);
       
-      try {
-        // Validate item
-        const validationErrors = validateProductItem(item, itemIndex);
-        console.log(`Validation result for product ${itemIndex}:`, {
-          hasErrors: validationErrors.length > 0,
-          errors: validationErrors,
-          normalizedStatus: item.status
-        });
-        
-        if (validationErrors.length > 0) {
-          console.error(`Product ${itemIndex} validation failed:`, validationErrors);
-          errors.push({
-            item: itemIndex,
-            message: validationErrors.join(', ')
-          });
-          continue;
-        }
-
-        // Check for duplicate slug
-        const existingQuery = await productsRef.where('slug', '==', item.slug).limit(1).get();
-        if (!existingQuery.empty) {
-          console.error(`Product ${itemIndex} has duplicate slug:`, item.slug);
-          errors.push({
-            item: itemIndex,
-            message: `Duplicate slug "${item.slug}" - product already exists`
-          });
-          continue;
-        }
-
-        // Prepare product data
-        const now = admin.firestore.FieldValue.serverTimestamp();
-        const productData = {
-          name: item.name.trim(),
-          slug: item.slug.trim(),
-          description: item.description.trim(),
-          price: parseFloat(item.price),
-          percentOff: parseFloat(item.percentOff) || 0,
-          imageUrls: item.imageUrls || [],
-          productUrl: item.productUrl || '',
-          category: item.category || '',
-          tags: item.tags || [],
-          status: (item.status || 'draft').toLowerCase(),
-          userId,
-          blogId,
-          createdAt: now,
-          updatedAt: now
-        };
-
-        // Add backward compatibility imageUrl field
-        if (productData.imageUrls.length > 0) {
-          productData.imageUrl = productData.imageUrls[0];
-        }
-
-        console.log(`Prepared product data for item ${itemIndex}:`, {
-          name: productData.name,
-          slug: productData.slug,
-          status: productData.status,
-          price: productData.price,
-          percentOff: productData.percentOff,
-          imageCount: productData.imageUrls.length
+      if (Object.keys(fieldErrors).length > 0) {
+        errors.push({
+          item: itemIndex,
+          message: Object.values(fieldErrors).join(', '),
+          fields: fieldErrors
         });
-        // Add to batch
-        const docRef = productsRef.doc();
-        batch.set(docRef, productData);
-        console.log(`Product ${itemIndex} added to batch successfully`);
-        successCount++;
+        continue;
+      }
 
-      } catch (error) {
-        console.error(`Error processing item ${itemIndex}:`, error);
-        console.error(`Product ${itemIndex} processing error details:`, {
-          itemData: item,
-          errorMessage: error.message,
-          errorStack: error.stack
-        });
+      // Check for duplicate slug
+      const existingQuery = await productsRef.where('slug', '==', item.slug).limit(1).get();
+      if (!existingQuery.empty) {
         errors.push({
           item: itemIndex,
-          message: `Processing error: ${error.message}`
+          message: `Duplicate slug "${item.slug}" - product already exists`
         });
+        continue;
       }
-    }
 
-    // Commit batch if there are successful items
-    if (successCount > 0) {
-      console.log(`Committing batch with ${successCount} products...`);
-      await batch.commit();
-      console.log('Batch commit successful');
-    } else {
-      console.log('No products to commit - batch is empty');
+      // Prepare product data
+      const now = admin.firestore.FieldValue.serverTimestamp();
+      const productData = {
+        name: item.name.trim(),
+        slug: item.slug.trim(),
+        description: item.description.trim(),
+        price: item.price,
+        percentOff: item.percentOff || 0,
+        imageUrls: item.imageUrls || [],
+        productUrl: item.productUrl || '',
+        category: item.category || '',
+        tags: item.tags || [],
+        status: item.status,
+        userId,
+        blogId,
+        createdAt: now,
+        updatedAt: now,
+        version: 1
+      };
+
+      // Add backward compatibility imageUrl field
+      if (productData.imageUrls.length > 0) {
+        productData.imageUrl = productData.imageUrls[0];
+      }
+
+      // Add to batch
+      const docRef = productsRef.doc();
+      batch.set(docRef, productData);
+      importedItems.push({ id: docRef.id, data: productData });
+      successCount++;
+
+    } catch (error) {
+      log.error('Error importing item', { item: itemIndex, error });
+      errors.push({
+        item: itemIndex,
+        message: `Processing error: ${error.message}`
+      });
     }
+  }
 
-    console.log('Product import process completed:', {
-      totalItems: items.length,
-      successCount,
-      errorCount: errors.length,
-      errors: errors.slice(0, 10) // Log first 10 errors
-    });
+  // Commit batch if there are successful items
+  if (successCount > 0) {
+    await batch.commit();
 
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({
-        totalItems: items.length,
-        successCount,
-        errorCount: errors.length,
-        errors: errors.slice(0, 50) // Limit error details to prevent large responses
-      })
-    };
+    // Index imported products for search in separate batches to keep the import batch within Firestore limits
+    await indexSearchItems(db, productsRef.parent, 'product', importedItems, admin.firestore.FieldValue.serverTimestamp());
+  }
 
-  } catch (error) {
-    console.error('Import products function error:', error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ 
-        error: 'Internal server error',
-        details: process.env.NODE_ENV === 'development' ? error.message : undefined
-      })
-    };
+  log.info('Import completed', { type: 'products', totalItems: items.length, successCount, errorCount: errors.length });
+
+  await dispatchWebhookEvent(productsRef.parent, 'import.completed', {
+    type: 'products',
+    totalItems: items.length,
+    successCount,
+    errorCount: errors.length,
+    items: importedItems.map(item => toWebhookItem('product', item.id, item.data))
+  });
+  if (successCount > 0) {
+    await recordPublicChange(productsRef.parent, ['products']);
   }
-};
+
+  return jsonResponse(headers, 200, {
+    totalItems: items.length,
+    successCount,
+    errorCount: errors.length,
+    errors: errors.slice(0, 50) // Limit error details to prevent large responses
+  });
+});
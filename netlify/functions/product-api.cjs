@@ -1,332 +1,377 @@
-const admin = require('firebase-admin');
-
-// Initialize Firebase Admin SDK
-if (!admin.apps.length) {
-  const serviceAccount = {
-    type: "service_account",
-    project_id: process.env.FIREBASE_PROJECT_ID || "admin-cms-ph",
-    private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
-    private_key: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
-    client_email: process.env.FIREBASE_CLIENT_EMAIL || "firebase-adminsdk-fbsvc@admin-cms-ph.iam.gserviceaccount.com",
-    client_id: process.env.FIREBASE_CLIENT_ID,
-    auth_uri: "https://accounts.google.com/o/oauth2/auth",
-    token_uri: "https://oauth2.googleapis.com/token",
-    auth_provider_x509_cert_url: "https://www.googleapis.com/oauth2/v1/certs",
-    client_x509_cert_url: process.env.FIREBASE_CLIENT_X509_CERT_URL
-  };
+const { admin, db } = require('./shared/firebaseAdmin.cjs');
+const { errorResponse, jsonResponse, createHandler } = require('./shared/http.cjs');
+const { requireBlogCaller } = require('./shared/auth.cjs');
+const { PUBLIC_QUERY_STATUSES, isWithinPublishWindow } = require('./shared/publishing.cjs');
+const { isTrashed } = require('./shared/trash.cjs');
+const { getPublicOrigin } = require('./shared/siteUrls.cjs');
+const {
+  PRODUCT_SUMMARY_FIELDS,
+  PRICE_SCAN_FIELDS,
+  getPublicAppSettings,
+  toPublicProduct,
+  isInPriceRange,
+  toProductEntry
+} = require('./shared/publicProducts.cjs');
+const { getRedirectId } = require('./shared/redirects.cjs');
+const { parseRelatedLimit, loadAdjacentEntries, loadRelatedEntries } = require('./shared/related.cjs');
+const { parsePageSize, encodeCursor, decodeCursor, fetchPage, countVisible, buildNextUrl } = require('./shared/pagination.cjs');
+const { API_KEY_SCOPES } = require('./shared/apiKeys.cjs');
+const { verifyPreviewToken } = require('./shared/previewTokens.cjs');
+const { parseFieldSelection, selectFields, loadIncludes, isCdnCacheable } = require('./shared/fieldSelection.cjs');
+const {
+  PRIVATE_CACHE_CONTROL,
+  getLastModified,
+  getListLastModified,
+  getBlogCacheTags,
+  toCachedResponse
+} = require('./shared/caching.cjs');
+const { createRateLimiter, getRateLimitHeaders, toRateLimitedResponse } = require('./shared/rateLimit.cjs');
 
-  admin.initializeApp({
-    credential: admin.credential.cert(serviceAccount),
-    projectId: process.env.FIREBASE_PROJECT_ID || "admin-cms-ph"
-  });
-}
+// Shared rate limiter with each blog's per-IP and per-API-key limits
+const rateLimiter = createRateLimiter(db);
 
-const db = admin.firestore();
+// Fields the list can be sorted by, all sorted by Firestore so cursors work for each
+const SORT_FIELDS = ['createdAt', 'updatedAt', 'price', 'name'];
 
-// Simple in-memory rate limiting (for basic protection)
-const rateLimitMap = new Map();
-const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
-const RATE_LIMIT_MAX_REQUESTS = 100; // 100 requests per minute per IP
+// Response formats of the public API; html adds a rendered description and Product JSON-LD to each item
+const RESPONSE_FORMATS = ['markdown', 'html'];
 
-function checkRateLimit(clientIP) {
-  const now = Date.now();
-  const clientData = rateLimitMap.get(clientIP) || { count: 0, resetTime: now + RATE_LIMIT_WINDOW };
-  
-  // Reset if window has passed
-  if (now > clientData.resetTime) {
-    clientData.count = 0;
-    clientData.resetTime = now + RATE_LIMIT_WINDOW;
+// Records ?include= can embed in each product: the author's public profile
+const PRODUCT_INCLUDES = ['author'];
+
+// Find one published product by slug or ID, with previous/next navigation and related products
+async function getPublicProductItem(event, { uid, blogId, slug, id, queryParams, headers }) {
+  const { format = 'markdown', related } = queryParams;
+  if (!RESPONSE_FORMATS.includes(format)) {
+    return errorResponse(headers, 400, `format must be one of: ${RESPONSE_FORMATS.join(', ')}`);
   }
-  
-  clientData.count++;
-  rateLimitMap.set(clientIP, clientData);
-  
-  return {
-    allowed: clientData.count <= RATE_LIMIT_MAX_REQUESTS,
-    remaining: Math.max(0, RATE_LIMIT_MAX_REQUESTS - clientData.count),
-    resetTime: clientData.resetTime
+
+  const selection = parseFieldSelection(queryParams, PRODUCT_INCLUDES);
+  if (selection.error) {
+    return errorResponse(headers, 400, selection.error);
+  }
+
+  const blogRef = db.collection('users').doc(uid).collection('blogs').doc(blogId);
+  const productsRef = blogRef.collection('products');
+  const now = new Date();
+  const isPublic = (data) => PUBLIC_QUERY_STATUSES.includes(data.status) && !isTrashed(data) && isWithinPublishWindow(data, now);
+
+  // A preview link serves the draft it was made for, whatever the slug or ID in the URL; the
+  // response is private to whoever holds the link, so it is never cached or indexed
+  const previewToken = queryParams.previewToken;
+  if (previewToken) {
+    headers = { ...headers, 'Cache-Control': 'no-store', 'X-Robots-Tag': 'noindex' };
+  }
+
+  let itemDoc = null;
+  let preview = null;
+  if (previewToken) {
+    const previewResult = await verifyPreviewToken(blogRef, previewToken, 'product');
+    if (previewResult.error) {
+      return errorResponse(headers, previewResult.statusCode, previewResult.error);
+    }
+
+    const doc = await productsRef.doc(previewResult.itemId).get();
+    itemDoc = doc.exists && !isTrashed(doc.data()) ? doc : null;
+    preview = { expiresAt: previewResult.expiresAt.toISOString() };
+  } else if (id) {
+    const doc = await productsRef.doc(id).get();
+    itemDoc = doc.exists && isPublic(doc.data()) ? doc : null;
+  } else {
+    const snapshot = await productsRef.where('slug', '==', slug).get();
+    itemDoc = snapshot.docs.find(doc => isPublic(doc.data())) || null;
+
+    if (!itemDoc) {
+      // Send requests for a renamed slug to the current one
+      const redirectDoc = await blogRef.collection('redirects').doc(getRedirectId('product', slug)).get();
+      if (redirectDoc.exists && redirectDoc.data().toSlug) {
+        const toSlug = redirectDoc.data().toSlug;
+        // Keep options such as format, but not the lookup parameters of the query string fallback
+        const search = new URLSearchParams(
+          Object.entries(queryParams).filter(([key]) => !['uid', 'blogId', 'slug', 'id'].includes(key))
+        ).toString();
+        return {
+          statusCode: 301,
+          headers: {
+            ...headers,
+            'Location': `/users/${uid}/blogs/${blogId}/api/products/${encodeURIComponent(toSlug)}.json${search ? `?${search}` : ''}`
+          },
+          body: JSON.stringify({ error: 'Product moved', slug: toSlug })
+        };
+      }
+    }
+  }
+
+  if (!itemDoc) {
+    return errorResponse(headers, 404, 'Product not found');
+  }
+
+  const appSettings = await getPublicAppSettings(db, uid);
+  const currency = appSettings.currency || '$';
+  const renderContext = format === 'html' ? { origin: await getPublicOrigin(db, uid, event), uid, blogId } : null;
+  const embedIncludes = await loadIncludes(db, { uid, blogRef, include: selection.include, publicSettings: appSettings });
+  const toItemData = (item) => embedIncludes(selectFields(item, selection));
+
+  // A draft is outside the published order, so previews have no navigation or related items
+  if (preview) {
+    return jsonResponse(headers, 200, {
+      data: toItemData({ ...toPublicProduct(itemDoc, { currency, renderContext }), status: itemDoc.data().status || 'draft' }),
+      preview,
+      navigation: { previous: null, next: null },
+      related: []
+    });
+  }
+
+  // Navigation and related items come from the other published products of the blog, reading only the
+  // neighbours and the newest products sharing the category or a tag
+  const publishedQuery = productsRef.where('status', '==', 'published').select(...PRODUCT_SUMMARY_FIELDS);
+  const entryOptions = {
+    dateField: 'createdAt',
+    isVisible: data => Boolean(data.slug) && isPublic(data),
+    toEntry: doc => toProductEntry(doc, currency)
   };
+  const [{ previous, next }, relatedEntries] = await Promise.all([
+    loadAdjacentEntries(publishedQuery, itemDoc, entryOptions),
+    loadRelatedEntries(publishedQuery, toProductEntry(itemDoc, currency), {
+      ...entryOptions,
+      categoryFilter: ['category', 'in'],
+      limit: parseRelatedLimit(related)
+    })
+  ]);
+
+  return toCachedResponse(event, {
+    headers,
+    body: JSON.stringify({
+      data: toItemData(toPublicProduct(itemDoc, { currency, renderContext })),
+      navigation: {
+        previous: previous ? previous.summary : null,
+        next: next ? next.summary : null
+      },
+      related: relatedEntries.map(entry => entry.summary)
+    }),
+    // The neighbours and related products are part of the response, so their changes count too
+    lastModified: getLastModified([itemDoc.data(), previous && previous.summary, next && next.summary, ...relatedEntries.map(entry => entry.summary)]),
+    cacheTags: getBlogCacheTags(blogId, ['products']),
+    storeOnCdn: isCdnCacheable(selection)
+  });
 }
 
-// Helper function to get public app settings for this user (including currency)
-async function getPublicAppSettings(uid) {
-  try {
-    const docRef = db.collection('users').doc(uid).collection('appSettings').doc('public');
-    const docSnap = await docRef.get();
-    
-    if (docSnap.exists) {
-      return docSnap.data();
+exports.handler = createHandler({
+  name: 'product-api',
+  methods: ['GET'],
+  allowHeaders: ['If-None-Match', 'If-Modified-Since'],
+  exposeHeaders: ['ETag', 'Last-Modified']
+}, async ({ event, request, headers }) => {
+  // Extract uid, blogId and an optional single product from the request path using regex
+  // Expected path format: /users/{uid}/blogs/{blogId}/api/products.json,
+  // /users/{uid}/blogs/{blogId}/api/products/{slug}.json or /users/{uid}/blogs/{blogId}/api/products/id/{id}.json
+  const pathMatch = event.path.match(/\/users\/([^/]+)\/blogs\/([^/]+)\/api\/products(?:\.json|\/(?:(id)\/)?([^/]+)\.json)/);
+  
+  let uid, blogId, itemSlug, itemId;
+  
+  if (pathMatch) {
+    uid = pathMatch[1];
+    blogId = pathMatch[2];
+    if (pathMatch[4]) {
+      const key = decodeURIComponent(pathMatch[4]);
+      if (pathMatch[3]) {
+        itemId = key;
+      } else {
+        itemSlug = key;
+      }
     }
-    
-    // Return default settings if no public settings exist
-    return {
-      currency: '$', // Default currency
-      updatedAt: new Date()
-    };
-  } catch (error) {
-    console.error('Error fetching public app settings:', error);
-    return {
-      currency: '$', // Default currency on error
-      updatedAt: new Date()
-    };
+  } else {
+    // Fallback to query parameters if path parsing fails
+    const queryParams = request.query;
+    uid = queryParams.uid;
+    blogId = queryParams.blogId;
+    itemSlug = queryParams.slug;
+    itemId = queryParams.id;
+  }
+  
+  if (!uid || !blogId) {
+    return errorResponse(headers, 400, 'Missing required parameters: uid and blogId', {
+      details: {
+        path: event.path,
+        queryParams: request.query,
+        extractedUid: uid,
+        extractedBlogId: blogId
+      }
+    });
   }
-}
 
-// Helper function to calculate discounted price
-function calculateDiscountedPrice(price, percentOff) {
-  if (!price || !percentOff || percentOff <= 0) return price;
-  return price - (price * (percentOff / 100));
-}
+  // Rate limit per client IP, or per API key for integrations, with the blog's configured limits
+  const rateLimit = await rateLimiter.check(event, { uid, blogId });
+  if (!rateLimit.allowed) {
+    return toRateLimitedResponse(headers, rateLimit);
+  }
 
-exports.handler = async (event, context) => {
-  // Set CORS headers
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'GET, OPTIONS',
-    'Content-Type': 'application/json'
+  const rateLimitHeaders = {
+    ...getRateLimitHeaders(rateLimit)
   };
 
-  // Handle preflight requests
-  if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers,
-      body: ''
-    };
+  if (itemSlug || itemId) {
+    return await getPublicProductItem(event, {
+      uid,
+      blogId,
+      slug: itemSlug,
+      id: itemId,
+      queryParams: request.query,
+      headers: { ...headers, ...rateLimitHeaders }
+    });
   }
 
-  // Only allow GET requests for public API
-  if (event.httpMethod !== 'GET') {
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
+  // Parse query parameters for filtering, pagination, and sorting
+  const queryParams = request.query;
+  const {
+    category,
+    tag,
+    status = 'published',
+    limit,
+    offset,
+    cursor,
+    minPrice,
+    maxPrice,
+    format = 'markdown'
+  } = queryParams;
+  const sortBy = SORT_FIELDS.includes(queryParams.sortBy) ? queryParams.sortBy : 'createdAt';
+  const sortOrder = queryParams.sortOrder === 'asc' ? 'asc' : 'desc';
+  const pageSize = parsePageSize(limit);
+
+  if (offset && offset !== '0') {
+    return errorResponse(headers, 400, 'offset is not supported; follow pagination.next or pass pagination.nextCursor as cursor');
   }
 
-  try {
-    // Basic rate limiting
-    const clientIP = event.headers['x-forwarded-for'] || event.headers['x-real-ip'] || 'unknown';
-    const rateLimitResult = checkRateLimit(clientIP);
-    
-    if (!rateLimitResult.allowed) {
-      return {
-        statusCode: 429,
-        headers: {
-          ...headers,
-          'X-RateLimit-Limit': RATE_LIMIT_MAX_REQUESTS.toString(),
-          'X-RateLimit-Remaining': '0',
-          'X-RateLimit-Reset': rateLimitResult.resetTime.toString(),
-          'Retry-After': Math.ceil((rateLimitResult.resetTime - Date.now()) / 1000).toString()
-        },
-        body: JSON.stringify({ 
-          error: 'Rate limit exceeded',
-          message: `Too many requests. Limit: ${RATE_LIMIT_MAX_REQUESTS} requests per minute.`
-        })
-      };
-    }
+  if (!RESPONSE_FORMATS.includes(format)) {
+    return errorResponse(headers, 400, `format must be one of: ${RESPONSE_FORMATS.join(', ')}`);
+  }
 
-    // Extract uid and blogId from the request path using regex
-    // Expected path format: /users/{uid}/blogs/{blogId}/api/products.json
-    const pathMatch = event.path.match(/\/users\/([^\/]+)\/blogs\/([^\/]+)\/api\/products\.json/);
-    
-    let uid, blogId;
-    
-    if (pathMatch) {
-      uid = pathMatch[1];
-      blogId = pathMatch[2];
-    } else {
-      // Fallback to query parameters if path parsing fails
-      const queryParams = event.queryStringParameters || {};
-      uid = queryParams.uid;
-      blogId = queryParams.blogId;
-    }
-    
-    if (!uid || !blogId) {
-      return {
-        statusCode: 400,
-        headers,
-        body: JSON.stringify({ 
-          error: 'Missing required parameters: uid and blogId',
-          debug: {
-            path: event.path,
-            queryParams: event.queryStringParameters,
-            extractedUid: uid,
-            extractedBlogId: blogId
-          }
-        })
-      };
-    }
+  const selection = parseFieldSelection(queryParams, PRODUCT_INCLUDES);
+  if (selection.error) {
+    return errorResponse(headers, 400, selection.error);
+  }
 
-    // Parse query parameters for filtering, pagination, and sorting
-    const queryParams = event.queryStringParameters || {};
-    const {
-      category,
-      tag,
-      status = 'published',
-      limit,
-      offset = '0',
-      sortBy = 'createdAt',
-      sortOrder = 'desc',
-      minPrice,
-      maxPrice
-    } = queryParams;
-
-    // Get public app settings for this user (including currency)
-    const appSettings = await getPublicAppSettings(uid);
-    const currency = appSettings.currency || '$';
-
-    // Query Firestore for published products in the user's blog
-    const productsRef = db.collection('users').doc(uid).collection('blogs').doc(blogId).collection('products');
-    let query = productsRef;
-
-    // Apply status filter (default to published for public API)
-    if (status && status !== 'all') {
-      query = query.where('status', '==', status);
-    } else {
-      query = query.where('status', '==', 'published');
-    }
+  // Get public app settings for this user (including currency)
+  const appSettings = await getPublicAppSettings(db, uid);
+  const currency = appSettings.currency || '$';
 
-    // Apply category filter
-    if (category) {
-      query = query.where('category', '==', category);
-    }
+  // Query Firestore for published products in the user's blog
+  const productsRef = db.collection('users').doc(uid).collection('blogs').doc(blogId).collection('products');
+  let query = productsRef;
 
-    // Apply tag filter
-    if (tag) {
-      query = query.where('tags', 'array-contains', tag);
-    }
+  // Apply status filter (default to published for public API)
+  const requestedStatus = status && status !== 'all' ? status : 'published';
+  const readsDrafts = requestedStatus !== 'published';
 
-    // Apply sorting (limited by Firestore capabilities)
-    if (sortBy === 'createdAt' || sortBy === 'updatedAt' || sortBy === 'price') {
-      query = query.orderBy(sortBy, sortOrder === 'asc' ? 'asc' : 'desc');
-    }
+  // Unpublished items are only served to the blog's owner or an API key with the read drafts scope
+  if (readsDrafts) {
+    await requireBlogCaller(event, { scope: API_KEY_SCOPES.READ_DRAFTS, uid, blogId });
+  }
 
-    // Apply pagination
-    if (limit) {
-      const limitNum = parseInt(limit);
-      if (!isNaN(limitNum) && limitNum > 0 && limitNum <= 100) {
-        query = query.limit(limitNum);
-      }
-    }
+  if (requestedStatus === 'published') {
+    query = query.where('status', 'in', PUBLIC_QUERY_STATUSES);
+  } else {
+    query = query.where('status', '==', requestedStatus);
+  }
 
-    if (offset && offset !== '0') {
-      const offsetNum = parseInt(offset);
-      if (!isNaN(offsetNum) && offsetNum > 0) {
-        query = query.offset(offsetNum);
-      }
-    }
+  // Apply category filter
+  if (category) {
+    query = query.where('category', '==', category);
+  }
 
-    const snapshot = await query.get();
-
-    const products = [];
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      
-      // Calculate discounted price
-      const originalPrice = data.price || 0;
-      const percentOff = data.percentOff || 0;
-      const discountedPrice = calculateDiscountedPrice(originalPrice, percentOff);
-      
-      // Ensure imageUrls is always an array for consistency
-      let imageUrls = data.imageUrls || [];
-      
-      // If imageUrls is empty but imageUrl exists, use imageUrl as the first item
-      if (imageUrls.length === 0 && data.imageUrl) {
-        imageUrls = [data.imageUrl];
-      }
-      
-      // Convert Firestore timestamps to ISO strings
-      const processedData = {
-        id: doc.id,
-        ...data,
-        // Add currency from user's app settings
-        currency,
-        // Ensure imageUrls is always present as an array
-        imageUrls,
-        // Add calculated fields
-        originalPrice,
-        discountedPrice,
-        savings: originalPrice - discountedPrice,
-        // Use the actual productUrl from Firestore data
-        productUrl: data.productUrl || '',
-        createdAt: data.createdAt ? data.createdAt.toDate().toISOString() : null,
-        updatedAt: data.updatedAt ? data.updatedAt.toDate().toISOString() : null
-      };
-      
-      products.push(processedData);
-    });
+  // Apply tag filter
+  if (tag) {
+    query = query.where('tags', 'array-contains', tag);
+  }
 
-    // Apply client-side filters that Firestore doesn't support
-    let filteredProducts = products;
-
-    // Price range filter
-    if (minPrice || maxPrice) {
-      filteredProducts = filteredProducts.filter(product => {
-        const price = product.discountedPrice;
-        if (minPrice && price < parseFloat(minPrice)) return false;
-        if (maxPrice && price > parseFloat(maxPrice)) return false;
-        return true;
-      });
+  // The total covers every page, so it is counted before sorting and the cursor are applied
+  const filteredQuery = query;
+  const hasPriceRange = Boolean(minPrice || maxPrice);
+
+  // Sort by the requested field, then by document ID so items with equal values keep a stable order
+  query = query
+    .orderBy(sortBy, sortOrder)
+    .orderBy(admin.firestore.FieldPath.documentId(), sortOrder);
+
+  if (cursor) {
+    const position = decodeCursor(cursor, (seconds, nanoseconds) => new admin.firestore.Timestamp(seconds, nanoseconds));
+    if (!position || position.sortBy !== sortBy || position.sortOrder !== sortOrder) {
+      return errorResponse(headers, 400, 'Invalid cursor for this sort order');
     }
+    query = query.startAfter(position.value, position.id);
+  }
+
+  const now = new Date();
+
+  // Never serve or count trashed items, or published items before their publish time or after their
+  // unpublish time
+  const isVisible = (data) => !isTrashed(data) && (readsDrafts || isWithinPublishWindow(data, now));
+
+  // Discounted prices are not stored, so a price range is checked on each product and counted
+  // from a scan of just the pricing and visibility fields; otherwise aggregation queries give the total
+  const countTotal = async () => {
+    if (!hasPriceRange) return countVisible(filteredQuery, readsDrafts ? null : now);
+    const snapshot = await filteredQuery.select(...PRICE_SCAN_FIELDS).get();
+    return snapshot.docs.filter(doc => isVisible(doc.data()) && isInPriceRange(doc.data(), minPrice, maxPrice)).length;
+  };
+
+  // The blog's last public change counts towards Last-Modified
+  const [page, total, blogDoc] = await Promise.all([
+    fetchPage(query, pageSize, data => isVisible(data) && (!hasPriceRange || isInPriceRange(data, minPrice, maxPrice))),
+    countTotal(),
+    productsRef.parent.get()
+  ]);
+  const nextCursor = page.hasMore
+    ? encodeCursor({ sortBy, sortOrder, value: page.lastDoc.get(sortBy), id: page.lastDoc.id })
+    : null;
 
-    // Client-side sorting for fields not supported by Firestore ordering
-    if (sortBy === 'name') {
-      filteredProducts.sort((a, b) => {
-        const comparison = (a.name || '').localeCompare(b.name || '');
-        return sortOrder === 'asc' ? comparison : -comparison;
-      });
-    } else if (sortBy !== 'createdAt' && sortBy !== 'updatedAt' && sortBy !== 'price') {
-      // Default sort by creation date if sortBy is not supported
-      filteredProducts.sort((a, b) => {
-        const dateA = new Date(a.createdAt || 0);
-        const dateB = new Date(b.createdAt || 0);
-        
-        if (sortOrder === 'asc') {
-          return dateA.getTime() - dateB.getTime();
-        } else {
-          return dateB.getTime() - dateA.getTime();
-        }
-      });
+  // Rendered responses link each product to its public page in its structured data
+  const renderContext = format === 'html' ? { origin: await getPublicOrigin(db, uid, event), uid, blogId } : null;
+
+  const embedIncludes = await loadIncludes(db, {
+    uid,
+    blogRef: productsRef.parent,
+    include: selection.include,
+    publicSettings: appSettings
+  });
+  const products = page.docs.map(doc => embedIncludes(selectFields(toPublicProduct(doc, { currency, renderContext }), selection)));
+
+  const body = JSON.stringify({
+    data: products,
+    pagination: {
+      total,
+      limit: pageSize,
+      hasMore: page.hasMore,
+      nextCursor,
+      next: nextCursor ? buildNextUrl(event.path, queryParams, nextCursor) : null
+    },
+    filters: {
+      category: category || null,
+      tag: tag || null,
+      status: status || 'published',
+      minPrice: minPrice || null,
+      maxPrice: maxPrice || null,
+      sortBy,
+      sortOrder,
+      format,
+      include: selection.include
     }
+  });
 
+  // Drafts are only served to authorized callers, so those responses stay out of every cache
+  if (readsDrafts) {
     return {
       statusCode: 200,
-      headers: {
-        ...headers,
-        'X-RateLimit-Limit': RATE_LIMIT_MAX_REQUESTS.toString(),
-        'X-RateLimit-Remaining': rateLimitResult.remaining.toString(),
-        'X-RateLimit-Reset': rateLimitResult.resetTime.toString()
-      },
-      body: JSON.stringify({
-        data: filteredProducts,
-        pagination: {
-          total: filteredProducts.length,
-          limit: limit ? parseInt(limit) : null,
-          offset: parseInt(offset),
-          hasMore: limit ? filteredProducts.length === parseInt(limit) : false
-        },
-        filters: {
-          category: category || null,
-          tag: tag || null,
-          status: status || 'published',
-          minPrice: minPrice || null,
-          maxPrice: maxPrice || null,
-          sortBy,
-          sortOrder
-        }
-      })
-    };
-
-  } catch (error) {
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ 
-        error: 'Internal server error',
-        message: error.message,
-      })
+      headers: { ...headers, ...rateLimitHeaders, 'Cache-Control': PRIVATE_CACHE_CONTROL },
+      body
     };
   }
-};
\ No newline at end of file
+
+  return toCachedResponse(event, {
+    headers: { ...headers, ...rateLimitHeaders },
+    body,
+    lastModified: getListLastModified(page.docs.map(doc => doc.data()), blogDoc.data()),
+    cacheTags: getBlogCacheTags(blogId, ['products']),
+    storeOnCdn: isCdnCacheable(selection)
+  });
+});
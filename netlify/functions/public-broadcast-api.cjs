@@ -1,164 +1,56 @@
-const admin = require('firebase-admin');
-
-// Set CORS headers
-const headers = {
-  'Access-Control-Allow-Origin': '*',
-  'Access-Control-Allow-Headers': 'Content-Type',
-  'Access-Control-Allow-Methods': 'GET, OPTIONS',
-  'Content-Type': 'application/json'
-};
-
-// Initialize Firebase Admin SDK
-let db;
-let initializationError = null;
-
-try {
-  if (!admin.apps.length) {
-    const serviceAccount = {
-      type: "service_account",
-      project_id: process.env.FIREBASE_PROJECT_ID || "admin-cms-ph",
-      private_key_id: process.env.FIREBASE_PRIVATE_KEY_ID,
-      private_key: process.env.FIREBASE_PRIVATE_KEY ? process.env.FIREBASE_PRIVATE_KEY.replace(/\\n/g, '\n') : undefined,
-      client_email: process.env.FIREBASE_CLIENT_EMAIL || "firebase-adminsdk-fbsvc@admin-cms-ph.iam.gserviceaccount.com",
-      client_id: process.env.FIREBASE_CLIENT_ID,
-      auth_uri: "https://accounts.google.com/o/oauth2/auth",
-      token_uri: "https://oauth2.googleapis.com/token",
-      auth_provider_x509_cert_url: "https://www.googleapis.com/oauth2/v1/certs",
-      client_x509_cert_url: process.env.FIREBASE_CLIENT_X509_CERT_URL
-    };
-
-    admin.initializeApp({
-      credential: admin.credential.cert(serviceAccount),
-      projectId: process.env.FIREBASE_PROJECT_ID || "admin-cms-ph"
-    });
+const { db } = require('./shared/firebaseAdmin.cjs');
+const { createHandler } = require('./shared/http.cjs');
+const { BROADCASTS_CACHE_TAG, getLastModified, toCachedResponse } = require('./shared/caching.cjs');
+const { createRateLimiter, getRateLimitHeaders, toRateLimitedResponse } = require('./shared/rateLimit.cjs');
+
+// Shared rate limiter; broadcasts belong to no blog, so every client IP gets the default limit
+const rateLimiter = createRateLimiter(db);
+
+exports.handler = createHandler({
+  name: 'public-broadcast-api',
+  methods: ['GET'],
+  allowHeaders: ['If-None-Match', 'If-Modified-Since'],
+  exposeHeaders: ['ETag', 'Last-Modified']
+}, async ({ event, headers }) => {
+  // Rate limit per client IP
+  const rateLimit = await rateLimiter.check(event);
+  if (!rateLimit.allowed) {
+    return toRateLimitedResponse(headers, rateLimit);
   }
-  db = admin.firestore();
-} catch (error) {
-  console.error('Firebase initialization error:', error);
-  initializationError = error;
-}
 
-// Simple in-memory rate limiting (for basic protection)
-const rateLimitMap = new Map();
-const RATE_LIMIT_WINDOW = 60 * 1000; // 1 minute
-const RATE_LIMIT_MAX_REQUESTS = 100; // 100 requests per minute per IP
-
-function checkRateLimit(clientIP) {
-  const now = Date.now();
-  const clientData = rateLimitMap.get(clientIP) || { count: 0, resetTime: now + RATE_LIMIT_WINDOW };
-  
-  // Reset if window has passed
-  if (now > clientData.resetTime) {
-    clientData.count = 0;
-    clientData.resetTime = now + RATE_LIMIT_WINDOW;
-  }
+  // Fetch active broadcast messages
+  const broadcastRef = db.collection('broadcast-messages')
+    .where('isActive', '==', true)
+    .orderBy('createdAt', 'desc');
   
-  clientData.count++;
-  rateLimitMap.set(clientIP, clientData);
+  const snapshot = await broadcastRef.get();
   
-  return {
-    allowed: clientData.count <= RATE_LIMIT_MAX_REQUESTS,
-    remaining: Math.max(0, RATE_LIMIT_MAX_REQUESTS - clientData.count),
-    resetTime: clientData.resetTime
-  };
-}
-
-exports.handler = async (event, context) => {
-  // Handle preflight requests
-  if (event.httpMethod === 'OPTIONS') {
-    return {
-      statusCode: 200,
-      headers,
-      body: ''
-    };
-  }
-
-  // Check for Firebase initialization errors
-  if (initializationError) {
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ 
-        error: 'Service configuration error',
-        message: 'Unable to initialize Firebase Admin SDK'
-      })
-    };
-  }
-
-  // Only allow GET requests for public API
-  if (event.httpMethod !== 'GET') {
-    return {
-      statusCode: 405,
-      headers,
-      body: JSON.stringify({ error: 'Method not allowed' })
-    };
-  }
-
-  try {
-    // Basic rate limiting
-    const clientIP = event.headers['x-forwarded-for'] || event.headers['x-real-ip'] || 'unknown';
-    const rateLimitResult = checkRateLimit(clientIP);
-    
-    if (!rateLimitResult.allowed) {
-      return {
-        statusCode: 429,
-        headers: {
-          ...headers,
-          'X-RateLimit-Limit': RATE_LIMIT_MAX_REQUESTS.toString(),
-          'X-RateLimit-Remaining': '0',
-          'X-RateLimit-Reset': rateLimitResult.resetTime.toString(),
-          'Retry-After': Math.ceil((rateLimitResult.resetTime - Date.now()) / 1000).toString()
-        },
-        body: JSON.stringify({ 
-          error: 'Rate limit exceeded',
-          message: `Too many requests. Limit: ${RATE_LIMIT_MAX_REQUESTS} requests per minute.`
-        })
-      };
-    }
-
-    // Fetch active broadcast messages
-    const broadcastRef = db.collection('broadcast-messages')
-      .where('isActive', '==', true)
-      .orderBy('createdAt', 'desc');
-    
-    const snapshot = await broadcastRef.get();
-    
-    const messages = [];
-    snapshot.forEach(doc => {
-      const data = doc.data();
-      messages.push({
-        id: doc.id,
-        title: data.title,
-        description: data.description,
-        createdAt: data.createdAt ? data.createdAt.toDate().toISOString() : null,
-        updatedAt: data.updatedAt ? data.updatedAt.toDate().toISOString() : null
-      });
+  const messages = [];
+  snapshot.forEach(doc => {
+    const data = doc.data();
+    messages.push({
+      id: doc.id,
+      title: data.title,
+      description: data.description,
+      createdAt: data.createdAt ? data.createdAt.toDate().toISOString() : null,
+      updatedAt: data.updatedAt ? data.updatedAt.toDate().toISOString() : null
     });
-
-    return {
-      statusCode: 200,
-      headers: {
-        ...headers,
-        'X-RateLimit-Limit': RATE_LIMIT_MAX_REQUESTS.toString(),
-        'X-RateLimit-Remaining': rateLimitResult.remaining.toString(),
-        'X-RateLimit-Reset': rateLimitResult.resetTime.toString()
-      },
-      body: JSON.stringify({
-        data: messages,
-        total: messages.length,
-        lastUpdated: new Date().toISOString()
-      })
-    };
-
-  } catch (error) {
-    console.error('Public broadcast API error:', error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ 
-        error: 'Internal server error',
-        message: error.message
-      })
-    };
-  }
-};
\ No newline at end of file
+  });
+
+  // lastUpdated comes from the messages, so unchanged messages keep the same ETag
+  const lastModified = getLastModified(messages);
+
+  return toCachedResponse(event, {
+    headers: {
+      ...headers,
+      ...getRateLimitHeaders(rateLimit)
+    },
+    body: JSON.stringify({
+      data: messages,
+      total: messages.length,
+      lastUpdated: lastModified ? lastModified.toISOString() : null
+    }),
+    lastModified,
+    cacheTags: [BROADCASTS_CACHE_TAG]
+  });
+});
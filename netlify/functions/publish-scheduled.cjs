@@ -0,0 +1,109 @@
+const { admin, db } = require('./shared/firebaseAdmin.cjs');
+const { createScheduledHandler } = require('./shared/http.cjs');
+const { isTrashed } = require('./shared/trash.cjs');
+const { toWebhookItem, dispatchWebhookEvent } = require('./shared/webhooks.cjs');
+const { recordPublicChange } = require('./shared/caching.cjs');
+const { incrementVersion } = require('./shared/versioning.cjs');
+const { getSearchIndexRef } = require('./shared/search.cjs');
+
+// Firestore batches are limited to 500 writes; each item takes two, its own and its search index entry's
+const BATCH_SIZE = 250;
+
+// Apply an update to every document in a query snapshot, in batches. Search index entries copy the
+// status and publish window, so they get the same fields (merged, as items saved before search was
+// added have no entry until the index is rebuilt).
+async function updateInBatches(collectionName, docs, buildUpdate) {
+  for (let i = 0; i < docs.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    const type = collectionName === 'content' ? 'content' : 'product';
+    docs.slice(i, i + BATCH_SIZE).forEach(doc => {
+      const update = buildUpdate(doc.data());
+      batch.update(doc.ref, update);
+      batch.set(getSearchIndexRef(doc.ref.parent.parent, type, doc.id), {
+        status: update.status,
+        publishAt: update.publishAt !== undefined ? update.publishAt : doc.data().publishAt || null,
+        unpublishAt: update.unpublishAt !== undefined ? update.unpublishAt : doc.data().unpublishAt || null
+      }, { merge: true });
+    });
+    await batch.commit();
+  }
+}
+
+// Tell each item's blog webhooks that it went live or went offline; trashed items were not live either way
+async function notifyWebhooks(collectionName, docs, event) {
+  const type = collectionName === 'content' ? 'content' : 'product';
+  for (const doc of docs.filter(doc => !isTrashed(doc.data()))) {
+    await dispatchWebhookEvent(doc.ref.parent.parent, `${type}.${event}`, toWebhookItem(type, doc.id, {
+      ...doc.data(),
+      status: event === 'published' ? 'published' : 'draft'
+    }));
+  }
+}
+
+// Record a public change, and drop the cached public API responses, of each blog whose items went live or offline
+async function recordPublicChanges(collectionName, docs) {
+  const blogRefs = new Map(docs.map(doc => [doc.ref.parent.parent.path, doc.ref.parent.parent]));
+  for (const blogRef of blogRefs.values()) {
+    await recordPublicChange(blogRef, [collectionName]);
+  }
+}
+
+// Promote scheduled items whose publish time has passed
+async function publishDueItems(collectionName, now) {
+  const snapshot = await db.collectionGroup(collectionName)
+    .where('status', '==', 'scheduled')
+    .where('publishAt', '<=', now)
+    .get();
+
+  // Trashed items keep their schedule but are not published until restored
+  const dueDocs = snapshot.docs.filter(doc => !isTrashed(doc.data()));
+
+  await updateInBatches(collectionName, dueDocs, data => ({
+    status: 'published',
+    publishDate: data.publishAt,
+    publishAt: null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    version: incrementVersion()
+  }));
+  await notifyWebhooks(collectionName, dueDocs, 'published');
+  await recordPublicChanges(collectionName, dueDocs);
+
+  return dueDocs.length;
+}
+
+// Take published items offline once their unpublish time has passed
+async function unpublishExpiredItems(collectionName, now) {
+  const snapshot = await db.collectionGroup(collectionName)
+    .where('status', '==', 'published')
+    .where('unpublishAt', '<=', now)
+    .get();
+
+  await updateInBatches(collectionName, snapshot.docs, () => ({
+    status: 'draft',
+    unpublishAt: null,
+    updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    version: incrementVersion()
+  }));
+  await notifyWebhooks(collectionName, snapshot.docs, 'unpublished');
+  await recordPublicChanges(collectionName, snapshot.docs);
+
+  return snapshot.size;
+}
+
+// Scheduled function (see netlify.toml) that applies due publish/unpublish schedules
+exports.handler = createScheduledHandler({ name: 'publish-scheduled' }, async () => {
+  const now = admin.firestore.Timestamp.now();
+
+  // Publish first so an item whose window already closed is unpublished in the same run
+  const publishedContent = await publishDueItems('content', now);
+  const publishedProducts = await publishDueItems('products', now);
+  const unpublishedContent = await unpublishExpiredItems('content', now);
+  const unpublishedProducts = await unpublishExpiredItems('products', now);
+
+  const results = {
+    published: { content: publishedContent, products: publishedProducts },
+    unpublished: { content: unpublishedContent, products: unpublishedProducts }
+  };
+
+  return results;
+});
@@ -0,0 +1,32 @@
+const { admin, db } = require('./shared/firebaseAdmin.cjs');
+const { createScheduledHandler } = require('./shared/http.cjs');
+const { getSearchIndexRef } = require('./shared/search.cjs');
+
+// Permanently delete trashed items whose retention period has ended, with their search index entries
+async function purgeExpiredItems(collectionName, searchType, now) {
+  const snapshot = await db.collectionGroup(collectionName)
+    .where('purgeAt', '<=', now)
+    .get();
+
+  // Recursive deletes also remove subcollections such as content revision history
+  for (const doc of snapshot.docs) {
+    await db.recursiveDelete(doc.ref);
+    await getSearchIndexRef(doc.ref.parent.parent, searchType, doc.id).delete();
+  }
+
+  return snapshot.size;
+}
+
+// Scheduled function (see netlify.toml) that empties expired items from every blog's trash
+exports.handler = createScheduledHandler({ name: 'purge-trash' }, async () => {
+  const now = admin.firestore.Timestamp.now();
+
+  const results = {
+    purged: {
+      content: await purgeExpiredItems('content', 'content', now),
+      products: await purgeExpiredItems('products', 'product', now)
+    }
+  };
+
+  return results;
+});
@@ -0,0 +1,70 @@
+const { db } = require('./shared/firebaseAdmin.cjs');
+const { errorResponse, jsonResponse, createHandler } = require('./shared/http.cjs');
+const { REDIRECT_TYPES, resolveRedirectTarget } = require('./shared/redirects.cjs');
+const { createRateLimiter, getRateLimitHeaders, toRateLimitedResponse } = require('./shared/rateLimit.cjs');
+
+// Shared rate limiter with each blog's per-IP and per-API-key limits
+const rateLimiter = createRateLimiter(db);
+
+exports.handler = createHandler({
+  name: 'redirects-api',
+  methods: ['GET']
+}, async ({ event, request, headers }) => {
+  // Extract uid and blogId from the request path
+  // Expected path format: /users/{uid}/blogs/{blogId}/api/redirects.json
+  const pathMatch = event.path.match(/\/users\/([^/]+)\/blogs\/([^/]+)\/api\/redirects\.json/);
+  const queryParams = request.query;
+  const uid = pathMatch ? pathMatch[1] : queryParams.uid;
+  const blogId = pathMatch ? pathMatch[2] : queryParams.blogId;
+
+  if (!uid || !blogId) {
+    return errorResponse(headers, 400, 'Missing required parameters: uid and blogId');
+  }
+
+  // Rate limit per client IP, or per API key for integrations, with the blog's configured limits
+  const rateLimit = await rateLimiter.check(event, { uid, blogId });
+  if (!rateLimit.allowed) {
+    return toRateLimitedResponse(headers, rateLimit);
+  }
+
+  const { type } = queryParams;
+  if (type && !REDIRECT_TYPES.includes(type)) {
+    return errorResponse(headers, 400, `type must be one of: ${REDIRECT_TYPES.join(', ')}`);
+  }
+
+  let query = db.collection('users').doc(uid).collection('blogs').doc(blogId).collection('redirects');
+  if (type) {
+    query = query.where('type', '==', type);
+  }
+  const snapshot = await query.get();
+
+  // Group redirects by type so chains resolve within content or products only
+  const redirectMaps = new Map(REDIRECT_TYPES.map(redirectType => [redirectType, new Map()]));
+  snapshot.forEach(doc => {
+    const data = doc.data();
+    if (redirectMaps.has(data.type)) {
+      redirectMaps.get(data.type).set(data.fromSlug, data.toSlug);
+    }
+  });
+
+  const redirects = [];
+  snapshot.forEach(doc => {
+    const data = doc.data();
+    if (!redirectMaps.has(data.type)) return;
+
+    const to = resolveRedirectTarget(redirectMaps.get(data.type), data.fromSlug);
+    if (!to) return;
+
+    redirects.push({
+      type: data.type,
+      from: data.fromSlug,
+      to,
+      createdAt: data.createdAt ? data.createdAt.toDate().toISOString() : null
+    });
+  });
+
+  return jsonResponse({ ...headers, ...getRateLimitHeaders(rateLimit) }, 200, {
+    data: redirects,
+    total: redirects.length
+  });
+});
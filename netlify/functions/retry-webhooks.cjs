@@ -0,0 +1,46 @@
+const { admin, db } = require('./shared/firebaseAdmin.cjs');
+const { createScheduledHandler } = require('./shared/http.cjs');
+const { attemptDelivery, pruneDeliveries } = require('./shared/webhooks.cjs');
+
+// Scheduled functions must finish within 30 seconds and each attempt may take up to 5 seconds
+const MAX_RETRIES_PER_RUN = 50;
+const RETRY_CONCURRENCY = 10;
+
+// Attempt one due delivery, failing it for good when its webhook was removed or disabled
+async function retryDelivery(deliveryDoc) {
+  const webhookDoc = await deliveryDoc.ref.parent.parent.get();
+  if (!webhookDoc.exists || !webhookDoc.data().active) {
+    await deliveryDoc.ref.update({
+      status: 'failed',
+      error: 'Webhook was removed or disabled',
+      nextAttemptAt: null
+    });
+    return 'failed';
+  }
+
+  const result = await attemptDelivery(deliveryDoc.ref, deliveryDoc.data(), webhookDoc.data());
+  return result.status;
+}
+
+// Scheduled function (see netlify.toml) that makes the first attempt at queued webhook deliveries and
+// retries failed ones whose backoff has passed
+exports.handler = createScheduledHandler({ name: 'retry-webhooks' }, async () => {
+  const snapshot = await db.collectionGroup('deliveries')
+    .where('status', '==', 'pending')
+    .where('nextAttemptAt', '<=', admin.firestore.Timestamp.now())
+    .orderBy('nextAttemptAt')
+    .limit(MAX_RETRIES_PER_RUN)
+    .get();
+
+  const results = { succeeded: 0, pending: 0, failed: 0 };
+  for (let i = 0; i < snapshot.docs.length; i += RETRY_CONCURRENCY) {
+    const statuses = await Promise.all(snapshot.docs.slice(i, i + RETRY_CONCURRENCY).map(retryDelivery));
+    statuses.forEach(status => { results[status]++; });
+  }
+
+  // Each webhook's oldest deliveries are dropped once per run rather than on every queued event
+  const webhookRefs = new Map(snapshot.docs.map(doc => [doc.ref.parent.parent.path, doc.ref.parent.parent]));
+  await Promise.all([...webhookRefs.values()].map(pruneDeliveries));
+
+  return results;
+});
@@ -0,0 +1,202 @@
+const { admin, db } = require('./shared/firebaseAdmin.cjs');
+const { errorResponse, jsonResponse, createHandler } = require('./shared/http.cjs');
+const { requireUser } = require('./shared/auth.cjs');
+const { PUBLIC_QUERY_STATUSES, isWithinPublishWindow, toPublicStatusFields } = require('./shared/publishing.cjs');
+const {
+  SEARCH_TYPES,
+  indexSearchItems,
+  parseSearchQuery,
+  scoreSearchTerms,
+  highlightText,
+  buildSnippet,
+  getLookupPrefix
+} = require('./shared/search.cjs');
+const { createRateLimiter, getRateLimitHeaders, toRateLimitedResponse } = require('./shared/rateLimit.cjs');
+
+// Shared rate limiter with each blog's per-IP and per-API-key limits
+const rateLimiter = createRateLimiter(db);
+
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 100;
+
+// Collections holding each searchable type
+const SEARCH_COLLECTIONS = { content: 'content', product: 'products' };
+
+// Firestore getAll calls are kept to a manageable number of documents
+const GET_ALL_CHUNK_SIZE = 100;
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 400;
+
+// Load items by ID, keyed by index document ID
+async function loadSearchItems(blogRef, matches) {
+  const items = new Map();
+  for (let i = 0; i < matches.length; i += GET_ALL_CHUNK_SIZE) {
+    const chunk = matches.slice(i, i + GET_ALL_CHUNK_SIZE);
+    const refs = chunk.map(match => blogRef.collection(SEARCH_COLLECTIONS[match.type]).doc(match.itemId));
+    const docs = await db.getAll(...refs);
+    docs.forEach((doc, index) => {
+      if (doc.exists) items.set(chunk[index].id, doc.data());
+    });
+  }
+  return items;
+}
+
+// Rebuild every index entry of a blog, removing entries of items that no longer exist
+async function rebuildSearchIndex(blogRef) {
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const indexed = {};
+  const validIds = new Set();
+
+  for (const type of SEARCH_TYPES) {
+    const snapshot = await blogRef.collection(SEARCH_COLLECTIONS[type]).get();
+    const items = snapshot.docs.map(doc => ({ id: doc.id, data: doc.data() }));
+    await indexSearchItems(db, blogRef, type, items, now);
+    items.forEach(item => validIds.add(`${type}_${item.id}`));
+    indexed[type] = items.length;
+  }
+
+  const indexSnapshot = await blogRef.collection('searchIndex').get();
+  const staleDocs = indexSnapshot.docs.filter(doc => !validIds.has(doc.id));
+  for (let i = 0; i < staleDocs.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    staleDocs.slice(i, i + BATCH_SIZE).forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+  }
+
+  return indexed;
+}
+
+exports.handler = createHandler({
+  name: 'search-api',
+  methods: ['GET', 'POST']
+}, async ({ event, request, headers }) => {
+  // Rebuilding the index requires authentication
+  if (request.method === 'POST') {
+    const caller = await requireUser(event);
+
+    const data = request.body;
+    if (!data.blogId) {
+      return errorResponse(headers, 400, 'blogId is required');
+    }
+
+    const blogRef = db.collection('users').doc(caller.uid).collection('blogs').doc(data.blogId);
+    const indexed = await rebuildSearchIndex(blogRef);
+
+    return jsonResponse(headers, 200, { success: true, indexed });
+  }
+
+  // Extract uid and blogId from the request path
+  // Expected path format: /users/{uid}/blogs/{blogId}/api/search.json
+  const pathMatch = event.path.match(/\/users\/([^/]+)\/blogs\/([^/]+)\/api\/search\.json/);
+  const queryParams = request.query;
+  const uid = pathMatch ? pathMatch[1] : queryParams.uid;
+  const blogId = pathMatch ? pathMatch[2] : queryParams.blogId;
+
+  if (!uid || !blogId) {
+    return errorResponse(headers, 400, 'Missing required parameters: uid and blogId');
+  }
+
+  // Rate limit per client IP, or per API key for integrations, with the blog's configured limits
+  const rateLimit = await rateLimiter.check(event, { uid, blogId });
+  if (!rateLimit.allowed) {
+    return toRateLimitedResponse(headers, rateLimit);
+  }
+
+  const { q = '', type = 'all', status, limit, offset = '0' } = queryParams;
+  const queryTokens = parseSearchQuery(q);
+  if (queryTokens.length === 0) {
+    return errorResponse(headers, 400, 'q must contain at least one word of 2 or more characters');
+  }
+
+  if (type !== 'all' && !SEARCH_TYPES.includes(type)) {
+    return errorResponse(headers, 400, `type must be one of: all, ${SEARCH_TYPES.join(', ')}`);
+  }
+
+  const limitNum = Math.min(Math.max(parseInt(limit) || DEFAULT_SEARCH_LIMIT, 1), MAX_SEARCH_LIMIT);
+  const offsetNum = Math.max(parseInt(offset) || 0, 0);
+
+  // The blog owner may also search unpublished items, e.g. from the dashboard
+  let isOwner = false;
+  const authHeader = request.headers.authorization;
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    const caller = await requireUser(event).catch(() => null);
+    if (!caller || caller.uid !== uid) {
+      return errorResponse(headers, 403, 'Only the blog owner can search unpublished items');
+    }
+    isOwner = true;
+  }
+
+  // Only entries listing the query's longest term (or its prefix) can match, and the entries carry each
+  // item's status, publish window and trash state, so the whole result is ranked without reading items
+  const blogRef = db.collection('users').doc(uid).collection('blogs').doc(blogId);
+  let indexQuery = blogRef.collection('searchIndex')
+    .where('prefixes', 'array-contains', getLookupPrefix(queryTokens))
+    .where('trashed', '==', false);
+  if (type !== 'all') {
+    indexQuery = indexQuery.where('type', '==', type);
+  }
+  if (!isOwner) {
+    indexQuery = indexQuery.where('status', 'in', PUBLIC_QUERY_STATUSES);
+  } else if (status) {
+    indexQuery = indexQuery.where('status', '==', status);
+  }
+  const indexSnapshot = await indexQuery
+    .select('type', 'itemId', 'terms', 'status', 'publishAt', 'unpublishAt', 'updatedAt')
+    .get();
+
+  const now = new Date();
+  const results = [];
+  indexSnapshot.forEach(doc => {
+    const entry = doc.data();
+    if (!isOwner && !isWithinPublishWindow(entry, now)) return;
+    const score = scoreSearchTerms(entry.terms || {}, queryTokens);
+    if (score > 0) {
+      const updatedTime = entry.updatedAt && typeof entry.updatedAt.toMillis === 'function' ? entry.updatedAt.toMillis() : 0;
+      results.push({ id: doc.id, type: entry.type, itemId: entry.itemId, score, updatedTime });
+    }
+  });
+
+  // Highest relevance first, most recently updated first among equal scores
+  results.sort((a, b) => b.score - a.score || b.updatedTime - a.updatedTime);
+
+  // Only the requested page of items is read
+  const pageMatches = results.slice(offsetNum, offsetNum + limitNum);
+  const items = await loadSearchItems(blogRef, pageMatches);
+
+  // An entry can briefly outlive its item, e.g. between a permanent delete and its index cleanup
+  const page = pageMatches.filter(match => items.has(match.id)).map(match => {
+    const data = items.get(match.id);
+    const title = match.type === 'product' ? data.name : data.title;
+    return {
+      type: match.type,
+      id: match.itemId,
+      title: title || '',
+      slug: data.slug || '',
+      status: isOwner ? data.status : toPublicStatusFields(data).status,
+      imageUrl: match.type === 'product' ? (data.imageUrls || [])[0] || data.imageUrl || null : data.featuredImageUrl || null,
+      score: Math.round(match.score * 100) / 100,
+      highlights: {
+        title: highlightText(title, queryTokens),
+        snippet: buildSnippet(match.type, data, queryTokens)
+      },
+      updatedAt: data.updatedAt ? data.updatedAt.toDate().toISOString() : null
+    };
+  });
+
+  return jsonResponse({ ...headers, ...getRateLimitHeaders(rateLimit) }, 200, {
+    data: page,
+    pagination: {
+      total: results.length,
+      limit: limitNum,
+      offset: offsetNum,
+      hasMore: offsetNum + pageMatches.length < results.length
+    },
+    query: {
+      q,
+      terms: queryTokens,
+      type,
+      status: isOwner ? status || null : 'published'
+    }
+  });
+});
@@ -0,0 +1,187 @@
+// Shared blog API key helpers for Netlify Functions
+// Keys are stored in the top-level apiKeys collection under the SHA-256 hash of the key, so a key
+// presented in an Authorization header is found with a single read and the key itself is never stored
+
+const crypto = require('crypto');
+const { toDate } = require('./publishing.cjs');
+const { createLogger } = require('./logger.cjs');
+
+const logger = createLogger({ module: 'apiKeys' });
+
+// Keys start with a recognisable prefix so they are easy to tell apart from Firebase ID tokens
+const API_KEY_PREFIX = 'cms_';
+
+// Number of leading characters shown in the dashboard to identify a key
+const API_KEY_DISPLAY_LENGTH = API_KEY_PREFIX.length + 8;
+
+const API_KEY_SCOPES = {
+  READ_DRAFTS: 'read:drafts',
+  WRITE_CONTENT: 'write:content',
+  WRITE_PRODUCTS: 'write:products',
+  IMPORT_EXPORT: 'import-export'
+};
+
+const MAX_API_KEY_NAME_LENGTH = 100;
+const MAX_API_KEYS_PER_BLOG = 20;
+
+// lastUsedAt is refreshed at most once per interval to keep busy integrations from writing on every request
+const LAST_USED_UPDATE_INTERVAL = 60 * 1000;
+
+const generateApiKey = () => `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+const getApiKeysRef = (db) => db.collection('apiKeys');
+
+// Check that a key has been neither revoked nor expired at the given time
+const isApiKeyActive = (data, now = new Date()) => {
+  if (data.revokedAt) return false;
+  const expiresAt = toDate(data.expiresAt);
+  return !expiresAt || expiresAt > now;
+};
+
+// Validate the name, scopes and expiry of a new key; returns an error string or null
+const validateApiKeyInput = ({ name, scopes, expiresAt }) => {
+  if (typeof name !== 'string' || !name.trim()) return 'Name is required';
+  if (name.trim().length > MAX_API_KEY_NAME_LENGTH) {
+    return `Name must be less than ${MAX_API_KEY_NAME_LENGTH} characters`;
+  }
+
+  const validScopes = Object.values(API_KEY_SCOPES);
+  if (!Array.isArray(scopes) || scopes.length === 0) return 'Select at least one scope';
+  const invalidScope = scopes.find(scope => !validScopes.includes(scope));
+  if (invalidScope) return `Unknown scope "${invalidScope}". Valid scopes: ${validScopes.join(', ')}`;
+
+  if (expiresAt) {
+    const expiry = toDate(expiresAt);
+    if (!expiry) return 'expiresAt must be a valid date';
+    if (expiry <= new Date()) return 'expiresAt must be in the future';
+  }
+  return null;
+};
+
+// Key details safe to show in the dashboard; the hash doubles as the key's ID
+const toApiKeySummary = (doc) => {
+  const data = doc.data();
+  const toISO = (value) => {
+    const date = toDate(value);
+    return date ? date.toISOString() : null;
+  };
+
+  return {
+    id: doc.id,
+    name: data.name,
+    displayPrefix: data.displayPrefix,
+    scopes: data.scopes || [],
+    createdAt: toISO(data.createdAt),
+    expiresAt: toISO(data.expiresAt),
+    revokedAt: toISO(data.revokedAt),
+    lastUsedAt: toISO(data.lastUsedAt),
+    active: isApiKeyActive(data)
+  };
+};
+
+// Resolve a presented API key to its owner, checking its state and scope
+const verifyApiKey = async (db, key, scope) => {
+  const keyRef = getApiKeysRef(db).doc(hashApiKey(key));
+  const keyDoc = await keyRef.get();
+  if (!keyDoc.exists) return { statusCode: 401, error: 'Invalid API key' };
+
+  const data = keyDoc.data();
+  const now = new Date();
+  if (data.revokedAt) return { statusCode: 401, error: 'API key has been revoked' };
+  if (!isApiKeyActive(data, now)) return { statusCode: 401, error: 'API key has expired' };
+  if (!(data.scopes || []).includes(scope)) {
+    return { statusCode: 403, error: `API key is missing the "${scope}" scope` };
+  }
+
+  // A key stops working once its blog is deleted
+  const blogDoc = await db.collection('users').doc(data.uid).collection('blogs').doc(data.blogId).get();
+  if (!blogDoc.exists) return { statusCode: 401, error: 'Invalid API key' };
+
+  const lastUsedAt = toDate(data.lastUsedAt);
+  if (!lastUsedAt || now - lastUsedAt > LAST_USED_UPDATE_INTERVAL) {
+    await keyRef.update({ lastUsedAt: now }).catch(error => logger.error('Error recording API key use', { error }));
+  }
+
+  return {
+    caller: {
+      uid: data.uid,
+      email: '',
+      name: `API key: ${data.name}`,
+      apiKey: { id: keyDoc.id, blogId: data.blogId, scopes: data.scopes }
+    }
+  };
+};
+
+// Authenticate a request from its Authorization header, accepting a Firebase ID token or a blog API key
+// with the given scope. Returns { caller } where caller has uid, email, name and apiKey (null for ID
+// tokens), or { statusCode, error } when the request is not allowed.
+const authenticateRequest = async (authHeader, { db, auth, scope }) => {
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return { statusCode: 401, error: 'Unauthorized' };
+  }
+
+  const token = authHeader.split('Bearer ')[1];
+  if (isApiKey(token)) {
+    return verifyApiKey(db, token, scope);
+  }
+
+  try {
+    const decodedToken = await auth.verifyIdToken(token);
+    return {
+      caller: {
+        uid: decodedToken.uid,
+        email: decodedToken.email || '',
+        name: decodedToken.name || '',
+        apiKey: null
+      }
+    };
+  } catch (error) {
+    return { statusCode: 401, error: 'Invalid token' };
+  }
+};
+
+// The active key presented in an Authorization header, without checking its scopes, or null.
+// Only identifies the caller (e.g. for its own rate limit); access is still checked by authenticateRequest.
+const findPresentedApiKey = async (db, authHeader) => {
+  const token = authHeader && authHeader.startsWith('Bearer ') ? authHeader.split('Bearer ')[1] : null;
+  if (!isApiKey(token)) return null;
+
+  const keyDoc = await getApiKeysRef(db).doc(hashApiKey(token)).get();
+  if (!keyDoc.exists || !isApiKeyActive(keyDoc.data())) return null;
+  return { id: keyDoc.id, uid: keyDoc.data().uid, blogId: keyDoc.data().blogId };
+};
+
+// API keys belong to a single blog; ID tokens reach every blog of their user
+const canAccessBlog = (caller, blogId) => !caller.apiKey || caller.apiKey.blogId === blogId;
+
+// Authenticate a request against a specific blog from the URL, e.g. draft reads on the public APIs,
+// where the caller must be the blog's owner or hold a key for that blog
+const authorizeBlogRequest = async (authHeader, { db, auth, scope, uid, blogId }) => {
+  const authResult = await authenticateRequest(authHeader, { db, auth, scope });
+  if (authResult.error) return authResult;
+  if (authResult.caller.uid !== uid || !canAccessBlog(authResult.caller, blogId)) {
+    return { statusCode: 403, error: 'Not allowed to access this blog' };
+  }
+  return authResult;
+};
+
+module.exports = {
+  API_KEY_PREFIX,
+  API_KEY_DISPLAY_LENGTH,
+  API_KEY_SCOPES,
+  MAX_API_KEYS_PER_BLOG,
+  generateApiKey,
+  hashApiKey,
+  getApiKeysRef,
+  isApiKeyActive,
+  validateApiKeyInput,
+  toApiKeySummary,
+  authenticateRequest,
+  findPresentedApiKey,
+  canAccessBlog,
+  authorizeBlogRequest
+};
@@ -0,0 +1,77 @@
+// Shared authentication middleware for Netlify Functions
+// Each helper reads the request's Authorization header and resolves to the caller, or throws an HttpError:
+// 401 without a valid credential, 403 when the credential may not do what was asked. They are passed to
+// createHandler as authenticate, or called from a handler when only some methods need a caller.
+// Callers have uid, email, name and apiKey (null unless the request used a blog API key).
+
+const { db, auth } = require('./firebaseAdmin.cjs');
+const { HttpError } = require('./http.cjs');
+const { authenticateRequest, authorizeBlogRequest } = require('./apiKeys.cjs');
+
+const TOKEN_ERROR_MESSAGES = {
+  'auth/id-token-expired': 'Authentication token expired',
+  'auth/id-token-revoked': 'Authentication token revoked'
+};
+
+const toHttpError = (authResult) => new HttpError(authResult.statusCode, authResult.error);
+
+// A signed-in user, with a Firebase ID token only; for requests API keys must never make, such as
+// managing the keys themselves
+const requireUser = async (event) => {
+  const authHeader = (event.headers || {}).authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    throw new HttpError(401, 'Unauthorized');
+  }
+
+  let decodedToken;
+  try {
+    decodedToken = await auth.verifyIdToken(authHeader.split('Bearer ')[1]);
+  } catch (error) {
+    throw new HttpError(401, TOKEN_ERROR_MESSAGES[error.code] || 'Invalid token');
+  }
+
+  return {
+    uid: decodedToken.uid,
+    email: decodedToken.email || '',
+    name: decodedToken.name || '',
+    apiKey: null
+  };
+};
+
+// Role stored in the user's settings, or null for users without settings
+const getUserRole = async (uid) => {
+  const settingsDoc = await db.collection('users').doc(uid).collection('userSettings').doc('preferences').get();
+  return settingsDoc.exists ? settingsDoc.data().role || 'user' : null;
+};
+
+// A signed-in user with the admin role
+const requireAdmin = async (event) => {
+  const caller = await requireUser(event);
+  if (await getUserRole(caller.uid) !== 'admin') {
+    throw new HttpError(403, 'Forbidden: Admin access required');
+  }
+  return caller;
+};
+
+// Middleware accepting a Firebase ID token or a blog API key with the given scope. Handlers must still
+// check that API key callers only reach their own blog (see canAccessBlog).
+const requireCaller = (scope) => async (event) => {
+  const authResult = await authenticateRequest((event.headers || {}).authorization, { db, auth, scope });
+  if (authResult.error) throw toHttpError(authResult);
+  return authResult.caller;
+};
+
+// The owner of the blog named in the URL, or an API key for that blog with the given scope
+const requireBlogCaller = async (event, { scope, uid, blogId }) => {
+  const authResult = await authorizeBlogRequest((event.headers || {}).authorization, { db, auth, scope, uid, blogId });
+  if (authResult.error) throw toHttpError(authResult);
+  return authResult.caller;
+};
+
+module.exports = {
+  getUserRole,
+  requireUser,
+  requireAdmin,
+  requireCaller,
+  requireBlogCaller
+};
@@ -0,0 +1,165 @@
+// Shared HTTP caching helpers for Netlify Functions
+// The public APIs answer with strong ETags and Last-Modified so clients revalidate with a 304, and
+// with Netlify-CDN-Cache-Control and cache tags so Netlify's CDN serves repeat requests without a
+// function call or Firestore read. Functions that change a blog's items purge the matching tags.
+
+const crypto = require('crypto');
+const { PUBLIC_QUERY_STATUSES, toDate } = require('./publishing.cjs');
+const { isTrashed } = require('./trash.cjs');
+const { createLogger } = require('./logger.cjs');
+
+const logger = createLogger({ module: 'caching' });
+
+// Browsers always revalidate, which costs a 304 at most; the CDN keeps responses until a change
+// purges them. Both can be overridden, e.g. to shorten the CDN lifetime where purging is unavailable.
+const DEFAULT_API_CACHE_CONTROL = 'public, max-age=0, must-revalidate';
+const DEFAULT_API_CDN_CACHE_CONTROL = 'public, durable, max-age=3600, stale-while-revalidate=300';
+
+// Responses that depend on who asks (drafts, preview links) are never stored
+const PRIVATE_CACHE_CONTROL = 'private, no-store';
+
+const PURGE_API_URL = 'https://api.netlify.com/api/v1/purge';
+const PURGE_TIMEOUT_MS = 5000;
+
+// Cache tag of every public API response; broadcasts are site-wide rather than per blog
+const BROADCASTS_CACHE_TAG = 'broadcasts';
+
+// Strong ETag for a response body
+const computeETag = (body) => `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+
+// Check a request's conditional headers against the current ETag and last modification time
+// If-None-Match takes precedence over If-Modified-Since, as in RFC 9110
+const isNotModified = (requestHeaders, { etag, lastModified }) => {
+  const ifNoneMatch = requestHeaders['if-none-match'];
+  if (ifNoneMatch) {
+    return ifNoneMatch
+      .split(',')
+      .map(tag => tag.trim().replace(/^W\//, ''))
+      .some(tag => tag === '*' || tag === etag);
+  }
+
+  const ifModifiedSince = requestHeaders['if-modified-since'];
+  if (ifModifiedSince && lastModified) {
+    const since = new Date(ifModifiedSince);
+    // HTTP dates have one-second precision
+    return !isNaN(since.getTime()) && Math.floor(lastModified.getTime() / 1000) <= Math.floor(since.getTime() / 1000);
+  }
+
+  return false;
+};
+
+// Newest updatedAt (or createdAt) of the items behind a response, or null when there are none
+const getLastModified = (items) => {
+  const times = items
+    .filter(Boolean)
+    .map(item => toDate(item.updatedAt) || toDate(item.createdAt))
+    .filter(Boolean)
+    .map(date => date.getTime());
+  return times.length ? new Date(Math.max(...times)) : null;
+};
+
+// Last-Modified of a list response: the newest of its items, or the blog's last public change when that
+// is newer, as an item leaving the list (trashed, unpublished or deleted) changes no item still in it
+const getListLastModified = (items, blogData) =>
+  getLastModified([...items, blogData && { updatedAt: blogData.lastPublicChangeAt }]);
+
+// Tags of a blog's public API responses, one per collection they are built from plus one for the blog
+const getBlogCacheTags = (blogId, collections) => [
+  `blog-${blogId}`,
+  ...collections.map(collection => `blog-${blogId}-${collection}`)
+];
+
+// Answer a public GET with caching headers, or with a 304 when the client's copy is still current.
+// Responses that no purge covers (storeOnCdn false) are not kept by the CDN, but can still be revalidated.
+const toCachedResponse = (event, { headers, body, lastModified, cacheTags, storeOnCdn = true }) => {
+  const etag = computeETag(body);
+  const cacheHeaders = {
+    'Cache-Control': process.env.PUBLIC_API_CACHE_CONTROL || DEFAULT_API_CACHE_CONTROL,
+    ...(storeOnCdn ? {
+      'Netlify-CDN-Cache-Control': process.env.PUBLIC_API_CDN_CACHE_CONTROL || DEFAULT_API_CDN_CACHE_CONTROL,
+      'Netlify-Cache-Tag': cacheTags.join(','),
+      // Each query string (filters, cursor, fields) is a separate CDN entry
+      'Netlify-Vary': 'query'
+    } : {
+      'Netlify-CDN-Cache-Control': 'no-store'
+    }),
+    'ETag': etag,
+    ...(lastModified ? { 'Last-Modified': lastModified.toUTCString() } : {})
+  };
+
+  if (isNotModified(event.headers || {}, { etag, lastModified })) {
+    return {
+      statusCode: 304,
+      headers: { ...headers, ...cacheHeaders },
+      body: ''
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers: { ...headers, ...cacheHeaders },
+    body
+  };
+};
+
+// Drop cached responses with any of the given tags from Netlify's CDN. NETLIFY_PURGE_API_TOKEN and
+// SITE_ID are set for functions on Netlify; elsewhere nothing is cached, so there is nothing to purge.
+// Failures are logged, never thrown, so a purge cannot fail the change that triggered it.
+const purgeCacheTags = async (cacheTags) => {
+  const token = process.env.NETLIFY_PURGE_API_TOKEN;
+  const siteId = process.env.SITE_ID;
+  if (!token || !siteId || cacheTags.length === 0) return;
+
+  try {
+    const response = await fetch(PURGE_API_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ site_id: siteId, cache_tags: cacheTags }),
+      signal: AbortSignal.timeout(PURGE_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      logger.error('Cache purge failed', { status: response.status, cacheTags });
+    }
+  } catch (error) {
+    logger.error('Error purging cached API responses', { cacheTags, error });
+  }
+};
+
+// Whether a change to an item can alter public API responses; saving a draft cannot
+const isPublicChange = (before, after) => [before, after].some(data =>
+  Boolean(data) && PUBLIC_QUERY_STATUSES.includes(data.status) && !isTrashed(data));
+
+// Purge a blog's cached responses built from the given collections, or all of them
+const purgeBlogCache = (blogId, collections = null) => purgeCacheTags(
+  collections ? collections.map(collection => `blog-${blogId}-${collection}`) : [`blog-${blogId}`]
+);
+
+// Record that a change made the blog's public items differ, for the Last-Modified of its lists and feeds,
+// and purge its cached responses built from the given collections (or all of them). Like purging,
+// failures are logged, never thrown.
+const recordPublicChange = async (blogRef, collections = null) => {
+  try {
+    await blogRef.set({ lastPublicChangeAt: new Date() }, { merge: true });
+  } catch (error) {
+    logger.error('Error recording a public change', { blogId: blogRef.id, error });
+  }
+  await purgeBlogCache(blogRef.id, collections);
+};
+
+module.exports = {
+  PRIVATE_CACHE_CONTROL,
+  BROADCASTS_CACHE_TAG,
+  computeETag,
+  isNotModified,
+  getLastModified,
+  getListLastModified,
+  getBlogCacheTags,
+  toCachedResponse,
+  isPublicChange,
+  purgeCacheTags,
+  purgeBlogCache,
+  recordPublicChange
+};
@@ -0,0 +1,199 @@
+// Shared custom content type helpers for Netlify Functions
+const { isTrashed } = require('./trash.cjs');
+
+// Field types a content type schema can use
+const FIELD_TYPES = ['text', 'number', 'date', 'boolean', 'image', 'reference', 'list'];
+
+const MAX_FIELDS = 50;
+const MAX_TEXT_LENGTH = 10000;
+const MAX_LIST_ITEMS = 100;
+const MAX_LIST_ITEM_LENGTH = 200;
+
+const TYPE_KEY_PATTERN = /^[a-z0-9-]+$/;
+const FIELD_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validate a content type definition, returning the first error or null
+const validateContentTypeSchema = (contentType) => {
+  if (!contentType || typeof contentType !== 'object') return 'Content type is required';
+
+  const { key, name, fields } = contentType;
+  if (typeof key !== 'string' || key.length < 2 || key.length > 50 || !TYPE_KEY_PATTERN.test(key)) {
+    return 'Content type key must be 2-50 lowercase letters, numbers, and hyphens';
+  }
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    return 'Content type name is required and must be less than 100 characters';
+  }
+  if (!Array.isArray(fields)) return 'Content type fields must be an array';
+  if (fields.length > MAX_FIELDS) return `Content types can have at most ${MAX_FIELDS} fields`;
+
+  const seenKeys = new Set();
+  for (const field of fields) {
+    if (!field || typeof field.key !== 'string' || field.key.length > 50 || !FIELD_KEY_PATTERN.test(field.key)) {
+      return 'Field keys must start with a letter and contain only letters, numbers, and underscores';
+    }
+    if (seenKeys.has(field.key)) return `Duplicate field key: ${field.key}`;
+    seenKeys.add(field.key);
+
+    if (typeof field.label !== 'string' || !field.label.trim() || field.label.length > 100) {
+      return `Field "${field.key}" needs a label of at most 100 characters`;
+    }
+    if (!FIELD_TYPES.includes(field.type)) {
+      return `Field "${field.key}" type must be one of: ${FIELD_TYPES.join(', ')}`;
+    }
+
+    const options = field.options || {};
+    if (field.type === 'number') {
+      const { min, max } = options;
+      if (min !== undefined && min !== null && !Number.isFinite(min)) return `Field "${field.key}" min must be a number`;
+      if (max !== undefined && max !== null && !Number.isFinite(max)) return `Field "${field.key}" max must be a number`;
+      if (Number.isFinite(min) && Number.isFinite(max) && min > max) return `Field "${field.key}" min must not exceed max`;
+    }
+    if (field.type === 'reference' && options.contentType && !TYPE_KEY_PATTERN.test(options.contentType)) {
+      return `Field "${field.key}" references an invalid content type`;
+    }
+  }
+
+  return null;
+};
+
+// Check whether a custom field value counts as empty
+const isEmptyValue = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Validate and normalize a single custom field value, returning { error, value }
+const validateFieldValue = (field, value) => {
+  const label = field.label || field.key;
+  const options = field.options || {};
+
+  if (field.type === 'boolean') {
+    if (isEmptyValue(value)) return { error: null, value: false };
+    if (typeof value !== 'boolean') return { error: `${label} must be true or false` };
+    return { error: null, value };
+  }
+
+  if (isEmptyValue(value)) {
+    if (field.required) return { error: `${label} is required` };
+    return { error: null, value: field.type === 'list' ? [] : null };
+  }
+
+  switch (field.type) {
+    case 'text':
+      if (typeof value !== 'string') return { error: `${label} must be text` };
+      if (value.length > MAX_TEXT_LENGTH) return { error: `${label} must be less than ${MAX_TEXT_LENGTH} characters` };
+      return { error: null, value };
+
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: `${label} must be a number` };
+      if (Number.isFinite(options.min) && value < options.min) return { error: `${label} must be at least ${options.min}` };
+      if (Number.isFinite(options.max) && value > options.max) return { error: `${label} must be at most ${options.max}` };
+      return { error: null, value };
+
+    case 'date':
+      if (typeof value !== 'string' || !DATE_PATTERN.test(value) || isNaN(new Date(value).getTime())) {
+        return { error: `${label} must be a date in YYYY-MM-DD format` };
+      }
+      return { error: null, value };
+
+    case 'image':
+      if (typeof value !== 'string' || !/^https?:\/\/\S+$/.test(value) || value.length > 2000) {
+        return { error: `${label} must be an image URL` };
+      }
+      return { error: null, value };
+
+    case 'reference':
+      if (typeof value !== 'string' || !value.trim() || value.includes('/')) {
+        return { error: `${label} must be a content ID` };
+      }
+      return { error: null, value: value.trim() };
+
+    case 'list': {
+      if (!Array.isArray(value)) return { error: `${label} must be a list` };
+      if (value.length > MAX_LIST_ITEMS) return { error: `${label} can have at most ${MAX_LIST_ITEMS} items` };
+      const items = [];
+      for (const item of value) {
+        if (typeof item !== 'string') return { error: `${label} items must be text` };
+        if (item.length > MAX_LIST_ITEM_LENGTH) return { error: `${label} items must be less than ${MAX_LIST_ITEM_LENGTH} characters` };
+        if (item.trim()) items.push(item.trim());
+      }
+      if (field.required && items.length === 0) return { error: `${label} is required` };
+      return { error: null, value: items };
+    }
+
+    default:
+      return { error: `${label} has an unsupported field type` };
+  }
+};
+
+// Validate a content item's custom field values against its content type
+// Returns { error, fields } with every schema field present in the normalized result
+const validateCustomFields = (values, contentType) => {
+  if (values !== undefined && values !== null && (typeof values !== 'object' || Array.isArray(values))) {
+    return { error: 'fields must be an object' };
+  }
+
+  const input = values || {};
+  const schemaFields = contentType.fields || [];
+  const unknownKey = Object.keys(input).find(key => !schemaFields.some(field => field.key === key));
+  if (unknownKey) return { error: `Unknown field for content type "${contentType.key}": ${unknownKey}` };
+
+  const fields = {};
+  for (const field of schemaFields) {
+    const result = validateFieldValue(field, input[field.key]);
+    if (result.error) return { error: result.error };
+    fields[field.key] = result.value;
+  }
+
+  return { error: null, fields };
+};
+
+// List the reference field values that need to be checked against existing content
+const getReferenceValues = (fields, contentType) =>
+  (contentType.fields || [])
+    .filter(field => field.type === 'reference' && fields[field.key])
+    .map(field => ({
+      field,
+      id: fields[field.key],
+      contentType: (field.options && field.options.contentType) || null
+    }));
+
+// Validate custom field values against a blog's stored content type, including that references point at existing content
+// Returns { error, fields }
+const validateContentFields = async (blogRef, typeKey, values) => {
+  const typeDoc = await blogRef.collection('contentTypes').doc(typeKey).get();
+  if (!typeDoc.exists) {
+    return { error: `Content type not found: ${typeKey}` };
+  }
+
+  const contentType = { key: typeDoc.id, ...typeDoc.data() };
+  const schemaError = validateContentTypeSchema(contentType);
+  if (schemaError) {
+    return { error: `Content type "${typeKey}" is invalid: ${schemaError}` };
+  }
+
+  const { error, fields } = validateCustomFields(values, contentType);
+  if (error) {
+    return { error };
+  }
+
+  for (const reference of getReferenceValues(fields, contentType)) {
+    const referencedDoc = await blogRef.collection('content').doc(reference.id).get();
+    if (!referencedDoc.exists || isTrashed(referencedDoc.data())) {
+      return { error: `${reference.field.label} references content that does not exist` };
+    }
+    if (reference.contentType && referencedDoc.data().contentType !== reference.contentType) {
+      return { error: `${reference.field.label} must reference "${reference.contentType}" content` };
+    }
+  }
+
+  return { error: null, fields };
+};
+
+module.exports = {
+  FIELD_TYPES,
+  validateContentTypeSchema,
+  validateFieldValue,
+  validateCustomFields,
+  getReferenceValues,
+  validateContentFields
+};
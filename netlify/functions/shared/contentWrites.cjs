@@ -0,0 +1,482 @@
+// Shared content writes for Netlify Functions
+// admin-content and the write methods of content-api both create, update and delete content through
+// these helpers, so whichever API made it, every write is checked against the schema, the blog's content
+// types, the publish schedule and the editorial workflow, records its revision and workflow history, and
+// moves items to the trash rather than deleting them. Imports create their items with addNewContentToBatch.
+// They throw an HttpError when the write is not allowed and resolve to the response body otherwise.
+
+const { admin, db } = require('./firebaseAdmin.cjs');
+const { HttpError, assertValid } = require('./http.cjs');
+const { CONTENT_SCHEMA, validateSchema, validateSchedule } = require('./validation.cjs');
+const { getWorkflowSettings, validateTransition, validateWorkflowComment } = require('./workflow.cjs');
+const { isTrashed, getTrashRetentionDays, getPurgeDate } = require('./trash.cjs');
+const { addSlugChangeToBatch } = require('./redirects.cjs');
+const { validateContentFields } = require('./contentTypes.cjs');
+const { addSearchIndexToBatch, getSearchIndexRef } = require('./search.cjs');
+const { canAccessBlog } = require('./apiKeys.cjs');
+const { getLifecycleEvents, toWebhookItem, dispatchWebhookEvents, dispatchWebhookEvent } = require('./webhooks.cjs');
+const { isPublicChange, recordPublicChange } = require('./caching.cjs');
+const { getVersion, validateVersion, assertVersion, commitVersionedUpdate } = require('./versioning.cjs');
+
+// Fields captured in each revision snapshot
+const REVISION_FIELDS = [
+  'title',
+  'slug',
+  'content',
+  'featuredImageUrl',
+  'metaDescription',
+  'seoTitle',
+  'keywords',
+  'author',
+  'categories',
+  'tags',
+  'fields',
+  'status'
+];
+
+// Maximum number of revisions kept per content item
+const MAX_REVISIONS = 50;
+
+// Build a revision snapshot from a content document
+function buildRevisionSnapshot(data) {
+  const snapshot = {};
+  REVISION_FIELDS.forEach(field => {
+    snapshot[field] = data[field] !== undefined ? data[field] : null;
+  });
+  return snapshot;
+}
+
+// Check whether an update changes any of the revisioned fields
+function hasRevisionChanges(existingData, updateData) {
+  return REVISION_FIELDS.some(field =>
+    updateData[field] !== undefined &&
+    JSON.stringify(updateData[field]) !== JSON.stringify(existingData[field])
+  );
+}
+
+// Describe the user who made a change, for display in the revision history
+function getRevisionAuthor(caller) {
+  return {
+    uid: caller.uid,
+    email: caller.email || '',
+    name: caller.name || ''
+  };
+}
+
+// Convert an ISO date string to a Firestore timestamp (null when empty)
+function toTimestamp(value) {
+  return value ? admin.firestore.Timestamp.fromDate(new Date(value)) : null;
+}
+
+// Convert a stored Firestore timestamp back to an ISO string for comparisons
+function timestampToISO(timestamp) {
+  return timestamp ? timestamp.toDate().toISOString() : null;
+}
+
+// Build a workflow transition record, stored in the history and on the content document
+function buildTransition(fromStatus, toStatus, comment, caller, createdAt) {
+  return {
+    from: fromStatus,
+    to: toStatus,
+    comment: (comment || '').trim(),
+    changedBy: getRevisionAuthor(caller),
+    createdAt
+  };
+}
+
+// Add a new content item to a batch with its first revision and, unless it starts as a draft, the
+// transition that took it from draft to its status; returns the stored data
+function addNewContentToBatch(batch, docRef, data, { caller, workflowComment, now }) {
+  const transition = data.status !== 'draft'
+    ? buildTransition('draft', data.status, workflowComment, caller, now)
+    : null;
+  const contentData = { ...data, lastTransition: transition };
+
+  batch.set(docRef, contentData);
+  batch.set(docRef.collection('revisions').doc(), {
+    ...buildRevisionSnapshot(contentData),
+    savedBy: getRevisionAuthor(caller),
+    restoredFrom: null,
+    createdAt: now
+  });
+  if (transition) {
+    batch.set(docRef.collection('transitions').doc(), transition);
+  }
+  return contentData;
+}
+
+const getBlogRef = (userId, blogId) => db.collection('users').doc(userId).collection('blogs').doc(blogId);
+
+// Load a blog document for its workflow and trash settings (null when missing)
+async function getBlogData(userId, blogId) {
+  const blogDoc = await getBlogRef(userId, blogId).get();
+  return blogDoc.exists ? blogDoc.data() : null;
+}
+
+// Remove the oldest revisions beyond MAX_REVISIONS
+async function pruneRevisions(revisionsRef) {
+  const snapshot = await revisionsRef.orderBy('createdAt', 'desc').offset(MAX_REVISIONS).get();
+  if (snapshot.empty) return;
+
+  const batch = db.batch();
+  snapshot.forEach(doc => batch.delete(doc.ref));
+  await batch.commit();
+}
+
+// blogId is required, and API keys only reach their own blog
+function assertBlogAccess(caller, blogId) {
+  if (!blogId) {
+    throw new HttpError(400, 'blogId is required');
+  }
+  if (!canAccessBlog(caller, blogId)) {
+    throw new HttpError(403, 'API key does not have access to this blog');
+  }
+}
+
+function assertNoError(error) {
+  if (error) {
+    throw new HttpError(400, error);
+  }
+}
+
+// Create a content item from a request body; resolves to { id, version }
+async function createContent(caller, body) {
+  const userId = caller.uid;
+  const { blogId, workflowComment, ...data } = body;
+  assertBlogAccess(caller, blogId);
+
+  // Reject unknown or malformed fields against the schema shared with the editor
+  assertValid(validateSchema(data, CONTENT_SCHEMA));
+  assertNoError(validateWorkflowComment(workflowComment));
+
+  // New content starts as a draft, so any other status must be reachable from draft
+  const status = data.status || 'draft';
+  if (status !== 'draft') {
+    const workflow = getWorkflowSettings(await getBlogData(userId, blogId));
+    assertNoError(validateTransition('draft', status, workflow));
+  }
+
+  // Validate publish schedule
+  assertNoError(validateSchedule(status, data.publishAt, data.unpublishAt));
+
+  // Validate custom fields against the content type, when one is used
+  const contentType = data.contentType || null;
+  let fields = {};
+  if (contentType) {
+    const fieldsResult = await validateContentFields(getBlogRef(userId, blogId), contentType, data.fields);
+    assertNoError(fieldsResult.error);
+    fields = fieldsResult.fields;
+  } else if (data.fields && Object.keys(data.fields).length > 0) {
+    throw new HttpError(400, 'Custom fields require a contentType');
+  }
+
+  // Reference to user's blog content collection
+  const contentRef = getBlogRef(userId, blogId).collection('content');
+
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const docRef = contentRef.doc();
+  const batch = db.batch();
+  const contentData = addNewContentToBatch(batch, docRef, {
+    title: data.title.trim(),
+    slug: data.slug.trim(),
+    content: data.content.trim(),
+    featuredImageUrl: data.featuredImageUrl || '',
+    metaDescription: data.metaDescription || '',
+    seoTitle: data.seoTitle || '',
+    keywords: data.keywords || [],
+    author: (data.author || '').trim(),
+    categories: data.categories || [],
+    tags: data.tags || [],
+    contentType,
+    fields,
+    status,
+    publishAt: status === 'scheduled' ? toTimestamp(data.publishAt) : null,
+    unpublishAt: status !== 'draft' ? toTimestamp(data.unpublishAt) : null,
+    userId,
+    blogId,
+    createdAt: now,
+    updatedAt: now,
+    publishDate: status === 'published' ? now : null,
+    version: 1
+  }, { caller, workflowComment, now });
+  addSearchIndexToBatch(batch, contentRef.parent, 'content', docRef.id, contentData, now);
+  await batch.commit();
+
+  await dispatchWebhookEvents(contentRef.parent, getLifecycleEvents('content', null, contentData),
+    toWebhookItem('content', docRef.id, contentData));
+  if (isPublicChange(null, contentData)) {
+    await recordPublicChange(contentRef.parent, ['content']);
+  }
+
+  return { id: docRef.id, version: contentData.version };
+}
+
+// Update a content item, or restore it from the trash with restore: true, from a request body;
+// resolves to { success, version? }
+async function updateContent(caller, body) {
+  const userId = caller.uid;
+  const { id, blogId, restoredFrom, workflowComment, restore, version, ...updateData } = body;
+
+  if (!id) {
+    throw new HttpError(400, 'Content ID is required');
+  }
+  assertBlogAccess(caller, blogId);
+
+  if (restoredFrom !== undefined && (typeof restoredFrom !== 'string' || !restoredFrom.trim())) {
+    throw new HttpError(400, 'restoredFrom must be a revision ID');
+  }
+
+  assertNoError(validateVersion(version));
+
+  // Fields left out keep their value, but those sent must match the schema
+  assertValid(validateSchema(updateData, CONTENT_SCHEMA, { partial: true }));
+  assertNoError(validateWorkflowComment(workflowComment));
+
+  // Reference to user's blog content collection
+  const contentRef = getBlogRef(userId, blogId).collection('content');
+  const docRef = contentRef.doc(id);
+  const doc = await docRef.get();
+
+  if (!doc.exists) {
+    throw new HttpError(404, 'Content not found');
+  }
+
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const existingData = doc.data();
+
+  // Restore content from the trash
+  if (restore === true) {
+    if (!isTrashed(existingData)) {
+      throw new HttpError(400, 'Content is not in the trash');
+    }
+
+    const restoredData = { ...existingData, deletedAt: null, purgeAt: null };
+    const batch = db.batch();
+    batch.update(docRef, {
+      deletedAt: admin.firestore.FieldValue.delete(),
+      purgeAt: admin.firestore.FieldValue.delete(),
+      updatedAt: now
+    });
+    // Search index entries carry the trash state, so the item shows up in search again
+    addSearchIndexToBatch(batch, contentRef.parent, 'content', id, restoredData, now);
+    await batch.commit();
+
+    await dispatchWebhookEvents(contentRef.parent, getLifecycleEvents('content', existingData, restoredData),
+      toWebhookItem('content', id, restoredData));
+    if (isPublicChange(existingData, restoredData)) {
+      await recordPublicChange(contentRef.parent, ['content']);
+    }
+
+    return { success: true };
+  }
+
+  if (isTrashed(existingData)) {
+    throw new HttpError(400, 'Restore this content from the trash before editing it');
+  }
+
+  // Reject saves based on an older version than the stored one, e.g. from another tab
+  assertVersion(id, existingData, version, 'Content');
+
+  // Content keeps the content type it was created with
+  if (updateData.contentType !== undefined && (updateData.contentType || null) !== (existingData.contentType || null)) {
+    throw new HttpError(400, 'The content type of existing content cannot be changed');
+  }
+
+  let validatedFields;
+  if (updateData.fields !== undefined) {
+    if (!existingData.contentType) {
+      throw new HttpError(400, 'Custom fields require a contentType');
+    }
+
+    const fieldsResult = await validateContentFields(getBlogRef(userId, blogId), existingData.contentType, updateData.fields);
+    assertNoError(fieldsResult.error);
+    validatedFields = fieldsResult.fields;
+  }
+
+  const existingStatus = existingData.status || 'draft';
+
+  // Enforce the editorial workflow on status changes
+  const statusChanged = updateData.status !== undefined && updateData.status !== existingStatus;
+  if (workflowComment && !statusChanged) {
+    throw new HttpError(400, 'workflowComment can only be sent with a status change');
+  }
+
+  if (statusChanged) {
+    const workflow = getWorkflowSettings(await getBlogData(userId, blogId));
+    assertNoError(validateTransition(existingStatus, updateData.status, workflow));
+  }
+
+  // Validate the publish schedule against the resulting state
+  const nextStatus = updateData.status !== undefined ? updateData.status : existingStatus;
+  const existingPublishAt = timestampToISO(existingData.publishAt);
+  const nextPublishAt = updateData.publishAt !== undefined ? updateData.publishAt : existingPublishAt;
+  const nextUnpublishAt = updateData.unpublishAt !== undefined ? updateData.unpublishAt : timestampToISO(existingData.unpublishAt);
+  const publishAtChanged = statusChanged ||
+    (nextPublishAt ? new Date(nextPublishAt).toISOString() : null) !== existingPublishAt;
+
+  assertNoError(validateSchedule(nextStatus, nextPublishAt, nextUnpublishAt, { requireFuture: publishAtChanged }));
+
+  // Build update object with only the fields that are being changed
+  const contentData = {
+    updatedAt: now,
+    version: getVersion(existingData) + 1
+  };
+
+  // Only include fields that are explicitly provided in the update
+  if (updateData.title !== undefined) contentData.title = updateData.title;
+  if (updateData.slug !== undefined) contentData.slug = updateData.slug;
+  if (updateData.content !== undefined) contentData.content = updateData.content;
+  if (updateData.featuredImageUrl !== undefined) contentData.featuredImageUrl = updateData.featuredImageUrl;
+  if (updateData.metaDescription !== undefined) contentData.metaDescription = updateData.metaDescription;
+  if (updateData.seoTitle !== undefined) contentData.seoTitle = updateData.seoTitle;
+  if (updateData.keywords !== undefined) contentData.keywords = updateData.keywords;
+  if (updateData.author !== undefined) contentData.author = updateData.author;
+  if (updateData.categories !== undefined) contentData.categories = updateData.categories;
+  if (updateData.tags !== undefined) contentData.tags = updateData.tags;
+  if (validatedFields !== undefined) contentData.fields = validatedFields;
+  if (updateData.status !== undefined) {
+    contentData.status = updateData.status;
+    // Update publishDate if status changed to published
+    if (updateData.status === 'published' && existingData.status !== 'published') {
+      contentData.publishDate = now;
+    }
+  }
+
+  // publishAt only applies while scheduled; unpublishAt never applies to drafts
+  if (updateData.status !== undefined || updateData.publishAt !== undefined) {
+    contentData.publishAt = nextStatus === 'scheduled' ? toTimestamp(nextPublishAt) : null;
+  }
+  if (updateData.status !== undefined || updateData.unpublishAt !== undefined) {
+    contentData.unpublishAt = nextStatus !== 'draft' ? toTimestamp(nextUnpublishAt) : null;
+  }
+
+  // Snapshot the new state into the revision history when revisioned fields change
+  const revisionsRef = docRef.collection('revisions');
+  const shouldRecordRevision = hasRevisionChanges(existingData, contentData);
+
+  // Write in a transaction that fails if the content was saved since it was read above
+  await commitVersionedUpdate(db, docRef, existingData, 'Content', async (transaction) => {
+    // Record the status change, with any reviewer comment, in the workflow history
+    if (statusChanged) {
+      const transition = buildTransition(existingStatus, updateData.status, workflowComment, caller, now);
+      contentData.lastTransition = transition;
+      transaction.set(docRef.collection('transitions').doc(), transition);
+    }
+
+    transaction.update(docRef, contentData);
+    addSearchIndexToBatch(transaction, contentRef.parent, 'content', id, { ...existingData, ...contentData }, now);
+
+    // Keep links to published content working when its slug changes
+    if (contentData.slug !== undefined && contentData.slug !== existingData.slug &&
+        existingStatus === 'published' && existingData.slug) {
+      await addSlugChangeToBatch(transaction, getBlogRef(userId, blogId).collection('redirects'), {
+        type: 'content',
+        targetId: id,
+        oldSlug: existingData.slug,
+        newSlug: contentData.slug,
+        createdAt: now
+      });
+    }
+
+    if (shouldRecordRevision) {
+      // Content saved before revisions existed gets its previous state recorded first
+      const existingRevisions = await revisionsRef.limit(1).get();
+      if (existingRevisions.empty) {
+        transaction.set(revisionsRef.doc(), {
+          ...buildRevisionSnapshot(existingData),
+          savedBy: { uid: existingData.userId || userId, email: '', name: existingData.author || '' },
+          restoredFrom: null,
+          createdAt: existingData.updatedAt || existingData.createdAt || now
+        });
+      }
+
+      transaction.set(revisionsRef.doc(), {
+        ...buildRevisionSnapshot({ ...existingData, ...contentData }),
+        savedBy: getRevisionAuthor(caller),
+        restoredFrom: restoredFrom || null,
+        createdAt: now
+      });
+    }
+  });
+
+  if (shouldRecordRevision) {
+    await pruneRevisions(revisionsRef);
+  }
+
+  const updatedData = { ...existingData, ...contentData };
+  await dispatchWebhookEvents(contentRef.parent, getLifecycleEvents('content', existingData, updatedData),
+    toWebhookItem('content', id, updatedData));
+  if (isPublicChange(existingData, updatedData)) {
+    await recordPublicChange(contentRef.parent, ['content']);
+  }
+
+  return { success: true, version: contentData.version };
+}
+
+// Move a content item to the trash, or with permanent: true delete one already in the trash together
+// with its revision and workflow history, from a request body; resolves to the response body
+async function deleteContent(caller, body) {
+  const userId = caller.uid;
+  const { id, blogId, permanent } = body;
+
+  if (!id) {
+    throw new HttpError(400, 'Content ID is required');
+  }
+  assertBlogAccess(caller, blogId);
+
+  // Reference to user's blog content collection
+  const contentRef = getBlogRef(userId, blogId).collection('content');
+  const docRef = contentRef.doc(id);
+  const doc = await docRef.get();
+
+  if (!doc.exists) {
+    throw new HttpError(404, 'Content not found');
+  }
+
+  if (permanent === true) {
+    if (!isTrashed(doc.data())) {
+      throw new HttpError(400, 'Move content to the trash before deleting it permanently');
+    }
+
+    await db.recursiveDelete(docRef);
+    await getSearchIndexRef(contentRef.parent, 'content', id).delete();
+    await dispatchWebhookEvent(contentRef.parent, 'content.deleted', { ...toWebhookItem('content', id, doc.data()), permanent: true });
+
+    return { success: true };
+  }
+
+  if (isTrashed(doc.data())) {
+    throw new HttpError(400, 'Content is already in the trash');
+  }
+
+  // Keep trashed content for the blog's retention period before it is purged
+  const deletedAt = new Date();
+  const purgeAt = getPurgeDate(deletedAt, getTrashRetentionDays(await getBlogData(userId, blogId)));
+  const trashFields = {
+    deletedAt: admin.firestore.Timestamp.fromDate(deletedAt),
+    purgeAt: admin.firestore.Timestamp.fromDate(purgeAt)
+  };
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const batch = db.batch();
+  batch.update(docRef, { ...trashFields, updatedAt: now });
+  // Search index entries carry the trash state, so the item drops out of search
+  addSearchIndexToBatch(batch, contentRef.parent, 'content', id, { ...doc.data(), ...trashFields }, now);
+  await batch.commit();
+  await dispatchWebhookEvent(contentRef.parent, 'content.deleted', { ...toWebhookItem('content', id, doc.data()), permanent: false });
+  if (isPublicChange(doc.data(), null)) {
+    await recordPublicChange(contentRef.parent, ['content']);
+  }
+
+  return {
+    success: true,
+    deletedAt: deletedAt.toISOString(),
+    purgeAt: purgeAt.toISOString()
+  };
+}
+
+module.exports = {
+  addNewContentToBatch,
+  createContent,
+  updateContent,
+  deleteContent
+};
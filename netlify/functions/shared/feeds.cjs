@@ -0,0 +1,130 @@
+// Shared RSS 2.0, Atom 1.0 and JSON Feed 1.1 builders for Netlify Functions
+// A feed is { title, description, homeUrl, feedUrl, updatedAt }; each item is
+// { id, url, title, summary, contentHtml, publishedAt, updatedAt, author, categories, image }
+// where contentHtml is null in excerpt mode and image is { url, mimeType } or null
+
+const { escapeHtml } = require('./markdown.cjs');
+
+const FEED_FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+const FEED_MODES = ['full', 'excerpt'];
+
+const GENERATOR = 'Admin CMS';
+
+const escapeXml = (text) => escapeHtml(text || '').replace(/'/g, '&apos;');
+
+// Guess an image's MIME type from its URL, for enclosures and attachments
+const getImageMimeType = (url) => {
+  const extension = (url.split('?')[0].match(/\.([a-z0-9]+)$/i) || [])[1];
+  const types = { png: 'image/png', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml', avif: 'image/avif' };
+  return types[(extension || '').toLowerCase()] || 'image/jpeg';
+};
+
+const buildRssFeed = (feed, items) => {
+  const itemsXml = items.map(item => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.url)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+    `      <pubDate>${item.publishedAt.toUTCString()}</pubDate>`,
+    item.author ? `      <dc:creator>${escapeXml(item.author)}</dc:creator>` : null,
+    ...item.categories.map(category => `      <category>${escapeXml(category)}</category>`),
+    `      <description>${escapeXml(item.summary)}</description>`,
+    item.contentHtml ? `      <content:encoded>${escapeXml(item.contentHtml)}</content:encoded>` : null,
+    // RSS requires an enclosure length; 0 is the accepted value when it is unknown
+    item.image ? `      <enclosure url="${escapeXml(item.image.url)}" length="0" type="${item.image.mimeType}" />` : null,
+    '    </item>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.homeUrl)}</link>`,
+    `    <description>${escapeXml(feed.description || feed.title)}</description>`,
+    `    <atom:link href="${escapeXml(feed.feedUrl)}" rel="self" type="application/rss+xml" />`,
+    `    <lastBuildDate>${feed.updatedAt.toUTCString()}</lastBuildDate>`,
+    `    <generator>${GENERATOR}</generator>`,
+    ...itemsXml,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+};
+
+const buildAtomFeed = (feed, items) => {
+  const entriesXml = items.map(item => [
+    '  <entry>',
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}" />`,
+    `    <id>${escapeXml(item.id)}</id>`,
+    `    <published>${item.publishedAt.toISOString()}</published>`,
+    `    <updated>${item.updatedAt.toISOString()}</updated>`,
+    item.author ? `    <author><name>${escapeXml(item.author)}</name></author>` : null,
+    ...item.categories.map(category => `    <category term="${escapeXml(category)}" />`),
+    `    <summary type="text">${escapeXml(item.summary)}</summary>`,
+    item.contentHtml ? `    <content type="html">${escapeXml(item.contentHtml)}</content>` : null,
+    item.image ? `    <link rel="enclosure" type="${item.image.mimeType}" href="${escapeXml(item.image.url)}" />` : null,
+    '  </entry>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${escapeXml(feed.title)}</title>`,
+    feed.description ? `  <subtitle>${escapeXml(feed.description)}</subtitle>` : null,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}" />`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.feedUrl)}" />`,
+    `  <id>${escapeXml(feed.feedUrl)}</id>`,
+    `  <updated>${feed.updatedAt.toISOString()}</updated>`,
+    // Atom requires an author on the feed when an entry has none
+    `  <author><name>${escapeXml(feed.title)}</name></author>`,
+    `  <generator>${GENERATOR}</generator>`,
+    ...entriesXml,
+    '</feed>',
+    ''
+  ].filter(line => line !== null).join('\n');
+};
+
+const buildJsonFeed = (feed, items) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  home_page_url: feed.homeUrl,
+  feed_url: feed.feedUrl,
+  description: feed.description || undefined,
+  items: items.map(item => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    summary: item.summary,
+    // JSON Feed items need content; excerpt feeds carry the summary as text
+    ...(item.contentHtml ? { content_html: item.contentHtml } : { content_text: item.summary }),
+    image: item.image ? item.image.url : undefined,
+    date_published: item.publishedAt.toISOString(),
+    date_modified: item.updatedAt.toISOString(),
+    authors: item.author ? [{ name: item.author }] : undefined,
+    tags: item.categories.length > 0 ? item.categories : undefined,
+    attachments: item.image ? [{ url: item.image.url, mime_type: item.image.mimeType }] : undefined
+  }))
+}, null, 2);
+
+const FEED_BUILDERS = {
+  rss: buildRssFeed,
+  atom: buildAtomFeed,
+  json: buildJsonFeed
+};
+
+// Render a feed in the given format
+const buildFeed = (format, feed, items) => FEED_BUILDERS[format](feed, items);
+
+module.exports = {
+  FEED_FORMATS,
+  FEED_MODES,
+  getImageMimeType,
+  buildFeed
+};
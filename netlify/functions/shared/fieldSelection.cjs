@@ -0,0 +1,107 @@
+// Shared sparse fieldset and include helpers for the public content and products endpoints
+// ?fields= keeps only the named top-level fields of each item and ?exclude= drops them, so list pages can
+// skip large fields such as the Markdown body. ?include= embeds records an item would otherwise need
+// separate requests for. The id is always kept, and embeds are added after the selection is applied.
+
+const { isWithinPublishWindow } = require('./publishing.cjs');
+const { isTrashed } = require('./trash.cjs');
+const { loadRelatedEntries } = require('./related.cjs');
+const { PRODUCT_SUMMARY_FIELDS, getPublicAppSettings, toProductEntry } = require('./publicProducts.cjs');
+
+const FIELD_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_SELECTED_FIELDS = 50;
+
+// Profile fields the account owner publishes from the account settings page
+const AUTHOR_PROFILE_FIELDS = ['displayName', 'bio', 'website', 'location'];
+
+const parseList = (value) => [...new Set(String(value || '').split(',').map(name => name.trim()).filter(Boolean))];
+
+// Read ?fields=, ?exclude= and ?include= into { fields, exclude, include }, or { error } when invalid
+// fields is null when every field is wanted; include may only name the embeds the endpoint supports
+const parseFieldSelection = (queryParams, allowedIncludes) => {
+  const fields = parseList(queryParams.fields);
+  const exclude = parseList(queryParams.exclude);
+  const include = parseList(queryParams.include);
+
+  const invalidName = [...fields, ...exclude].find(name => !FIELD_NAME_PATTERN.test(name));
+  if (invalidName) {
+    return { error: `Invalid field name: ${invalidName}` };
+  }
+  if (fields.length > MAX_SELECTED_FIELDS || exclude.length > MAX_SELECTED_FIELDS) {
+    return { error: `fields and exclude may name at most ${MAX_SELECTED_FIELDS} fields` };
+  }
+  if (exclude.includes('id')) {
+    return { error: 'id cannot be excluded' };
+  }
+  if (include.some(name => !allowedIncludes.includes(name))) {
+    return { error: `include must be a comma-separated list of: ${allowedIncludes.join(', ')}` };
+  }
+
+  return {
+    fields: fields.length ? new Set(['id', ...fields]) : null,
+    exclude: new Set(exclude),
+    include
+  };
+};
+
+// Keep the selected fields of a public item
+const selectFields = (item, { fields, exclude }) => Object.fromEntries(
+  Object.entries(item).filter(([name]) => (!fields || fields.has(name)) && !exclude.has(name))
+);
+
+// The public profile of the account owner, or null when none has been published
+const toAuthorProfile = (publicSettings) => {
+  const profile = publicSettings.authorProfile;
+  if (!profile) return null;
+  return Object.fromEntries(AUTHOR_PROFILE_FIELDS.map(name => [name, profile[name] || '']));
+};
+
+// The author's profile is saved from the account settings, which purges nothing, so responses embedding it
+// are not kept by the CDN and stop showing the profile as soon as the owner unpublishes it
+const isCdnCacheable = ({ include }) => !include.includes('author');
+
+// Load what ?include= asks for once per request and return a function embedding it in one item
+// Related products are matched by shared categories and tags, so callers pass the entries (from
+// toContentEntry) of the items they will embed into, and the function takes the item's entry too; they are
+// the same summaries the products API returns for related cards. Callers that already read the public
+// app settings pass them in to save a read.
+async function loadIncludes(db, { uid, blogRef, include, relatedLimit, entries = [], publicSettings = null }) {
+  if (!include.length) return item => item;
+
+  publicSettings = publicSettings || await getPublicAppSettings(db, uid);
+  const authorProfile = include.includes('author') ? toAuthorProfile(publicSettings) : null;
+
+  // Each item's related products are read from the products sharing one of its categories or tags
+  const relatedProducts = new Map();
+  if (include.includes('products')) {
+    const now = new Date();
+    const publishedQuery = blogRef.collection('products')
+      .where('status', '==', 'published')
+      .select(...PRODUCT_SUMMARY_FIELDS);
+    const options = {
+      categoryFilter: ['category', 'in'],
+      dateField: 'createdAt',
+      limit: relatedLimit,
+      isVisible: data => Boolean(data.slug) && !isTrashed(data) && isWithinPublishWindow(data, now),
+      toEntry: doc => toProductEntry(doc, publicSettings.currency || '$')
+    };
+    await Promise.all(entries.map(async entry => {
+      const productEntries = await loadRelatedEntries(publishedQuery, entry, options);
+      relatedProducts.set(entry.id, productEntries.map(productEntry => productEntry.summary));
+    }));
+  }
+
+  return (item, entry) => ({
+    ...item,
+    ...(include.includes('author') ? { authorProfile } : {}),
+    ...(include.includes('products') ? { relatedProducts: relatedProducts.get(entry.id) || [] } : {})
+  });
+}
+
+module.exports = {
+  AUTHOR_PROFILE_FIELDS,
+  parseFieldSelection,
+  selectFields,
+  isCdnCacheable,
+  loadIncludes
+};
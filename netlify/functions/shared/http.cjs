@@ -0,0 +1,189 @@
+// Shared request handling for Netlify Functions
+// createHandler wraps a function's handler with CORS and preflight handling, the method check, body
+// parsing, authentication and request logging. Handlers return a response, or throw an HttpError to
+// reject the request. Every error is sent as { error, code, details? }: error is a readable message
+// and code a stable identifier (e.g. NOT_FOUND, VALIDATION_FAILED) that clients can branch on.
+
+const crypto = require('crypto');
+const { createLogger } = require('./logger.cjs');
+
+const ERROR_CODES = {
+  BAD_REQUEST: 'BAD_REQUEST',
+  INVALID_JSON: 'INVALID_JSON',
+  VALIDATION_FAILED: 'VALIDATION_FAILED',
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+  NOT_FOUND: 'NOT_FOUND',
+  METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+  CONFLICT: 'CONFLICT',
+  VERSION_CONFLICT: 'VERSION_CONFLICT',
+  IDEMPOTENCY_KEY_IN_USE: 'IDEMPOTENCY_KEY_IN_USE',
+  IDEMPOTENCY_KEY_REUSED: 'IDEMPOTENCY_KEY_REUSED',
+  PAYLOAD_TOO_LARGE: 'PAYLOAD_TOO_LARGE',
+  UNPROCESSABLE_ENTITY: 'UNPROCESSABLE_ENTITY',
+  RATE_LIMITED: 'RATE_LIMITED',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+// Code used when an error does not name a more specific one
+const DEFAULT_ERROR_CODES = {
+  400: ERROR_CODES.BAD_REQUEST,
+  401: ERROR_CODES.UNAUTHORIZED,
+  403: ERROR_CODES.FORBIDDEN,
+  404: ERROR_CODES.NOT_FOUND,
+  405: ERROR_CODES.METHOD_NOT_ALLOWED,
+  409: ERROR_CODES.CONFLICT,
+  413: ERROR_CODES.PAYLOAD_TOO_LARGE,
+  422: ERROR_CODES.UNPROCESSABLE_ENTITY,
+  429: ERROR_CODES.RATE_LIMITED
+};
+
+const getDefaultErrorCode = (statusCode) => DEFAULT_ERROR_CODES[statusCode] || ERROR_CODES.INTERNAL_ERROR;
+
+class HttpError extends Error {
+  constructor(statusCode, message, { code, details } = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.statusCode = statusCode;
+    this.code = code || getDefaultErrorCode(statusCode);
+    this.details = details;
+  }
+}
+
+// CORS and content headers of a function's responses; Authorization is always allowed because the
+// public APIs also read it, e.g. to rate limit API keys separately
+const createCorsHeaders = ({ methods, allowHeaders = [], exposeHeaders = [], contentType = 'application/json' }) => ({
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': ['Content-Type', 'Authorization', ...allowHeaders].join(', '),
+  'Access-Control-Allow-Methods': [...methods, 'OPTIONS'].join(', '),
+  ...(exposeHeaders.length > 0 ? { 'Access-Control-Expose-Headers': exposeHeaders.join(', ') } : {}),
+  ...(contentType ? { 'Content-Type': contentType } : {})
+});
+
+const jsonResponse = (headers, statusCode, body) => ({
+  statusCode,
+  headers,
+  body: JSON.stringify(body)
+});
+
+const errorResponse = (headers, statusCode, message, { code, details } = {}) => jsonResponse(headers, statusCode, {
+  error: message,
+  code: code || getDefaultErrorCode(statusCode),
+  ...(details !== undefined ? { details } : {})
+});
+
+// Read a request into { method, path, query, body, data, headers }. body is the parsed JSON body ({} when
+// empty) and data is what most handlers read their input from: the query for GET, otherwise the body.
+const parseRequest = (event) => {
+  const query = event.queryStringParameters || {};
+  let body = {};
+
+  if (event.body && event.httpMethod !== 'GET') {
+    const rawBody = event.isBase64Encoded ? Buffer.from(event.body, 'base64').toString('utf8') : event.body;
+    try {
+      body = JSON.parse(rawBody);
+    } catch (error) {
+      throw new HttpError(400, 'Request body must be valid JSON', { code: ERROR_CODES.INVALID_JSON });
+    }
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw new HttpError(400, 'Request body must be a JSON object', { code: ERROR_CODES.INVALID_JSON });
+    }
+  }
+
+  return {
+    method: event.httpMethod,
+    path: event.path,
+    query,
+    body,
+    data: event.httpMethod === 'GET' ? query : body,
+    headers: event.headers || {}
+  };
+};
+
+// Throw a 400 for the errors of validateObject or validateSchema ({ field: message }), if there are any
+const assertValid = (errors) => {
+  const fields = Object.keys(errors);
+  if (fields.length > 0) {
+    throw new HttpError(400, errors[fields[0]], { code: ERROR_CODES.VALIDATION_FAILED, details: { fields: errors } });
+  }
+};
+
+// Unexpected errors only reveal their message in development
+const toInternalErrorResponse = (headers, error) => errorResponse(headers, 500, 'Internal server error', {
+  details: process.env.NODE_ENV === 'development' ? error.message : undefined
+});
+
+// Create a Netlify Function handler. Options:
+// - name: function name used in logs
+// - methods: accepted HTTP methods; others get a 405
+// - allowHeaders, exposeHeaders, contentType: CORS and content headers, see createCorsHeaders
+// - authenticate: optional middleware (see auth.cjs) called as authenticate(event) before the handler;
+//   its result is passed on as caller
+// handle({ event, context, request, caller, headers, log }) returns the response. headers holds the
+// CORS headers to send and log is a logger carrying the function name and request ID.
+const createHandler = ({ name, methods, allowHeaders, exposeHeaders, contentType, authenticate = null }, handle) => {
+  const headers = createCorsHeaders({ methods, allowHeaders, exposeHeaders, contentType });
+  const logger = createLogger({ function: name });
+
+  return async (event, context = {}) => {
+    if (event.httpMethod === 'OPTIONS') {
+      return { statusCode: 200, headers, body: '' };
+    }
+
+    const startedAt = Date.now();
+    const requestId = (event.headers || {})['x-nf-request-id'] || context.awsRequestId || crypto.randomUUID();
+    const log = logger.child({ requestId });
+    const requestFields = { method: event.httpMethod, path: event.path };
+
+    let response;
+    try {
+      if (!methods.includes(event.httpMethod)) {
+        throw new HttpError(405, 'Method not allowed');
+      }
+
+      const request = parseRequest(event);
+      const caller = authenticate ? await authenticate(event) : null;
+      response = await handle({ event, context, request, caller, headers, log });
+    } catch (error) {
+      if (error instanceof HttpError) {
+        response = errorResponse(headers, error.statusCode, error.message, error);
+      } else {
+        log.error('Unhandled error', { ...requestFields, error });
+        response = toInternalErrorResponse(headers, error);
+      }
+    }
+
+    log.info('Request completed', { ...requestFields, statusCode: response.statusCode, durationMs: Date.now() - startedAt });
+    return response;
+  };
+};
+
+// Create the handler of a scheduled function (see netlify.toml). run(log) returns a summary of the
+// work done, which is logged and returned as the response body.
+const createScheduledHandler = ({ name }, run) => {
+  const logger = createLogger({ function: name });
+
+  return async (event, context = {}) => {
+    const log = logger.child({ requestId: context.awsRequestId || crypto.randomUUID() });
+    try {
+      const results = await run(log);
+      log.info('Scheduled run completed', { results });
+      return { statusCode: 200, body: JSON.stringify(results) };
+    } catch (error) {
+      log.error('Scheduled run failed', { error });
+      return toInternalErrorResponse({}, error);
+    }
+  };
+};
+
+module.exports = {
+  ERROR_CODES,
+  HttpError,
+  createCorsHeaders,
+  jsonResponse,
+  errorResponse,
+  parseRequest,
+  assertValid,
+  createHandler,
+  createScheduledHandler
+};
@@ -0,0 +1,110 @@
+// Shared Idempotency-Key handling for Netlify Functions
+// A client retrying a POST, e.g. after a timeout, sends the same Idempotency-Key header with every attempt.
+// The first successful response is stored and replayed to later attempts, with Idempotent-Replayed: true,
+// instead of running the request again, so a retried create never makes a second item. Keys are scoped to
+// the caller and function. Reusing a key for a different request body is a 422 IDEMPOTENCY_KEY_REUSED, and
+// an attempt arriving while an earlier one is still running gets a 409 IDEMPOTENCY_KEY_IN_USE. Failed
+// attempts are forgotten so they can be retried with the same key.
+// Records are kept in the top-level idempotencyKeys collection for a day and carry expiresAt, so a
+// Firestore TTL policy on that field removes them.
+
+const crypto = require('crypto');
+const { admin, db } = require('./firebaseAdmin.cjs');
+const { ERROR_CODES, HttpError } = require('./http.cjs');
+
+const IDEMPOTENCY_KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// An attempt still running after this long is assumed to have crashed, and the key can be claimed again
+const IDEMPOTENCY_LOCK_MS = 60 * 1000;
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255;
+
+// Record IDs and request fingerprints are hashed so keys and bodies are not stored in the clear
+const hash = (...parts) => crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+
+// Claim a key for an attempt. Resolves to the stored response when an earlier attempt succeeded, or null
+// when this attempt should run.
+const claimKey = (recordRef, requestHash, now) => db.runTransaction(async (transaction) => {
+  const recordDoc = await transaction.get(recordRef);
+  const record = recordDoc.exists ? recordDoc.data() : null;
+
+  // TTL deletion can lag, so expired records are ignored rather than trusted to be gone
+  if (record && record.expiresAt.toMillis() > now) {
+    if (record.requestHash !== requestHash) {
+      throw new HttpError(422, 'Idempotency-Key was already used for a different request', {
+        code: ERROR_CODES.IDEMPOTENCY_KEY_REUSED
+      });
+    }
+    if (record.response) return record.response;
+    if (record.lockedUntil > now) {
+      throw new HttpError(409, 'A request with this Idempotency-Key is still in progress', {
+        code: ERROR_CODES.IDEMPOTENCY_KEY_IN_USE
+      });
+    }
+  }
+
+  transaction.set(recordRef, {
+    requestHash,
+    response: null,
+    lockedUntil: now + IDEMPOTENCY_LOCK_MS,
+    createdAt: admin.firestore.Timestamp.fromMillis(now),
+    expiresAt: admin.firestore.Timestamp.fromMillis(now + IDEMPOTENCY_KEY_TTL_MS)
+  });
+  return null;
+});
+
+// Forget a failed attempt; if that fails too, the key is claimable again once its lock runs out
+const releaseKey = async (recordRef, log) => {
+  try {
+    await recordRef.delete();
+  } catch (error) {
+    log.error('Failed to release idempotency key', { error });
+  }
+};
+
+// Wrap a createHandler handler so POSTs from an authenticated caller honour the Idempotency-Key header.
+// scope names the function, so the same key can be used with different functions. The function must list
+// Idempotency-Key in allowHeaders and Idempotent-Replayed in exposeHeaders.
+const withIdempotencyKey = (scope, handle) => async (args) => {
+  const { request, caller, headers, log } = args;
+  const key = request.headers['idempotency-key'];
+  if (request.method !== 'POST' || key === undefined || !caller) {
+    return handle(args);
+  }
+
+  if (!key.trim() || key.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+    throw new HttpError(400, `Idempotency-Key must be 1 to ${MAX_IDEMPOTENCY_KEY_LENGTH} characters`);
+  }
+
+  const recordRef = db.collection('idempotencyKeys').doc(hash(scope, caller.uid, key));
+  const stored = await claimKey(recordRef, hash(JSON.stringify(request.body)), Date.now());
+  if (stored) {
+    return { statusCode: stored.statusCode, headers: { ...headers, 'Idempotent-Replayed': 'true' }, body: stored.body };
+  }
+
+  let response;
+  try {
+    response = await handle(args);
+  } catch (error) {
+    await releaseKey(recordRef, log);
+    throw error;
+  }
+
+  if (response.statusCode < 200 || response.statusCode >= 300) {
+    await releaseKey(recordRef, log);
+    return response;
+  }
+
+  try {
+    await recordRef.update({ response: { statusCode: response.statusCode, body: response.body }, lockedUntil: 0 });
+  } catch (error) {
+    // The request succeeded, so report that; a retry after the lock runs out would run it again
+    log.error('Failed to store idempotent response', { error });
+  }
+  return response;
+};
+
+module.exports = {
+  IDEMPOTENCY_KEY_TTL_MS,
+  withIdempotencyKey
+};
@@ -0,0 +1,40 @@
+// Structured logging for Netlify Functions
+// Each log line is one JSON object with the level, time and message plus the logger's fields (e.g. the
+// function name and request ID), so function logs can be filtered by field rather than by message text.
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// LOG_LEVEL=debug shows debug lines; info and above are logged by default
+const getMinLevel = () => LOG_LEVELS[process.env.LOG_LEVEL] || LOG_LEVELS.info;
+
+// Errors lose their message and stack in JSON.stringify, so they are copied into plain objects
+const serializeValue = (value) => value instanceof Error
+  ? { name: value.name, message: value.message, code: value.code, stack: value.stack }
+  : value;
+
+const writers = { debug: console.log, info: console.log, warn: console.warn, error: console.error };
+
+// Create a logger whose lines carry the given fields; child() adds more fields for a narrower scope
+const createLogger = (fields = {}) => {
+  const write = (level, message, extra = {}) => {
+    if (LOG_LEVELS[level] < getMinLevel()) return;
+
+    const entry = { level, time: new Date().toISOString(), message, ...fields };
+    for (const [key, value] of Object.entries(extra)) {
+      entry[key] = serializeValue(value);
+    }
+    writers[level](JSON.stringify(entry));
+  };
+
+  return {
+    debug: (message, extra) => write('debug', message, extra),
+    info: (message, extra) => write('info', message, extra),
+    warn: (message, extra) => write('warn', message, extra),
+    error: (message, extra) => write('error', message, extra),
+    child: (moreFields) => createLogger({ ...fields, ...moreFields })
+  };
+};
+
+module.exports = {
+  createLogger
+};
@@ -0,0 +1,217 @@
+// Shared Markdown helpers for Netlify Functions
+// Renders the CommonMark subset the editor produces (headings, paragraphs, emphasis, code, links,
+// images, lists, block quotes and rules). Raw HTML is escaped, as in the dashboard preview.
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Reduce Markdown and HTML to the text a reader sees
+const toPlainText = (markdown) => String(markdown || '')
+  .replace(/```[\s\S]*?```/g, ' ')
+  .replace(/<[^>]+>/g, ' ')
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/[#>*_`~|]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Shorten plain text to at most maxLength characters, ending on a word boundary
+const truncateText = (text, maxLength) => {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${(lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut).trim()}…`;
+};
+
+// Only allow link and image targets that cannot run script
+const sanitizeUrl = (url) => (/^(https?:|mailto:|\/|#|\.)/i.test(url) || !/^[a-z][a-z0-9+.-]*:/i.test(url) ? url : '#');
+
+// Render inline Markdown, escaping any HTML in the text
+const renderInline = (text) => {
+  // Code spans, link and image targets and bare URLs are swapped for placeholders while emphasis is
+  // applied, so their asterisks and underscores are kept as written
+  const protectedHtml = [];
+  const protect = (html) => {
+    protectedHtml.push(html);
+    return `\u0000${protectedHtml.length - 1}\u0000`;
+  };
+
+  let html = escapeHtml(text)
+    .replace(/`([^`]+)`/g, (match, code) => protect(`<code>${code}</code>`))
+    .replace(/!\[([^\]]*)\]\(([^)\s]+)(?:\s+&quot;[^)]*&quot;)?\)/g, (match, alt, url) =>
+      protect(`<img src="${sanitizeUrl(url)}" alt="${alt}" />`))
+    .replace(/\[([^\]]+)\]\(([^)\s]+)(?:\s+&quot;[^)]*&quot;)?\)/g, (match, label, url) =>
+      `${protect(`<a href="${sanitizeUrl(url)}">`)}${label}</a>`)
+    // eslint-disable-next-line no-control-regex
+    .replace(/\b(?:https?:\/\/|www\.)[^\s<\u0000]+/gi, url => protect(url));
+
+  // Emphasis delimiters must not sit between letters or digits, so 2*3*4 and snake_case stay as written
+  html = html
+    .replace(/(^|[^\p{L}\p{N}])\*\*(?=\S)([\s\S]*?\S)\*\*(?![\p{L}\p{N}])/gu, '$1<strong>$2</strong>')
+    .replace(/(^|[^\p{L}\p{N}])__(?=\S)([\s\S]*?\S)__(?![\p{L}\p{N}])/gu, '$1<strong>$2</strong>')
+    .replace(/(^|[^\p{L}\p{N}*])\*(?=[^\s*])([\s\S]*?[^\s*])\*(?![\p{L}\p{N}])/gu, '$1<em>$2</em>')
+    .replace(/(^|[^\p{L}\p{N}_])_(?=[^\s_])([\s\S]*?[^\s_])_(?![\p{L}\p{N}])/gu, '$1<em>$2</em>')
+    .replace(/ {2,}\n/g, '<br />\n');
+
+  // eslint-disable-next-line no-control-regex
+  return html.replace(/\u0000(\d+)\u0000/g, (match, index) => protectedHtml[Number(index)]);
+};
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^ {0,3}([-*_])(\s*\1){2,}\s*$/;
+const FENCE_PATTERN = /^ {0,3}(```|~~~)\s*([\w-]*)/;
+const QUOTE_PATTERN = /^ {0,3}>\s?/;
+const LIST_ITEM_PATTERN = /^( {0,3})([-*+]|\d+[.)])\s+(.*)$/;
+
+const startsBlock = (line) =>
+  HEADING_PATTERN.test(line) || RULE_PATTERN.test(line) || FENCE_PATTERN.test(line) ||
+  QUOTE_PATTERN.test(line) || LIST_ITEM_PATTERN.test(line);
+
+// Render block-level Markdown; onHeading may return attributes for each heading, e.g. an id
+const renderBlocks = (lines, options) => {
+  const html = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+
+    if (!line.trim()) {
+      i++;
+      continue;
+    }
+
+    const fence = line.match(FENCE_PATTERN);
+    if (fence) {
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+        code.push(lines[i]);
+        i++;
+      }
+      i++;
+      const languageClass = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+      html.push(`<pre><code${languageClass}>${escapeHtml(code.join('\n'))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      const level = heading[1].length;
+      const attributes = options.onHeading ? options.onHeading(level, heading[2]) : '';
+      html.push(`<h${level}${attributes}>${renderInline(heading[2])}</h${level}>`);
+      i++;
+      continue;
+    }
+
+    if (RULE_PATTERN.test(line)) {
+      html.push('<hr />');
+      i++;
+      continue;
+    }
+
+    if (QUOTE_PATTERN.test(line)) {
+      const quoted = [];
+      while (i < lines.length && lines[i].trim() && QUOTE_PATTERN.test(lines[i])) {
+        quoted.push(lines[i].replace(QUOTE_PATTERN, ''));
+        i++;
+      }
+      html.push(`<blockquote>\n${renderBlocks(quoted, options)}\n</blockquote>`);
+      continue;
+    }
+
+    const listItem = line.match(LIST_ITEM_PATTERN);
+    if (listItem) {
+      const ordered = /\d/.test(listItem[2]);
+      const indent = listItem[1].length;
+      const items = [];
+      while (i < lines.length) {
+        const itemMatch = lines[i].match(LIST_ITEM_PATTERN);
+        if (itemMatch && itemMatch[1].length <= indent + 1 && /\d/.test(itemMatch[2]) === ordered) {
+          items.push([itemMatch[3]]);
+          i++;
+        } else if (lines[i].trim() && lines[i].search(/\S/) >= indent + 2) {
+          // Indented lines continue the current item, including nested lists
+          items[items.length - 1].push(lines[i].slice(Math.min(lines[i].search(/\S/), indent + 4)));
+          i++;
+        } else {
+          break;
+        }
+      }
+      const itemsHtml = items.map(itemLines => {
+        const body = itemLines.length === 1
+          ? renderInline(itemLines[0])
+          : renderBlocks(itemLines, options).replace(/^<p>([\s\S]*?)<\/p>/, '$1');
+        return `<li>${body}</li>`;
+      });
+      const tag = ordered ? 'ol' : 'ul';
+      html.push(`<${tag}>\n${itemsHtml.join('\n')}\n</${tag}>`);
+      continue;
+    }
+
+    const paragraph = [];
+    while (i < lines.length && lines[i].trim() && (paragraph.length === 0 || !startsBlock(lines[i]))) {
+      paragraph.push(lines[i]);
+      i++;
+    }
+    html.push(`<p>${renderInline(paragraph.join('\n'))}</p>`);
+  }
+
+  return html.join('\n');
+};
+
+// Render Markdown to HTML
+const renderMarkdown = (markdown, options = {}) =>
+  renderBlocks(String(markdown || '').replace(/\r\n?/g, '\n').split('\n'), options);
+
+// Anchor ID for a heading: lowercase words joined by dashes, diacritics removed
+const slugifyHeading = (text) => toPlainText(text)
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}\s-]/gu, '')
+  .trim()
+  .replace(/[\s-]+/g, '-') || 'section';
+
+// Render Markdown to HTML with an anchor on every heading, and list the headings as a table of contents
+const renderMarkdownWithToc = (markdown) => {
+  const toc = [];
+  const usedIds = {};
+
+  const html = renderMarkdown(markdown, {
+    onHeading: (level, text) => {
+      const baseId = slugifyHeading(text);
+      usedIds[baseId] = (usedIds[baseId] || 0) + 1;
+      const id = usedIds[baseId] === 1 ? baseId : `${baseId}-${usedIds[baseId]}`;
+      toc.push({ id, text: toPlainText(text), level });
+      return ` id="${escapeHtml(id)}"`;
+    }
+  });
+
+  return { html, toc };
+};
+
+const WORDS_PER_MINUTE = 200;
+
+const countWords = (text) => (text.match(/[\p{L}\p{N}]+(?:['’-][\p{L}\p{N}]+)*/gu) || []).length;
+
+// Reading time in whole minutes, at least one
+const getReadingTime = (wordCount) => Math.max(1, Math.round(wordCount / WORDS_PER_MINUTE));
+
+const EXCERPT_LENGTH = 300;
+
+// Plain-text opening of a Markdown body, for list cards that do not need the whole body
+const getExcerpt = (markdown) => truncateText(toPlainText(markdown), EXCERPT_LENGTH);
+
+module.exports = {
+  escapeHtml,
+  toPlainText,
+  truncateText,
+  renderMarkdown,
+  renderMarkdownWithToc,
+  countWords,
+  getReadingTime,
+  getExcerpt
+};
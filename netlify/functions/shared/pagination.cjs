@@ -0,0 +1,100 @@
+// Shared cursor pagination helpers for the public list APIs
+// A cursor is an opaque token holding the sort order and the sort value and document ID of the last
+// item of a page, so the next page starts after it instead of paying for Firestore offset reads
+
+const MAX_PAGE_SIZE = 100;
+
+// Page size from a ?limit= parameter; null means the whole result
+const parsePageSize = (limit) => {
+  const size = parseInt(limit);
+  if (isNaN(size) || size <= 0) return null;
+  return Math.min(size, MAX_PAGE_SIZE);
+};
+
+const encodeCursor = ({ sortBy, sortOrder, value, id }) => {
+  // Timestamps keep their full precision so the cursor never lands before the item it was taken from
+  const encodedValue = value && typeof value.toMillis === 'function'
+    ? { ts: [value.seconds, value.nanoseconds] }
+    : value;
+  return Buffer.from(JSON.stringify({ s: sortBy, o: sortOrder, v: encodedValue, id })).toString('base64url');
+};
+
+// Decode a cursor, turning stored timestamps back into Firestore timestamps; null when malformed
+const decodeCursor = (token, toTimestamp) => {
+  try {
+    const { s, o, v, id } = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+    if (typeof s !== 'string' || typeof o !== 'string' || typeof id !== 'string' || v === undefined) return null;
+    const value = v && Array.isArray(v.ts) ? toTimestamp(v.ts[0], v.ts[1]) : v;
+    return { sortBy: s, sortOrder: o, value, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Read one page of visible documents from an ordered query. Hidden documents (e.g. trashed items)
+// are skipped and more are read until the page is full, so pages only come up short at the end.
+const fetchPage = async (query, pageSize, isVisible) => {
+  if (!pageSize) {
+    const snapshot = await query.get();
+    return { docs: snapshot.docs.filter(doc => isVisible(doc.data())), lastDoc: null, hasMore: false };
+  }
+
+  const docs = [];
+  let lastDoc = null;
+  let pageQuery = query;
+
+  for (;;) {
+    // One extra document tells whether anything follows the page
+    const snapshot = await pageQuery.limit(pageSize + 1).get();
+    for (const doc of snapshot.docs) {
+      if (docs.length === pageSize) return { docs, lastDoc, hasMore: true };
+      lastDoc = doc;
+      if (isVisible(doc.data())) docs.push(doc);
+    }
+    if (snapshot.size <= pageSize) return { docs, lastDoc, hasMore: false };
+    pageQuery = query.startAfter(lastDoc);
+  }
+};
+
+// Total number of a query's visible items, from aggregation queries rather than document reads
+// Trashed items keep their status, so they are counted separately and subtracted. Given the current
+// time, items outside their publish window (not yet due, or past their unpublish time) are left out too;
+// a schedule always unpublishes after it publishes, so an item is never both.
+const countVisible = async (query, now = null) => {
+  const count = async (countQuery) => (await countQuery.count().get()).data().count;
+  const trashed = query.where('deletedAt', '>', new Date(0));
+  if (!now) {
+    const [all, trashedCount] = await Promise.all([count(query), count(trashed)]);
+    return all - trashedCount;
+  }
+
+  // Trashed items outside the window are subtracted twice, so they are added back once
+  const [all, trashedCount, notDue, expired, trashedNotDue, trashedExpired] = await Promise.all([
+    count(query),
+    count(trashed),
+    count(query.where('publishAt', '>', now)),
+    count(query.where('unpublishAt', '<=', now)),
+    count(trashed.where('publishAt', '>', now)),
+    count(trashed.where('unpublishAt', '<=', now))
+  ]);
+  return all - trashedCount - notDue - expired + trashedNotDue + trashedExpired;
+};
+
+// Link to the next page: the current request with its cursor replaced
+const buildNextUrl = (path, queryParams, cursor) => {
+  const params = new URLSearchParams(
+    Object.entries(queryParams).filter(([key]) => key !== 'cursor' && key !== 'offset')
+  );
+  params.set('cursor', cursor);
+  return `${path}?${params.toString()}`;
+};
+
+module.exports = {
+  MAX_PAGE_SIZE,
+  parsePageSize,
+  encodeCursor,
+  decodeCursor,
+  fetchPage,
+  countVisible,
+  buildNextUrl
+};
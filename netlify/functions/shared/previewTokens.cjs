@@ -0,0 +1,113 @@
+// Shared draft preview link helpers for Netlify Functions
+// A preview token is a payload naming one content item or product plus an HMAC-SHA256 signature made
+// with PREVIEW_TOKEN_SECRET, so forged or altered tokens are rejected without a read. Every token also
+// has a record in users/{uid}/blogs/{blogId}/previewTokens/{tokenId}, which is what makes it revocable.
+
+const crypto = require('crypto');
+const { toDate } = require('./publishing.cjs');
+
+const PREVIEW_TOKEN_TYPES = ['content', 'product'];
+
+// Lifetimes offered for a preview link, in hours; links never outlive the longest one
+const DEFAULT_PREVIEW_HOURS = 72;
+const MAX_PREVIEW_HOURS = 30 * 24;
+
+const MAX_PREVIEW_TOKENS_PER_ITEM = 20;
+
+const getPreviewSecret = () => process.env.PREVIEW_TOKEN_SECRET || null;
+
+const sign = (secret, payload) => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+const getPreviewTokensRef = (blogRef) => blogRef.collection('previewTokens');
+
+// Sign a token for a preview record; the payload is readable, so it only holds IDs and the expiry
+const createPreviewToken = (secret, { tokenId, blogId, type, itemId, expiresAt }) => {
+  const payload = Buffer.from(JSON.stringify({
+    j: tokenId,
+    b: blogId,
+    t: type,
+    i: itemId,
+    e: Math.floor(expiresAt.getTime() / 1000)
+  })).toString('base64url');
+  return `${payload}.${sign(secret, payload)}`;
+};
+
+// Check a token's signature and expiry; returns its claims or null
+const decodePreviewToken = (secret, token, now = new Date()) => {
+  const [payload, signature, extra] = String(token).split('.');
+  if (!payload || !signature || extra !== undefined) return null;
+
+  const expected = Buffer.from(sign(secret, payload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  try {
+    const { j, b, t, i, e } = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (typeof j !== 'string' || typeof b !== 'string' || !PREVIEW_TOKEN_TYPES.includes(t) || typeof i !== 'string') return null;
+    const expiresAt = new Date(e * 1000);
+    if (isNaN(expiresAt.getTime()) || expiresAt <= now) return null;
+    return { tokenId: j, blogId: b, type: t, itemId: i, expiresAt };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Resolve a token presented to a public API to the item it previews. Returns { itemId, expiresAt }, or
+// { statusCode, error } when the token is malformed, expired, revoked or made for another item type.
+const verifyPreviewToken = async (blogRef, token, type) => {
+  const secret = getPreviewSecret();
+  if (!secret) return { statusCode: 503, error: 'Preview links are not configured' };
+
+  const claims = decodePreviewToken(secret, token);
+  if (!claims || claims.blogId !== blogRef.id || claims.type !== type) {
+    return { statusCode: 401, error: 'Preview link is invalid or has expired' };
+  }
+
+  const recordDoc = await getPreviewTokensRef(blogRef).doc(claims.tokenId).get();
+  if (!recordDoc.exists || recordDoc.data().revokedAt || recordDoc.data().itemId !== claims.itemId) {
+    return { statusCode: 401, error: 'Preview link has been revoked' };
+  }
+
+  return { itemId: claims.itemId, expiresAt: claims.expiresAt };
+};
+
+// Lifetime in hours of a new link from the request, or an error string
+const parsePreviewHours = (expiresInHours) => {
+  if (expiresInHours === undefined || expiresInHours === null || expiresInHours === '') return DEFAULT_PREVIEW_HOURS;
+  const hours = Number(expiresInHours);
+  if (!Number.isFinite(hours) || hours <= 0) return 'expiresInHours must be a positive number';
+  if (hours > MAX_PREVIEW_HOURS) return `expiresInHours must be at most ${MAX_PREVIEW_HOURS}`;
+  return hours;
+};
+
+// Record details shown in the editor; the token itself is only returned when a link is created
+const toPreviewTokenSummary = (doc) => {
+  const data = doc.data();
+  const toISO = (value) => {
+    const date = toDate(value);
+    return date ? date.toISOString() : null;
+  };
+  const expiresAt = toDate(data.expiresAt);
+
+  return {
+    id: doc.id,
+    type: data.type,
+    itemId: data.itemId,
+    createdBy: data.createdBy || null,
+    createdAt: toISO(data.createdAt),
+    expiresAt: toISO(data.expiresAt),
+    revokedAt: toISO(data.revokedAt),
+    active: !data.revokedAt && Boolean(expiresAt) && expiresAt > new Date()
+  };
+};
+
+module.exports = {
+  PREVIEW_TOKEN_TYPES,
+  MAX_PREVIEW_TOKENS_PER_ITEM,
+  getPreviewSecret,
+  getPreviewTokensRef,
+  createPreviewToken,
+  verifyPreviewToken,
+  parsePreviewHours,
+  toPreviewTokenSummary
+};
@@ -0,0 +1,93 @@
+// Shared public representation of content items for the public APIs
+// Every public endpoint serves content in the same shape, so clients can switch between them freely
+
+const { toDate, toPublicStatusFields } = require('./publishing.cjs');
+const { renderMarkdownWithToc, toPlainText, countWords, getReadingTime, getExcerpt } = require('./markdown.cjs');
+const { buildBlogPostingJsonLd } = require('./structuredData.cjs');
+const { getContentUrl } = require('./siteUrls.cjs');
+
+// Rendered HTML, table of contents, reading time and BlogPosting JSON-LD for a content item
+function renderContentFields(data, { origin, blogName, uid, blogId }) {
+  const { html, toc } = renderMarkdownWithToc(data.content);
+  const wordCount = countWords(toPlainText(data.content));
+  const readingTime = getReadingTime(wordCount);
+
+  return {
+    html,
+    toc,
+    wordCount,
+    readingTime,
+    jsonLd: buildBlogPostingJsonLd(data, {
+      url: getContentUrl(origin, uid, blogId, data.slug),
+      blogName,
+      wordCount,
+      readingTime
+    })
+  };
+}
+
+// Stored fields served as they are. Workflow, version and trash fields (lastTransition, version, deletedAt,
+// purgeAt) stay private: lastTransition holds the reviewer's comment and who made the change.
+const PUBLIC_CONTENT_FIELDS = [
+  'title', 'slug', 'content', 'featuredImageUrl', 'metaDescription', 'seoTitle', 'keywords', 'author',
+  'categories', 'tags', 'userId', 'blogId'
+];
+
+// Convert a content document to its public representation, rendered when a render context is given
+function toPublicContent(doc, renderContext) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...Object.fromEntries(PUBLIC_CONTENT_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]])),
+    contentType: data.contentType || null,
+    fields: data.fields || {},
+    excerpt: getExcerpt(data.content),
+    createdAt: data.createdAt ? data.createdAt.toDate().toISOString() : null,
+    updatedAt: data.updatedAt ? data.updatedAt.toDate().toISOString() : null,
+    ...toPublicStatusFields(data),
+    ...(renderContext ? renderContentFields(data, renderContext) : {})
+  };
+}
+
+// Fields of the other items returned alongside a single item, for previous/next links and related cards
+const CONTENT_SUMMARY_FIELDS = [
+  'title', 'slug', 'metaDescription', 'featuredImageUrl', 'author', 'categories', 'tags',
+  'status', 'publishDate', 'publishAt', 'unpublishAt', 'deletedAt', 'createdAt', 'updatedAt'
+];
+
+const toContentSummary = (doc) => {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    title: data.title || '',
+    slug: data.slug,
+    metaDescription: data.metaDescription || '',
+    featuredImageUrl: data.featuredImageUrl || '',
+    author: data.author || '',
+    categories: data.categories || [],
+    tags: data.tags || [],
+    createdAt: data.createdAt ? data.createdAt.toDate().toISOString() : null,
+    updatedAt: data.updatedAt ? data.updatedAt.toDate().toISOString() : null,
+    ...toPublicStatusFields(data)
+  };
+};
+
+// Content is ordered by its publish date, falling back to its creation date
+const toContentEntry = (doc) => {
+  const summary = toContentSummary(doc);
+  return {
+    id: doc.id,
+    date: toDate(summary.publishDate) || toDate(summary.createdAt),
+    categories: summary.categories,
+    tags: summary.tags,
+    summary
+  };
+};
+
+module.exports = {
+  CONTENT_SUMMARY_FIELDS,
+  renderContentFields,
+  toPublicContent,
+  toContentSummary,
+  toContentEntry
+};
@@ -0,0 +1,128 @@
+// Shared public representation of products for the public APIs
+// Every public endpoint serves products in the same shape, so clients can switch between them freely
+
+const { toDate, toPublicStatusFields } = require('./publishing.cjs');
+const { renderMarkdown, getExcerpt } = require('./markdown.cjs');
+const { buildProductJsonLd } = require('./structuredData.cjs');
+const { getProductUrl } = require('./siteUrls.cjs');
+const { createLogger } = require('./logger.cjs');
+
+const logger = createLogger({ module: 'publicProducts' });
+
+// Helper function to get public app settings for this user (including currency)
+async function getPublicAppSettings(db, uid) {
+  try {
+    const docRef = db.collection('users').doc(uid).collection('appSettings').doc('public');
+    const docSnap = await docRef.get();
+    
+    if (docSnap.exists) {
+      return docSnap.data();
+    }
+    
+    // Return default settings if no public settings exist
+    return {
+      currency: '$', // Default currency
+      updatedAt: new Date()
+    };
+  } catch (error) {
+    logger.error('Error fetching public app settings', { error });
+    return {
+      currency: '$', // Default currency on error
+      updatedAt: new Date()
+    };
+  }
+}
+
+// Helper function to calculate discounted price
+function calculateDiscountedPrice(price, percentOff) {
+  if (!price || !percentOff || percentOff <= 0) return price;
+  return price - (price * (percentOff / 100));
+}
+
+// Convert a product document to its public representation, rendered when a render context is given
+function toPublicProduct(doc, { currency, renderContext = null }) {
+  const data = doc.data();
+
+  // Calculate discounted price
+  const originalPrice = data.price || 0;
+  const percentOff = data.percentOff || 0;
+  const discountedPrice = calculateDiscountedPrice(originalPrice, percentOff);
+  
+  // Ensure imageUrls is always an array for consistency
+  let imageUrls = data.imageUrls || [];
+  
+  // If imageUrls is empty but imageUrl exists, use imageUrl as the first item
+  if (imageUrls.length === 0 && data.imageUrl) {
+    imageUrls = [data.imageUrl];
+  }
+  
+  // Convert Firestore timestamps to ISO strings
+  return {
+    id: doc.id,
+    ...data,
+    // Add currency from user's app settings
+    currency,
+    // Ensure imageUrls is always present as an array
+    imageUrls,
+    // Add calculated fields
+    originalPrice,
+    discountedPrice,
+    savings: originalPrice - discountedPrice,
+    // Use the actual productUrl from Firestore data
+    productUrl: data.productUrl || '',
+    excerpt: getExcerpt(data.description),
+    createdAt: data.createdAt ? data.createdAt.toDate().toISOString() : null,
+    updatedAt: data.updatedAt ? data.updatedAt.toDate().toISOString() : null,
+    ...toPublicStatusFields(data),
+    ...(renderContext ? {
+      descriptionHtml: renderMarkdown(data.description),
+      jsonLd: buildProductJsonLd(data, {
+        url: getProductUrl(renderContext.origin, renderContext.uid, renderContext.blogId, data.slug),
+        currency,
+        originalPrice,
+        discountedPrice,
+        imageUrls
+      })
+    } : {})
+  };
+}
+
+// Fields read to count the products in a price range: the price and whether the product is visible
+const PRICE_SCAN_FIELDS = ['price', 'percentOff', 'status', 'publishAt', 'unpublishAt', 'deletedAt'];
+
+// Check a product's discounted price against an optional ?minPrice= / ?maxPrice= range
+function isInPriceRange(data, minPrice, maxPrice) {
+  const price = calculateDiscountedPrice(data.price || 0, data.percentOff || 0);
+  if (minPrice && price < parseFloat(minPrice)) return false;
+  if (maxPrice && price > parseFloat(maxPrice)) return false;
+  return true;
+}
+
+// Fields of the other products returned alongside a single product, for previous/next links and related cards
+const PRODUCT_SUMMARY_FIELDS = [
+  'name', 'slug', 'price', 'percentOff', 'imageUrl', 'imageUrls', 'category', 'tags',
+  'status', 'publishDate', 'publishAt', 'unpublishAt', 'deletedAt', 'createdAt', 'updatedAt'
+];
+
+// Products are ordered by creation date, like the list endpoint
+// Summaries are read without the description, so they carry no excerpt
+const toProductEntry = (doc, currency) => {
+  const { excerpt, ...summary } = toPublicProduct(doc, { currency });
+  return {
+    id: doc.id,
+    date: toDate(summary.createdAt),
+    categories: summary.category ? [summary.category] : [],
+    tags: summary.tags || [],
+    summary
+  };
+};
+
+module.exports = {
+  PRODUCT_SUMMARY_FIELDS,
+  PRICE_SCAN_FIELDS,
+  getPublicAppSettings,
+  calculateDiscountedPrice,
+  toPublicProduct,
+  isInPriceRange,
+  toProductEntry
+};
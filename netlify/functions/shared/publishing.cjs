@@ -0,0 +1,46 @@
+// Shared publish-window helpers for Netlify Functions
+
+// Statuses queried by the public APIs when serving published items.
+// Scheduled items are included so a due item is served before the scheduler promotes it.
+const PUBLIC_QUERY_STATUSES = ['published', 'scheduled'];
+
+// Convert a Firestore timestamp, Date or ISO string to a Date (null when empty)
+const toDate = (value) => {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+// Check whether an item is inside its publish window at the given time
+const isWithinPublishWindow = (data, now = new Date()) => {
+  const publishAt = toDate(data.publishAt);
+  const unpublishAt = toDate(data.unpublishAt);
+
+  if (data.status === 'scheduled' && !publishAt) return false;
+  if (publishAt && publishAt > now) return false;
+  if (unpublishAt && unpublishAt <= now) return false;
+
+  return true;
+};
+
+// Present a due scheduled item as published in public responses
+const toPublicStatusFields = (data) => {
+  const publishAt = toDate(data.publishAt);
+  const unpublishAt = toDate(data.unpublishAt);
+  const publishDate = data.status === 'scheduled' ? publishAt : toDate(data.publishDate);
+
+  return {
+    status: data.status === 'scheduled' ? 'published' : data.status,
+    publishDate: publishDate ? publishDate.toISOString() : null,
+    publishAt: publishAt ? publishAt.toISOString() : null,
+    unpublishAt: unpublishAt ? unpublishAt.toISOString() : null
+  };
+};
+
+module.exports = {
+  PUBLIC_QUERY_STATUSES,
+  toDate,
+  isWithinPublishWindow,
+  toPublicStatusFields
+};
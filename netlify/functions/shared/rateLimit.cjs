@@ -0,0 +1,241 @@
+// Shared rate limiting for the public Netlify Functions
+// Each client has a token bucket holding one minute's allowance that refills continuously, so short
+// bursts are fine but the sustained rate never exceeds the limit. Buckets are kept in the top-level
+// rateLimits collection, which every function instance shares and which survives cold starts, and each
+// instance works from its own copy between syncs (see createFirestoreStore); RATE_LIMIT_STORE=memory
+// keeps them in the instance only, e.g. for local development.
+// Bucket documents carry expiresAt, so a Firestore TTL policy on that field removes idle ones.
+
+const crypto = require('crypto');
+const { findPresentedApiKey } = require('./apiKeys.cjs');
+const { errorResponse } = require('./http.cjs');
+const { createLogger } = require('./logger.cjs');
+
+const logger = createLogger({ module: 'rateLimit' });
+
+// Requests per minute a blog allows each client IP and each API key unless it configures its own
+const DEFAULT_IP_RATE_LIMIT = 100;
+const DEFAULT_API_KEY_RATE_LIMIT = 1000;
+const MIN_RATE_LIMIT = 10;
+const MAX_RATE_LIMIT = 10000;
+
+const RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+// Blog settings are re-read at most once a minute per function instance
+const SETTINGS_CACHE_MS = 60 * 1000;
+
+// The memory store forgets full buckets once it holds this many
+const MAX_MEMORY_BUCKETS = 10000;
+
+// Share of a limit an instance hands out from its copy of a bucket before syncing it with Firestore,
+// and the longest it goes without syncing
+const SYNC_SHARE = 0.1;
+const SYNC_INTERVAL_MS = 10 * 1000;
+
+// Read the rate limits stored on a blog document
+const getRateLimitSettings = (blogData) => {
+  const rateLimits = (blogData && blogData.rateLimits) || {};
+  const toLimit = (value, fallback) =>
+    Number.isInteger(value) && value >= MIN_RATE_LIMIT && value <= MAX_RATE_LIMIT ? value : fallback;
+  return {
+    perIp: toLimit(rateLimits.perIp, DEFAULT_IP_RATE_LIMIT),
+    perApiKey: toLimit(rateLimits.perApiKey, DEFAULT_API_KEY_RATE_LIMIT)
+  };
+};
+
+// Netlify sets x-nf-client-connection-ip to the connecting address; X-Forwarded-For may be set by the client
+const getClientIp = (headers) => headers['x-nf-client-connection-ip'] ||
+  (headers['x-forwarded-for'] || '').split(',')[0].trim() ||
+  headers['x-real-ip'] ||
+  'unknown';
+
+// Tokens in a bucket ({ tokens, updatedAt } or null for a new one) at the given time
+const getAvailableTokens = (bucket, limit, now) => bucket
+  ? Math.min(limit, bucket.tokens + Math.max(0, now - bucket.updatedAt) * (limit / RATE_LIMIT_WINDOW_MS))
+  : limit;
+
+// Take one token from a bucket at the given time
+const takeToken = (bucket, limit, now) => {
+  const refillPerMs = limit / RATE_LIMIT_WINDOW_MS;
+  const available = getAvailableTokens(bucket, limit, now);
+  const allowed = available >= 1;
+  const tokens = allowed ? available - 1 : available;
+
+  return {
+    bucket: { tokens, updatedAt: now },
+    allowed,
+    limit,
+    remaining: Math.floor(tokens),
+    // When the bucket is full again, and when the next request can be made
+    resetTime: now + Math.ceil((limit - tokens) / refillPerMs),
+    retryAt: allowed ? now : now + Math.ceil((1 - tokens) / refillPerMs)
+  };
+};
+
+// Buckets in the instance's memory; only limits the instance itself
+const createMemoryStore = () => {
+  const buckets = new Map();
+  return {
+    async take(key, limit, now) {
+      const result = takeToken(buckets.get(key) || null, limit, now);
+      buckets.set(key, result.bucket);
+
+      if (buckets.size > MAX_MEMORY_BUCKETS) {
+        for (const [bucketKey, bucket] of buckets) {
+          if (now - bucket.updatedAt > RATE_LIMIT_WINDOW_MS) buckets.delete(bucketKey);
+        }
+      }
+      return result;
+    }
+  };
+};
+
+// Buckets in Firestore, shared by every instance. Each instance decides requests from its own copy of a
+// bucket and syncs the tokens it took in one transaction per SYNC_SHARE of the limit or SYNC_INTERVAL_MS,
+// rather than one per request, so busy buckets see few writes and little contention. Between syncs the
+// instances together may go over the limit by SYNC_SHARE each. A failed sync (e.g. contention) is retried
+// after the next share, and the instance keeps limiting from its copy meanwhile.
+const createFirestoreStore = (db) => {
+  // key -> { bucket, pending: tokens taken since the last sync, syncAt: pending count to sync at, syncedAt }
+  const copies = new Map();
+
+  // Take the pending tokens from the shared bucket and return its new state
+  const sync = async (key, limit, now, pending) => {
+    const bucketRef = db.collection('rateLimits').doc(key);
+    if (pending === 0) {
+      const bucketDoc = await bucketRef.get();
+      return { tokens: getAvailableTokens(bucketDoc.exists ? bucketDoc.data() : null, limit, now), updatedAt: now };
+    }
+    return db.runTransaction(async (transaction) => {
+      const bucketDoc = await transaction.get(bucketRef);
+      // Tokens can go below zero when instances handed out more than were left, which delays the next ones
+      const tokens = Math.max(getAvailableTokens(bucketDoc.exists ? bucketDoc.data() : null, limit, now) - pending, -limit);
+      const bucket = { tokens, updatedAt: now };
+      transaction.set(bucketRef, {
+        ...bucket,
+        // An idle bucket is full again after one window, so it can be dropped after that
+        expiresAt: new Date(now + RATE_LIMIT_WINDOW_MS)
+      });
+      return bucket;
+    });
+  };
+
+  return {
+    async take(key, limit, now) {
+      const syncShare = Math.max(1, Math.floor(limit * SYNC_SHARE));
+      let copy = copies.get(key);
+
+      if (!copy || copy.pending >= copy.syncAt || now - copy.syncedAt >= SYNC_INTERVAL_MS) {
+        const pending = copy ? copy.pending : 0;
+        try {
+          copy = { bucket: await sync(key, limit, now, pending), pending: 0, syncAt: syncShare, syncedAt: now };
+        } catch (error) {
+          logger.warn('Rate limit sync failed, limiting from the instance copy', { error });
+          copy = copy
+            ? { ...copy, syncAt: pending + syncShare, syncedAt: now }
+            : { bucket: null, pending: 0, syncAt: syncShare, syncedAt: now };
+        }
+      }
+
+      const result = takeToken(copy.bucket, limit, now);
+      copies.set(key, { ...copy, bucket: result.bucket, pending: copy.pending + (result.allowed ? 1 : 0) });
+
+      if (copies.size > MAX_MEMORY_BUCKETS) {
+        for (const [copyKey, { pending, syncedAt }] of copies) {
+          if (pending === 0 && now - syncedAt > RATE_LIMIT_WINDOW_MS) copies.delete(copyKey);
+        }
+      }
+      return result;
+    }
+  };
+};
+
+const createRateLimitStore = (db) =>
+  process.env.RATE_LIMIT_STORE === 'memory' ? createMemoryStore() : createFirestoreStore(db);
+
+// Bucket IDs are hashed so IPs and key IDs are not stored in the clear
+const getBucketKey = (...parts) => crypto.createHash('sha256').update(parts.join('|')).digest('hex');
+
+// Create the rate limiter of a function. check(event, { uid, blogId }) takes a token from the
+// bucket of the request's API key when it presents an active key for that blog, or else of its IP
+// for that blog, and returns { allowed, limit, remaining, resetTime, retryAt }. Requests without a
+// known blog (e.g. broadcasts) share a per-IP bucket with the default limit.
+const createRateLimiter = (db, store = createRateLimitStore(db)) => {
+  const settingsCache = new Map();
+  // Empty buckets are remembered locally, so rejected requests cost no reads until the next token
+  const blockedUntil = new Map();
+
+  const getBlogSettings = async (uid, blogId) => {
+    const cacheKey = `${uid}/${blogId}`;
+    const cached = settingsCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) return cached.settings;
+
+    const blogDoc = await db.collection('users').doc(uid).collection('blogs').doc(blogId).get();
+    const settings = blogDoc.exists ? getRateLimitSettings(blogDoc.data()) : null;
+    settingsCache.set(cacheKey, { settings, expiresAt: Date.now() + SETTINGS_CACHE_MS });
+    return settings;
+  };
+
+  const take = async (key, limit) => {
+    const now = Date.now();
+    const retryAt = blockedUntil.get(key);
+    if (retryAt && retryAt > now) {
+      return { allowed: false, limit, remaining: 0, resetTime: now + RATE_LIMIT_WINDOW_MS, retryAt };
+    }
+    blockedUntil.delete(key);
+
+    const result = await store.take(key, limit, now);
+    if (!result.allowed) blockedUntil.set(key, result.retryAt);
+    return result;
+  };
+
+  return {
+    async check(event, { uid = null, blogId = null } = {}) {
+      const clientIp = getClientIp(event.headers || {});
+      try {
+        // Unknown blogs share the default bucket, so made-up blog IDs do not get fresh ones
+        const settings = uid && blogId ? await getBlogSettings(uid, blogId) : null;
+        if (!settings) {
+          return await take(getBucketKey('ip', clientIp), DEFAULT_IP_RATE_LIMIT);
+        }
+
+        const apiKey = await findPresentedApiKey(db, (event.headers || {}).authorization);
+        if (apiKey && apiKey.uid === uid && apiKey.blogId === blogId) {
+          return await take(getBucketKey('key', apiKey.id), settings.perApiKey);
+        }
+        return await take(getBucketKey('blog', uid, blogId, 'ip', clientIp), settings.perIp);
+      } catch (error) {
+        // A store outage must not take the public APIs down with it
+        logger.error('Rate limiter error, allowing request', { error });
+        const now = Date.now();
+        return { allowed: true, limit: DEFAULT_IP_RATE_LIMIT, remaining: DEFAULT_IP_RATE_LIMIT, resetTime: now, retryAt: now };
+      }
+    }
+  };
+};
+
+const getRateLimitHeaders = (result) => ({
+  'X-RateLimit-Limit': result.limit.toString(),
+  'X-RateLimit-Remaining': result.remaining.toString(),
+  'X-RateLimit-Reset': result.resetTime.toString()
+});
+
+// 429 response for a request over its limit
+const toRateLimitedResponse = (headers, result) => errorResponse({
+  ...headers,
+  ...getRateLimitHeaders(result),
+  'Retry-After': Math.max(1, Math.ceil((result.retryAt - Date.now()) / 1000)).toString()
+}, 429, `Rate limit exceeded. Limit: ${result.limit} requests per minute.`);
+
+module.exports = {
+  DEFAULT_IP_RATE_LIMIT,
+  DEFAULT_API_KEY_RATE_LIMIT,
+  MIN_RATE_LIMIT,
+  MAX_RATE_LIMIT,
+  getRateLimitSettings,
+  createMemoryStore,
+  createFirestoreStore,
+  createRateLimiter,
+  getRateLimitHeaders,
+  toRateLimitedResponse
+};
@@ -0,0 +1,56 @@
+// Shared slug redirect helpers for Netlify Functions
+
+// Kinds of items a redirect can point at, matching the preview routes
+const REDIRECT_TYPES = ['content', 'product'];
+
+// Maximum number of hops followed when resolving chained redirects
+const MAX_REDIRECT_HOPS = 10;
+
+// Redirect documents are keyed by type and old slug so each old slug maps to one target
+const getRedirectId = (type, fromSlug) => `${type}_${fromSlug}`;
+
+// Record a slug change in a write batch: add old → new, repoint redirects that led to the
+// old slug, and drop any redirect away from the new slug since it is live again
+async function addSlugChangeToBatch(batch, redirectsRef, { type, targetId, oldSlug, newSlug, createdAt }) {
+  const pointingToOld = await redirectsRef
+    .where('type', '==', type)
+    .where('toSlug', '==', oldSlug)
+    .get();
+
+  pointingToOld.forEach(doc => {
+    if (doc.data().fromSlug === newSlug) return;
+    batch.update(doc.ref, { toSlug: newSlug, updatedAt: createdAt });
+  });
+
+  batch.delete(redirectsRef.doc(getRedirectId(type, newSlug)));
+  batch.set(redirectsRef.doc(getRedirectId(type, oldSlug)), {
+    type,
+    fromSlug: oldSlug,
+    toSlug: newSlug,
+    targetId: targetId || null,
+    source: 'auto',
+    createdAt,
+    updatedAt: createdAt
+  });
+}
+
+// Follow chained redirects (a → b → c) to their final slug, stopping on loops
+const resolveRedirectTarget = (redirectMap, fromSlug) => {
+  const visited = new Set([fromSlug]);
+  let target = redirectMap.get(fromSlug);
+
+  for (let hop = 1; hop < MAX_REDIRECT_HOPS && redirectMap.has(target); hop++) {
+    if (visited.has(target)) return null;
+    visited.add(target);
+    target = redirectMap.get(target);
+  }
+
+  return target || null;
+};
+
+module.exports = {
+  REDIRECT_TYPES,
+  getRedirectId,
+  addSlugChangeToBatch,
+  resolveRedirectTarget
+};
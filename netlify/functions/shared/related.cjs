@@ -0,0 +1,97 @@
+// Shared previous/next and related item helpers for the public single-item endpoints
+// Entries are { id, date, categories, tags, summary } where summary is what the response carries.
+// The load* helpers read only the documents they need from a query of the published items: the nearest
+// neighbour on each side, and the newest items sharing a category or a tag as related candidates.
+
+const { fetchPage } = require('./pagination.cjs');
+
+const DEFAULT_RELATED_LIMIT = 4;
+const MAX_RELATED_LIMIT = 12;
+
+// A shared category says more about two items than a shared tag
+const CATEGORY_WEIGHT = 2;
+const TAG_WEIGHT = 1;
+
+// Related items are picked from at most this many of the newest items sharing a category, and as many
+// sharing a tag, rather than from every published item
+const RELATED_CANDIDATE_LIMIT = 50;
+
+// Firestore allows at most 30 values in an in or array-contains-any filter
+const MAX_FILTER_VALUES = 30;
+
+// Number of related items to return for a ?related= query parameter
+const parseRelatedLimit = (value) => {
+  const limit = parseInt(value);
+  if (isNaN(limit)) return DEFAULT_RELATED_LIMIT;
+  return Math.min(Math.max(limit, 0), MAX_RELATED_LIMIT);
+};
+
+// Newest entries first
+const sortByDateDesc = (entries) =>
+  [...entries].sort((a, b) => (b.date ? b.date.getTime() : 0) - (a.date ? a.date.getTime() : 0));
+
+const countShared = (values, otherValues) => {
+  const valueSet = new Set(values || []);
+  return [...new Set(otherValues || [])].filter(value => valueSet.has(value)).length;
+};
+
+// Entries sharing the most categories and tags with the given one; ties go to the newest
+const findRelatedEntries = (entry, entries, limit) => sortByDateDesc(entries)
+  .filter(candidate => candidate.id !== entry.id)
+  .map(candidate => ({
+    candidate,
+    score: countShared(entry.categories, candidate.categories) * CATEGORY_WEIGHT +
+      countShared(entry.tags, candidate.tags) * TAG_WEIGHT
+  }))
+  .filter(({ score }) => score > 0)
+  .sort((a, b) => b.score - a.score)
+  .slice(0, limit)
+  .map(({ candidate }) => candidate);
+
+// Nearest public neighbours of an item in a query of published items ordered by dateField; previous is
+// the older one and next the newer one. An item without a date yet (e.g. scheduled content whose
+// publish time has just passed) is the newest, so it only has an older neighbour.
+const loadAdjacentEntries = async (query, itemDoc, { dateField, isVisible, toEntry }) => {
+  const hasDate = itemDoc.get(dateField) != null;
+  const [older, newer] = await Promise.all([
+    fetchPage(hasDate ? query.orderBy(dateField, 'desc').startAfter(itemDoc) : query.orderBy(dateField, 'desc'), 1, isVisible),
+    hasDate ? fetchPage(query.orderBy(dateField, 'asc').startAfter(itemDoc), 1, isVisible) : { docs: [] }
+  ]);
+  return {
+    previous: older.docs.length ? toEntry(older.docs[0]) : null,
+    next: newer.docs.length ? toEntry(newer.docs[0]) : null
+  };
+};
+
+// Related items of an entry from a query of published items: the best matches among the newest items
+// sharing one of its categories or tags. categoryFilter is the field and operator matching categories,
+// as content lists them in an array and products have a single category.
+const loadRelatedEntries = async (query, entry, { categoryFilter, dateField, limit, isVisible, toEntry }) => {
+  const lookups = [
+    [...categoryFilter, entry.categories],
+    ['tags', 'array-contains-any', entry.tags]
+  ].filter(([, , values]) => limit > 0 && values && values.length > 0);
+
+  const snapshots = await Promise.all(lookups.map(([field, operator, values]) => query
+    .where(field, operator, values.slice(0, MAX_FILTER_VALUES))
+    .orderBy(dateField, 'desc')
+    .limit(RELATED_CANDIDATE_LIMIT)
+    .get()));
+
+  const candidates = new Map();
+  snapshots.forEach(snapshot => snapshot.docs.forEach(doc => {
+    if (doc.id !== entry.id && !candidates.has(doc.id) && isVisible(doc.data())) {
+      candidates.set(doc.id, toEntry(doc));
+    }
+  }));
+  return findRelatedEntries(entry, [...candidates.values()], limit);
+};
+
+module.exports = {
+  DEFAULT_RELATED_LIMIT,
+  MAX_RELATED_LIMIT,
+  parseRelatedLimit,
+  findRelatedEntries,
+  loadAdjacentEntries,
+  loadRelatedEntries
+};
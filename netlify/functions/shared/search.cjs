@@ -0,0 +1,237 @@
+// Shared full-text search helpers for Netlify Functions
+// Each content item and product has an entry in the blog's searchIndex collection, rewritten whenever
+// the item is saved, trashed, restored or published on schedule. An entry maps normalized terms to relevance weights, lists the
+// prefixes of those terms so a query can fetch only the entries that can match, and copies the item's
+// status, publish window and trash state so results can be filtered without reading the items.
+
+const { escapeHtml, toPlainText } = require('./markdown.cjs');
+const { isTrashed } = require('./trash.cjs');
+
+const SEARCH_TYPES = ['content', 'product'];
+
+// Relevance weight of a term occurrence per field; body occurrences count up to MAX_TERM_OCCURRENCES
+const FIELD_WEIGHTS = { title: 10, taxonomy: 6, summary: 3, body: 1 };
+const MAX_TERM_OCCURRENCES = 10;
+
+// Prefix matches score lower than whole-word matches
+const PREFIX_MATCH_FACTOR = 0.5;
+
+// Keep index entries small; only the highest weighted terms of very long items are stored
+const MAX_INDEX_TERMS = 1000;
+const MIN_TOKEN_LENGTH = 2;
+const MAX_TOKEN_LENGTH = 40;
+const MAX_QUERY_TOKENS = 10;
+
+// Terms are listed by their prefixes up to this length; longer query words are looked up by their
+// first MAX_PREFIX_LENGTH characters and then matched in full against the terms
+const MAX_PREFIX_LENGTH = 10;
+
+// Firestore batches are limited to 500 writes
+const BATCH_SIZE = 400;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in', 'is', 'it',
+  'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'were', 'will', 'with'
+]);
+
+// Lowercase and strip diacritics so "Café" matches "cafe"
+const normalizeText = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase();
+
+const tokenize = (text) => normalizeText(text)
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(token => token.length >= MIN_TOKEN_LENGTH && token.length <= MAX_TOKEN_LENGTH && !STOP_WORDS.has(token));
+
+// Searchable text of an item, grouped by how much a match in it should count
+const getSearchFields = (type, data) => {
+  if (type === 'product') {
+    return {
+      title: data.name,
+      taxonomy: [data.category, ...(data.tags || [])].filter(Boolean).join(' '),
+      summary: '',
+      body: toPlainText(data.description)
+    };
+  }
+
+  return {
+    title: data.title,
+    taxonomy: [...(data.categories || []), ...(data.tags || [])].join(' '),
+    summary: data.metaDescription,
+    body: toPlainText(data.content)
+  };
+};
+
+// Map each term of an item to its relevance weight
+const buildSearchTerms = (type, data) => {
+  const fields = getSearchFields(type, data);
+  const terms = {};
+
+  Object.entries(FIELD_WEIGHTS).forEach(([field, weight]) => {
+    const occurrences = {};
+    tokenize(fields[field]).forEach(token => {
+      occurrences[token] = (occurrences[token] || 0) + 1;
+    });
+    Object.entries(occurrences).forEach(([token, count]) => {
+      const fieldScore = field === 'body' ? weight * Math.min(count, MAX_TERM_OCCURRENCES) : weight;
+      terms[token] = (terms[token] || 0) + fieldScore;
+    });
+  });
+
+  const entries = Object.entries(terms);
+  if (entries.length <= MAX_INDEX_TERMS) return terms;
+  return Object.fromEntries(entries.sort((a, b) => b[1] - a[1]).slice(0, MAX_INDEX_TERMS));
+};
+
+// Every prefix of every term, from MIN_TOKEN_LENGTH up to MAX_PREFIX_LENGTH characters
+const buildSearchPrefixes = (terms) => {
+  const prefixes = new Set();
+  Object.keys(terms).forEach(term => {
+    for (let length = MIN_TOKEN_LENGTH; length <= Math.min(term.length, MAX_PREFIX_LENGTH); length++) {
+      prefixes.add(term.slice(0, length));
+    }
+  });
+  return [...prefixes];
+};
+
+// Prefix value to look up index entries by: every match has every query term, whole or as a prefix, so
+// the longest query term alone narrows the entries the most
+const getLookupPrefix = (queryTokens) => queryTokens
+  .reduce((longest, token) => (token.length > longest.length ? token : longest), '')
+  .slice(0, MAX_PREFIX_LENGTH);
+
+// Index entries are keyed by type and item ID so each item has exactly one entry
+const getSearchIndexRef = (blogRef, type, itemId) =>
+  blogRef.collection('searchIndex').doc(`${type}_${itemId}`);
+
+const buildSearchIndexEntry = (type, itemId, data, updatedAt) => {
+  const terms = buildSearchTerms(type, data);
+  return {
+    type,
+    itemId,
+    terms,
+    prefixes: buildSearchPrefixes(terms),
+    status: data.status || 'draft',
+    publishAt: data.publishAt || null,
+    unpublishAt: data.unpublishAt || null,
+    trashed: isTrashed(data),
+    updatedAt
+  };
+};
+
+// Write an item's index entry in the same batch as the item itself
+const addSearchIndexToBatch = (batch, blogRef, type, itemId, data, updatedAt) => {
+  batch.set(getSearchIndexRef(blogRef, type, itemId), buildSearchIndexEntry(type, itemId, data, updatedAt));
+};
+
+// Write index entries for many items, in as many batches as needed
+const indexSearchItems = async (db, blogRef, type, items, updatedAt) => {
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    items.slice(i, i + BATCH_SIZE).forEach(({ id, data }) => {
+      addSearchIndexToBatch(batch, blogRef, type, id, data, updatedAt);
+    });
+    await batch.commit();
+  }
+};
+
+// Split a search query into unique terms
+const parseSearchQuery = (query) => [...new Set(tokenize(query))].slice(0, MAX_QUERY_TOKENS);
+
+// Score an index entry against query terms; every query term must match, whole or as a prefix
+const scoreSearchTerms = (terms, queryTokens) => {
+  let score = 0;
+
+  for (const queryToken of queryTokens) {
+    let tokenScore = terms[queryToken] || 0;
+    if (!tokenScore) {
+      Object.keys(terms).forEach(term => {
+        if (term.startsWith(queryToken)) {
+          tokenScore = Math.max(tokenScore, terms[term] * PREFIX_MATCH_FACTOR);
+        }
+      });
+    }
+    if (!tokenScore) return 0;
+    score += tokenScore;
+  }
+
+  return score;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Match words starting with any query term
+const buildMatchPattern = (queryTokens) => new RegExp(
+  `(?<![\\p{L}\\p{N}])(?:${queryTokens.map(escapeRegExp).join('|')})[\\p{L}\\p{N}]*`,
+  'gu'
+);
+
+// Find query matches in text as [start, end] ranges of the original text
+// Matching runs on normalized text so "cafe" also finds "Café"
+const findMatches = (text, queryTokens) => {
+  let normalized = '';
+  const positions = [];
+  for (let i = 0; i < text.length; i++) {
+    const normalizedChar = normalizeText(text[i]);
+    normalized += normalizedChar;
+    for (let j = 0; j < normalizedChar.length; j++) positions.push(i);
+  }
+  positions.push(text.length);
+
+  return [...normalized.matchAll(buildMatchPattern(queryTokens))]
+    .map(match => [positions[match.index], positions[match.index + match[0].length]]);
+};
+
+// HTML-escape text and wrap words matching the query in <mark> tags
+const highlightText = (text, queryTokens) => {
+  const value = String(text || '');
+  if (!value || queryTokens.length === 0) return escapeHtml(value);
+
+  let result = '';
+  let lastIndex = 0;
+  findMatches(value, queryTokens).forEach(([start, end]) => {
+    result += escapeHtml(value.slice(lastIndex, start)) + `<mark>${escapeHtml(value.slice(start, end))}</mark>`;
+    lastIndex = end;
+  });
+  return result + escapeHtml(value.slice(lastIndex));
+};
+
+// Highlighted excerpt of an item's text around the first match
+const buildSnippet = (type, data, queryTokens, length = 200) => {
+  const { summary, body } = getSearchFields(type, data);
+  const text = [summary, body].filter(Boolean).join(' ');
+  if (!text) return '';
+
+  const [firstMatch] = queryTokens.length > 0 ? findMatches(text, queryTokens) : [];
+  const matchIndex = firstMatch ? firstMatch[0] : 0;
+  let start = Math.max(0, matchIndex - Math.floor(length / 3));
+
+  // Start and end the excerpt on word boundaries
+  if (start > 0) {
+    const nextSpace = text.indexOf(' ', start);
+    start = nextSpace !== -1 && nextSpace < matchIndex ? nextSpace + 1 : start;
+  }
+  let end = Math.min(text.length, start + length);
+  if (end < text.length) {
+    const lastSpace = text.lastIndexOf(' ', end);
+    if (lastSpace > start) end = lastSpace;
+  }
+
+  return `${start > 0 ? '…' : ''}${highlightText(text.slice(start, end), queryTokens)}${end < text.length ? '…' : ''}`;
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  tokenize,
+  buildSearchTerms,
+  getLookupPrefix,
+  getSearchIndexRef,
+  buildSearchIndexEntry,
+  addSearchIndexToBatch,
+  indexSearchItems,
+  parseSearchQuery,
+  scoreSearchTerms,
+  highlightText,
+  buildSnippet
+};
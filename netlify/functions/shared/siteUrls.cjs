@@ -0,0 +1,49 @@
+// Shared public URL helpers for Netlify Functions
+// Links served to readers and crawlers use the owner's custom domain (appSettings/public.customDomain)
+// when one is set, and the site the request came in on otherwise
+
+const { createLogger } = require('./logger.cjs');
+
+const logger = createLogger({ module: 'siteUrls' });
+
+// Origin of the site serving the request
+const getRequestOrigin = (event) => {
+  if (process.env.URL) return process.env.URL;
+  const protocol = event.headers['x-forwarded-proto'] || 'https';
+  return `${protocol}://${event.headers.host}`;
+};
+
+// Turn a custom domain setting ("blog.example.com", "https://blog.example.com/") into an origin
+const toOrigin = (domain) => {
+  const value = String(domain || '').trim().replace(/\/+$/, '');
+  if (!value) return '';
+  return /^https?:\/\//i.test(value) ? value : `https://${value}`;
+};
+
+// Public origin of a user's site
+const getPublicOrigin = async (db, uid, event) => {
+  try {
+    const settingsDoc = await db.collection('users').doc(uid).collection('appSettings').doc('public').get();
+    const customOrigin = settingsDoc.exists ? toOrigin(settingsDoc.data().customDomain) : '';
+    if (customOrigin) return customOrigin;
+  } catch (error) {
+    logger.error('Error fetching custom domain', { uid, error });
+  }
+  return getRequestOrigin(event);
+};
+
+const getBlogApiUrl = (origin, uid, blogId, file) => `${origin}/users/${uid}/blogs/${blogId}/api/${file}`;
+
+const getContentUrl = (origin, uid, blogId, slug) =>
+  `${origin}/preview/content/${uid}/${blogId}/${encodeURIComponent(slug)}`;
+
+const getProductUrl = (origin, uid, blogId, slug) =>
+  `${origin}/preview/product/${uid}/${blogId}/${encodeURIComponent(slug)}`;
+
+module.exports = {
+  getRequestOrigin,
+  getPublicOrigin,
+  getBlogApiUrl,
+  getContentUrl,
+  getProductUrl
+};
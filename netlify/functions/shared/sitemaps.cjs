@@ -0,0 +1,86 @@
+// Shared sitemap and robots.txt builders for Netlify Functions
+// A sitemap entry is { loc, lastmod, images } where lastmod is a Date or null and images is a list of URLs
+
+const { escapeHtml } = require('./markdown.cjs');
+
+// The sitemap protocol allows 50,000 URLs per file; smaller pages keep function responses fast
+const SITEMAP_PAGE_SIZE = 10000;
+
+// Google reads at most 1,000 images per page
+const MAX_IMAGES_PER_URL = 1000;
+
+const MAX_ROBOTS_RULES_LENGTH = 5000;
+
+const escapeXml = (text) => escapeHtml(text || '').replace(/'/g, '&apos;');
+
+// Robots settings stored on a blog document, with defaults for blogs that have none
+const getRobotsSettings = (blogData) => {
+  const robots = (blogData && blogData.robots) || {};
+  return {
+    allowIndexing: robots.allowIndexing !== false,
+    customRules: typeof robots.customRules === 'string' ? robots.customRules.slice(0, MAX_ROBOTS_RULES_LENGTH) : ''
+  };
+};
+
+const buildUrlSet = (entries) => {
+  const urlsXml = entries.map(entry => [
+    '  <url>',
+    `    <loc>${escapeXml(entry.loc)}</loc>`,
+    entry.lastmod ? `    <lastmod>${entry.lastmod.toISOString()}</lastmod>` : null,
+    ...entry.images.slice(0, MAX_IMAGES_PER_URL).map(image =>
+      `    <image:image><image:loc>${escapeXml(image)}</image:loc></image:image>`),
+    '  </url>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">',
+    ...urlsXml,
+    '</urlset>',
+    ''
+  ].join('\n');
+};
+
+// Index of sitemap pages; each page is { loc, lastmod }
+const buildSitemapIndex = (pages) => [
+  '<?xml version="1.0" encoding="UTF-8"?>',
+  '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+  ...pages.map(page => [
+    '  <sitemap>',
+    `    <loc>${escapeXml(page.loc)}</loc>`,
+    page.lastmod ? `    <lastmod>${page.lastmod.toISOString()}</lastmod>` : null,
+    '  </sitemap>'
+  ].filter(Boolean).join('\n')),
+  '</sitemapindex>',
+  ''
+].join('\n');
+
+// Default rules first, then the blog's own rules, then the sitemap location
+const buildRobotsTxt = (robots, sitemapUrl) => {
+  const lines = [
+    'User-agent: *',
+    robots.allowIndexing ? 'Allow: /' : 'Disallow: /'
+  ];
+
+  // Rules without their own User-agent line extend the default group
+  const customRules = robots.customRules.replace(/\r\n?/g, '\n').trim();
+  if (customRules) {
+    lines.push(...(/^user-agent\s*:/i.test(customRules) ? ['', customRules] : [customRules]));
+  }
+
+  // Blogs closed to crawlers do not advertise their sitemap
+  if (robots.allowIndexing) {
+    lines.push('', `Sitemap: ${sitemapUrl}`);
+  }
+
+  return `${lines.join('\n')}\n`;
+};
+
+module.exports = {
+  SITEMAP_PAGE_SIZE,
+  MAX_ROBOTS_RULES_LENGTH,
+  getRobotsSettings,
+  buildUrlSet,
+  buildSitemapIndex,
+  buildRobotsTxt
+};
@@ -0,0 +1,89 @@
+// Shared schema.org JSON-LD builders for Netlify Functions
+// Consumers embed the returned objects in a <script type="application/ld+json"> tag
+
+const { toDate } = require('./publishing.cjs');
+const { toPlainText, truncateText } = require('./markdown.cjs');
+
+// ISO 4217 codes for the currency symbols offered in account settings
+// '$' is shared by several currencies and maps to US dollars
+const CURRENCY_CODES = {
+  '$': 'USD', '€': 'EUR', '£': 'GBP', '¥': 'JPY', '₹': 'INR', 'C$': 'CAD', 'A$': 'AUD', '₽': 'RUB',
+  '₩': 'KRW', '₦': 'NGN', '₱': 'PHP', '₡': 'CRC', '₪': 'ILS', '₫': 'VND', '₴': 'UAH', '₸': 'KZT',
+  '₼': 'AZN', '₾': 'GEL', '﷼': 'SAR', 'kr': 'SEK', 'zł': 'PLN', 'Kč': 'CZK', 'Ft': 'HUF', 'lei': 'RON',
+  'лв': 'BGN', 'kn': 'HRK', 'din': 'RSD', 'CHF': 'CHF', 'NOK': 'NOK', 'DKK': 'DKK', 'SEK': 'SEK',
+  'R': 'ZAR', 'R$': 'BRL', 'S$': 'SGD', 'HK$': 'HKD', 'NT$': 'TWD'
+};
+
+// Google truncates longer headlines
+const MAX_HEADLINE_LENGTH = 110;
+const DESCRIPTION_LENGTH = 300;
+
+// Currency code for a currency setting, or null for symbols without one (e.g. cryptocurrencies)
+const getCurrencyCode = (currency) => CURRENCY_CODES[currency] || null;
+
+const roundPrice = (price) => Math.round(Number(price || 0) * 100) / 100;
+
+const toIsoDate = (value) => {
+  const date = toDate(value);
+  return date ? date.toISOString() : undefined;
+};
+
+// Drop empty values so consumers get compact markup
+const compact = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== '' &&
+    !(Array.isArray(value) && value.length === 0))
+);
+
+// BlogPosting markup for a published content item
+const buildBlogPostingJsonLd = (data, { url, blogName, wordCount, readingTime }) => compact({
+  '@context': 'https://schema.org',
+  '@type': 'BlogPosting',
+  headline: truncateText(data.title || '', MAX_HEADLINE_LENGTH),
+  description: data.metaDescription || truncateText(toPlainText(data.content), DESCRIPTION_LENGTH),
+  image: data.featuredImageUrl ? [data.featuredImageUrl] : undefined,
+  datePublished: toIsoDate(data.status === 'scheduled' ? data.publishAt : data.publishDate) || toIsoDate(data.createdAt),
+  dateModified: toIsoDate(data.updatedAt),
+  author: data.author ? { '@type': 'Person', name: data.author } : undefined,
+  articleSection: data.categories,
+  keywords: (data.tags || []).join(', '),
+  wordCount,
+  timeRequired: `PT${readingTime}M`,
+  url,
+  mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+  isPartOf: blogName ? { '@type': 'Blog', name: blogName } : undefined
+});
+
+// Product markup with an Offer at the discounted price; a discount adds the original price as a strikethrough price
+const buildProductJsonLd = (data, { url, currency, originalPrice, discountedPrice, imageUrls }) => {
+  const priceCurrency = getCurrencyCode(currency) || undefined;
+  const hasDiscount = discountedPrice < originalPrice;
+
+  return compact({
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    name: data.name,
+    description: truncateText(toPlainText(data.description), DESCRIPTION_LENGTH),
+    image: imageUrls,
+    category: data.category,
+    keywords: (data.tags || []).join(', '),
+    url,
+    offers: compact({
+      '@type': 'Offer',
+      price: roundPrice(discountedPrice),
+      priceCurrency,
+      priceSpecification: hasDiscount ? compact({
+        '@type': 'UnitPriceSpecification',
+        priceType: 'https://schema.org/StrikethroughPrice',
+        price: roundPrice(originalPrice),
+        priceCurrency
+      }) : undefined,
+      url: data.productUrl || url
+    })
+  });
+};
+
+module.exports = {
+  getCurrencyCode,
+  buildBlogPostingJsonLd,
+  buildProductJsonLd
+};
@@ -0,0 +1,145 @@
+// Shared category and tag taxonomy helpers for Netlify Functions
+
+const { addSearchIndexToBatch } = require('./search.cjs');
+const { incrementVersion } = require('./versioning.cjs');
+
+const TAXONOMY_KINDS = ['category', 'tag'];
+
+// Firestore allows at most 10 values in array-contains-any and in queries
+const QUERY_VALUE_LIMIT = 10;
+
+// Firestore batches are limited to 500 writes; each item update also rewrites its search index entry
+const BATCH_SIZE = 200;
+
+// Validate a term name, returning an error message or null
+// Commas are rejected because the editors split category and tag input on commas
+const validateTermName = (name) => {
+  if (typeof name !== 'string' || !name.trim()) return 'Name is required';
+  if (name.trim().length > 50) return 'Name must be less than 50 characters';
+  if (name.includes(',')) return 'Name cannot contain commas';
+  return null;
+};
+
+// Case-insensitive key used to keep term names unique per blog
+const getTermKey = (name) => name.trim().toLowerCase();
+
+// Replace any of fromNames in a list of names with toName (or drop them when toName is null), removing duplicates
+const replaceTermNames = (names, fromNames, toName) => {
+  const result = [];
+  (names || []).forEach(name => {
+    const nextName = fromNames.includes(name) ? toName : name;
+    if (nextName && !result.includes(nextName)) result.push(nextName);
+  });
+  return result;
+};
+
+const chunk = (values, size) => {
+  const chunks = [];
+  for (let i = 0; i < values.length; i += size) {
+    chunks.push(values.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// Rewrite every content and product document that uses any of fromNames, including items in the trash
+// Content keeps categories and tags in arrays; products have a single category and a tags array
+// Returns the number of documents updated, whose search index entries are refreshed in the same batch
+const rewriteTermUsage = async (db, blogRef, kind, fromNames, toName, updatedAt) => {
+  const updates = new Map();
+  const queueUpdate = (doc, changes) => {
+    const existing = updates.get(doc.ref.path);
+    updates.set(doc.ref.path, { doc, changes: { ...(existing ? existing.changes : {}), ...changes } });
+  };
+
+  for (const names of chunk(fromNames, QUERY_VALUE_LIMIT)) {
+    const contentField = kind === 'category' ? 'categories' : 'tags';
+    const contentSnapshot = await blogRef.collection('content').where(contentField, 'array-contains-any', names).get();
+    contentSnapshot.forEach(doc => {
+      queueUpdate(doc, { [contentField]: replaceTermNames(doc.data()[contentField], fromNames, toName) });
+    });
+
+    if (kind === 'category') {
+      const productSnapshot = await blogRef.collection('products').where('category', 'in', names).get();
+      productSnapshot.forEach(doc => {
+        queueUpdate(doc, { category: toName || '' });
+      });
+    } else {
+      const productSnapshot = await blogRef.collection('products').where('tags', 'array-contains-any', names).get();
+      productSnapshot.forEach(doc => {
+        queueUpdate(doc, { tags: replaceTermNames(doc.data().tags, fromNames, toName) });
+      });
+    }
+  }
+
+  const allUpdates = [...updates.values()];
+  for (const updateChunk of chunk(allUpdates, BATCH_SIZE)) {
+    const batch = db.batch();
+    updateChunk.forEach(({ doc, changes }) => {
+      batch.update(doc.ref, { ...changes, updatedAt, version: incrementVersion() });
+      const type = doc.ref.parent.id === 'products' ? 'product' : 'content';
+      addSearchIndexToBatch(batch, blogRef, type, doc.id, { ...doc.data(), ...changes }, updatedAt);
+    });
+    await batch.commit();
+  }
+
+  return allUpdates.length;
+};
+
+// Count how many content items and products use each term name
+// Returns a Map of name -> { contentCount, productCount }
+const countTermUsage = (kind, contentDocs, productDocs) => {
+  const counts = new Map();
+  const increment = (name, key) => {
+    if (!name) return;
+    const entry = counts.get(name) || { contentCount: 0, productCount: 0 };
+    entry[key] += 1;
+    counts.set(name, entry);
+  };
+
+  contentDocs.forEach(data => {
+    const names = kind === 'category' ? data.categories : data.tags;
+    new Set(names || []).forEach(name => increment(name, 'contentCount'));
+  });
+  productDocs.forEach(data => {
+    if (kind === 'category') {
+      increment(data.category, 'productCount');
+    } else {
+      new Set(data.tags || []).forEach(name => increment(name, 'productCount'));
+    }
+  });
+
+  return counts;
+};
+
+// List the terms of a kind with their usage counts: managed terms, plus names used by content or
+// products that are not in the taxonomy yet (including case variants of managed terms), sorted by name
+const listTerms = (kind, terms, contentDocs, productDocs) => {
+  const counts = countTermUsage(kind, contentDocs, productDocs);
+  const kindTerms = terms.filter(term => term.kind === kind);
+
+  const list = kindTerms.map(term => ({
+    id: term.id,
+    name: term.name,
+    description: term.description || '',
+    parentId: term.parentId || null,
+    managed: true,
+    ...(counts.get(term.name) || { contentCount: 0, productCount: 0 })
+  }));
+
+  counts.forEach((count, name) => {
+    if (kindTerms.some(term => term.name === name)) return;
+    list.push({ id: null, name, description: '', parentId: null, managed: false, ...count });
+  });
+
+  return list.sort((a, b) => a.name.localeCompare(b.name));
+};
+
+module.exports = {
+  TAXONOMY_KINDS,
+  validateTermName,
+  getTermKey,
+  replaceTermNames,
+  rewriteTermUsage,
+  countTermUsage,
+  listTerms
+};
@@ -0,0 +1,124 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  API_KEY_PREFIX,
+  API_KEY_SCOPES,
+  generateApiKey,
+  hashApiKey,
+  isApiKeyActive,
+  validateApiKeyInput,
+  authenticateRequest,
+  findPresentedApiKey,
+  canAccessBlog,
+  authorizeBlogRequest
+} = require('../apiKeys.cjs');
+const { createFakeFirestore } = require('./fakeFirestore.cjs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A blog with one stored key; returns the db and the key as presented by clients
+const setUp = async (keyFields = {}) => {
+  const db = createFakeFirestore();
+  await db.collection('users').doc('user1').collection('blogs').doc('blog1').set({ name: 'Blog' });
+  const key = generateApiKey();
+  await db.collection('apiKeys').doc(hashApiKey(key)).set({
+    name: 'Integration',
+    uid: 'user1',
+    blogId: 'blog1',
+    scopes: [API_KEY_SCOPES.READ_DRAFTS],
+    ...keyFields
+  });
+  return { db, key };
+};
+
+const auth = {
+  verifyIdToken: async (token) => {
+    if (token !== 'valid-id-token') throw new Error('invalid');
+    return { uid: 'user1', email: 'owner@example.com', name: 'Owner' };
+  }
+};
+
+test('generated keys carry the prefix and are stored only as their hash', () => {
+  const key = generateApiKey();
+  assert.ok(key.startsWith(API_KEY_PREFIX));
+  assert.match(hashApiKey(key), /^[0-9a-f]{64}$/);
+  assert.notEqual(generateApiKey(), key);
+});
+
+test('isApiKeyActive rejects revoked and expired keys', () => {
+  const now = new Date();
+  assert.equal(isApiKeyActive({}, now), true);
+  assert.equal(isApiKeyActive({ revokedAt: now }, now), false);
+  assert.equal(isApiKeyActive({ expiresAt: new Date(now.getTime() - 1000) }, now), false);
+  assert.equal(isApiKeyActive({ expiresAt: new Date(now.getTime() + DAY_MS) }, now), true);
+});
+
+test('validateApiKeyInput checks the name, scopes and expiry', () => {
+  const future = new Date(Date.now() + DAY_MS).toISOString();
+  assert.equal(validateApiKeyInput({ name: 'CI', scopes: ['read:drafts'], expiresAt: future }), null);
+  assert.equal(validateApiKeyInput({ name: ' ', scopes: ['read:drafts'] }), 'Name is required');
+  assert.equal(validateApiKeyInput({ name: 'CI', scopes: [] }), 'Select at least one scope');
+  assert.match(validateApiKeyInput({ name: 'CI', scopes: ['admin'] }), /Unknown scope "admin"/);
+  assert.equal(validateApiKeyInput({ name: 'CI', scopes: ['read:drafts'], expiresAt: '2000-01-01' }), 'expiresAt must be in the future');
+});
+
+test('authenticateRequest resolves an API key to its owner and blog', async () => {
+  const { db, key } = await setUp();
+  const result = await authenticateRequest(`Bearer ${key}`, { db, auth, scope: API_KEY_SCOPES.READ_DRAFTS });
+
+  assert.equal(result.caller.uid, 'user1');
+  assert.equal(result.caller.apiKey.blogId, 'blog1');
+  assert.ok(db.store.get(`apiKeys/${hashApiKey(key)}`).lastUsedAt instanceof Date);
+});
+
+test('authenticateRequest refuses keys without the scope, revoked keys and unknown keys', async () => {
+  const { db, key } = await setUp();
+  const missingScope = await authenticateRequest(`Bearer ${key}`, { db, auth, scope: API_KEY_SCOPES.WRITE_CONTENT });
+  assert.equal(missingScope.statusCode, 403);
+
+  const unknown = await authenticateRequest(`Bearer ${generateApiKey()}`, { db, auth, scope: API_KEY_SCOPES.READ_DRAFTS });
+  assert.equal(unknown.statusCode, 401);
+
+  const revoked = await setUp({ revokedAt: new Date() });
+  const revokedResult = await authenticateRequest(`Bearer ${revoked.key}`, { db: revoked.db, auth, scope: API_KEY_SCOPES.READ_DRAFTS });
+  assert.deepEqual(revokedResult, { statusCode: 401, error: 'API key has been revoked' });
+});
+
+test('authenticateRequest stops accepting a key once its blog is deleted', async () => {
+  const { db, key } = await setUp();
+  await db.collection('users').doc('user1').collection('blogs').doc('blog1').delete();
+
+  const result = await authenticateRequest(`Bearer ${key}`, { db, auth, scope: API_KEY_SCOPES.READ_DRAFTS });
+  assert.equal(result.statusCode, 401);
+});
+
+test('authenticateRequest accepts Firebase ID tokens', async () => {
+  const db = createFakeFirestore();
+  const result = await authenticateRequest('Bearer valid-id-token', { db, auth, scope: API_KEY_SCOPES.READ_DRAFTS });
+  assert.deepEqual(result.caller, { uid: 'user1', email: 'owner@example.com', name: 'Owner', apiKey: null });
+
+  assert.equal((await authenticateRequest('Bearer other', { db, auth })).statusCode, 401);
+  assert.equal((await authenticateRequest(undefined, { db, auth })).statusCode, 401);
+});
+
+test('findPresentedApiKey identifies active keys only', async () => {
+  const { db, key } = await setUp();
+  assert.deepEqual(await findPresentedApiKey(db, `Bearer ${key}`), { id: hashApiKey(key), uid: 'user1', blogId: 'blog1' });
+  assert.equal(await findPresentedApiKey(db, 'Bearer valid-id-token'), null);
+
+  const expired = await setUp({ expiresAt: new Date(Date.now() - 1000) });
+  assert.equal(await findPresentedApiKey(expired.db, `Bearer ${expired.key}`), null);
+});
+
+test('authorizeBlogRequest limits keys to their own blog', async () => {
+  const { db, key } = await setUp();
+  const scope = API_KEY_SCOPES.READ_DRAFTS;
+
+  const own = await authorizeBlogRequest(`Bearer ${key}`, { db, auth, scope, uid: 'user1', blogId: 'blog1' });
+  assert.equal(own.caller.uid, 'user1');
+
+  const other = await authorizeBlogRequest(`Bearer ${key}`, { db, auth, scope, uid: 'user1', blogId: 'blog2' });
+  assert.equal(other.statusCode, 403);
+
+  assert.equal(canAccessBlog({ apiKey: null }, 'blog2'), true);
+});
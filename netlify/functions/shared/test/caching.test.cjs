@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  computeETag,
+  isNotModified,
+  getListLastModified,
+  isPublicChange,
+  toCachedResponse,
+  recordPublicChange
+} = require('../caching.cjs');
+const { createFakeFirestore } = require('./fakeFirestore.cjs');
+
+test('isNotModified prefers If-None-Match over If-Modified-Since', () => {
+  const etag = computeETag('body');
+  const lastModified = new Date('2025-01-01T12:00:00.500Z');
+
+  assert.equal(isNotModified({ 'if-none-match': `W/${etag}` }, { etag, lastModified }), true);
+  assert.equal(isNotModified({ 'if-none-match': '"other"', 'if-modified-since': lastModified.toUTCString() }, { etag, lastModified }), false);
+  assert.equal(isNotModified({ 'if-modified-since': lastModified.toUTCString() }, { etag, lastModified }), true);
+  assert.equal(isNotModified({ 'if-modified-since': new Date('2024-12-31').toUTCString() }, { etag, lastModified }), false);
+});
+
+test('getListLastModified counts the blog\'s last public change', () => {
+  const items = [{ updatedAt: new Date('2025-01-02') }, { createdAt: new Date('2025-01-03') }];
+
+  assert.deepEqual(getListLastModified(items, {}), new Date('2025-01-03'));
+  assert.deepEqual(getListLastModified(items, { lastPublicChangeAt: new Date('2025-02-01') }), new Date('2025-02-01'));
+  // An item leaving an otherwise empty list still moves Last-Modified
+  assert.deepEqual(getListLastModified([], { lastPublicChangeAt: new Date('2025-02-01') }), new Date('2025-02-01'));
+  assert.equal(getListLastModified([], undefined), null);
+});
+
+test('responses no purge covers are revalidated but not kept by the CDN', () => {
+  const options = { headers: {}, body: '{}', lastModified: null, cacheTags: ['blog-blog1', 'blog-blog1-content'] };
+
+  const stored = toCachedResponse({ headers: {} }, options).headers;
+  assert.equal(stored['Netlify-Cache-Tag'], 'blog-blog1,blog-blog1-content');
+  assert.match(stored['Netlify-CDN-Cache-Control'], /max-age=3600/);
+
+  const unstored = toCachedResponse({ headers: {} }, { ...options, storeOnCdn: false });
+  assert.equal(unstored.headers['Netlify-CDN-Cache-Control'], 'no-store');
+  assert.equal(unstored.headers['Netlify-Cache-Tag'], undefined);
+  assert.equal(toCachedResponse({ headers: { 'if-none-match': unstored.headers.ETag } }, { ...options, storeOnCdn: false }).statusCode, 304);
+});
+
+test('isPublicChange ignores changes to drafts and trashed items', () => {
+  assert.equal(isPublicChange({ status: 'draft' }, { status: 'draft' }), false);
+  assert.equal(isPublicChange({ status: 'draft' }, { status: 'published' }), true);
+  assert.equal(isPublicChange({ status: 'published' }, null), true);
+  assert.equal(isPublicChange({ status: 'published', deletedAt: new Date() }, null), false);
+});
+
+test('recordPublicChange stamps the blog and keeps its other fields', async () => {
+  const db = createFakeFirestore();
+  const blogRef = db.collection('users').doc('user1').collection('blogs').doc('blog1');
+  await blogRef.set({ name: 'Blog' });
+
+  const before = new Date();
+  await recordPublicChange(blogRef, ['content']);
+
+  const blog = db.store.get(blogRef.path);
+  assert.equal(blog.name, 'Blog');
+  assert.ok(blog.lastPublicChangeAt >= before);
+});
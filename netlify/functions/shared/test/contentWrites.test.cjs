@@ -0,0 +1,98 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFirestore, installFakeAdminDb } = require('./fakeFirestore.cjs');
+
+const db = createFakeFirestore();
+installFakeAdminDb(db);
+const { createContent, updateContent, deleteContent } = require('../contentWrites.cjs');
+
+const owner = { uid: 'user1', email: 'owner@example.com', name: 'Owner', apiKey: null };
+const apiKeyCaller = { uid: 'user1', email: '', name: 'API key: CI', apiKey: { id: 'key1', blogId: 'blog1', scopes: ['write:content'] } };
+const blogPath = 'users/user1/blogs/blog1';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const post = (fields = {}) => ({ blogId: 'blog1', title: 'Hello', slug: 'hello', content: 'The body of the post', ...fields });
+
+// Documents stored under a path, e.g. an item's revisions
+const docsUnder = (path) => [...db.store.keys()].filter(key => key.startsWith(`${path}/`) && key.split('/').length === path.split('/').length + 1);
+
+test.beforeEach(async () => {
+  db.store.clear();
+  await db.collection('users').doc('user1').collection('blogs').doc('blog1').set({ workflow: { requireReview: true } });
+});
+
+test('createContent records the first revision and the workflow transition', async () => {
+  const { id, version } = await createContent(owner, post({ status: 'in_review', workflowComment: 'Please check' }));
+  const itemPath = `${blogPath}/content/${id}`;
+
+  assert.equal(version, 1);
+  assert.equal(db.store.get(itemPath).status, 'in_review');
+  assert.equal(docsUnder(`${itemPath}/revisions`).length, 1);
+  const [transitionPath] = docsUnder(`${itemPath}/transitions`);
+  assert.equal(db.store.get(transitionPath).comment, 'Please check');
+});
+
+test('createContent refuses to publish past a required review, whoever calls it', async () => {
+  await assert.rejects(createContent(apiKeyCaller, post({ status: 'published' })), {
+    statusCode: 400,
+    message: 'Content must be reviewed and approved before it can be published'
+  });
+  assert.equal(docsUnder(`${blogPath}/content`).length, 0);
+});
+
+test('createContent requires a publishAt for scheduled content and rejects unknown fields', async () => {
+  await db.collection('users').doc('user1').collection('blogs').doc('blog1').set({});
+
+  await assert.rejects(createContent(owner, post({ status: 'scheduled' })), { statusCode: 400, message: 'publishAt is required for scheduled items' });
+  await assert.rejects(createContent(owner, post({ secret: { nested: true } })), { statusCode: 400, code: 'VALIDATION_FAILED' });
+  await assert.rejects(createContent(owner, post({ fields: { price: 1 } })), { statusCode: 400, message: 'Custom fields require a contentType' });
+});
+
+test('createContent keeps API keys to their own blog', async () => {
+  await assert.rejects(createContent(apiKeyCaller, post({ blogId: 'blog2' })), { statusCode: 403 });
+});
+
+test('updateContent enforces the workflow and records a revision and a transition', async () => {
+  const { id } = await createContent(owner, post());
+  const itemPath = `${blogPath}/content/${id}`;
+
+  await assert.rejects(updateContent(apiKeyCaller, { id, blogId: 'blog1', status: 'published' }), { statusCode: 400 });
+
+  const result = await updateContent(apiKeyCaller, { id, blogId: 'blog1', version: 1, status: 'in_review', title: 'Hello again' });
+  assert.deepEqual(result, { success: true, version: 2 });
+  assert.equal(db.store.get(itemPath).title, 'Hello again');
+  assert.equal(docsUnder(`${itemPath}/revisions`).length, 2);
+  assert.equal(docsUnder(`${itemPath}/transitions`).length, 1);
+});
+
+test('updateContent rejects a stale version and an invalid schedule', async () => {
+  await db.collection('users').doc('user1').collection('blogs').doc('blog1').set({});
+  const { id } = await createContent(owner, post());
+  await updateContent(owner, { id, blogId: 'blog1', version: 1, title: 'Second' });
+
+  await assert.rejects(updateContent(owner, { id, blogId: 'blog1', version: 1, title: 'Third' }), { statusCode: 409 });
+  await assert.rejects(updateContent(owner, { id, blogId: 'blog1', status: 'scheduled' }), { message: 'publishAt is required for scheduled items' });
+
+  const publishAt = new Date(Date.now() + DAY_MS).toISOString();
+  const scheduled = await updateContent(owner, { id, blogId: 'blog1', status: 'scheduled', publishAt });
+  assert.equal(scheduled.version, 3);
+});
+
+test('deleteContent moves content to the trash and keeps its history', async () => {
+  const { id } = await createContent(apiKeyCaller, post());
+  const itemPath = `${blogPath}/content/${id}`;
+
+  await assert.rejects(deleteContent(apiKeyCaller, { id, blogId: 'blog1', permanent: true }), { statusCode: 400 });
+
+  const result = await deleteContent(apiKeyCaller, { id, blogId: 'blog1' });
+  assert.ok(new Date(result.purgeAt) > new Date(result.deletedAt));
+  const stored = db.store.get(itemPath);
+  assert.ok(stored.deletedAt && stored.purgeAt && stored.updatedAt);
+  assert.equal(docsUnder(`${itemPath}/revisions`).length, 1);
+  assert.equal(db.store.get(`${blogPath}/searchIndex/content_${id}`).trashed, true);
+
+  await assert.rejects(deleteContent(apiKeyCaller, { id, blogId: 'blog1' }), { statusCode: 400, message: 'Content is already in the trash' });
+
+  await updateContent(apiKeyCaller, { id, blogId: 'blog1', restore: true });
+  assert.equal(db.store.get(`${blogPath}/searchIndex/content_${id}`).trashed, false);
+});
@@ -0,0 +1,156 @@
+// In-memory stand-in for the parts of the Firestore Admin API the shared server library uses
+// Documents are kept in one Map by path. Queries support where, orderBy (by field or document ID), limit,
+// offset, startAfter (from a document), select and count; batches apply their writes on commit, and
+// transactions run their callback once against the same store, which is enough for single-caller tests.
+
+const crypto = require('crypto');
+
+// Comparable value of a stored field: timestamps and dates compare by time
+const toComparable = (value) => {
+  if (value && typeof value.toMillis === 'function') return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const getField = (data, field) => field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+// Ordered value of a document; a field that is not a name is taken to be FieldPath.documentId()
+const getOrderValue = (doc, field) => typeof field === 'string' ? toComparable(getField(doc.data(), field)) : doc.id;
+
+const matches = (data, { field, op, value }) => {
+  const actual = toComparable(getField(data, field));
+  const expected = Array.isArray(value) ? value.map(toComparable) : toComparable(value);
+  switch (op) {
+    case '==': return actual === expected;
+    case '!=': return actual !== undefined && actual !== expected;
+    case '<': return actual !== undefined && actual !== null && actual < expected;
+    case '<=': return actual !== undefined && actual !== null && actual <= expected;
+    case '>': return actual !== undefined && actual !== null && actual > expected;
+    case '>=': return actual !== undefined && actual !== null && actual >= expected;
+    case 'in': return expected.includes(actual);
+    case 'array-contains': return Array.isArray(actual) && actual.map(toComparable).includes(expected);
+    case 'array-contains-any': return Array.isArray(actual) && actual.some(item => expected.includes(toComparable(item)));
+    default: throw new Error(`Unsupported operator ${op}`);
+  }
+};
+
+const createFakeFirestore = () => {
+  const store = new Map();
+  // Every query run, as { path, filters }, for tests that check what was read
+  const queryLog = [];
+
+  const snapshotOf = (ref) => {
+    const data = store.get(ref.path);
+    return {
+      id: ref.id,
+      ref,
+      exists: data !== undefined,
+      data: () => (data === undefined ? undefined : { ...data }),
+      get: (field) => (data === undefined ? undefined : getField(data, field))
+    };
+  };
+
+  const docRef = (path) => {
+    const ref = {
+      id: path.split('/').pop(),
+      path,
+      get parent() { return collectionRef(path.slice(0, path.lastIndexOf('/'))); },
+      get: async () => snapshotOf(ref),
+      set: async (data, options = {}) => { store.set(path, { ...(options.merge ? store.get(path) : {}), ...data }); },
+      update: async (data) => {
+        if (!store.has(path)) throw new Error(`No document to update: ${path}`);
+        store.set(path, { ...store.get(path), ...data });
+      },
+      delete: async () => { store.delete(path); },
+      collection: (name) => collectionRef(`${path}/${name}`)
+    };
+    return ref;
+  };
+
+  const runQuery = (path, { filters, orders, start, skip, limitTo }) => {
+    queryLog.push({ path, filters });
+    const depth = path.split('/').length + 1;
+    let docs = [...store.keys()]
+      .filter(key => key.startsWith(`${path}/`) && key.split('/').length === depth)
+      .map(key => snapshotOf(docRef(key)))
+      .filter(doc => filters.every(filter => matches(doc.data(), filter)));
+
+    const compare = (a, b) => {
+      for (const { field, direction } of orders) {
+        const left = getOrderValue(a, field);
+        const right = getOrderValue(b, field);
+        if (left !== right) return (left < right ? -1 : 1) * (direction === 'desc' ? -1 : 1);
+      }
+      return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    };
+    docs.sort(compare);
+
+    if (start) docs = docs.filter(doc => compare(doc, start) > 0);
+    docs = docs.slice(skip);
+    if (limitTo !== null) docs = docs.slice(0, limitTo);
+    return { docs, size: docs.length, empty: docs.length === 0 };
+  };
+
+  const query = (path, state) => ({
+    where: (field, op, value) => query(path, { ...state, filters: [...state.filters, { field, op, value }] }),
+    orderBy: (field, direction = 'asc') => query(path, { ...state, orders: [...state.orders, { field, direction }] }),
+    limit: (count) => query(path, { ...state, limitTo: count }),
+    offset: (count) => query(path, { ...state, skip: count }),
+    startAfter: (doc) => query(path, { ...state, start: doc }),
+    // Every field is returned; the tests only rely on the selected ones being there
+    select: () => query(path, state),
+    get: async () => runQuery(path, state),
+    count: () => ({ get: async () => ({ data: () => ({ count: runQuery(path, { ...state, limitTo: null }).size }) }) })
+  });
+
+  const collectionRef = (path) => ({
+    id: path.split('/').pop(),
+    path,
+    // Top-level collections have no parent document
+    get parent() { return path.includes('/') ? docRef(path.slice(0, path.lastIndexOf('/'))) : null; },
+    doc: (id = crypto.randomBytes(10).toString('hex')) => docRef(`${path}/${id}`),
+    ...query(path, { filters: [], orders: [], start: null, skip: 0, limitTo: null })
+  });
+
+  const db = {
+    collection: (name) => collectionRef(name),
+    batch: () => {
+      const writes = [];
+      return {
+        set: (ref, data, options = {}) => { writes.push(() => store.set(ref.path, { ...(options.merge ? store.get(ref.path) : {}), ...data })); },
+        update: (ref, data) => { writes.push(() => store.set(ref.path, { ...store.get(ref.path), ...data })); },
+        delete: (ref) => { writes.push(() => store.delete(ref.path)); },
+        commit: async () => { writes.forEach(write => write()); }
+      };
+    },
+    runTransaction: async (callback) => callback({
+      get: (ref) => ref.get(),
+      set: (ref, data) => { store.set(ref.path, { ...data }); },
+      update: (ref, data) => { store.set(ref.path, { ...store.get(ref.path), ...data }); },
+      delete: (ref) => { store.delete(ref.path); }
+    }),
+    // Raw access for arranging and inspecting test data
+    store,
+    queryLog
+  };
+  return db;
+};
+
+// Load a shared module that takes db from firebaseAdmin.cjs with that db backed by a fake store.
+// firebase-admin needs a well-formed service account key to initialise, so a throwaway one is generated.
+const installFakeAdminDb = (fake) => {
+  if (!process.env.FIREBASE_PRIVATE_KEY) {
+    const { privateKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    process.env.FIREBASE_PRIVATE_KEY = privateKey.export({ type: 'pkcs8', format: 'pem' });
+  }
+  const firebaseAdmin = require('../firebaseAdmin.cjs');
+  firebaseAdmin.db.collection = fake.collection;
+  firebaseAdmin.db.runTransaction = fake.runTransaction;
+  firebaseAdmin.db.batch = fake.batch;
+  return firebaseAdmin;
+};
+
+module.exports = {
+  createFakeFirestore,
+  installFakeAdminDb
+};
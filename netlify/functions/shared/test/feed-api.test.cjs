@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFirestore, installFakeAdminDb } = require('./fakeFirestore.cjs');
+
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.LOG_LEVEL = 'error';
+const db = createFakeFirestore();
+const { admin } = installFakeAdminDb(db);
+const { handler } = require('../../feed-api.cjs');
+
+const blogRef = db.collection('users').doc('user1').collection('blogs').doc('blog1');
+const timestamp = (iso) => admin.firestore.Timestamp.fromDate(new Date(iso));
+
+const post = (fields = {}) => ({
+  title: 'Hello',
+  slug: 'hello',
+  content: 'The **body** of the post',
+  categories: ['news'],
+  tags: [],
+  status: 'published',
+  createdAt: timestamp('2024-01-01T00:00:00Z'),
+  updatedAt: timestamp('2024-01-01T00:00:00Z'),
+  publishDate: timestamp('2024-01-01T00:00:00Z'),
+  ...fields
+});
+
+const getFeed = (file, { query = '', headers = {} } = {}) => handler({
+  httpMethod: 'GET',
+  path: `/users/user1/blogs/blog1/api/${file}`,
+  rawQuery: query,
+  queryStringParameters: Object.fromEntries(new URLSearchParams(query)),
+  headers: { host: 'blog.example.com', 'x-nf-client-connection-ip': '1.1.1.1', ...headers }
+});
+
+test.beforeEach(async () => {
+  db.store.clear();
+  await blogRef.set({ name: 'Tips & Tricks', createdAt: timestamp('2023-01-01T00:00:00Z') });
+  const content = blogRef.collection('content');
+  await content.doc('older').set(post({ title: 'Older', slug: 'older' }));
+  await content.doc('newer').set(post({
+    title: 'Newer <post>',
+    slug: 'newer',
+    publishDate: timestamp('2024-02-01T00:00:00Z'),
+    updatedAt: timestamp('2024-02-02T00:00:00Z')
+  }));
+  await content.doc('draft').set(post({ title: 'Draft', slug: 'draft', status: 'draft' }));
+  await content.doc('trashed').set(post({ title: 'Trashed', slug: 'trashed', deletedAt: timestamp('2024-03-01T00:00:00Z') }));
+  await content.doc('later').set(post({ title: 'Later', slug: 'later', status: 'scheduled', publishAt: timestamp('2999-01-01T00:00:00Z') }));
+});
+
+test('rss.xml lists published items newest first with escaped text', async () => {
+  const response = await getFeed('rss.xml');
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.headers['Content-Type'], 'application/rss+xml; charset=utf-8');
+  assert.match(response.body, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<rss version="2.0"/);
+  assert.match(response.body, /<title>Tips &amp; Tricks<\/title>/);
+  const titles = [...response.body.matchAll(/<item>\s*<title>([^<]*)<\/title>/g)].map(match => match[1]);
+  assert.deepEqual(titles, ['Newer &lt;post&gt;', 'Older']);
+});
+
+test('feed.json is a JSON Feed with rendered content, or the summary in excerpt mode', async () => {
+  const response = await getFeed('feed.json');
+
+  assert.equal(response.headers['Content-Type'], 'application/feed+json; charset=utf-8');
+  const feed = JSON.parse(response.body);
+  assert.equal(feed.version, 'https://jsonfeed.org/version/1.1');
+  assert.equal(feed.title, 'Tips & Tricks');
+  assert.deepEqual(feed.items.map(item => item.title), ['Newer <post>', 'Older']);
+  assert.equal(feed.items[0].date_published, '2024-02-01T00:00:00.000Z');
+  assert.equal(feed.items[0].date_modified, '2024-02-02T00:00:00.000Z');
+  assert.match(feed.items[0].content_html, /<strong>body<\/strong>/);
+  assert.deepEqual(feed.items[0].tags, ['news']);
+
+  const excerpts = JSON.parse((await getFeed('feed.json', { query: 'mode=excerpt' })).body);
+  assert.equal(excerpts.items[0].content_html, undefined);
+  assert.equal(excerpts.items[0].content_text, excerpts.items[0].summary);
+});
+
+test('conditional requests with a matching ETag or a later date get 304 without a body', async () => {
+  const first = await getFeed('atom.xml');
+  assert.equal(first.statusCode, 200);
+  assert.equal(first.headers['Last-Modified'], 'Fri, 02 Feb 2024 00:00:00 GMT');
+
+  const byTag = await getFeed('atom.xml', { headers: { 'if-none-match': first.headers.ETag } });
+  assert.equal(byTag.statusCode, 304);
+  assert.equal(byTag.body, '');
+  assert.equal(byTag.headers.ETag, first.headers.ETag);
+
+  const byDate = await getFeed('atom.xml', { headers: { 'if-modified-since': first.headers['Last-Modified'] } });
+  assert.equal(byDate.statusCode, 304);
+
+  const stale = await getFeed('atom.xml', { headers: { 'if-modified-since': 'Thu, 01 Feb 2024 00:00:00 GMT' } });
+  assert.equal(stale.statusCode, 200);
+
+  // Editing an item changes the body, so the old ETag no longer matches
+  await blogRef.collection('content').doc('older').update({ title: 'Older, edited', updatedAt: timestamp('2024-03-01T00:00:00Z') });
+  const changed = await getFeed('atom.xml', { headers: { 'if-none-match': first.headers.ETag } });
+  assert.equal(changed.statusCode, 200);
+  assert.notEqual(changed.headers.ETag, first.headers.ETag);
+});
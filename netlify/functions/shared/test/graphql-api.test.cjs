@@ -0,0 +1,111 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFirestore, installFakeAdminDb } = require('./fakeFirestore.cjs');
+
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.LOG_LEVEL = 'error';
+const db = createFakeFirestore();
+const { admin } = installFakeAdminDb(db);
+const { handler } = require('../../graphql-api.cjs');
+
+const blogRef = db.collection('users').doc('user1').collection('blogs').doc('blog1');
+const timestamp = (iso) => admin.firestore.Timestamp.fromDate(new Date(iso));
+
+const post = (fields = {}) => ({
+  title: 'Hello',
+  slug: 'hello',
+  content: 'The body of the post',
+  categories: ['news'],
+  tags: [],
+  status: 'published',
+  createdAt: timestamp('2024-01-01T00:00:00Z'),
+  updatedAt: timestamp('2024-01-01T00:00:00Z'),
+  publishDate: timestamp('2024-01-01T00:00:00Z'),
+  ...fields
+});
+
+const runQuery = async (query, variables) => {
+  const response = await handler({
+    httpMethod: 'POST',
+    path: '/users/user1/blogs/blog1/api/graphql',
+    headers: { 'x-nf-client-connection-ip': '1.1.1.1' },
+    body: JSON.stringify({ query, variables })
+  });
+  return { statusCode: response.statusCode, ...JSON.parse(response.body) };
+};
+
+test.beforeEach(async () => {
+  db.store.clear();
+  db.queryLog.length = 0;
+  await blogRef.set({ name: 'My blog' });
+});
+
+test('queries that may resolve too many objects are refused before they run', async () => {
+  const nested = 'related(limit: 12) { related(limit: 12) { title } }';
+  const result = await runQuery(`{ content(first: 100) { nodes { ${nested} } } }`);
+  assert.equal(result.statusCode, 400);
+  assert.match(result.errors[0].message, /^Query may resolve 15701 objects; the limit is 2000$/);
+});
+
+test('aliases and variables count towards the query cost', async () => {
+  const aliases = Array.from({ length: 20 }, (_, index) => `a${index}: content(first: $first) { nodes { title } }`).join(' ');
+  const result = await runQuery(`query ($first: Int) { ${aliases} }`, { first: 100 });
+  assert.equal(result.statusCode, 400);
+  assert.match(result.errors[0].message, /^Query may resolve 2020 objects/);
+
+  assert.equal((await runQuery(`query ($first: Int) { ${aliases} }`, { first: 10 })).statusCode, 200);
+});
+
+test('related items are read once per item however often they are selected', async () => {
+  await blogRef.collection('content').doc('a').set(post());
+  await blogRef.collection('content').doc('b').set(post({ slug: 'other', title: 'Other' }));
+
+  db.queryLog.length = 0;
+
+  const result = await runQuery('{ contentItem(slug: "hello") { one: related { title } two: related { slug } } }');
+  assert.equal(result.statusCode, 200);
+  assert.deepEqual(result.data.contentItem.one, [{ title: 'Other' }]);
+  assert.deepEqual(result.data.contentItem.two, [{ slug: 'other' }]);
+  assert.equal(db.queryLog.filter(({ filters }) => filters.some(filter => filter.op === 'array-contains-any')).length, 1);
+});
+
+test('only published items and scheduled items that are due are returned', async () => {
+  const content = blogRef.collection('content');
+  await content.doc('live').set(post({ slug: 'live', title: 'Live' }));
+  await content.doc('due').set(post({ slug: 'due', title: 'Due', status: 'scheduled', publishAt: timestamp('2024-01-02T00:00:00Z') }));
+  await content.doc('draft').set(post({ slug: 'draft', title: 'Draft', status: 'draft' }));
+  await content.doc('later').set(post({ slug: 'later', title: 'Later', status: 'scheduled', publishAt: timestamp('2999-01-01T00:00:00Z') }));
+  await content.doc('expired').set(post({ slug: 'expired', title: 'Expired', unpublishAt: timestamp('2024-01-02T00:00:00Z') }));
+  await content.doc('trashed').set(post({ slug: 'trashed', title: 'Trashed', deletedAt: timestamp('2024-01-02T00:00:00Z') }));
+  await blogRef.collection('products').doc('mug').set(post({ slug: 'mug', name: 'Mug', price: 10 }));
+  await blogRef.collection('products').doc('draft-mug').set(post({ slug: 'draft-mug', name: 'Draft mug', price: 10, status: 'draft' }));
+
+  const result = await runQuery(`{
+    content(sortBy: TITLE, sortOrder: ASC) { totalCount nodes { title } }
+    draft: contentItem(slug: "draft") { title }
+    trashed: contentItem(id: "trashed") { title }
+    products { totalCount nodes { name } }
+    draftProduct: product(slug: "draft-mug") { name }
+  }`);
+
+  assert.equal(result.statusCode, 200);
+  assert.deepEqual(result.data.content, { totalCount: 2, nodes: [{ title: 'Due' }, { title: 'Live' }] });
+  assert.equal(result.data.draft, null);
+  assert.equal(result.data.trashed, null);
+  assert.deepEqual(result.data.products, { totalCount: 1, nodes: [{ name: 'Mug' }] });
+  assert.equal(result.data.draftProduct, null);
+});
+
+test('queries nested deeper than 8 levels are refused', async () => {
+  await blogRef.collection('content').doc('a').set(post());
+  // contentItem, then the related levels, then title
+  const nestedQuery = (levels) => `{ contentItem(slug: "hello") { ${'related(limit: 1) { '.repeat(levels)}title${' }'.repeat(levels)} } }`;
+
+  const allowed = await runQuery(nestedQuery(6));
+  assert.equal(allowed.statusCode, 200);
+  assert.deepEqual(allowed.data.contentItem.related, []);
+
+  const refused = await runQuery(nestedQuery(7));
+  assert.equal(refused.statusCode, 400);
+  assert.equal(refused.errors[0].message, 'Query is nested 9 levels deep; the limit is 8');
+});
@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFirestore, installFakeAdminDb } = require('./fakeFirestore.cjs');
+
+const db = createFakeFirestore();
+installFakeAdminDb(db);
+const { withIdempotencyKey } = require('../idempotency.cjs');
+const { ERROR_CODES } = require('../http.cjs');
+
+const log = { error: () => {} };
+
+// A handler that counts its runs and answers with the given status
+const createHandler = (statusCode = 201) => {
+  const handle = async () => {
+    handle.runs += 1;
+    return { statusCode, headers: {}, body: JSON.stringify({ run: handle.runs }) };
+  };
+  handle.runs = 0;
+  return handle;
+};
+
+const argsFor = (key, body = { title: 'Hello' }, uid = 'user1') => ({
+  request: { method: 'POST', headers: key === undefined ? {} : { 'idempotency-key': key }, body },
+  caller: { uid },
+  headers: {},
+  log
+});
+
+test('a retried POST replays the first response instead of running again', async () => {
+  const handle = createHandler();
+  const wrapped = withIdempotencyKey('test-replay', handle);
+
+  const first = await wrapped(argsFor('key-1'));
+  const retry = await wrapped(argsFor('key-1'));
+
+  assert.equal(handle.runs, 1);
+  assert.equal(retry.statusCode, 201);
+  assert.equal(retry.body, first.body);
+  assert.equal(retry.headers['Idempotent-Replayed'], 'true');
+});
+
+test('keys are scoped to the caller', async () => {
+  const handle = createHandler();
+  const wrapped = withIdempotencyKey('test-callers', handle);
+
+  await wrapped(argsFor('key-1', undefined, 'user1'));
+  await wrapped(argsFor('key-1', undefined, 'user2'));
+  assert.equal(handle.runs, 2);
+});
+
+test('reusing a key for a different body is a 422', async () => {
+  const wrapped = withIdempotencyKey('test-reuse', createHandler());
+
+  await wrapped(argsFor('key-1', { title: 'Hello' }));
+  await assert.rejects(wrapped(argsFor('key-1', { title: 'Other' })), { statusCode: 422, code: ERROR_CODES.IDEMPOTENCY_KEY_REUSED });
+});
+
+test('a key whose first attempt is still running is a 409', async () => {
+  let finish;
+  const slow = () => new Promise(resolve => { finish = () => resolve({ statusCode: 201, headers: {}, body: '{}' }); });
+  const wrapped = withIdempotencyKey('test-in-use', slow);
+
+  const first = wrapped(argsFor('key-1'));
+  // Let the first attempt claim the key before the second one arrives
+  await new Promise(resolve => setImmediate(resolve));
+  await assert.rejects(wrapped(argsFor('key-1')), { statusCode: 409, code: ERROR_CODES.IDEMPOTENCY_KEY_IN_USE });
+  finish();
+  await first;
+});
+
+test('failed attempts are forgotten so the key can be retried', async () => {
+  const failing = createHandler(500);
+  await withIdempotencyKey('test-failure', failing)(argsFor('key-1'));
+
+  const handle = createHandler();
+  await withIdempotencyKey('test-failure', handle)(argsFor('key-1'));
+  assert.equal(handle.runs, 1);
+});
+
+test('requests without a key, or that are not POSTs, run as usual', async () => {
+  const handle = createHandler();
+  const wrapped = withIdempotencyKey('test-passthrough', handle);
+
+  await wrapped(argsFor(undefined));
+  await wrapped(argsFor(undefined));
+  await wrapped({ ...argsFor('key-1'), request: { method: 'PUT', headers: { 'idempotency-key': 'key-1' }, body: {} } });
+  assert.equal(handle.runs, 3);
+});
+
+test('blank or overlong keys are a 400', async () => {
+  const wrapped = withIdempotencyKey('test-invalid', createHandler());
+  await assert.rejects(wrapped(argsFor(' ')), { statusCode: 400 });
+  await assert.rejects(wrapped(argsFor('k'.repeat(256))), { statusCode: 400 });
+});
@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFirestore, installFakeAdminDb } = require('./fakeFirestore.cjs');
+
+process.env.LOG_LEVEL = 'error';
+const db = createFakeFirestore();
+installFakeAdminDb(db);
+const { handler } = require('../../import-content.cjs');
+const { generateApiKey, hashApiKey } = require('../apiKeys.cjs');
+
+const blogPath = 'users/user1/blogs/blog1';
+const apiKey = generateApiKey();
+
+const post = (fields = {}) => ({ title: 'Hello', slug: 'hello', content: 'The body of the post', ...fields });
+
+const docsUnder = (path) => [...db.store.keys()].filter(key => key.startsWith(`${path}/`) && key.split('/').length === path.split('/').length + 1);
+
+const importItems = async (items) => {
+  const response = await handler({
+    httpMethod: 'POST',
+    path: '/api/import/content',
+    headers: { authorization: `Bearer ${apiKey}` },
+    body: JSON.stringify({ blogId: 'blog1', items })
+  });
+  return JSON.parse(response.body);
+};
+
+test.beforeEach(async () => {
+  db.store.clear();
+  await db.collection('users').doc('user1').collection('blogs').doc('blog1').set({ workflow: { requireReview: true } });
+  await db.collection('apiKeys').doc(hashApiKey(apiKey)).set({ uid: 'user1', blogId: 'blog1', name: 'CI', scopes: ['import-export'] });
+});
+
+test('imported items cannot skip a required review', async () => {
+  const result = await importItems([post({ status: 'published' }), post({ slug: 'approved', status: 'approved' })]);
+
+  assert.equal(result.successCount, 0);
+  assert.equal(result.errors[0].fields.status, 'Content must be reviewed and approved before it can be published');
+  assert.equal(result.errors[1].fields.status, 'Content cannot move from "draft" to "approved"');
+  assert.equal(docsUnder(`${blogPath}/content`).length, 0);
+});
+
+test('imported items record their first revision and workflow transition', async () => {
+  const result = await importItems([post({ status: 'in_review' }), post({ slug: 'draft-post' })]);
+  assert.equal(result.successCount, 2);
+
+  const items = docsUnder(`${blogPath}/content`).map(path => ({ path, data: db.store.get(path) }));
+  const reviewed = items.find(item => item.data.slug === 'hello');
+  const draft = items.find(item => item.data.slug === 'draft-post');
+
+  assert.equal(docsUnder(`${reviewed.path}/revisions`).length, 1);
+  assert.equal(docsUnder(`${reviewed.path}/transitions`).length, 1);
+  assert.deepEqual([reviewed.data.lastTransition.from, reviewed.data.lastTransition.to], ['draft', 'in_review']);
+  assert.equal(reviewed.data.lastTransition.changedBy.name, 'API key: CI');
+
+  assert.equal(docsUnder(`${draft.path}/revisions`).length, 1);
+  assert.equal(docsUnder(`${draft.path}/transitions`).length, 0);
+  assert.equal(draft.data.lastTransition, null);
+});
@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderMarkdown, renderMarkdownWithToc, toPlainText } = require('../markdown.cjs');
+
+test('renderMarkdown renders emphasis, links and code', () => {
+  assert.equal(
+    renderMarkdown('Some **bold**, *italic* and _more_ text with `code` and [a link](/about).'),
+    '<p>Some <strong>bold</strong>, <em>italic</em> and <em>more</em> text with <code>code</code> and <a href="/about">a link</a>.</p>'
+  );
+});
+
+test('emphasis is not applied between letters or digits', () => {
+  assert.equal(renderMarkdown('2*3*4 is 24'), '<p>2*3*4 is 24</p>');
+  assert.equal(renderMarkdown('call my_snake_case_function'), '<p>call my_snake_case_function</p>');
+});
+
+test('emphasis is not applied inside code, link targets or bare URLs', () => {
+  assert.equal(renderMarkdown('Run `a *b* c` now'), '<p>Run <code>a *b* c</code> now</p>');
+  assert.equal(
+    renderMarkdown('[*docs*](https://example.com/_private_/*all*)'),
+    '<p><a href="https://example.com/_private_/*all*"><em>docs</em></a></p>'
+  );
+  assert.equal(renderMarkdown('See https://example.com/*glob*/_x_ for more'), '<p>See https://example.com/*glob*/_x_ for more</p>');
+  assert.equal(renderMarkdown('![a_b_c](/images/_hero_.png)'), '<p><img src="/images/_hero_.png" alt="a_b_c" /></p>');
+});
+
+test('renderMarkdown escapes HTML and neutralizes script URLs', () => {
+  assert.equal(renderMarkdown('<script>x</script> [x](javascript:void)'), '<p>&lt;script&gt;x&lt;/script&gt; <a href="#">x</a></p>');
+});
+
+test('renderMarkdownWithToc gives headings unique anchors', () => {
+  const { html, toc } = renderMarkdownWithToc('# Café\n\n## Café');
+  assert.equal(html, '<h1 id="cafe">Café</h1>\n<h2 id="cafe-2">Café</h2>');
+  assert.deepEqual(toc.map(entry => entry.id), ['cafe', 'cafe-2']);
+});
+
+test('toPlainText strips Markdown syntax', () => {
+  assert.equal(toPlainText('# Title\n\n**Bold** [link](/x) `code`'), 'Title Bold link code');
+});
@@ -0,0 +1,104 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MAX_PAGE_SIZE,
+  parsePageSize,
+  encodeCursor,
+  decodeCursor,
+  fetchPage,
+  countVisible,
+  buildNextUrl
+} = require('../pagination.cjs');
+const { createFakeFirestore } = require('./fakeFirestore.cjs');
+
+const addItems = async (collection, count, extra = () => ({})) => {
+  for (let i = 0; i < count; i++) {
+    await collection.doc(`item${String(i).padStart(2, '0')}`).set({ order: i, status: 'published', ...extra(i) });
+  }
+};
+
+test('parsePageSize caps the size and treats missing or invalid limits as the whole result', () => {
+  assert.equal(parsePageSize('10'), 10);
+  assert.equal(parsePageSize(String(MAX_PAGE_SIZE + 50)), MAX_PAGE_SIZE);
+  assert.equal(parsePageSize(undefined), null);
+  assert.equal(parsePageSize('0'), null);
+  assert.equal(parsePageSize('abc'), null);
+});
+
+test('cursors round-trip plain values and timestamps', () => {
+  const plain = decodeCursor(encodeCursor({ sortBy: 'title', sortOrder: 'asc', value: 'Hello', id: 'abc' }), () => null);
+  assert.deepEqual(plain, { sortBy: 'title', sortOrder: 'asc', value: 'Hello', id: 'abc' });
+
+  const timestamp = { seconds: 1700000000, nanoseconds: 123456789, toMillis: () => 1700000000123 };
+  const decoded = decodeCursor(
+    encodeCursor({ sortBy: 'createdAt', sortOrder: 'desc', value: timestamp, id: 'abc' }),
+    (seconds, nanoseconds) => ({ seconds, nanoseconds })
+  );
+  assert.deepEqual(decoded.value, { seconds: 1700000000, nanoseconds: 123456789 });
+});
+
+test('decodeCursor rejects malformed tokens', () => {
+  assert.equal(decodeCursor('not a cursor', () => null), null);
+  assert.equal(decodeCursor(Buffer.from('{"s":"title"}').toString('base64url'), () => null), null);
+});
+
+test('fetchPage fills pages past hidden documents and reports whether more follow', async () => {
+  const db = createFakeFirestore();
+  const items = db.collection('items');
+  await addItems(items, 7, i => (i % 2 === 1 ? { hidden: true } : {}));
+  const query = items.orderBy('order');
+  const isVisible = data => !data.hidden;
+
+  const first = await fetchPage(query, 2, isVisible);
+  assert.deepEqual(first.docs.map(doc => doc.id), ['item00', 'item02']);
+  assert.equal(first.hasMore, true);
+
+  const second = await fetchPage(query.startAfter(first.lastDoc), 2, isVisible);
+  assert.deepEqual(second.docs.map(doc => doc.id), ['item04', 'item06']);
+  assert.equal(second.hasMore, false);
+});
+
+test('fetchPage without a page size returns every visible document', async () => {
+  const db = createFakeFirestore();
+  const items = db.collection('items');
+  await addItems(items, 4, i => (i === 0 ? { hidden: true } : {}));
+
+  const page = await fetchPage(items.orderBy('order'), null, data => !data.hidden);
+  assert.equal(page.docs.length, 3);
+  assert.equal(page.hasMore, false);
+});
+
+test('countVisible leaves trashed items out of the total', async () => {
+  const db = createFakeFirestore();
+  const items = db.collection('items');
+  await addItems(items, 5, i => (i < 2 ? { deletedAt: new Date() } : {}));
+
+  assert.equal(await countVisible(items.where('status', '==', 'published')), 3);
+});
+
+test('countVisible with the current time also leaves out items outside their publish window', async () => {
+  const db = createFakeFirestore();
+  const items = db.collection('items');
+  const now = new Date();
+  const past = new Date(now.getTime() - 60000);
+  const future = new Date(now.getTime() + 60000);
+  await addItems(items, 8, i => [
+    {},
+    { status: 'scheduled', publishAt: past },
+    { status: 'scheduled', publishAt: future },
+    { unpublishAt: past },
+    { unpublishAt: future },
+    { status: 'scheduled', publishAt: future, deletedAt: past },
+    { unpublishAt: past, deletedAt: past },
+    { deletedAt: past }
+  ][i]);
+
+  const query = items.where('status', 'in', ['published', 'scheduled']);
+  assert.equal(await countVisible(query, now), 3);
+  assert.equal(await countVisible(query), 5);
+});
+
+test('buildNextUrl replaces the cursor and drops offset', () => {
+  const url = buildNextUrl('/api/content', { limit: '10', cursor: 'old', offset: '20', category: 'news' }, 'next');
+  assert.equal(url, '/api/content?limit=10&category=news&cursor=next');
+});
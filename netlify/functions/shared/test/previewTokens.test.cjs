@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  createPreviewToken,
+  verifyPreviewToken,
+  parsePreviewHours,
+  toPreviewTokenSummary
+} = require('../previewTokens.cjs');
+const { createFakeFirestore } = require('./fakeFirestore.cjs');
+
+const SECRET = 'test-preview-secret';
+const HOUR_MS = 60 * 60 * 1000;
+
+// A blog holding one preview record for a content item, and a token signed for it
+const setUp = async (recordFields = {}, claims = {}) => {
+  process.env.PREVIEW_TOKEN_SECRET = SECRET;
+  const db = createFakeFirestore();
+  const blogRef = db.collection('users').doc('user1').collection('blogs').doc('blog1');
+  const expiresAt = new Date(Date.now() + HOUR_MS);
+  await blogRef.collection('previewTokens').doc('token1').set({ type: 'content', itemId: 'item1', expiresAt, ...recordFields });
+  const token = createPreviewToken(SECRET, { tokenId: 'token1', blogId: 'blog1', type: 'content', itemId: 'item1', expiresAt, ...claims });
+  return { blogRef, token };
+};
+
+test('verifyPreviewToken resolves a valid token to its item', async () => {
+  const { blogRef, token } = await setUp();
+  const result = await verifyPreviewToken(blogRef, token, 'content');
+  assert.equal(result.itemId, 'item1');
+  assert.ok(result.expiresAt > new Date());
+});
+
+test('verifyPreviewToken rejects tampered, expired and mismatched tokens', async () => {
+  const { blogRef, token } = await setUp();
+  const [payload, signature] = token.split('.');
+  const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url').toString()), i: 'item2' })).toString('base64url');
+
+  assert.equal((await verifyPreviewToken(blogRef, `${forged}.${signature}`, 'content')).statusCode, 401);
+  assert.equal((await verifyPreviewToken(blogRef, token, 'product')).statusCode, 401);
+  assert.equal((await verifyPreviewToken(blogRef, 'garbage', 'content')).statusCode, 401);
+
+  const expired = await setUp({}, { expiresAt: new Date(Date.now() - 1000) });
+  assert.equal((await verifyPreviewToken(expired.blogRef, expired.token, 'content')).statusCode, 401);
+});
+
+test('verifyPreviewToken rejects revoked tokens', async () => {
+  const { blogRef, token } = await setUp({ revokedAt: new Date() });
+  assert.deepEqual(await verifyPreviewToken(blogRef, token, 'content'), { statusCode: 401, error: 'Preview link has been revoked' });
+});
+
+test('verifyPreviewToken needs a configured secret', async () => {
+  const { blogRef, token } = await setUp();
+  delete process.env.PREVIEW_TOKEN_SECRET;
+  assert.equal((await verifyPreviewToken(blogRef, token, 'content')).statusCode, 503);
+});
+
+test('parsePreviewHours defaults and limits the lifetime', () => {
+  assert.equal(parsePreviewHours(undefined), 72);
+  assert.equal(parsePreviewHours('24'), 24);
+  assert.equal(parsePreviewHours('-1'), 'expiresInHours must be a positive number');
+  assert.equal(parsePreviewHours(10000), 'expiresInHours must be at most 720');
+});
+
+test('toPreviewTokenSummary reports whether a link still works', () => {
+  const doc = (data) => ({ id: 'token1', data: () => data });
+  const future = new Date(Date.now() + HOUR_MS);
+
+  assert.equal(toPreviewTokenSummary(doc({ type: 'content', itemId: 'item1', expiresAt: future })).active, true);
+  assert.equal(toPreviewTokenSummary(doc({ type: 'content', itemId: 'item1', expiresAt: future, revokedAt: new Date() })).active, false);
+  assert.equal(toPreviewTokenSummary(doc({ type: 'content', itemId: 'item1', expiresAt: new Date(0) })).active, false);
+});
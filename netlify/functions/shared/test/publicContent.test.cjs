@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { toPublicContent } = require('../publicContent.cjs');
+
+const docOf = (id, data) => ({ id, data: () => data });
+
+test('toPublicContent serves the content fields and leaves workflow, version and trash fields out', () => {
+  const createdAt = new Date('2024-01-01T00:00:00Z');
+  const item = toPublicContent(docOf('item1', {
+    title: 'Hello',
+    slug: 'hello',
+    content: 'The body of the post',
+    tags: ['news'],
+    status: 'published',
+    createdAt: { toDate: () => createdAt },
+    lastTransition: { from: 'in_review', to: 'published', comment: 'Looks good', changedBy: { uid: 'user2', email: 'editor@example.com' } },
+    version: 3,
+    deletedAt: null,
+    purgeAt: null
+  }));
+
+  assert.equal(item.id, 'item1');
+  assert.equal(item.title, 'Hello');
+  assert.deepEqual(item.tags, ['news']);
+  assert.equal(item.createdAt, createdAt.toISOString());
+  ['lastTransition', 'version', 'deletedAt', 'purgeAt'].forEach(field => assert.ok(!(field in item), field));
+});
@@ -0,0 +1,143 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_IP_RATE_LIMIT,
+  getRateLimitSettings,
+  createMemoryStore,
+  createFirestoreStore,
+  createRateLimiter,
+  toRateLimitedResponse
+} = require('../rateLimit.cjs');
+const { generateApiKey, hashApiKey } = require('../apiKeys.cjs');
+const { createFakeFirestore } = require('./fakeFirestore.cjs');
+
+const eventFrom = (ip, authorization) => ({ headers: { 'x-nf-client-connection-ip': ip, ...(authorization ? { authorization } : {}) } });
+
+const setUpBlog = async (rateLimits) => {
+  const db = createFakeFirestore();
+  await db.collection('users').doc('user1').collection('blogs').doc('blog1').set({ rateLimits });
+  return db;
+};
+
+// Take tokens until one is refused; returns how many were allowed
+const drain = async (limiter, event, options, max) => {
+  for (let i = 0; i < max; i++) {
+    if (!(await limiter.check(event, options)).allowed) return i;
+  }
+  return max;
+};
+
+test('getRateLimitSettings falls back to the defaults for missing or out-of-range limits', () => {
+  assert.deepEqual(getRateLimitSettings({ rateLimits: { perIp: 50, perApiKey: 500 } }), { perIp: 50, perApiKey: 500 });
+  assert.deepEqual(getRateLimitSettings({ rateLimits: { perIp: 1, perApiKey: 10 ** 6 } }), { perIp: 100, perApiKey: 1000 });
+  assert.deepEqual(getRateLimitSettings(null), { perIp: 100, perApiKey: 1000 });
+});
+
+test('the memory store allows a burst of one limit and then refills over the window', async () => {
+  const store = createMemoryStore();
+  const now = 1_000_000;
+  for (let i = 0; i < 10; i++) {
+    assert.equal((await store.take('key', 10, now)).allowed, true);
+  }
+  const refused = await store.take('key', 10, now);
+  assert.equal(refused.allowed, false);
+  assert.equal(refused.retryAt, now + 6000);
+
+  // One token refills every six seconds at ten a minute
+  assert.equal((await store.take('key', 10, now + 6000)).allowed, true);
+});
+
+test('each client IP gets the blog limit in its own bucket', async () => {
+  const db = await setUpBlog({ perIp: 10 });
+  const limiter = createRateLimiter(db, createMemoryStore());
+  const options = { uid: 'user1', blogId: 'blog1' };
+
+  assert.equal(await drain(limiter, eventFrom('1.1.1.1'), options, 20), 10);
+  assert.equal((await limiter.check(eventFrom('2.2.2.2'), options)).allowed, true);
+});
+
+test('requests with an API key for the blog use the key limit', async () => {
+  const db = await setUpBlog({ perIp: 10, perApiKey: 20 });
+  const key = generateApiKey();
+  await db.collection('apiKeys').doc(hashApiKey(key)).set({ uid: 'user1', blogId: 'blog1', scopes: [] });
+  const limiter = createRateLimiter(db, createMemoryStore());
+
+  const result = await limiter.check(eventFrom('1.1.1.1', `Bearer ${key}`), { uid: 'user1', blogId: 'blog1' });
+  assert.equal(result.limit, 20);
+});
+
+test('unknown blogs share the default per-IP bucket', async () => {
+  const db = createFakeFirestore();
+  const limiter = createRateLimiter(db, createMemoryStore());
+
+  const result = await limiter.check(eventFrom('1.1.1.1'), { uid: 'user1', blogId: 'missing' });
+  assert.equal(result.limit, DEFAULT_IP_RATE_LIMIT);
+});
+
+test('the Firestore store keeps buckets in the rateLimits collection', async () => {
+  const db = await setUpBlog({ perIp: 10 });
+  const limiter = createRateLimiter(db);
+
+  assert.equal(await drain(limiter, eventFrom('1.1.1.1'), { uid: 'user1', blogId: 'blog1' }, 20), 10);
+  const buckets = [...db.store.keys()].filter(path => path.startsWith('rateLimits/'));
+  assert.equal(buckets.length, 1);
+});
+
+test('the Firestore store syncs tokens once per tenth of the limit and shares them between instances', async () => {
+  const db = createFakeFirestore();
+  let transactions = 0;
+  const runTransaction = db.runTransaction.bind(db);
+  db.runTransaction = (update) => { transactions++; return runTransaction(update); };
+  const now = 1_000_000;
+
+  const instance = createFirestoreStore(db);
+  for (let i = 0; i < 50; i++) {
+    assert.equal((await instance.take('key', 100, now)).allowed, true);
+  }
+  assert.equal(transactions, 4);
+
+  // Another instance starts from the synced bucket rather than a full one
+  const other = createFirestoreStore(db);
+  assert.equal((await other.take('key', 100, now)).remaining, 100 - 40 - 1);
+});
+
+test('the Firestore store keeps limiting from its own copy when syncs fail', async () => {
+  const db = createFakeFirestore();
+  db.runTransaction = async () => { throw new Error('Too much contention on these documents'); };
+  const store = createFirestoreStore(db);
+  const now = 1_000_000;
+
+  const logLevel = process.env.LOG_LEVEL;
+  process.env.LOG_LEVEL = 'error';
+  try {
+    let allowed = 0;
+    for (let i = 0; i < 20; i++) {
+      if ((await store.take('key', 10, now)).allowed) allowed++;
+    }
+    assert.equal(allowed, 10);
+  } finally {
+    if (logLevel === undefined) delete process.env.LOG_LEVEL;
+    else process.env.LOG_LEVEL = logLevel;
+  }
+});
+
+test('a store outage lets requests through', async () => {
+  const db = createFakeFirestore();
+  const failingStore = { take: async () => { throw new Error('unavailable'); } };
+  const limiter = createRateLimiter(db, failingStore);
+
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    assert.equal((await limiter.check(eventFrom('1.1.1.1'))).allowed, true);
+  } finally {
+    console.error = originalError;
+  }
+});
+
+test('toRateLimitedResponse is a 429 with the limit headers', () => {
+  const response = toRateLimitedResponse({}, { limit: 10, remaining: 0, resetTime: Date.now() + 60000, retryAt: Date.now() + 6000 });
+  assert.equal(response.statusCode, 429);
+  assert.equal(response.headers['X-RateLimit-Limit'], '10');
+  assert.equal(response.headers['Retry-After'], '6');
+});
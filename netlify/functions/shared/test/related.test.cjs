@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseRelatedLimit, findRelatedEntries, loadAdjacentEntries, loadRelatedEntries } = require('../related.cjs');
+const { createFakeFirestore } = require('./fakeFirestore.cjs');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toEntry = (doc) => ({
+  id: doc.id,
+  date: doc.get('publishDate'),
+  categories: doc.get('categories') || [],
+  tags: doc.get('tags') || [],
+  summary: { slug: doc.get('slug') }
+});
+
+// Published posts a day apart, post0 the oldest
+const setUp = async (posts) => {
+  const db = createFakeFirestore();
+  const contentRef = db.collection('users').doc('user1').collection('blogs').doc('blog1').collection('content');
+  for (const [index, fields] of posts.entries()) {
+    await contentRef.doc(`post${index}`).set({
+      slug: `post-${index}`,
+      status: 'published',
+      publishDate: new Date(Date.UTC(2025, 0, 1) + index * DAY_MS),
+      ...fields
+    });
+  }
+  return { contentRef, publishedQuery: contentRef.where('status', '==', 'published') };
+};
+
+const options = {
+  dateField: 'publishDate',
+  categoryFilter: ['categories', 'array-contains-any'],
+  isVisible: data => !data.deletedAt,
+  toEntry
+};
+
+test('parseRelatedLimit defaults and caps the limit', () => {
+  assert.equal(parseRelatedLimit(undefined), 4);
+  assert.equal(parseRelatedLimit('-1'), 0);
+  assert.equal(parseRelatedLimit('50'), 12);
+});
+
+test('findRelatedEntries ranks shared categories above shared tags, then the newest', () => {
+  const entry = { id: 'a', categories: ['news'], tags: ['go'] };
+  const entries = [
+    { id: 'tag', date: new Date(3), categories: [], tags: ['go'] },
+    { id: 'old', date: new Date(1), categories: ['news'], tags: [] },
+    { id: 'new', date: new Date(2), categories: ['news'], tags: [] },
+    { id: 'none', date: new Date(4), categories: ['other'], tags: [] }
+  ];
+  assert.deepEqual(findRelatedEntries(entry, entries, 10).map(related => related.id), ['new', 'old', 'tag']);
+});
+
+test('loadAdjacentEntries finds the nearest visible neighbours in date order', async () => {
+  const { contentRef, publishedQuery } = await setUp([{}, { deletedAt: new Date() }, {}, { status: 'draft' }, {}]);
+  const itemDoc = await contentRef.doc('post2').get();
+
+  const { previous, next } = await loadAdjacentEntries(publishedQuery, itemDoc, options);
+  assert.equal(previous.id, 'post0');
+  assert.equal(next.id, 'post4');
+
+  const newest = await loadAdjacentEntries(publishedQuery, await contentRef.doc('post4').get(), options);
+  assert.equal(newest.next, null);
+});
+
+test('loadAdjacentEntries treats an item without a date yet as the newest', async () => {
+  const { contentRef, publishedQuery } = await setUp([{}, {}, { status: 'scheduled', publishDate: null }]);
+  const { previous, next } = await loadAdjacentEntries(publishedQuery, await contentRef.doc('post2').get(), options);
+  assert.equal(previous.id, 'post1');
+  assert.equal(next, null);
+});
+
+test('loadRelatedEntries reads only items sharing a category or tag', async () => {
+  const { contentRef, publishedQuery } = await setUp([
+    { categories: ['news'] },
+    { tags: ['go'] },
+    { categories: ['news'], deletedAt: new Date() },
+    { categories: ['other'] },
+    { categories: ['news'], tags: ['go'] }
+  ]);
+  const entry = toEntry(await contentRef.doc('post4').get());
+
+  const related = await loadRelatedEntries(publishedQuery, entry, { ...options, limit: 4 });
+  assert.deepEqual(related.map(item => item.id), ['post0', 'post1']);
+  assert.deepEqual(await loadRelatedEntries(publishedQuery, entry, { ...options, limit: 0 }), []);
+});
@@ -0,0 +1,65 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  buildSearchIndexEntry,
+  getLookupPrefix,
+  parseSearchQuery,
+  scoreSearchTerms,
+  highlightText
+} = require('../search.cjs');
+
+const post = (fields = {}) => ({
+  title: 'Café racer builds',
+  content: 'Stripping a motorcycle down to the essentials.',
+  categories: ['Motorcycles'],
+  status: 'published',
+  ...fields
+});
+
+test('index entries list the prefixes of every term', () => {
+  const entry = buildSearchIndexEntry('content', 'item1', post(), null);
+  assert.ok(entry.terms.cafe > entry.terms.essentials);
+  assert.ok(entry.prefixes.includes('ca'));
+  assert.ok(entry.prefixes.includes('racer'));
+  // Prefixes stop at ten characters
+  assert.ok(entry.prefixes.includes('motorcycle'));
+  assert.ok(!entry.prefixes.includes('motorcycles'));
+});
+
+test('index entries copy the status, publish window and trash state', () => {
+  const publishAt = new Date('2030-01-01T00:00:00Z');
+  const scheduled = buildSearchIndexEntry('content', 'item1', post({ status: 'scheduled', publishAt }), null);
+  assert.equal(scheduled.status, 'scheduled');
+  assert.equal(scheduled.publishAt, publishAt);
+  assert.equal(scheduled.unpublishAt, null);
+  assert.equal(scheduled.trashed, false);
+
+  const trashed = buildSearchIndexEntry('content', 'item1', post({ deletedAt: new Date() }), null);
+  assert.equal(trashed.trashed, true);
+
+  assert.equal(buildSearchIndexEntry('product', 'item2', { name: 'Helmet' }, null).status, 'draft');
+});
+
+test('getLookupPrefix picks the longest query term, cut to the indexed prefix length', () => {
+  assert.equal(getLookupPrefix(parseSearchQuery('the cafe racer')), 'racer');
+  assert.equal(getLookupPrefix(parseSearchQuery('motorcycles')), 'motorcycle');
+});
+
+test('every entry that can match a query lists its lookup prefix', () => {
+  const { terms, prefixes } = buildSearchIndexEntry('content', 'item1', post(), null);
+  ['rac', 'cafe racer', 'motorcycles', 'motorcycle strip'].forEach(query => {
+    const queryTokens = parseSearchQuery(query);
+    assert.ok(scoreSearchTerms(terms, queryTokens) > 0, query);
+    assert.ok(prefixes.includes(getLookupPrefix(queryTokens)), query);
+  });
+});
+
+test('scoreSearchTerms needs every query term and ranks whole words over prefixes', () => {
+  const { terms } = buildSearchIndexEntry('content', 'item1', post(), null);
+  assert.equal(scoreSearchTerms(terms, ['cafe', 'scooter']), 0);
+  assert.ok(scoreSearchTerms(terms, ['racer']) > scoreSearchTerms(terms, ['rac']));
+});
+
+test('highlightText escapes HTML and marks matches in the original text', () => {
+  assert.equal(highlightText('<b>Café</b> racer', ['cafe']), '&lt;b&gt;<mark>Café</mark>&lt;/b&gt; racer');
+});
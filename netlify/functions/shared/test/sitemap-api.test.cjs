@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFirestore, installFakeAdminDb } = require('./fakeFirestore.cjs');
+const { SITEMAP_PAGE_SIZE } = require('../sitemaps.cjs');
+
+process.env.RATE_LIMIT_STORE = 'memory';
+process.env.LOG_LEVEL = 'error';
+const db = createFakeFirestore();
+const { admin } = installFakeAdminDb(db);
+const { handler } = require('../../sitemap-api.cjs');
+
+const blogRef = db.collection('users').doc('user1').collection('blogs').doc('blog1');
+const timestamp = (iso) => admin.firestore.Timestamp.fromDate(new Date(iso));
+
+const getFile = (file) => handler({
+  httpMethod: 'GET',
+  path: `/users/user1/blogs/blog1/api/${file}`,
+  headers: { host: 'blog.example.com', 'x-nf-client-connection-ip': '1.1.1.1' }
+});
+
+const getLocs = (xml) => [...xml.matchAll(/<loc>([^<]*)<\/loc>/g)].map(match => match[1]);
+
+// Published posts post-00000, post-00001, ..., which sort by URL in the order they are added
+const addPosts = async (count) => {
+  for (let i = 0; i < count; i++) {
+    await blogRef.collection('content').doc(`c${i}`).set({
+      slug: `post-${String(i).padStart(5, '0')}`,
+      status: 'published',
+      createdAt: timestamp('2024-01-01T00:00:00Z'),
+      updatedAt: timestamp(i === count - 1 ? '2024-02-01T00:00:00Z' : '2024-01-01T00:00:00Z')
+    });
+  }
+};
+
+test.beforeEach(async () => {
+  db.store.clear();
+  await blogRef.set({ name: 'My blog', createdAt: timestamp('2023-01-01T00:00:00Z') });
+});
+
+test('a small blog gets one sitemap with its published items only', async () => {
+  await addPosts(2);
+  await blogRef.collection('content').doc('draft').set({ slug: 'draft', status: 'draft' });
+  await blogRef.collection('content').doc('trashed').set({ slug: 'trashed', status: 'published', deletedAt: timestamp('2024-03-01T00:00:00Z') });
+  await blogRef.collection('products').doc('p1').set({ slug: 'mug', status: 'published', imageUrls: ['https://cdn.example.com/mug.png'] });
+
+  const response = await getFile('sitemap.xml');
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.headers['Content-Type'], 'application/xml; charset=utf-8');
+  assert.match(response.body, /<urlset /);
+  const locs = getLocs(response.body);
+  assert.equal(locs.length, 3);
+  assert.ok(locs.every(loc => !/draft|trashed/.test(loc)));
+  assert.match(response.body, /<image:loc>https:\/\/cdn\.example\.com\/mug\.png<\/image:loc>/);
+});
+
+test('a blog with more URLs than fit in one sitemap gets an index of numbered pages', async () => {
+  await addPosts(SITEMAP_PAGE_SIZE + 1);
+
+  const index = await getFile('sitemap.xml');
+  assert.match(index.body, /<sitemapindex /);
+  assert.deepEqual(getLocs(index.body).map(loc => new URL(loc).pathname), [
+    '/users/user1/blogs/blog1/api/sitemaps/1.xml',
+    '/users/user1/blogs/blog1/api/sitemaps/2.xml'
+  ]);
+  assert.equal(index.headers['Last-Modified'], 'Thu, 01 Feb 2024 00:00:00 GMT');
+
+  const firstPage = await getFile('sitemaps/1.xml');
+  assert.match(firstPage.body, /<urlset /);
+  assert.equal(getLocs(firstPage.body).length, SITEMAP_PAGE_SIZE);
+
+  const lastPage = getLocs((await getFile('sitemaps/2.xml')).body);
+  assert.equal(lastPage.length, 1);
+  assert.match(lastPage[0], new RegExp(`/post-${String(SITEMAP_PAGE_SIZE).padStart(5, '0')}$`));
+
+  assert.equal((await getFile('sitemaps/3.xml')).statusCode, 404);
+});
@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONTENT_SCHEMA, PRODUCT_SCHEMA, validateSchema } = require('../validation.cjs');
+
+test('validateSchema reports missing, mistyped and unknown fields', () => {
+  const errors = validateSchema({ title: 'Hello', slug: 'Not A Slug', tags: 'news', extra: 1 }, CONTENT_SCHEMA);
+  assert.equal(errors.slug, 'Slug can only contain lowercase letters, numbers, and hyphens');
+  assert.match(errors.tags, /must be an array/);
+  assert.equal(errors.extra, 'Unknown field: extra');
+  assert.ok(!('title' in errors));
+});
+
+test('partial updates may leave required fields out but not empty them', () => {
+  assert.deepEqual(validateSchema({ name: 'Helmet' }, PRODUCT_SCHEMA, { partial: true }), {});
+  assert.equal(validateSchema({ slug: '  ' }, PRODUCT_SCHEMA, { partial: true }).slug, 'Slug is required');
+});
+
+test('array items are checked against their own schema', () => {
+  const errors = validateSchema({ imageUrls: ['https://example.com/a.png', 'nope'] }, PRODUCT_SCHEMA, { partial: true });
+  assert.equal(errors.imageUrls, 'Images[1] must be a valid URL');
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createFakeFirestore, installFakeAdminDb } = require('./fakeFirestore.cjs');
+
+const db = createFakeFirestore();
+installFakeAdminDb(db);
+const { getVersion, validateVersion, toServerCopy, assertVersion, commitVersionedUpdate } = require('../versioning.cjs');
+const { ERROR_CODES } = require('../http.cjs');
+
+test('items saved before versions existed are at version 0', () => {
+  assert.equal(getVersion({}), 0);
+  assert.equal(getVersion({ version: 4 }), 4);
+  assert.equal(getVersion(null), 0);
+});
+
+test('validateVersion accepts a missing version or a non-negative integer', () => {
+  assert.equal(validateVersion(undefined), null);
+  assert.equal(validateVersion(0), null);
+  assert.equal(validateVersion(-1), 'version must be a non-negative integer');
+  assert.equal(validateVersion('2'), 'version must be a non-negative integer');
+});
+
+test('toServerCopy sends timestamps as ISO strings', () => {
+  const updatedAt = { toDate: () => new Date('2024-05-01T12:00:00Z') };
+  assert.deepEqual(toServerCopy('item1', { title: 'Hello', updatedAt, version: 3 }), {
+    id: 'item1',
+    title: 'Hello',
+    updatedAt: '2024-05-01T12:00:00.000Z',
+    version: 3
+  });
+});
+
+test('assertVersion throws a 409 carrying the server copy when the item has moved on', () => {
+  assert.doesNotThrow(() => assertVersion('item1', { version: 2 }, 2, 'Content'));
+  assert.doesNotThrow(() => assertVersion('item1', { version: 2 }, undefined, 'Content'));
+
+  assert.throws(() => assertVersion('item1', { title: 'Theirs', version: 3 }, 2, 'Content'), (error) => {
+    assert.equal(error.statusCode, 409);
+    assert.equal(error.code, ERROR_CODES.VERSION_CONFLICT);
+    assert.deepEqual(error.details.current, { id: 'item1', title: 'Theirs', version: 3 });
+    return true;
+  });
+});
+
+test('commitVersionedUpdate writes only when the stored item is still at the version read', async () => {
+  const docRef = db.collection('content').doc('item1');
+  await docRef.set({ title: 'First', version: 1 });
+  const write = (title) => (transaction) => transaction.update(docRef, { title, version: 2 });
+
+  await commitVersionedUpdate(db, docRef, { version: 1 }, 'Content', write('Second'));
+  assert.equal(db.store.get(docRef.path).title, 'Second');
+
+  // A second writer that read version 1 is now stale
+  await assert.rejects(commitVersionedUpdate(db, docRef, { version: 1 }, 'Content', write('Third')), { statusCode: 409 });
+  assert.equal(db.store.get(docRef.path).title, 'Second');
+});
+
+test('commitVersionedUpdate reports a missing item as a 404', async () => {
+  const docRef = db.collection('content').doc('missing');
+  await assert.rejects(commitVersionedUpdate(db, docRef, {}, 'Content', async () => {}), { statusCode: 404 });
+});
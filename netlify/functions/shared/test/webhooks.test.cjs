@@ -0,0 +1,150 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const dns = require('dns');
+const {
+  validateWebhookInput,
+  getLifecycleEvents,
+  toWebhookItem,
+  attemptDelivery,
+  dispatchWebhookEvent
+} = require('../webhooks.cjs');
+const { createFakeFirestore } = require('./fakeFirestore.cjs');
+
+// Replace global fetch for one test; calls are recorded and answered by respond(url, options)
+const mockFetch = (t, respond) => {
+  const calls = [];
+  const originalFetch = global.fetch;
+  global.fetch = async (url, options) => {
+    calls.push({ url, options });
+    return respond(url, options);
+  };
+  t.after(() => { global.fetch = originalFetch; });
+  return calls;
+};
+
+const answer = (status) => ({ ok: status >= 200 && status < 300, status });
+
+// Resolve every hostname to the given addresses for one test
+const mockLookup = (t, addresses = ['93.184.216.34']) => {
+  t.mock.method(dns.promises, 'lookup', async () => addresses.map(address => ({ address, family: address.includes(':') ? 6 : 4 })));
+};
+
+test('validateWebhookInput checks the URL and the event filter', () => {
+  assert.equal(validateWebhookInput({ url: 'https://example.com/hook', events: ['content.published'] }), null);
+  assert.equal(validateWebhookInput({ url: 'https://example.com/hook', events: ['content.*'] }), null);
+  assert.equal(validateWebhookInput({ url: '', events: ['content.published'] }), 'URL is required');
+  assert.equal(validateWebhookInput({ url: 'ftp://example.com', events: ['content.published'] }), 'URL must start with http:// or https://');
+  assert.equal(validateWebhookInput({ url: 'https://example.com', events: [] }), 'Select at least one event');
+  assert.equal(validateWebhookInput({ url: 'https://example.com', events: ['content.archived'] }), 'Unknown event "content.archived"');
+});
+
+test('validateWebhookInput refuses local and private hosts', () => {
+  [
+    'http://localhost:8080/hook',
+    'http://api.localhost/hook',
+    'http://printer.local/hook',
+    'http://metadata.google.internal/computeMetadata/v1/',
+    'http://127.0.0.1/hook',
+    'http://2130706433/hook',
+    'http://10.1.2.3/hook',
+    'http://172.20.0.1/hook',
+    'http://192.168.1.1/hook',
+    'http://169.254.169.254/latest/meta-data/',
+    'http://0.0.0.0/hook',
+    'http://[::1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[fe80::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook'
+  ].forEach(url => {
+    assert.equal(validateWebhookInput({ url, events: ['content.*'] }), 'URL must point to a public host', url);
+  });
+  assert.equal(validateWebhookInput({ url: 'http://8.8.8.8/hook', events: ['content.*'] }), null);
+  assert.equal(validateWebhookInput({ url: 'http://[2001:4860:4860::8888]/hook', events: ['content.*'] }), null);
+});
+
+test('getLifecycleEvents adds published and unpublished when an item goes live or stops being live', () => {
+  assert.deepEqual(getLifecycleEvents('content', null, { status: 'draft' }), ['content.created']);
+  assert.deepEqual(getLifecycleEvents('content', { status: 'draft' }, { status: 'published' }), ['content.updated', 'content.published']);
+  assert.deepEqual(getLifecycleEvents('product', { status: 'published' }, { status: 'published', deletedAt: new Date() }), ['product.updated', 'product.unpublished']);
+  assert.deepEqual(getLifecycleEvents('content', { status: 'published' }, { status: 'published' }), ['content.updated']);
+});
+
+test('toWebhookItem names content by title and products by name', () => {
+  assert.deepEqual(toWebhookItem('content', 'c1', { title: 'Post', slug: 'post', status: 'published' }),
+    { type: 'content', id: 'c1', slug: 'post', title: 'Post', status: 'published' });
+  assert.deepEqual(toWebhookItem('product', 'p1', { name: 'Mug' }),
+    { type: 'product', id: 'p1', slug: '', name: 'Mug', status: 'draft' });
+});
+
+test('attemptDelivery signs the body and records a successful delivery', async (t) => {
+  mockLookup(t);
+  const calls = mockFetch(t, () => answer(200));
+  const db = createFakeFirestore();
+  const deliveryRef = db.collection('deliveries').doc('d1');
+  const delivery = { event: 'content.published', requestBody: '{"id":"evt_1"}', attempts: 0 };
+  await deliveryRef.set(delivery);
+
+  const result = await attemptDelivery(deliveryRef, delivery, { url: 'https://example.com/hook', secret: 'whsec_test' });
+
+  const expectedSignature = `sha256=${crypto.createHmac('sha256', 'whsec_test').update('{"id":"evt_1"}').digest('hex')}`;
+  assert.equal(calls[0].options.headers['X-Webhook-Signature'], expectedSignature);
+  assert.equal(calls[0].options.redirect, 'manual');
+  assert.equal(result.status, 'succeeded');
+  assert.equal(db.store.get(deliveryRef.path).attempts, 1);
+  assert.equal(db.store.get(deliveryRef.path).responseBody, undefined);
+});
+
+test('attemptDelivery refuses a hostname that resolves to a private address', async (t) => {
+  mockLookup(t, ['93.184.216.34', '10.0.0.5']);
+  const calls = mockFetch(t, () => answer(200));
+  const db = createFakeFirestore();
+  const deliveryRef = db.collection('deliveries').doc('d1');
+  await deliveryRef.set({ attempts: 0 });
+
+  const result = await attemptDelivery(deliveryRef, { event: 'content.updated', requestBody: '{}', attempts: 0 },
+    { url: 'https://rebound.example.com/hook', secret: 'whsec_test' });
+
+  assert.equal(calls.length, 0);
+  assert.equal(result.status, 'pending');
+  assert.equal(result.error, 'rebound.example.com resolves to an address that is not public');
+});
+
+test('attemptDelivery schedules a retry after a failure and gives up after the last attempt', async (t) => {
+  mockLookup(t);
+  mockFetch(t, () => answer(500));
+  const db = createFakeFirestore();
+  const deliveryRef = db.collection('deliveries').doc('d1');
+  const webhook = { url: 'https://example.com/hook', secret: 'whsec_test' };
+
+  await deliveryRef.set({ attempts: 0 });
+  const retried = await attemptDelivery(deliveryRef, { event: 'content.updated', requestBody: '{}', attempts: 0 }, webhook);
+  assert.equal(retried.status, 'pending');
+  assert.ok(retried.nextAttemptAt > new Date());
+
+  const failed = await attemptDelivery(deliveryRef, { event: 'content.updated', requestBody: '{}', attempts: 5 }, webhook);
+  assert.equal(failed.status, 'failed');
+  assert.equal(failed.nextAttemptAt, null);
+});
+
+test('dispatchWebhookEvent queues a delivery for active webhooks subscribed to the event without sending it', async (t) => {
+  mockLookup(t);
+  const calls = mockFetch(t, () => answer(204));
+  const db = createFakeFirestore();
+  const blogRef = db.collection('users').doc('user1').collection('blogs').doc('blog1');
+  const webhooks = blogRef.collection('webhooks');
+  await webhooks.doc('all').set({ url: 'https://example.com/all', secret: 's', active: true, events: ['content.*'] });
+  await webhooks.doc('products').set({ url: 'https://example.com/products', secret: 's', active: true, events: ['product.*'] });
+  await webhooks.doc('paused').set({ url: 'https://example.com/paused', secret: 's', active: false, events: ['content.*'] });
+
+  await dispatchWebhookEvent(blogRef, 'content.published', { id: 'c1' });
+
+  assert.equal(calls.length, 0);
+  const deliveries = [...db.store.entries()].filter(([path]) => path.includes('/deliveries/'));
+  assert.deepEqual(deliveries.map(([path]) => path.split('/deliveries/')[0].split('/').pop()), ['all']);
+  const [, delivery] = deliveries[0];
+  assert.equal(delivery.status, 'pending');
+  assert.equal(delivery.attempts, 0);
+  assert.ok(delivery.nextAttemptAt <= new Date());
+  assert.equal(JSON.parse(delivery.requestBody).data.id, 'c1');
+});
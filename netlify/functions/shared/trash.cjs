@@ -0,0 +1,32 @@
+// Shared trash (soft delete) helpers for Netlify Functions
+
+// Days a trashed item is kept before it is purged, unless the blog configures otherwise
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+const MIN_TRASH_RETENTION_DAYS = 1;
+const MAX_TRASH_RETENTION_DAYS = 365;
+
+// Check whether an item has been moved to the trash
+const isTrashed = (data) => Boolean(data && data.deletedAt);
+
+// Read the trash retention period stored on a blog document
+const getTrashRetentionDays = (blogData) => {
+  const days = blogData ? blogData.trashRetentionDays : undefined;
+  if (!Number.isInteger(days) || days < MIN_TRASH_RETENTION_DAYS || days > MAX_TRASH_RETENTION_DAYS) {
+    return DEFAULT_TRASH_RETENTION_DAYS;
+  }
+  return days;
+};
+
+// Date at which an item trashed at the given time should be purged
+const getPurgeDate = (deletedAt, retentionDays) => {
+  return new Date(deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000);
+};
+
+module.exports = {
+  DEFAULT_TRASH_RETENTION_DAYS,
+  MIN_TRASH_RETENTION_DAYS,
+  MAX_TRASH_RETENTION_DAYS,
+  isTrashed,
+  getTrashRetentionDays,
+  getPurgeDate
+};
@@ -1,4 +1,18 @@
 // Shared validation utilities for Netlify Functions
+const itemSchemas = require('../../../schemas/itemSchemas.json');
+const { validateSchema } = require('../../../schemas/validateSchema.js');
+
+// Fields accepted when writing content and products, shared with the editor's validation in
+// src/utils/validation.js so both reject the same input
+const CONTENT_SCHEMA = itemSchemas.content;
+const PRODUCT_SCHEMA = itemSchemas.product;
+
+// Publishing statuses accepted for products
+const PUBLISH_STATUSES = PRODUCT_SCHEMA.status.enum;
+
+// Content statuses, including the editorial review states
+const CONTENT_STATUSES = CONTENT_SCHEMA.status.enum;
+
 const validationRules = {
   email: {
     required: (value) => !value ? 'Email is required' : null,
@@ -29,93 +43,6 @@ const validationRules = {
     }
   },
 
-  title: {
-    required: (value) => !value?.trim() ? 'Title is required' : null,
-    length: (value) => {
-      if (!value) return null;
-      const trimmed = value.trim();
-      if (trimmed.length < 3) return 'Title must be at least 3 characters';
-      if (value.length > 200) return 'Title must be less than 200 characters';
-      return null;
-    }
-  },
-
-  slug: {
-    required: (value) => !value?.trim() ? 'Slug is required' : null,
-    length: (value) => {
-      if (!value) return null;
-      const trimmed = value.trim();
-      if (trimmed.length < 3) return 'Slug must be at least 3 characters';
-      if (value.length > 100) return 'Slug must be less than 100 characters';
-      return null;
-    },
-    format: (value) => {
-      if (!value) return null;
-      if (!/^[a-z0-9-]+$/.test(value)) return 'Slug can only contain lowercase letters, numbers, and hyphens';
-      return null;
-    }
-  },
-
-  content: {
-    required: (value) => !value?.trim() ? 'Content is required' : null,
-    length: (value) => {
-      if (!value) return null;
-      const trimmed = value.trim();
-      if (trimmed.length < 10) return 'Content must be at least 10 characters';
-      if (value.length > 50000) return 'Content must be less than 50,000 characters';
-      return null;
-    }
-  },
-
-  productName: {
-    required: (value) => !value?.trim() ? 'Product name is required' : null,
-    length: (value) => {
-      if (!value) return null;
-      const trimmed = value.trim();
-      if (trimmed.length < 3) return 'Product name must be at least 3 characters';
-      if (value.length > 200) return 'Product name must be less than 200 characters';
-      return null;
-    }
-  },
-
-  description: {
-    required: (value) => !value?.trim() ? 'Description is required' : null,
-    length: (value) => {
-      if (!value) return null;
-      const trimmed = value.trim();
-      if (trimmed.length < 10) return 'Description must be at least 10 characters';
-      if (value.length > 10000) return 'Description must be less than 10,000 characters';
-      return null;
-    }
-  },
-
-  price: {
-    required: (value) => {
-      if (value === undefined || value === null) return 'Price is required';
-      const numValue = parseFloat(value);
-      if (isNaN(numValue) || numValue < 0) return 'Price must be a valid number >= 0';
-      return null;
-    },
-    range: (value) => {
-      if (value === undefined || value === null) return null;
-      const numValue = parseFloat(value);
-      if (isNaN(numValue)) return null;
-      if (numValue > 999999.99) return 'Price cannot exceed $999,999.99';
-      return null;
-    }
-  },
-
-  percentOff: {
-    range: (value) => {
-      if (value === undefined || value === null) return null;
-      if (value.length > 250) return 'Meta description should be less than 250 characters';
-      if (isNaN(numValue) || numValue < 0 || numValue > 100) {
-        return 'Percent off must be a number between 0 and 100';
-      }
-      return null;
-    }
-  },
-
   blogName: {
     required: (value) => !value?.trim() ? 'Blog name is required' : null,
     length: (value) => {
@@ -136,14 +63,6 @@ const validationRules = {
     }
   },
 
-  status: {
-    format: (value) => {
-      if (!value) return null;
-      if (!['draft', 'published'].includes(value)) return 'Status must be either "draft" or "published"';
-      return null;
-    }
-  },
-
   broadcastTitle: {
     required: (value) => !value?.trim() ? 'Broadcast title is required' : null,
     length: (value) => {
@@ -205,6 +124,32 @@ const validateArray = (value, fieldName) => {
   return null;
 };
 
+// Publish schedule validation
+// requireFuture can be disabled when re-saving an unchanged publishAt that may already have passed
+const validateSchedule = (status, publishAt, unpublishAt, { requireFuture = true } = {}) => {
+  const now = new Date();
+  const publishDate = publishAt ? new Date(publishAt) : null;
+  const unpublishDate = unpublishAt ? new Date(unpublishAt) : null;
+
+  if (publishDate && isNaN(publishDate.getTime())) return 'publishAt must be a valid date';
+  if (unpublishDate && isNaN(unpublishDate.getTime())) return 'unpublishAt must be a valid date';
+
+  if (status === 'scheduled') {
+    if (!publishDate) return 'publishAt is required for scheduled items';
+    if (requireFuture && publishDate <= now) return 'publishAt must be in the future';
+  }
+
+  if (unpublishDate) {
+    if (status === 'draft') return 'unpublishAt can only be set for published or scheduled items';
+    if (unpublishDate <= now) return 'unpublishAt must be in the future';
+    if (publishDate && status === 'scheduled' && unpublishDate <= publishDate) {
+      return 'unpublishAt must be after publishAt';
+    }
+  }
+
+  return null;
+};
+
 // Storage quota validation
 const validateStorageQuota = (maxBlogs, totalStorageMB) => {
   const errors = {};
@@ -221,9 +166,15 @@ const validateStorageQuota = (maxBlogs, totalStorageMB) => {
 };
 
 module.exports = {
+  CONTENT_SCHEMA,
+  PRODUCT_SCHEMA,
+  PUBLISH_STATUSES,
+  CONTENT_STATUSES,
   validationRules,
   validateField,
   validateObject,
+  validateSchema,
   validateArray,
+  validateSchedule,
   validateStorageQuota
 };
\ No newline at end of file
@@ -0,0 +1,63 @@
+// Shared optimistic concurrency for content and product edits
+// Items carry a version that every write to their fields increments. An update may send the version it
+// was based on; when the item has been saved since, the update is rejected with a 409 VERSION_CONFLICT
+// whose details.current is the server copy, so the editor can resolve the conflict instead of silently
+// overwriting the other save. Updates without a version are applied as before.
+
+const { admin } = require('./firebaseAdmin.cjs');
+const { ERROR_CODES, HttpError } = require('./http.cjs');
+
+// Items saved before versions existed count as version 0
+const getVersion = (data) => (data && Number.isInteger(data.version) ? data.version : 0);
+
+// Field value for writes made outside the editor, e.g. scheduled publishing, which must still make
+// open editors' versions stale
+const incrementVersion = () => admin.firestore.FieldValue.increment(1);
+
+// Validate the version sent with an update (optional)
+const validateVersion = (version) => {
+  if (version === undefined) return null;
+  return Number.isInteger(version) && version >= 0 ? null : 'version must be a non-negative integer';
+};
+
+// Copy of a stored value that can be sent as JSON, with timestamps as ISO strings
+const toJsonValue = (value) => {
+  if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, nested]) => [key, toJsonValue(nested)]));
+  }
+  return value;
+};
+
+// Server copy of an item as sent with a conflict
+const toServerCopy = (id, data) => ({ id, ...toJsonValue(data), version: getVersion(data) });
+
+// Throw a 409 unless the item is still at the version the update was based on
+const assertVersion = (id, data, expectedVersion, label) => {
+  if (expectedVersion === undefined || getVersion(data) === expectedVersion) return;
+  throw new HttpError(409, `${label} was changed by someone else since it was loaded`, {
+    code: ERROR_CODES.VERSION_CONFLICT,
+    details: { current: toServerCopy(id, data) }
+  });
+};
+
+// Commit an update computed from data, the item as read earlier, in a transaction that first checks the
+// item has not been saved since. addWrites(transaction) adds the writes as it would to a batch.
+const commitVersionedUpdate = (db, docRef, data, label, addWrites) => db.runTransaction(async (transaction) => {
+  const doc = await transaction.get(docRef);
+  if (!doc.exists) {
+    throw new HttpError(404, `${label} not found`);
+  }
+  assertVersion(docRef.id, doc.data(), getVersion(data), label);
+  await addWrites(transaction);
+});
+
+module.exports = {
+  getVersion,
+  incrementVersion,
+  validateVersion,
+  toServerCopy,
+  assertVersion,
+  commitVersionedUpdate
+};
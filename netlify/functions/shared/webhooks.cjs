@@ -0,0 +1,282 @@
+// Shared outgoing webhook helpers for Netlify Functions
+// Webhooks live in users/{uid}/blogs/{blogId}/webhooks and each delivery attempt is logged in the
+// webhook's deliveries subcollection. Events are queued as pending deliveries so the triggering request
+// never waits on a receiver; the retry-webhooks scheduled function makes the first attempt and retries
+// failed ones with backoff.
+// Receivers must be public hosts: loopback, private and link-local addresses are refused when a
+// webhook is saved and again after DNS resolution before each delivery, and redirects are not followed.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { isTrashed } = require('./trash.cjs');
+const { createLogger } = require('./logger.cjs');
+
+const logger = createLogger({ module: 'webhooks' });
+
+const WEBHOOK_EVENTS = [
+  'content.created',
+  'content.updated',
+  'content.published',
+  'content.unpublished',
+  'content.deleted',
+  'product.created',
+  'product.updated',
+  'product.published',
+  'product.unpublished',
+  'product.deleted',
+  'import.completed'
+];
+
+// Subscriptions may use a wildcard for every event of a kind
+const WEBHOOK_EVENT_WILDCARDS = ['content.*', 'product.*'];
+
+const MAX_WEBHOOKS_PER_BLOG = 10;
+const MAX_WEBHOOK_URL_LENGTH = 2000;
+
+// Receivers must answer quickly; redeliveries are attempted inside the dashboard request
+const DELIVERY_TIMEOUT_MS = 5000;
+
+// Minutes to wait before each retry; a delivery fails for good after the last one
+const RETRY_DELAYS_MINUTES = [5, 15, 60, 240, 720];
+const MAX_DELIVERY_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+// Deliveries kept per webhook
+const MAX_DELIVERIES_PER_WEBHOOK = 100;
+
+// Address ranges a webhook may not reach: this host, private networks, link-local (including cloud
+// metadata endpoints), shared carrier space, multicast and reserved addresses
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([prefix, bits]) => BLOCKED_ADDRESSES.addSubnet(prefix, bits, 'ipv6'));
+
+// Hostnames that always name this host or the local network
+const LOCAL_HOSTNAME_PATTERN = /(^|\.)(localhost|local|internal|localdomain)$/i;
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// HMAC-SHA256 of the raw request body, sent in the X-Webhook-Signature header
+const signPayload = (secret, body) => `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+
+const matchesEvent = (subscribedEvents, event) => (subscribedEvents || []).some(subscribed =>
+  subscribed === event || (subscribed.endsWith('.*') && event.startsWith(subscribed.slice(0, -1)))
+);
+
+// Whether an IP address is in a blocked range; IPv4-mapped IPv6 addresses are checked as IPv4
+const isBlockedAddress = (address) => {
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return BLOCKED_ADDRESSES.check(mapped[1], 'ipv4');
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Whether a URL hostname is local by name or a blocked IP literal; other names are checked once resolved
+const isBlockedHost = (hostname) => {
+  const host = hostname.replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '');
+  if (!host || LOCAL_HOSTNAME_PATTERN.test(host)) return true;
+  return net.isIP(host) !== 0 && isBlockedAddress(host);
+};
+
+// Resolve a receiver's hostname and refuse it when any of its addresses is blocked, so a public name
+// cannot point a delivery at an internal service; returns an error string or null
+const checkReceiverAddress = async (url) => {
+  const { hostname } = new URL(url);
+  if (isBlockedHost(hostname)) return 'URL must point to a public host';
+
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(hostname.replace(/^\[(.*)\]$/, '$1'), { all: true });
+  } catch (error) {
+    return `Could not resolve ${hostname}`;
+  }
+  if (addresses.some(({ address }) => isBlockedAddress(address))) {
+    return `${hostname} resolves to an address that is not public`;
+  }
+  return null;
+};
+
+// Validate a webhook's URL and event filter; returns an error string or null
+const validateWebhookInput = ({ url, events }) => {
+  if (typeof url !== 'string' || !url.trim()) return 'URL is required';
+  if (url.length > MAX_WEBHOOK_URL_LENGTH) return `URL must be less than ${MAX_WEBHOOK_URL_LENGTH} characters`;
+
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (error) {
+    return 'URL must be a valid URL';
+  }
+  if (!['http:', 'https:'].includes(parsed.protocol)) return 'URL must start with http:// or https://';
+  if (isBlockedHost(parsed.hostname)) return 'URL must point to a public host';
+
+  const validEvents = [...WEBHOOK_EVENTS, ...WEBHOOK_EVENT_WILDCARDS];
+  if (!Array.isArray(events) || events.length === 0) return 'Select at least one event';
+  const invalidEvent = events.find(event => !validEvents.includes(event));
+  if (invalidEvent) return `Unknown event "${invalidEvent}"`;
+
+  return null;
+};
+
+const isLive = (data) => Boolean(data) && data.status === 'published' && !isTrashed(data);
+
+// Events for a content or product change: created/updated, plus published or unpublished when the
+// item goes live or stops being live. before is null for new items.
+const getLifecycleEvents = (type, before, after) => {
+  const events = [`${type}.${before ? 'updated' : 'created'}`];
+  if (!isLive(before) && isLive(after)) events.push(`${type}.published`);
+  if (isLive(before) && !isLive(after)) events.push(`${type}.unpublished`);
+  return events;
+};
+
+// Item details carried in a lifecycle event; receivers fetch the full item from the public API
+const toWebhookItem = (type, id, data) => ({
+  type,
+  id,
+  slug: data.slug || '',
+  ...(type === 'content' ? { title: data.title || '' } : { name: data.name || '' }),
+  status: data.status || 'draft'
+});
+
+const getDeliveriesRef = (webhookRef) => webhookRef.collection('deliveries');
+
+// Send a logged delivery once and record the outcome, scheduling a retry when it fails
+const attemptDelivery = async (deliveryRef, delivery, webhook) => {
+  const attempts = (delivery.attempts || 0) + 1;
+  const startedAt = Date.now();
+  const requestHeaders = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'AdminCMS-Webhooks/1.0',
+    'X-Webhook-Event': delivery.event,
+    'X-Webhook-Delivery': deliveryRef.id,
+    'X-Webhook-Signature': signPayload(webhook.secret, delivery.requestBody)
+  };
+
+  // Only the status is kept: the response body could echo back whatever the receiver reached
+  let result;
+  try {
+    const addressError = await checkReceiverAddress(webhook.url);
+    if (addressError) {
+      result = { succeeded: false, responseStatus: null, error: addressError };
+    } else {
+      const response = await fetch(webhook.url, {
+        method: 'POST',
+        headers: requestHeaders,
+        body: delivery.requestBody,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(DELIVERY_TIMEOUT_MS)
+      });
+      if (response.body) await response.body.cancel().catch(() => {});
+      result = {
+        succeeded: response.ok,
+        responseStatus: response.status,
+        error: response.ok ? null : `Receiver answered ${response.status}`
+      };
+    }
+  } catch (error) {
+    result = {
+      succeeded: false,
+      responseStatus: null,
+      error: error.name === 'TimeoutError' ? `No response within ${DELIVERY_TIMEOUT_MS / 1000} seconds` : error.message
+    };
+  }
+
+  const canRetry = !result.succeeded && attempts < MAX_DELIVERY_ATTEMPTS;
+  const update = {
+    status: result.succeeded ? 'succeeded' : canRetry ? 'pending' : 'failed',
+    attempts,
+    url: webhook.url,
+    requestHeaders,
+    responseStatus: result.responseStatus,
+    error: result.error,
+    durationMs: Date.now() - startedAt,
+    lastAttemptAt: new Date(),
+    nextAttemptAt: canRetry ? new Date(Date.now() + RETRY_DELAYS_MINUTES[attempts - 1] * 60 * 1000) : null
+  };
+  await deliveryRef.update(update);
+  return { ...delivery, ...update };
+};
+
+// Remove the oldest deliveries beyond MAX_DELIVERIES_PER_WEBHOOK
+const pruneDeliveries = async (webhookRef) => {
+  const snapshot = await getDeliveriesRef(webhookRef).orderBy('createdAt', 'desc').offset(MAX_DELIVERIES_PER_WEBHOOK).get();
+  await Promise.all(snapshot.docs.map(doc => doc.ref.delete()));
+};
+
+// Log a delivery of a request body to a webhook and make its first attempt
+const deliver = async (webhookRef, webhook, event, requestBody, redeliveryOf = null) => {
+  const deliveryRef = getDeliveriesRef(webhookRef).doc();
+  const delivery = {
+    event,
+    requestBody,
+    status: 'pending',
+    attempts: 0,
+    redeliveryOf,
+    createdAt: new Date()
+  };
+  await deliveryRef.set(delivery);
+  const result = await attemptDelivery(deliveryRef, delivery, webhook);
+  await pruneDeliveries(webhookRef);
+  return { id: deliveryRef.id, ...result };
+};
+
+// Log a delivery of a request body to a webhook for retry-webhooks to attempt on its next run
+const queueDelivery = async (webhookRef, event, requestBody) => {
+  const now = new Date();
+  await getDeliveriesRef(webhookRef).doc().set({
+    event,
+    requestBody,
+    status: 'pending',
+    attempts: 0,
+    redeliveryOf: null,
+    createdAt: now,
+    nextAttemptAt: now
+  });
+};
+
+// Queue an event for every active webhook of a blog subscribed to it. Failures are logged, never
+// thrown, so a webhook cannot fail the change that triggered it.
+const dispatchWebhookEvent = async (blogRef, event, data) => {
+  try {
+    const snapshot = await blogRef.collection('webhooks').where('active', '==', true).get();
+    const webhooks = snapshot.docs.filter(doc => matchesEvent(doc.data().events, event));
+    if (webhooks.length === 0) return;
+
+    const requestBody = JSON.stringify({
+      id: `evt_${crypto.randomBytes(12).toString('hex')}`,
+      event,
+      createdAt: new Date().toISOString(),
+      blogId: blogRef.id,
+      data
+    });
+
+    await Promise.all(webhooks.map(doc => queueDelivery(doc.ref, event, requestBody)));
+  } catch (error) {
+    logger.error('Error dispatching webhooks', { event, error });
+  }
+};
+
+// Queue the events of one change
+const dispatchWebhookEvents = async (blogRef, events, data) => {
+  await Promise.all(events.map(event => dispatchWebhookEvent(blogRef, event, data)));
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  WEBHOOK_EVENT_WILDCARDS,
+  MAX_WEBHOOKS_PER_BLOG,
+  generateWebhookSecret,
+  validateWebhookInput,
+  getLifecycleEvents,
+  toWebhookItem,
+  getDeliveriesRef,
+  attemptDelivery,
+  pruneDeliveries,
+  deliver,
+  dispatchWebhookEvent,
+  dispatchWebhookEvents
+};
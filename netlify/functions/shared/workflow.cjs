@@ -0,0 +1,60 @@
+// Shared editorial workflow rules for Netlify Functions
+
+// Statuses each content status may move to
+const WORKFLOW_TRANSITIONS = {
+  draft: ['in_review', 'published', 'scheduled'],
+  in_review: ['draft', 'approved'],
+  approved: ['draft', 'in_review', 'published', 'scheduled'],
+  scheduled: ['draft', 'approved', 'published'],
+  published: ['draft', 'in_review', 'scheduled']
+};
+
+// Statuses that put content live, now or at its scheduled time
+const LIVE_STATUSES = ['published', 'scheduled'];
+
+const MAX_WORKFLOW_COMMENT_LENGTH = 1000;
+
+// Read the workflow settings stored on a blog document
+const getWorkflowSettings = (blogData) => ({
+  requireReview: Boolean(blogData && blogData.workflow && blogData.workflow.requireReview)
+});
+
+// List the statuses content may move to from its current status
+const getAllowedTransitions = (fromStatus, workflow = {}) => {
+  const targets = WORKFLOW_TRANSITIONS[fromStatus] || WORKFLOW_TRANSITIONS.draft;
+  if (!workflow.requireReview) return targets;
+
+  // When review is required only approved (or already live) content may go live
+  const canGoLive = fromStatus === 'approved' || LIVE_STATUSES.includes(fromStatus);
+  return targets.filter(status => canGoLive || !LIVE_STATUSES.includes(status));
+};
+
+// Check a status change against the workflow; returns an error string or null
+const validateTransition = (fromStatus, toStatus, workflow = {}) => {
+  if (fromStatus === toStatus) return null;
+  if (getAllowedTransitions(fromStatus, workflow).includes(toStatus)) return null;
+
+  if (workflow.requireReview && LIVE_STATUSES.includes(toStatus)) {
+    return 'Content must be reviewed and approved before it can be published';
+  }
+  return `Content cannot move from "${fromStatus}" to "${toStatus}"`;
+};
+
+// Validate the optional comment attached to a status change
+const validateWorkflowComment = (comment) => {
+  if (comment === undefined || comment === null || comment === '') return null;
+  if (typeof comment !== 'string') return 'workflowComment must be a string';
+  if (comment.length > MAX_WORKFLOW_COMMENT_LENGTH) {
+    return `workflowComment must be less than ${MAX_WORKFLOW_COMMENT_LENGTH} characters`;
+  }
+  return null;
+};
+
+module.exports = {
+  WORKFLOW_TRANSITIONS,
+  LIVE_STATUSES,
+  getWorkflowSettings,
+  getAllowedTransitions,
+  validateTransition,
+  validateWorkflowComment
+};
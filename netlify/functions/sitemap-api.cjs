@@ -0,0 +1,155 @@
+const { db } = require('./shared/firebaseAdmin.cjs');
+const { errorResponse, createHandler } = require('./shared/http.cjs');
+const { PUBLIC_QUERY_STATUSES, toDate, isWithinPublishWindow } = require('./shared/publishing.cjs');
+const { isTrashed } = require('./shared/trash.cjs');
+const { SITEMAP_PAGE_SIZE, getRobotsSettings, buildUrlSet, buildSitemapIndex, buildRobotsTxt } = require('./shared/sitemaps.cjs');
+const { computeETag, isNotModified } = require('./shared/caching.cjs');
+const { getPublicOrigin, getBlogApiUrl, getContentUrl, getProductUrl } = require('./shared/siteUrls.cjs');
+const { createRateLimiter, getRateLimitHeaders, toRateLimitedResponse } = require('./shared/rateLimit.cjs');
+
+// Shared rate limiter with each blog's per-IP and per-API-key limits
+const rateLimiter = createRateLimiter(db);
+
+// Crawlers fetch sitemaps rarely; conditional requests revalidate them cheaply
+const SITEMAP_CACHE_CONTROL = 'public, max-age=3600';
+
+// Only the fields a sitemap needs are read from each item
+const PUBLISH_FIELDS = ['slug', 'status', 'publishAt', 'unpublishAt', 'deletedAt', 'createdAt', 'updatedAt'];
+
+// Published items of a collection as sitemap entries, ordered by URL so pages stay stable
+async function getSitemapEntries(blogRef, collectionName, toEntry, imageFields) {
+  const snapshot = await blogRef.collection(collectionName)
+    .where('status', 'in', PUBLIC_QUERY_STATUSES)
+    .select(...PUBLISH_FIELDS, ...imageFields)
+    .get();
+
+  const now = new Date();
+  return snapshot.docs
+    .map(doc => doc.data())
+    .filter(data => data.slug && !isTrashed(data) && isWithinPublishWindow(data, now))
+    .map(toEntry)
+    .sort((a, b) => a.loc.localeCompare(b.loc));
+}
+
+const latestDate = (dates) => {
+  const times = dates.filter(Boolean).map(date => date.getTime());
+  return times.length > 0 ? new Date(Math.max(...times)) : null;
+};
+
+exports.handler = createHandler({
+  name: 'sitemap-api',
+  methods: ['GET'],
+  allowHeaders: ['If-None-Match', 'If-Modified-Since'],
+  exposeHeaders: ['ETag', 'Last-Modified']
+}, async ({ event, request, headers }) => {
+  // Extract uid, blogId and the requested file from the request path
+  // Expected path format: /users/{uid}/blogs/{blogId}/api/{sitemap.xml|sitemaps/{page}.xml|robots.txt}
+  const pathMatch = event.path.match(/\/users\/([^/]+)\/blogs\/([^/]+)\/api\/(sitemap\.xml|robots\.txt|sitemaps\/(\d+)\.xml)/);
+  const queryParams = request.query;
+  const uid = pathMatch ? pathMatch[1] : queryParams.uid;
+  const blogId = pathMatch ? pathMatch[2] : queryParams.blogId;
+  const file = pathMatch ? pathMatch[3] : (queryParams.file || 'sitemap.xml');
+  const page = pathMatch ? pathMatch[4] : queryParams.page;
+
+  if (!uid || !blogId) {
+    return errorResponse(headers, 400, 'Missing required parameters: uid and blogId');
+  }
+
+  // Rate limit per client IP, or per API key for integrations, with the blog's configured limits
+  const rateLimit = await rateLimiter.check(event, { uid, blogId });
+  if (!rateLimit.allowed) {
+    return toRateLimitedResponse(headers, rateLimit);
+  }
+
+  const blogRef = db.collection('users').doc(uid).collection('blogs').doc(blogId);
+  const blogDoc = await blogRef.get();
+  if (!blogDoc.exists) {
+    return errorResponse(headers, 404, 'Blog not found');
+  }
+  const blogData = blogDoc.data();
+  const blogUpdatedAt = toDate(blogData.updatedAt) || toDate(blogData.createdAt);
+
+  const robots = getRobotsSettings(blogData);
+  const origin = await getPublicOrigin(db, uid, event);
+  const sitemapUrl = getBlogApiUrl(origin, uid, blogId, 'sitemap.xml');
+
+  let body;
+  let contentType;
+  let lastModified;
+
+  if (file === 'robots.txt') {
+    body = buildRobotsTxt(robots, sitemapUrl);
+    contentType = 'text/plain; charset=utf-8';
+    lastModified = blogUpdatedAt;
+  } else {
+    // A blog closed to crawlers lists no URLs
+    const entries = !robots.allowIndexing ? [] : [
+      ...await getSitemapEntries(blogRef, 'content', data => ({
+        loc: getContentUrl(origin, uid, blogId, data.slug),
+        lastmod: toDate(data.updatedAt) || toDate(data.createdAt),
+        images: data.featuredImageUrl ? [data.featuredImageUrl] : []
+      }), ['featuredImageUrl']),
+      ...await getSitemapEntries(blogRef, 'products', data => ({
+        loc: getProductUrl(origin, uid, blogId, data.slug),
+        lastmod: toDate(data.updatedAt) || toDate(data.createdAt),
+        images: [...new Set([...(data.imageUrls || []), data.imageUrl].filter(Boolean))]
+      }), ['imageUrls', 'imageUrl'])
+    ];
+
+    const pages = [];
+    for (let i = 0; i < entries.length; i += SITEMAP_PAGE_SIZE) {
+      pages.push(entries.slice(i, i + SITEMAP_PAGE_SIZE));
+    }
+
+    if (page !== undefined) {
+      // Pages are numbered from 1; page 1 of an empty blog is an empty sitemap
+      const pageNum = parseInt(page);
+      const pageEntries = pageNum === 1 && pages.length === 0 ? [] : pages[pageNum - 1];
+      if (!pageEntries) {
+        return errorResponse(headers, 404, 'Sitemap page not found');
+      }
+      body = buildUrlSet(pageEntries);
+      lastModified = latestDate([...pageEntries.map(entry => entry.lastmod), blogUpdatedAt]);
+    } else if (pages.length > 1) {
+      // Large blogs get a sitemap index pointing at numbered pages
+      body = buildSitemapIndex(pages.map((pageEntries, index) => ({
+        loc: getBlogApiUrl(origin, uid, blogId, `sitemaps/${index + 1}.xml`),
+        lastmod: latestDate(pageEntries.map(entry => entry.lastmod))
+      })));
+      lastModified = latestDate([...entries.map(entry => entry.lastmod), blogUpdatedAt]);
+    } else {
+      body = buildUrlSet(entries);
+      lastModified = latestDate([...entries.map(entry => entry.lastmod), blogUpdatedAt]);
+    }
+    contentType = 'application/xml; charset=utf-8';
+  }
+
+  const etag = computeETag(body);
+  const cacheHeaders = {
+    'Cache-Control': SITEMAP_CACHE_CONTROL,
+    'ETag': etag,
+    ...(lastModified ? { 'Last-Modified': lastModified.toUTCString() } : {})
+  };
+  const rateLimitHeaders = {
+    ...getRateLimitHeaders(rateLimit)
+  };
+
+  if (isNotModified(event.headers, { etag, lastModified })) {
+    return {
+      statusCode: 304,
+      headers: { ...headers, ...cacheHeaders, ...rateLimitHeaders },
+      body: ''
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers: {
+      ...headers,
+      ...cacheHeaders,
+      ...rateLimitHeaders,
+      'Content-Type': contentType
+    },
+    body
+  };
+});
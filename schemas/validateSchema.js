@@ -0,0 +1,99 @@
+// Schema validation shared by the editor (src/utils/validation.js) and the Netlify functions
+// (netlify/functions/shared/validation.cjs, which loads this ES module with require()), so both
+// accept and reject the same input.
+//
+// A schema maps field names to { label, type, required, enum, minLength, maxLength, min, max, format, items }
+// (see itemSchemas.json). type is 'string', 'number', 'integer', 'boolean', 'array', 'object' or 'date' (a value
+// new Date() accepts), format is 'slug' or 'url' and items is the schema of each array element. label names the
+// field in messages. null and empty values count as missing, and minLength ignores surrounding whitespace.
+const SCHEMA_TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  array: (value) => Array.isArray(value),
+  object: (value) => typeof value === 'object' && value !== null && !Array.isArray(value),
+  date: (value) => (typeof value === 'string' || typeof value === 'number') && !isNaN(new Date(value).getTime())
+};
+
+const TYPE_DESCRIPTIONS = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'an integer',
+  boolean: 'true or false',
+  array: 'an array',
+  object: 'an object',
+  date: 'a valid date'
+};
+
+const isValidUrl = (value) => {
+  try {
+    new URL(value);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const SCHEMA_FORMATS = {
+  slug: {
+    check: (value) => /^[a-z0-9-]+$/.test(value),
+    message: 'can only contain lowercase letters, numbers, and hyphens'
+  },
+  url: {
+    check: isValidUrl,
+    message: 'must be a valid URL'
+  }
+};
+
+const isMissing = (value) => value === undefined || value === null || (typeof value === 'string' && !value.trim());
+
+const validateValue = (label, value, fieldSchema) => {
+  const { type, enum: allowed, minLength, maxLength, min, max, format, items } = fieldSchema;
+
+  if (type && !SCHEMA_TYPE_CHECKS[type](value)) return `${label} must be ${TYPE_DESCRIPTIONS[type]}`;
+  if (allowed && !allowed.includes(value)) return `${label} must be one of: ${allowed.join(', ')}`;
+  if (typeof value === 'string') {
+    if (minLength !== undefined && value.trim().length < minLength) return `${label} must be at least ${minLength} characters`;
+    if (maxLength !== undefined && value.length > maxLength) return `${label} must be at most ${maxLength} characters`;
+  }
+  if (Array.isArray(value)) {
+    if (minLength !== undefined && value.length < minLength) return `${label} must have at least ${minLength} items`;
+    if (maxLength !== undefined && value.length > maxLength) return `${label} can have at most ${maxLength} items`;
+  }
+  if (min !== undefined && value < min) return `${label} must be at least ${min}`;
+  if (max !== undefined && value > max) return `${label} must be at most ${max}`;
+  if (format && !SCHEMA_FORMATS[format].check(value)) return `${label} ${SCHEMA_FORMATS[format].message}`;
+  if (items) {
+    for (let index = 0; index < value.length; index++) {
+      const error = validateValue(`${label}[${index}]`, value[index], items);
+      if (error) return error;
+    }
+  }
+  return null;
+};
+
+// Returns { field: message }; unknown fields are errors unless allowUnknown is set, and with partial
+// (for updates) required fields may be left out but not emptied.
+export const validateSchema = (data, schema, { allowUnknown = false, partial = false } = {}) => {
+  const errors = {};
+
+  Object.entries(schema).forEach(([name, fieldSchema]) => {
+    const value = data[name];
+    const label = fieldSchema.label || name;
+    if (isMissing(value)) {
+      if (fieldSchema.required && !(partial && value === undefined)) errors[name] = `${label} is required`;
+      return;
+    }
+    const error = validateValue(label, value, fieldSchema);
+    if (error) errors[name] = error;
+  });
+
+  if (!allowUnknown) {
+    Object.keys(data)
+      .filter(name => !Object.prototype.hasOwnProperty.call(schema, name))
+      .forEach(name => { errors[name] = `Unknown field: ${name}`; });
+  }
+
+  return errors;
+};
@@ -2,7 +2,6 @@ import React, { useState, Suspense, useEffect } from 'react';
 import { Routes, Route, Navigate } from 'react-router-dom';
 import { useAuth } from '@/hooks/useAuth';
 import { blogService } from '@/services/blogService';
-import { webSocketService } from '@/services/webSocketService';
 import toast from 'react-hot-toast';
 import Sidebar from './Sidebar';
 import Header from './Header';
@@ -22,6 +21,9 @@ const DocumentationPage = React.lazy(() => import('@/features/dashboard/document
 const UserManagementPage = React.lazy(() => import('@/features/dashboard/admin/UserManagementPage'));
 const BroadcastManagementPage = React.lazy(() => import('@/features/dashboard/admin/BroadcastManagementPage'));
 const ManageBlogPage = React.lazy(() => import('@/features/dashboard/manage-blog/ManageBlogPage'));
+const TrashPage = React.lazy(() => import('@/features/dashboard/trash/TrashPage'));
+const ContentTypesPage = React.lazy(() => import('@/features/dashboard/content-types/ContentTypesPage'));
+const TaxonomyPage = React.lazy(() => import('@/features/dashboard/taxonomy/TaxonomyPage'));
 
 export default function DashboardPage() {
   const [sidebarOpen, setSidebarOpen] = useState(false);
@@ -72,13 +74,6 @@ export default function DashboardPage() {
           const defaultBlogId = await blogService.ensureDefaultBlog(currentUser.uid);
           setActiveBlogId(defaultBlogId);
           setBlogInitialized(true);
-          
-          // Connect WebSocket with blog context
-          try {
-            await webSocketService.connect(currentUser.uid, defaultBlogId);
-          } catch (wsError) {
-            console.warn('WebSocket connection failed:', wsError);
-          }
         } catch (error) {
           console.error('Error initializing blog:', error);
           // Create a new default blog if initialization fails
@@ -103,7 +98,6 @@ export default function DashboardPage() {
     if (!currentUser?.uid) {
       setBlogInitialized(false);
       setActiveBlogId(null);
-      webSocketService.disconnect();
     }
   }, [currentUser?.uid]);
 
@@ -153,6 +147,9 @@ export default function DashboardPage() {
                   <Route path="/manage-products" element={<ManageProductsPage activeBlogId={activeBlogId} />} />
                   <Route path="/create-product" element={<CreateProductPage activeBlogId={activeBlogId} />} />
                   <Route path="/edit-product/:id" element={<CreateProductPage activeBlogId={activeBlogId} />} />
+                  <Route path="/content-types" element={<ContentTypesPage activeBlogId={activeBlogId} />} />
+                  <Route path="/taxonomy" element={<TaxonomyPage activeBlogId={activeBlogId} />} />
+                  <Route path="/trash" element={<TrashPage activeBlogId={activeBlogId} />} />
                   <Route path="/analytics" element={<AnalyticsPage activeBlogId={activeBlogId} />} />
                   <Route path="/storage" element={<FileStoragePage />} />
                   <Route path="/user-management" element={<UserManagementPage />} />
@@ -20,7 +20,10 @@ import {
   Edit,
   Upload,
   Download,
-  Bell
+  Bell,
+  Trash2,
+  Shapes,
+  FolderTree
 } from 'lucide-react';
 
 const navigation = [
@@ -28,6 +31,9 @@ const navigation = [
   // Create New menu will be inserted here
   { name: 'Manage Content', href: '/dashboard/manage', icon: FileText },
   { name: 'Manage Products', href: '/dashboard/manage-products', icon: Package },
+  { name: 'Content Types', href: '/dashboard/content-types', icon: Shapes },
+  { name: 'Taxonomy', href: '/dashboard/taxonomy', icon: FolderTree },
+  { name: 'Trash', href: '/dashboard/trash', icon: Trash2 },
   { name: 'Analytics', href: '/dashboard/analytics', icon: BarChart3 },
   { name: 'File Storage', href: '/dashboard/storage', icon: Folder },
 ];
@@ -0,0 +1,256 @@
+import React, { useState, useEffect } from 'react';
+import { format, formatDistanceToNow } from 'date-fns';
+import { KeyRound, Plus, Copy, Ban, AlertTriangle, X } from 'lucide-react';
+import { apiKeysService, API_KEY_SCOPES } from '@/services/apiKeysService';
+import toast from 'react-hot-toast';
+
+const EXPIRY_OPTIONS = [
+  { value: '', label: 'Never expires' },
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' }
+];
+
+const EMPTY_KEY = { name: '', scopes: [], expiresInDays: '90' };
+
+const getScopeLabel = (scope) => API_KEY_SCOPES.find(option => option.value === scope)?.label || scope;
+
+const getKeyStatus = (apiKey) => {
+  if (apiKey.revokedAt) return { label: 'Revoked', className: 'bg-red-100 text-red-700' };
+  if (!apiKey.active) return { label: 'Expired', className: 'bg-gray-100 text-gray-600' };
+  return { label: 'Active', className: 'bg-green-100 text-green-700' };
+};
+
+// Lists a blog's API keys and lets the owner create and revoke them
+export default function ApiKeysManager({ blogId, getAuthToken, onCopy }) {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [newKey, setNewKey] = useState(EMPTY_KEY);
+  const [creating, setCreating] = useState(false);
+  const [createdKey, setCreatedKey] = useState(null);
+  const [revokingId, setRevokingId] = useState(null);
+
+  useEffect(() => {
+    if (blogId) {
+      setCreatedKey(null);
+      fetchApiKeys();
+    }
+  }, [blogId]);
+
+  const fetchApiKeys = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setApiKeys(await apiKeysService.fetchApiKeys(getAuthToken, blogId));
+    } catch (err) {
+      setError('Failed to load API keys');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleScopeToggle = (scope) => {
+    setNewKey(prev => ({
+      ...prev,
+      scopes: prev.scopes.includes(scope) ? prev.scopes.filter(value => value !== scope) : [...prev.scopes, scope]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    const expiresAt = newKey.expiresInDays
+      ? new Date(Date.now() + Number(newKey.expiresInDays) * 24 * 60 * 60 * 1000).toISOString()
+      : null;
+
+    try {
+      setCreating(true);
+      const result = await apiKeysService.createApiKey(getAuthToken, blogId, {
+        name: newKey.name.trim(),
+        scopes: newKey.scopes,
+        expiresAt
+      });
+      setCreatedKey(result.key);
+      setApiKeys(prev => [result.apiKey, ...prev]);
+      setNewKey(EMPTY_KEY);
+      toast.success(`API key "${result.apiKey.name}" created`);
+    } catch (err) {
+      toast.error(err.message || 'Failed to create API key');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Integrations using it will stop working immediately.`)) return;
+
+    try {
+      setRevokingId(apiKey.id);
+      await apiKeysService.revokeApiKey(getAuthToken, blogId, apiKey.id);
+      setApiKeys(prev => prev.map(item => item.id === apiKey.id ? { ...item, active: false, revokedAt: new Date() } : item));
+      toast.success(`API key "${apiKey.name}" revoked`);
+    } catch (err) {
+      toast.error(err.message || 'Failed to revoke API key');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow-sm rounded-xl p-6">
+      <div className="mb-6">
+        <div className="flex items-center gap-4 mb-2">
+          <div className="p-3 bg-amber-100 rounded-lg">
+            <KeyRound className="h-6 w-6 text-amber-600" />
+          </div>
+          <h2 className="text-xl font-semibold text-gray-900">API Keys</h2>
+        </div>
+        <p className="text-sm text-gray-600">
+          Keys let servers and CI jobs call the write, import/export and draft APIs of this blog with
+          <code className="mx-1 px-1 bg-gray-100 rounded text-xs">Authorization: Bearer &lt;key&gt;</code>
+          instead of a signed-in session. Each key only works for this blog and the scopes it was given.
+        </p>
+      </div>
+
+      {createdKey && (
+        <div className="mb-6 p-4 bg-amber-50 border border-amber-200 rounded-lg">
+          <div className="flex items-start justify-between gap-4 mb-2">
+            <p className="text-sm font-medium text-amber-900">
+              Copy this key now. It is stored only as a hash and cannot be shown again.
+            </p>
+            <button
+              type="button"
+              onClick={() => setCreatedKey(null)}
+              className="p-1 text-amber-700 hover:text-amber-900 transition-colors"
+              title="Dismiss"
+            >
+              <X className="h-4 w-4" />
+            </button>
+          </div>
+          <div className="flex items-center gap-3 bg-white border border-amber-200 rounded-lg p-3">
+            <code className="flex-1 text-xs text-gray-800 font-mono overflow-x-auto whitespace-nowrap">
+              {createdKey}
+            </code>
+            <button
+              type="button"
+              onClick={() => onCopy(createdKey, 'API key')}
+              className="p-1 text-amber-700 hover:text-amber-900 transition-colors"
+              title="Copy API key"
+            >
+              <Copy className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="space-y-4 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          <input
+            type="text"
+            name="name"
+            className="md:col-span-2 w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            value={newKey.name}
+            onChange={(e) => setNewKey(prev => ({ ...prev, name: e.target.value }))}
+            placeholder="Key name, e.g. Deploy pipeline"
+            maxLength={100}
+            disabled={creating}
+          />
+          <select
+            name="expiresInDays"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            value={newKey.expiresInDays}
+            onChange={(e) => setNewKey(prev => ({ ...prev, expiresInDays: e.target.value }))}
+            disabled={creating}
+          >
+            {EXPIRY_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          {API_KEY_SCOPES.map(scope => (
+            <label key={scope.value} className="flex items-start gap-3 p-3 border border-gray-200 rounded-lg cursor-pointer hover:bg-gray-50">
+              <input
+                type="checkbox"
+                className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                checked={newKey.scopes.includes(scope.value)}
+                onChange={() => handleScopeToggle(scope.value)}
+                disabled={creating}
+              />
+              <span>
+                <span className="block text-sm font-medium text-gray-900">{scope.label}</span>
+                <span className="block text-xs text-gray-500">{scope.description}</span>
+              </span>
+            </label>
+          ))}
+        </div>
+        <button
+          type="submit"
+          disabled={creating || !newKey.name.trim() || newKey.scopes.length === 0}
+          className="flex items-center justify-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          {creating ? 'Creating...' : 'Create API Key'}
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="space-y-3">
+          {Array.from({ length: 2 }).map((_, index) => (
+            <div key={index} className="h-16 bg-gray-100 animate-pulse rounded-lg"></div>
+          ))}
+        </div>
+      ) : error ? (
+        <div className="flex items-start gap-3 p-4 bg-red-50 border border-red-200 rounded-lg">
+          <AlertTriangle className="h-5 w-5 text-red-600 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      ) : apiKeys.length === 0 ? (
+        <p className="text-sm text-gray-500">No API keys yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {apiKeys.map(apiKey => {
+            const status = getKeyStatus(apiKey);
+            return (
+              <li key={apiKey.id} className="flex items-center justify-between gap-4 p-3">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2 min-w-0">
+                    <span className="text-sm font-medium text-gray-900 truncate">{apiKey.name}</span>
+                    <code className="text-xs text-gray-500 font-mono">{apiKey.displayPrefix}…</code>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${status.className}`}>{status.label}</span>
+                  </div>
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    {apiKey.scopes.map(scope => (
+                      <span key={scope} className="px-2 py-0.5 bg-blue-50 text-blue-700 rounded text-xs">{getScopeLabel(scope)}</span>
+                    ))}
+                  </div>
+                  <div className="text-xs text-gray-500 mt-1">
+                    {apiKey.createdAt && `Created ${format(apiKey.createdAt, 'MMM dd, yyyy')}`}
+                    {' · '}
+                    {apiKey.lastUsedAt ? `Last used ${formatDistanceToNow(apiKey.lastUsedAt, { addSuffix: true })}` : 'Never used'}
+                    {' · '}
+                    {apiKey.revokedAt
+                      ? `Revoked ${format(apiKey.revokedAt, 'MMM dd, yyyy')}`
+                      : apiKey.expiresAt ? `Expires ${format(apiKey.expiresAt, 'MMM dd, yyyy')}` : 'No expiry'}
+                  </div>
+                </div>
+                {!apiKey.revokedAt && (
+                  <button
+                    type="button"
+                    onClick={() => handleRevoke(apiKey)}
+                    disabled={revokingId === apiKey.id}
+                    className="p-2 text-red-600 rounded-md hover:bg-red-50 transition-colors disabled:opacity-50"
+                    title="Revoke API key"
+                  >
+                    <Ban className="h-4 w-4" />
+                  </button>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+}
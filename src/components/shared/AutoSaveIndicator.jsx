@@ -39,6 +39,15 @@ export default function AutoSaveIndicator({
           borderColor: 'border-red-200',
           animate: ''
         };
+      case 'conflict':
+        return {
+          icon: AlertTriangle,
+          text: 'Changed elsewhere',
+          color: 'text-amber-600',
+          bgColor: 'bg-amber-50',
+          borderColor: 'border-amber-200',
+          animate: ''
+        };
       case 'retrying':
         return {
           icon: RotateCcw,
@@ -12,6 +12,9 @@ export default function Breadcrumbs() {
     manage: 'Manage Content',
     create: 'Create Content',
     edit: 'Edit Content',
+    'content-types': 'Content Types',
+    taxonomy: 'Taxonomy',
+    trash: 'Trash',
     analytics: 'Analytics',
     storage: 'File Storage',
     tips: 'Tips',
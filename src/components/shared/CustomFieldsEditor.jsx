@@ -0,0 +1,202 @@
+import React, { useState } from 'react';
+import { Image as ImageIcon, Trash2 } from 'lucide-react';
+import InputField from '@/components/shared/InputField';
+import ImageGalleryModal from '@/components/shared/ImageGalleryModal';
+
+// Editor form generated from a content type's field schema
+export default function CustomFieldsEditor({
+  contentType,
+  values = {},
+  onChange,
+  errors = {},
+  referenceOptions = [],
+  currentContentId = null
+}) {
+  const [galleryField, setGalleryField] = useState(null);
+
+  if (!contentType || contentType.fields.length === 0) {
+    return (
+      <p className="text-sm text-muted-foreground">
+        This content type has no custom fields.
+      </p>
+    );
+  }
+
+  const renderLabel = (field) => (
+    <label className="block text-base font-medium text-foreground mb-3">
+      {field.label}
+      {field.required && field.type !== 'boolean' && <span className="text-destructive ml-1">*</span>}
+    </label>
+  );
+
+  const renderError = (field) => errors[field.key] && (
+    <p className="mt-3 text-sm text-destructive">{errors[field.key]}</p>
+  );
+
+  const renderField = (field) => {
+    const value = values[field.key];
+    const options = field.options || {};
+
+    switch (field.type) {
+      case 'text':
+        return options.multiline ? (
+          <div key={field.key}>
+            {renderLabel(field)}
+            <textarea
+              rows={4}
+              className={`input-field resize-none ${errors[field.key] ? 'border-destructive' : ''}`}
+              value={value || ''}
+              onChange={(e) => onChange(field.key, e.target.value)}
+            />
+            {renderError(field)}
+          </div>
+        ) : (
+          <InputField
+            key={field.key}
+            label={field.label}
+            required={field.required}
+            value={value || ''}
+            onChange={(e) => onChange(field.key, e.target.value)}
+            error={errors[field.key]}
+          />
+        );
+
+      case 'number':
+        return (
+          <InputField
+            key={field.key}
+            label={field.label}
+            required={field.required}
+            type="number"
+            step="any"
+            min={options.min ?? undefined}
+            max={options.max ?? undefined}
+            value={value ?? ''}
+            onChange={(e) => onChange(field.key, e.target.value === '' ? null : Number(e.target.value))}
+            error={errors[field.key]}
+          />
+        );
+
+      case 'date':
+        return (
+          <InputField
+            key={field.key}
+            label={field.label}
+            required={field.required}
+            type="date"
+            value={value || ''}
+            onChange={(e) => onChange(field.key, e.target.value || null)}
+            error={errors[field.key]}
+          />
+        );
+
+      case 'boolean':
+        return (
+          <label key={field.key} className="flex items-center gap-3 cursor-pointer">
+            <input
+              type="checkbox"
+              className="w-4 h-4 text-primary"
+              checked={Boolean(value)}
+              onChange={(e) => onChange(field.key, e.target.checked)}
+            />
+            <span className="text-base font-medium text-foreground">{field.label}</span>
+          </label>
+        );
+
+      case 'image':
+        return (
+          <div key={field.key}>
+            {renderLabel(field)}
+            {value && (
+              <div className="relative mb-4 border border-border rounded-xl overflow-hidden bg-muted">
+                <div className="flex justify-center items-center h-40 w-full">
+                  <img src={value} alt={field.label} className="object-contain max-h-full max-w-full" />
+                </div>
+                <button
+                  type="button"
+                  onClick={() => onChange(field.key, null)}
+                  className="absolute top-3 right-3 p-2 bg-red-500 text-white rounded-full hover:bg-red-600 transition-colors"
+                  title="Remove image"
+                >
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            )}
+            <div className="flex flex-col sm:flex-row gap-4">
+              <input
+                type="url"
+                className={`input-field flex-1 ${errors[field.key] ? 'border-destructive' : ''}`}
+                placeholder="https://example.com/image.jpg"
+                value={value || ''}
+                onChange={(e) => onChange(field.key, e.target.value || null)}
+              />
+              <button
+                type="button"
+                onClick={() => setGalleryField(field.key)}
+                className="btn-secondary btn-sm inline-flex items-center justify-center"
+              >
+                <ImageIcon className="h-4 w-4 mr-2" />
+                Gallery
+              </button>
+            </div>
+            {renderError(field)}
+          </div>
+        );
+
+      case 'reference': {
+        const choices = referenceOptions.filter(item =>
+          item.id !== currentContentId &&
+          (!options.contentType || item.contentType === options.contentType)
+        );
+        return (
+          <div key={field.key}>
+            {renderLabel(field)}
+            <select
+              className={`input-field ${errors[field.key] ? 'border-destructive' : ''}`}
+              value={value || ''}
+              onChange={(e) => onChange(field.key, e.target.value || null)}
+            >
+              <option value="">None</option>
+              {choices.map(item => (
+                <option key={item.id} value={item.id}>{item.title}</option>
+              ))}
+            </select>
+            {renderError(field)}
+          </div>
+        );
+      }
+
+      case 'list':
+        return (
+          <div key={field.key}>
+            {renderLabel(field)}
+            <textarea
+              rows={4}
+              className={`input-field resize-none ${errors[field.key] ? 'border-destructive' : ''}`}
+              value={(value || []).join('\n')}
+              onChange={(e) => onChange(field.key, e.target.value ? e.target.value.split('\n') : [])}
+              placeholder="One item per line"
+            />
+            {renderError(field)}
+          </div>
+        );
+
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <>
+      <div className="space-y-8">
+        {contentType.fields.map(renderField)}
+      </div>
+
+      <ImageGalleryModal
+        isOpen={Boolean(galleryField)}
+        onClose={() => setGalleryField(null)}
+        onSelectImage={(image) => onChange(galleryField, image.downloadURL)}
+      />
+    </>
+  );
+}
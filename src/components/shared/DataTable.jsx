@@ -14,7 +14,11 @@ export default function DataTable({
   selectable = false,
   selectedItems = [],
   onSelectAll = null,
-  onSelectRow = null
+  onSelectRow = null,
+  // When set, searching is done by the parent (e.g. server-side) and data is shown as given
+  searchValue,
+  onSearchChange = null,
+  searchPlaceholder = 'Search...'
 }) {
   const [searchTerm, setSearchTerm] = useState('');
   const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' });
@@ -22,7 +26,7 @@ export default function DataTable({
 
   // Filter data based on search term
   const filteredData = useMemo(() => {
-    if (!searchTerm || !searchable) return data;
+    if (!searchTerm || !searchable || onSearchChange) return data;
     
     return data.filter(item =>
       columns.some(column => {
@@ -30,7 +34,7 @@ export default function DataTable({
         return value && value.toString().toLowerCase().includes(searchTerm.toLowerCase());
       })
     );
-  }, [data, searchTerm, columns, searchable]);
+  }, [data, searchTerm, columns, searchable, onSearchChange]);
 
   // Sort data
   const sortedData = useMemo(() => {
@@ -119,9 +123,16 @@ export default function DataTable({
             <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-muted-foreground" />
             <input
               type="text"
-              placeholder="Search..."
-              value={searchTerm}
-              onChange={(e) => setSearchTerm(e.target.value)}
+              placeholder={searchPlaceholder}
+              value={onSearchChange ? searchValue : searchTerm}
+              onChange={(e) => {
+                if (onSearchChange) {
+                  onSearchChange(e.target.value);
+                  setCurrentPage(1);
+                } else {
+                  setSearchTerm(e.target.value);
+                }
+              }}
               className="w-full pl-10 pr-4 py-3 border border-border rounded-md bg-background text-foreground placeholder-muted-foreground focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent"
             />
           </div>
@@ -0,0 +1,34 @@
+import React from 'react';
+import { EyeOff } from 'lucide-react';
+
+// Shown above a preview opened from a draft preview link, so reviewers know it is not live yet
+export default function DraftPreviewBanner({ preview }) {
+  if (!preview) {
+    return null;
+  }
+
+  const expiresAt = preview.expiresAt
+    ? new Date(preview.expiresAt).toLocaleString('en-US', {
+      year: 'numeric',
+      month: 'long',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit'
+    })
+    : null;
+
+  return (
+    <div className="bg-amber-50 border-b border-amber-200">
+      <div className="max-w-6xl mx-auto px-4 sm:px-6 lg:px-8 py-3 flex flex-col sm:flex-row sm:items-center gap-2 sm:gap-4">
+        <span className="inline-flex items-center self-start px-3 py-1 rounded-full text-sm font-semibold bg-amber-100 text-amber-900 border border-amber-300">
+          <EyeOff className="h-4 w-4 mr-2" />
+          Draft preview
+        </span>
+        <p className="text-sm text-amber-900">
+          This item is not published yet and is only visible through this link.
+          {expiresAt && ` The link expires on ${expiresAt}.`}
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,55 @@
+import React from 'react';
+import { useAuth } from '@/hooks/useAuth';
+
+// Name to show for a session; the user's own other tabs are labelled as such
+export const getSessionLabel = (session, currentUid) => {
+  if (session.user?.uid === currentUid) return 'You (another tab)';
+  return session.user?.name || session.user?.email || 'Someone';
+};
+
+const getInitials = (session) => {
+  const name = session.user?.name || session.user?.email || '?';
+  return name.split(/[\s@.]+/).filter(Boolean).slice(0, 2).map(part => part[0].toUpperCase()).join('');
+};
+
+// Overlapping avatars of the sessions that have an item open
+export default function PresenceAvatars({ sessions, max = 3, size = 'sm', className = '' }) {
+  const { currentUser } = useAuth();
+
+  if (!sessions || sessions.length === 0) return null;
+
+  const sizeClasses = {
+    sm: 'h-6 w-6 text-[10px]',
+    md: 'h-8 w-8 text-xs'
+  };
+  const shown = sessions.slice(0, max);
+  const hidden = sessions.length - shown.length;
+  const title = sessions.map(session => getSessionLabel(session, currentUser?.uid)).join(', ');
+
+  return (
+    <div className={`flex items-center -space-x-2 ${className}`} title={`Editing now: ${title}`}>
+      {shown.map(session => (
+        session.user?.photoURL ? (
+          <img
+            key={session.sessionId}
+            src={session.user.photoURL}
+            alt={getSessionLabel(session, currentUser?.uid)}
+            className={`${sizeClasses[size]} rounded-full ring-2 ring-white object-cover`}
+          />
+        ) : (
+          <span
+            key={session.sessionId}
+            className={`${sizeClasses[size]} rounded-full ring-2 ring-white bg-primary/10 text-primary font-semibold inline-flex items-center justify-center`}
+          >
+            {getInitials(session)}
+          </span>
+        )
+      ))}
+      {hidden > 0 && (
+        <span className={`${sizeClasses[size]} rounded-full ring-2 ring-white bg-muted text-muted-foreground font-semibold inline-flex items-center justify-center`}>
+          +{hidden}
+        </span>
+      )}
+    </div>
+  );
+}
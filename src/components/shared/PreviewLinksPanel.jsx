@@ -0,0 +1,180 @@
+import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { Link2, Plus, Copy, Ban, AlertTriangle, User } from 'lucide-react';
+import { previewTokensService, PREVIEW_LINK_LIFETIMES } from '@/services/previewTokensService';
+import toast from 'react-hot-toast';
+
+const getLinkStatus = (previewToken) => {
+  if (previewToken.revokedAt) return { label: 'Revoked', className: 'bg-red-100 text-red-700' };
+  if (!previewToken.active) return { label: 'Expired', className: 'bg-gray-100 text-gray-600' };
+  return { label: 'Active', className: 'bg-green-100 text-green-700' };
+};
+
+// Shareable preview links for an unpublished content item or product, with revocation
+export default function PreviewLinksPanel({ blogId, type, itemId, getAuthToken, className = '' }) {
+  const [previewTokens, setPreviewTokens] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expiresInHours, setExpiresInHours] = useState(72);
+  const [creating, setCreating] = useState(false);
+  const [createdLink, setCreatedLink] = useState(null);
+  const [revokingId, setRevokingId] = useState(null);
+
+  useEffect(() => {
+    if (blogId && itemId) {
+      setCreatedLink(null);
+      fetchPreviewTokens();
+    }
+  }, [blogId, type, itemId]);
+
+  const fetchPreviewTokens = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setPreviewTokens(await previewTokensService.fetchPreviewTokens(getAuthToken, blogId, type, itemId));
+    } catch (err) {
+      setError('Failed to load preview links');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const copyLink = (url) => {
+    navigator.clipboard.writeText(url);
+    toast.success('Preview link copied to clipboard');
+  };
+
+  const handleCreate = async () => {
+    try {
+      setCreating(true);
+      const result = await previewTokensService.createPreviewLink(getAuthToken, blogId, type, itemId, expiresInHours);
+      setCreatedLink(result.url);
+      setPreviewTokens(prev => [result.previewToken, ...prev]);
+      copyLink(result.url);
+    } catch (err) {
+      toast.error(err.message || 'Failed to create preview link');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  const handleRevoke = async (previewToken) => {
+    if (!window.confirm('Revoke this preview link? Anyone using it will no longer see the draft.')) return;
+
+    try {
+      setRevokingId(previewToken.id);
+      await previewTokensService.revokePreviewToken(getAuthToken, blogId, previewToken.id);
+      setPreviewTokens(prev => prev.map(item => item.id === previewToken.id ? { ...item, active: false, revokedAt: new Date() } : item));
+      toast.success('Preview link revoked');
+    } catch (err) {
+      toast.error(err.message || 'Failed to revoke preview link');
+    } finally {
+      setRevokingId(null);
+    }
+  };
+
+  return (
+    <div className={`card ${className}`}>
+      <div className="card-header">
+        <h3 className="card-title flex items-center">
+          <Link2 className="h-5 w-5 mr-3" />
+          Preview Links
+        </h3>
+      </div>
+      <div className="card-content space-y-4">
+        <p className="text-sm text-muted-foreground">
+          Share the current draft with people who can't sign in. Links show the latest saved version and stop working when they expire or are revoked.
+        </p>
+
+        <div className="flex flex-col sm:flex-row gap-3">
+          <select
+            className="input-field"
+            value={expiresInHours}
+            onChange={(e) => setExpiresInHours(Number(e.target.value))}
+            disabled={creating}
+          >
+            {PREVIEW_LINK_LIFETIMES.map(option => (
+              <option key={option.value} value={option.value}>Expires in {option.label}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={handleCreate}
+            disabled={creating}
+            className="btn-secondary inline-flex items-center"
+          >
+            <Plus className="h-4 w-4 mr-2" />
+            {creating ? 'Creating...' : 'Create Link'}
+          </button>
+        </div>
+
+        {createdLink && (
+          <div className="flex items-center gap-3 p-3 bg-blue-50 border border-blue-200 rounded-lg">
+            <code className="flex-1 text-xs text-gray-800 font-mono overflow-x-auto whitespace-nowrap">
+              {createdLink}
+            </code>
+            <button
+              type="button"
+              onClick={() => copyLink(createdLink)}
+              className="p-1 text-blue-700 hover:text-blue-900 transition-colors"
+              title="Copy preview link"
+            >
+              <Copy className="h-4 w-4" />
+            </button>
+          </div>
+        )}
+
+        {loading ? (
+          <div className="space-y-3">
+            {Array.from({ length: 2 }).map((_, index) => (
+              <div key={index} className="h-14 bg-muted animate-pulse rounded-lg"></div>
+            ))}
+          </div>
+        ) : error ? (
+          <div className="flex items-start space-x-3 p-4 bg-red-50 border border-red-200 rounded-lg">
+            <AlertTriangle className="h-5 w-5 text-red-600 flex-shrink-0 mt-0.5" />
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        ) : previewTokens.length > 0 && (
+          <ul className="space-y-3 max-h-96 overflow-y-auto">
+            {previewTokens.map(previewToken => {
+              const status = getLinkStatus(previewToken);
+              return (
+                <li key={previewToken.id} className="flex items-center justify-between gap-3 p-4 border border-border rounded-lg">
+                  <div className="min-w-0">
+                    <div className="flex items-center gap-2 text-sm">
+                      <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${status.className}`}>{status.label}</span>
+                      <span className="text-foreground">
+                        {previewToken.revokedAt
+                          ? `Revoked ${format(previewToken.revokedAt, 'MMM dd, yyyy HH:mm')}`
+                          : `${previewToken.active ? 'Expires' : 'Expired'} ${previewToken.expiresAt ? format(previewToken.expiresAt, 'MMM dd, yyyy HH:mm') : ''}`}
+                      </span>
+                    </div>
+                    <div className="flex items-center text-xs text-muted-foreground mt-2">
+                      <User className="h-3 w-3 mr-1 flex-shrink-0" />
+                      <span className="truncate">
+                        {previewToken.createdBy?.name || previewToken.createdBy?.email || 'Unknown'}
+                        {previewToken.createdAt && ` · ${format(previewToken.createdAt, 'MMM dd, yyyy HH:mm')}`}
+                      </span>
+                    </div>
+                  </div>
+                  {previewToken.active && (
+                    <button
+                      type="button"
+                      onClick={() => handleRevoke(previewToken)}
+                      disabled={revokingId === previewToken.id}
+                      className="p-2 text-red-600 rounded-md hover:bg-red-50 transition-colors disabled:opacity-50"
+                      title="Revoke preview link"
+                    >
+                      <Ban className="h-4 w-4" />
+                    </button>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,75 @@
+import React from 'react';
+import { CalendarClock } from 'lucide-react';
+import { PUBLISH_STATUSES } from '@/utils/validation';
+import { getStatusLabel } from '@/utils/workflow';
+
+// Status select with publish/unpublish date-time pickers, shared by the content and product editors
+export default function PublishScheduleFields({
+  status,
+  publishAt,
+  unpublishAt,
+  onChange,
+  statusOptions = PUBLISH_STATUSES,
+  errors = {}
+}) {
+  return (
+    <>
+      <div>
+        <label className="block text-base font-medium text-foreground mb-3">
+          Status
+        </label>
+        <select
+          name="status"
+          className="input-field"
+          value={status}
+          onChange={onChange}
+        >
+          {statusOptions.map(option => (
+            <option key={option} value={option}>{getStatusLabel(option)}</option>
+          ))}
+        </select>
+      </div>
+
+      {status === 'scheduled' && (
+        <div>
+          <label className="block text-base font-medium text-foreground mb-3">
+            Publish at <span className="text-destructive">*</span>
+          </label>
+          <input
+            type="datetime-local"
+            name="publishAt"
+            className={`input-field ${errors.publishAt ? 'border-destructive' : ''}`}
+            value={publishAt}
+            onChange={onChange}
+          />
+          {errors.publishAt && (
+            <p className="mt-3 text-sm text-destructive">{errors.publishAt}</p>
+          )}
+        </div>
+      )}
+
+      {status !== 'draft' && (
+        <div>
+          <label className="block text-base font-medium text-foreground mb-3">
+            Unpublish at (optional)
+          </label>
+          <input
+            type="datetime-local"
+            name="unpublishAt"
+            className={`input-field ${errors.unpublishAt ? 'border-destructive' : ''}`}
+            value={unpublishAt}
+            onChange={onChange}
+          />
+          {errors.unpublishAt ? (
+            <p className="mt-3 text-sm text-destructive">{errors.unpublishAt}</p>
+          ) : (
+            <p className="mt-3 text-sm text-muted-foreground flex items-center">
+              <CalendarClock className="h-4 w-4 mr-2 flex-shrink-0" />
+              Times use your local time zone
+            </p>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import { ArrowRight, CornerUpRight, Plus, Trash2, Copy, AlertTriangle } from 'lucide-react';
+import { redirectsService, REDIRECT_TYPES } from '@/services/redirectsService';
+import toast from 'react-hot-toast';
+
+const EMPTY_REDIRECT = { type: 'content', fromSlug: '', toSlug: '' };
+
+// Lists a blog's old-slug redirects and lets the owner add or remove them
+export default function RedirectsManager({ userId, blogId, redirectsApiUrl, onCopy }) {
+  const [redirects, setRedirects] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [newRedirect, setNewRedirect] = useState(EMPTY_REDIRECT);
+  const [adding, setAdding] = useState(false);
+  const [deletingId, setDeletingId] = useState(null);
+
+  useEffect(() => {
+    if (userId && blogId) {
+      fetchRedirects();
+    }
+  }, [userId, blogId]);
+
+  const fetchRedirects = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setRedirects(await redirectsService.fetchRedirects(userId, blogId));
+    } catch (err) {
+      setError('Failed to load redirects');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleInputChange = (e) => {
+    const { name, value } = e.target;
+    setNewRedirect(prev => ({ ...prev, [name]: value.trim().toLowerCase() }));
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+
+    try {
+      setAdding(true);
+      await redirectsService.createRedirect(userId, blogId, newRedirect);
+      toast.success(`Redirect from /${newRedirect.fromSlug} added`);
+      setNewRedirect(prev => ({ ...EMPTY_REDIRECT, type: prev.type }));
+      fetchRedirects();
+    } catch (err) {
+      toast.error(err.message || 'Failed to add redirect');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const handleDelete = async (redirect) => {
+    try {
+      setDeletingId(redirect.id);
+      await redirectsService.deleteRedirect(userId, blogId, redirect.id);
+      setRedirects(prev => prev.filter(item => item.id !== redirect.id));
+      toast.success(`Redirect from /${redirect.fromSlug} removed`);
+    } catch (err) {
+      toast.error('Failed to remove redirect');
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow-sm rounded-xl p-6">
+      <div className="mb-6">
+        <div className="flex items-center gap-4 mb-2">
+          <div className="p-3 bg-gray-100 rounded-lg">
+            <CornerUpRight className="h-6 w-6 text-gray-600" />
+          </div>
+          <h2 className="text-xl font-semibold text-gray-900">Redirects</h2>
+        </div>
+        <p className="text-sm text-gray-600">
+          Old slugs are recorded automatically when a published item's slug changes, so existing links keep working.
+        </p>
+      </div>
+
+      <div className="flex items-center gap-3 bg-gray-50 border border-gray-200 rounded-lg p-3 mb-6">
+        <code className="flex-1 text-xs text-gray-800 font-mono overflow-x-auto whitespace-nowrap">
+          {redirectsApiUrl}
+        </code>
+        <button
+          type="button"
+          onClick={() => onCopy(redirectsApiUrl, 'Redirects API URL')}
+          className="p-1 text-gray-600 hover:text-gray-800 transition-colors"
+          title="Copy Redirects API URL"
+        >
+          <Copy className="h-4 w-4" />
+        </button>
+      </div>
+
+      <form onSubmit={handleAdd} className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-6">
+        <select
+          name="type"
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          value={newRedirect.type}
+          onChange={handleInputChange}
+          disabled={adding}
+        >
+          {REDIRECT_TYPES.map(type => (
+            <option key={type} value={type}>{type === 'content' ? 'Content' : 'Product'}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          name="fromSlug"
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          value={newRedirect.fromSlug}
+          onChange={handleInputChange}
+          placeholder="old-slug"
+          disabled={adding}
+        />
+        <input
+          type="text"
+          name="toSlug"
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+          value={newRedirect.toSlug}
+          onChange={handleInputChange}
+          placeholder="current-slug"
+          disabled={adding}
+        />
+        <button
+          type="submit"
+          disabled={adding || !newRedirect.fromSlug || !newRedirect.toSlug}
+          className="flex items-center justify-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          {adding ? 'Adding...' : 'Add Redirect'}
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="space-y-3">
+          {Array.from({ length: 3 }).map((_, index) => (
+            <div key={index} className="h-12 bg-gray-100 animate-pulse rounded-lg"></div>
+          ))}
+        </div>
+      ) : error ? (
+        <div className="flex items-start gap-3 p-4 bg-red-50 border border-red-200 rounded-lg">
+          <AlertTriangle className="h-5 w-5 text-red-600 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      ) : redirects.length === 0 ? (
+        <p className="text-sm text-gray-500">No redirects yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {redirects.map(redirect => (
+            <li key={redirect.id} className="flex items-center justify-between gap-4 p-3">
+              <div className="min-w-0">
+                <div className="flex items-center gap-2 text-sm font-mono text-gray-800 min-w-0">
+                  <span className="truncate">/{redirect.fromSlug}</span>
+                  <ArrowRight className="h-4 w-4 text-gray-400 flex-shrink-0" />
+                  <span className="truncate">/{redirect.toSlug}</span>
+                </div>
+                <div className="text-xs text-gray-500 mt-1">
+                  {redirect.type === 'content' ? 'Content' : 'Product'}
+                  {' · '}
+                  {redirect.source === 'manual' ? 'Added manually' : 'Slug change'}
+                  {redirect.createdAt && ` · ${format(redirect.createdAt, 'MMM dd, yyyy')}`}
+                </div>
+              </div>
+              <button
+                type="button"
+                onClick={() => handleDelete(redirect)}
+                disabled={deletingId === redirect.id}
+                className="p-2 text-red-600 rounded-md hover:bg-red-50 transition-colors disabled:opacity-50"
+                title="Remove redirect"
+              >
+                <Trash2 className="h-4 w-4" />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,262 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { format } from 'date-fns';
+import { GitCompare, AlertTriangle } from 'lucide-react';
+import { useContentRevisions } from '@/hooks/useContent';
+import { diffWords, diffArrays, countChangedWords } from '@/utils/diff';
+
+const TEXT_FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'slug', label: 'Slug' },
+  { key: 'seoTitle', label: 'SEO Title' },
+  { key: 'metaDescription', label: 'Meta Description' }
+];
+
+const LIST_FIELDS = [
+  { key: 'keywords', label: 'Keywords' },
+  { key: 'categories', label: 'Categories' },
+  { key: 'tags', label: 'Tags' }
+];
+
+// Show a custom field value as text for comparison
+const formatCustomFieldValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+export default function RevisionDiffViewer({
+  contentId,
+  blogId,
+  initialBaseId = null,
+  initialCompareId = null
+}) {
+  const { revisions, loading, error } = useContentRevisions(contentId, blogId);
+  const [baseId, setBaseId] = useState(initialBaseId);
+  const [compareId, setCompareId] = useState(initialCompareId);
+
+  // Default to comparing the previous revision against the current one
+  useEffect(() => {
+    if (revisions.length === 0) return;
+    if (!compareId || !revisions.some(revision => revision.id === compareId)) {
+      setCompareId(revisions[0].id);
+    }
+    if (!baseId || !revisions.some(revision => revision.id === baseId)) {
+      setBaseId((revisions[1] || revisions[0]).id);
+    }
+  }, [revisions, baseId, compareId]);
+
+  const baseRevision = revisions.find(revision => revision.id === baseId);
+  const compareRevision = revisions.find(revision => revision.id === compareId);
+
+  const bodySegments = useMemo(() => {
+    if (!baseRevision || !compareRevision) return [];
+    return diffWords(baseRevision.content, compareRevision.content);
+  }, [baseRevision, compareRevision]);
+
+  const bodyCounts = useMemo(() => countChangedWords(bodySegments), [bodySegments]);
+
+  // Custom fields present in either revision
+  const customFieldKeys = useMemo(() => {
+    if (!baseRevision || !compareRevision) return [];
+    return [...new Set([
+      ...Object.keys(baseRevision.fields || {}),
+      ...Object.keys(compareRevision.fields || {})
+    ])];
+  }, [baseRevision, compareRevision]);
+
+  const getRevisionLabel = (revision, index) => {
+    const date = revision.createdAt ? format(revision.createdAt, 'MMM dd, yyyy HH:mm') : 'Just now';
+    const author = revision.savedBy?.name || revision.savedBy?.email || 'Unknown';
+    return `${index === 0 ? 'Current · ' : ''}${date} · ${author}`;
+  };
+
+  if (loading) {
+    return (
+      <div className="space-y-4">
+        <div className="h-10 bg-muted animate-pulse rounded"></div>
+        <div className="h-64 bg-muted animate-pulse rounded-lg"></div>
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="flex items-start space-x-3 p-4 bg-red-50 border border-red-200 rounded-lg">
+        <AlertTriangle className="h-5 w-5 text-red-600 flex-shrink-0 mt-0.5" />
+        <p className="text-sm text-red-700">{error}</p>
+      </div>
+    );
+  }
+
+  if (revisions.length < 2) {
+    return (
+      <div className="text-center py-8 text-muted-foreground">
+        <GitCompare className="h-12 w-12 mx-auto mb-4 opacity-50" />
+        <p>At least two revisions are needed to compare changes.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-8">
+      {/* Revision selection */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <label className="block text-sm font-medium text-foreground mb-2">Compare from</label>
+          <select
+            className="input-field"
+            value={baseId || ''}
+            onChange={(e) => setBaseId(e.target.value)}
+          >
+            {revisions.map((revision, index) => (
+              <option key={revision.id} value={revision.id}>
+                {getRevisionLabel(revision, index)}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-foreground mb-2">Compare to</label>
+          <select
+            className="input-field"
+            value={compareId || ''}
+            onChange={(e) => setCompareId(e.target.value)}
+          >
+            {revisions.map((revision, index) => (
+              <option key={revision.id} value={revision.id}>
+                {getRevisionLabel(revision, index)}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {baseRevision && compareRevision && (
+        <>
+          {/* Field-level changes */}
+          <div>
+            <h4 className="text-base font-semibold text-foreground mb-3">Fields</h4>
+            <div className="border border-border rounded-lg divide-y divide-border">
+              {TEXT_FIELDS.map(({ key, label }) => (
+                <TextFieldDiff
+                  key={key}
+                  label={label}
+                  oldValue={baseRevision[key] || ''}
+                  newValue={compareRevision[key] || ''}
+                />
+              ))}
+              {LIST_FIELDS.map(({ key, label }) => (
+                <ListFieldDiff
+                  key={key}
+                  label={label}
+                  oldValues={baseRevision[key] || []}
+                  newValues={compareRevision[key] || []}
+                />
+              ))}
+              {customFieldKeys.map(key => (
+                <TextFieldDiff
+                  key={`fields.${key}`}
+                  label={key}
+                  oldValue={formatCustomFieldValue(baseRevision.fields?.[key])}
+                  newValue={formatCustomFieldValue(compareRevision.fields?.[key])}
+                />
+              ))}
+            </div>
+          </div>
+
+          {/* Body changes */}
+          <div>
+            <div className="flex items-center justify-between mb-3">
+              <h4 className="text-base font-semibold text-foreground">Content</h4>
+              <span className="text-sm text-muted-foreground">
+                <span className="text-green-700">+{bodyCounts.added}</span>
+                {' / '}
+                <span className="text-red-700">-{bodyCounts.removed}</span>
+                {' words'}
+              </span>
+            </div>
+            <div className="grid grid-cols-1 lg:grid-cols-2 gap-4">
+              <DiffPane segments={bodySegments} hide="added" />
+              <DiffPane segments={bodySegments} hide="removed" />
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+// One side of the side-by-side body diff
+function DiffPane({ segments, hide }) {
+  return (
+    <div className="p-4 bg-muted/20 border border-border rounded-lg max-h-[28rem] overflow-y-auto">
+      <pre className="text-sm font-mono whitespace-pre-wrap break-words text-foreground">
+        {segments.filter(segment => segment.type !== hide).map((segment, index) => (
+          <DiffSegment key={index} segment={segment} />
+        ))}
+      </pre>
+    </div>
+  );
+}
+
+function DiffSegment({ segment }) {
+  if (segment.type === 'added') {
+    return <ins className="bg-green-100 text-green-900 no-underline">{segment.value}</ins>;
+  }
+  if (segment.type === 'removed') {
+    return <del className="bg-red-100 text-red-900">{segment.value}</del>;
+  }
+  return <span>{segment.value}</span>;
+}
+
+function TextFieldDiff({ label, oldValue, newValue }) {
+  const changed = oldValue !== newValue;
+  const segments = useMemo(() => diffWords(oldValue, newValue), [oldValue, newValue]);
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-4 gap-2 p-4">
+      <div className="text-sm font-medium text-foreground">
+        {label}
+        {changed && <span className="ml-2 badge badge-warning text-xs">changed</span>}
+      </div>
+      <div className="md:col-span-3 text-sm text-muted-foreground break-words">
+        {!oldValue && !newValue ? (
+          <span className="italic">Empty</span>
+        ) : changed ? (
+          segments.map((segment, index) => <DiffSegment key={index} segment={segment} />)
+        ) : (
+          newValue
+        )}
+      </div>
+    </div>
+  );
+}
+
+function ListFieldDiff({ label, oldValues, newValues }) {
+  const { added, removed, unchanged } = diffArrays(oldValues, newValues);
+  const changed = added.length > 0 || removed.length > 0;
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-4 gap-2 p-4">
+      <div className="text-sm font-medium text-foreground">
+        {label}
+        {changed && <span className="ml-2 badge badge-warning text-xs">changed</span>}
+      </div>
+      <div className="md:col-span-3 flex flex-wrap gap-2">
+        {added.length === 0 && removed.length === 0 && unchanged.length === 0 && (
+          <span className="text-sm text-muted-foreground italic">Empty</span>
+        )}
+        {unchanged.map(value => (
+          <span key={`unchanged-${value}`} className="badge badge-secondary text-xs">{value}</span>
+        ))}
+        {added.map(value => (
+          <span key={`added-${value}`} className="badge border-green-200 bg-green-100 text-green-800 text-xs">+ {value}</span>
+        ))}
+        {removed.map(value => (
+          <span key={`removed-${value}`} className="badge border-red-200 bg-red-100 text-red-800 text-xs line-through">- {value}</span>
+        ))}
+      </div>
+    </div>
+  );
+}
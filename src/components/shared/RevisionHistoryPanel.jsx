@@ -0,0 +1,111 @@
+import React from 'react';
+import { format } from 'date-fns';
+import { History, RotateCcw, User, AlertTriangle, GitCompare } from 'lucide-react';
+
+export default function RevisionHistoryPanel({
+  revisions = [],
+  loading = false,
+  error = null,
+  onRestore,
+  onCompare,
+  restoringRevisionId = null,
+  className = ''
+}) {
+  const getAuthorLabel = (savedBy) => {
+    if (!savedBy) return 'Unknown';
+    return savedBy.name || savedBy.email || 'Unknown';
+  };
+
+  const getRevisionDate = (revision) => {
+    if (!revision.createdAt) return 'Just now';
+    return format(revision.createdAt, 'MMM dd, yyyy HH:mm');
+  };
+
+  return (
+    <div className={`card ${className}`}>
+      <div className="card-header">
+        <h3 className="card-title flex items-center">
+          <History className="h-5 w-5 mr-3" />
+          Revision History
+        </h3>
+      </div>
+      <div className="card-content">
+        {loading ? (
+          <div className="space-y-4">
+            {Array.from({ length: 3 }).map((_, index) => (
+              <div key={index} className="h-14 bg-muted animate-pulse rounded-lg"></div>
+            ))}
+          </div>
+        ) : error ? (
+          <div className="flex items-start space-x-3 p-4 bg-red-50 border border-red-200 rounded-lg">
+            <AlertTriangle className="h-5 w-5 text-red-600 flex-shrink-0 mt-0.5" />
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        ) : revisions.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            No revisions yet. A revision is recorded every time this content is saved.
+          </p>
+        ) : (
+          <ul className="space-y-3 max-h-96 overflow-y-auto">
+            {revisions.map((revision, index) => (
+              <li
+                key={revision.id}
+                className="flex items-start justify-between gap-4 p-4 border border-border rounded-lg"
+              >
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2 text-sm font-medium text-foreground">
+                    <span>{getRevisionDate(revision)}</span>
+                    {index === 0 && (
+                      <span className="badge badge-success text-xs">Current</span>
+                    )}
+                  </div>
+                  <div className="flex items-center text-xs text-muted-foreground mt-1">
+                    <User className="h-3 w-3 mr-1 flex-shrink-0" />
+                    <span className="truncate">{getAuthorLabel(revision.savedBy)}</span>
+                  </div>
+                  <div className="text-xs text-muted-foreground truncate mt-1">
+                    {revision.title}
+                  </div>
+                  {revision.restoredFrom && (
+                    <div className="text-xs text-blue-600 mt-1">Restored from an earlier revision</div>
+                  )}
+                </div>
+                {index > 0 && (onRestore || onCompare) && (
+                  <div className="flex flex-col gap-1 flex-shrink-0">
+                    {onCompare && (
+                      <button
+                        type="button"
+                        onClick={() => onCompare(revision)}
+                        className="btn-ghost btn-sm inline-flex items-center"
+                        title="Compare with the current version"
+                      >
+                        <GitCompare className="h-4 w-4" />
+                        <span className="ml-2">Compare</span>
+                      </button>
+                    )}
+                    {onRestore && (
+                      <button
+                        type="button"
+                        onClick={() => onRestore(revision)}
+                        disabled={Boolean(restoringRevisionId)}
+                        className="btn-ghost btn-sm inline-flex items-center"
+                        title="Restore this revision"
+                      >
+                        {restoringRevisionId === revision.id ? (
+                          <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-primary"></div>
+                        ) : (
+                          <RotateCcw className="h-4 w-4" />
+                        )}
+                        <span className="ml-2">Restore</span>
+                      </button>
+                    )}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,107 @@
+import React, { useState, useMemo } from 'react';
+
+// Text input that suggests taxonomy terms; with multiple, suggestions complete the last comma-separated entry
+export default function TaxonomyInput({
+  value,
+  onChange,
+  onBlur,
+  terms = [],
+  multiple = true,
+  placeholder = '',
+  className = ''
+}) {
+  const [open, setOpen] = useState(false);
+  const [highlighted, setHighlighted] = useState(0);
+
+  const parts = multiple ? value.split(',') : [value];
+  const currentPart = parts[parts.length - 1].trim().toLowerCase();
+  const chosen = multiple ? parts.slice(0, -1).map(part => part.trim().toLowerCase()) : [];
+
+  // Show the parent path so nested categories with similar names can be told apart
+  const getTermPath = (term) => {
+    const path = [term.name];
+    let parent = terms.find(item => item.id === term.parentId);
+    while (parent && path.length < 10) {
+      path.unshift(parent.name);
+      parent = terms.find(item => item.id === parent.parentId);
+    }
+    return path.join(' › ');
+  };
+
+  const suggestions = useMemo(() => terms
+    .filter(term => !chosen.includes(term.name.toLowerCase()))
+    .filter(term => !currentPart || term.name.toLowerCase().includes(currentPart))
+    .filter(term => term.name.toLowerCase() !== currentPart)
+    .slice(0, 8), [terms, currentPart, chosen.join(',')]);
+
+  const selectTerm = (term) => {
+    const nextValue = multiple
+      ? [...parts.slice(0, -1).map(part => part.trim()), term.name].join(', ') + ', '
+      : term.name;
+    onChange(nextValue);
+    setOpen(multiple);
+    setHighlighted(0);
+  };
+
+  const handleKeyDown = (e) => {
+    if (!open || suggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setHighlighted(prev => (prev + 1) % suggestions.length);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setHighlighted(prev => (prev - 1 + suggestions.length) % suggestions.length);
+    } else if (e.key === 'Enter' && currentPart) {
+      e.preventDefault();
+      selectTerm(suggestions[Math.min(highlighted, suggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div className={`relative ${className}`}>
+      <input
+        type="text"
+        className="input-field"
+        value={value}
+        onChange={(e) => {
+          onChange(e.target.value);
+          setOpen(true);
+          setHighlighted(0);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={(e) => {
+          setOpen(false);
+          if (onBlur) onBlur(e);
+        }}
+        onKeyDown={handleKeyDown}
+        placeholder={placeholder}
+        autoComplete="off"
+      />
+      {open && suggestions.length > 0 && (
+        <ul className="absolute z-20 mt-1 w-full max-h-60 overflow-y-auto bg-card border border-border rounded-lg shadow-lg">
+          {suggestions.map((term, index) => (
+            <li key={term.id}>
+              <button
+                type="button"
+                // Select before the input's blur closes the list
+                onMouseDown={(e) => {
+                  e.preventDefault();
+                  selectTerm(term);
+                }}
+                className={`w-full text-left px-4 py-2 text-sm ${index === highlighted ? 'bg-muted' : 'hover:bg-muted/50'}`}
+              >
+                <span className="text-foreground">{term.name}</span>
+                {term.parentId && (
+                  <span className="ml-2 text-xs text-muted-foreground">{getTermPath(term)}</span>
+                )}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
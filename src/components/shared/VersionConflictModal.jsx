@@ -0,0 +1,94 @@
+import React, { useMemo } from 'react';
+import { format } from 'date-fns';
+import { AlertTriangle } from 'lucide-react';
+import Modal from '@/components/shared/Modal';
+
+// Show a field value as text for comparison
+const formatValue = (value) => {
+  if (value === undefined || value === null) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'object') return JSON.stringify(value);
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  return String(value);
+};
+
+// Shown when a save is rejected because the item was saved elsewhere (e.g. another tab) since it was
+// loaded. Lists the fields where the unsaved local copy and the saved server copy differ and lets the
+// user keep their changes, overwriting the saved version, or load the saved version instead.
+export default function VersionConflictModal({
+  isOpen,
+  fields,
+  localItem,
+  serverItem,
+  onKeepLocal,
+  onLoadServer,
+  itemLabel = 'item'
+}) {
+  const differences = useMemo(() => {
+    if (!localItem || !serverItem) return [];
+    return fields
+      .map(({ key, label }) => ({ key, label, local: formatValue(localItem[key]), server: formatValue(serverItem[key]) }))
+      .filter(({ local, server }) => local !== server);
+  }, [fields, localItem, serverItem]);
+
+  const savedAt = serverItem?.updatedAt ? new Date(serverItem.updatedAt) : null;
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      // A choice is required, so the dialog cannot be dismissed
+      onClose={() => {}}
+      title="This item was changed elsewhere"
+      size="xl"
+      showCloseButton={false}
+    >
+      <div className="space-y-6">
+        <div className="flex items-start space-x-3 p-4 bg-amber-50 border border-amber-200 rounded-lg">
+          <AlertTriangle className="h-5 w-5 text-amber-600 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-amber-800">
+            This {itemLabel} was saved somewhere else
+            {savedAt && !isNaN(savedAt.getTime()) ? ` at ${format(savedAt, 'MMM dd, yyyy HH:mm')}` : ''}
+            {' '}while you were editing it, so your changes have not been saved.
+          </p>
+        </div>
+
+        {differences.length > 0 ? (
+          <div className="border border-border rounded-lg divide-y divide-border">
+            {differences.map(({ key, label, local, server }) => (
+              <div key={key} className="p-4">
+                <p className="text-sm font-medium text-foreground mb-2">{label}</p>
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                  <div>
+                    <p className="text-xs text-muted-foreground mb-1">Your changes</p>
+                    <pre className="text-sm whitespace-pre-wrap break-words p-3 bg-green-50 rounded max-h-40 overflow-y-auto">
+                      {local || <span className="text-muted-foreground italic">Empty</span>}
+                    </pre>
+                  </div>
+                  <div>
+                    <p className="text-xs text-muted-foreground mb-1">Saved version</p>
+                    <pre className="text-sm whitespace-pre-wrap break-words p-3 bg-muted/30 rounded max-h-40 overflow-y-auto">
+                      {server || <span className="text-muted-foreground italic">Empty</span>}
+                    </pre>
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <p className="text-sm text-muted-foreground">
+            The saved version has the same values as your copy in the fields shown here.
+          </p>
+        )}
+
+        <div className="flex flex-col sm:flex-row justify-end space-y-3 sm:space-y-0 sm:space-x-4">
+          <button type="button" onClick={onLoadServer} className="btn-secondary">
+            Load saved version
+          </button>
+          <button type="button" onClick={onKeepLocal} className="btn-primary">
+            Keep my changes
+          </button>
+        </div>
+      </div>
+    </Modal>
+  );
+}
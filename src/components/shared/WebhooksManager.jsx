@@ -0,0 +1,442 @@
+import React, { useState, useEffect } from 'react';
+import { format } from 'date-fns';
+import {
+  Webhook, Plus, Trash2, Copy, AlertTriangle, Eye, EyeOff, RefreshCw, RotateCcw, ChevronDown, ChevronRight
+} from 'lucide-react';
+import { webhooksService, WEBHOOK_EVENT_GROUPS } from '@/services/webhooksService';
+import toast from 'react-hot-toast';
+
+const EMPTY_WEBHOOK = { url: '', description: '', events: [] };
+
+const DELIVERY_STATUS_STYLES = {
+  succeeded: 'bg-green-100 text-green-700',
+  pending: 'bg-yellow-100 text-yellow-700',
+  failed: 'bg-red-100 text-red-700'
+};
+
+const formatJson = (text) => {
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch (error) {
+    return text;
+  }
+};
+
+// Event checkboxes, grouped by kind with a wildcard option that covers the whole group
+function EventPicker({ events, onChange, disabled }) {
+  const toggle = (value) => {
+    onChange(events.includes(value) ? events.filter(event => event !== value) : [...events, value]);
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+      {WEBHOOK_EVENT_GROUPS.map(group => {
+        const groupSelected = group.wildcard && events.includes(group.wildcard);
+        return (
+          <div key={group.label} className="p-3 border border-gray-200 rounded-lg space-y-2">
+            <div className="text-sm font-medium text-gray-900">{group.label}</div>
+            {group.wildcard && (
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                  checked={groupSelected}
+                  onChange={() => toggle(group.wildcard)}
+                  disabled={disabled}
+                />
+                <span>All {group.label.toLowerCase()} events</span>
+              </label>
+            )}
+            {group.events.map(event => (
+              <label key={event} className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  className="h-4 w-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                  checked={groupSelected || events.includes(event)}
+                  onChange={() => toggle(event)}
+                  disabled={disabled || groupSelected}
+                />
+                <code className="text-xs">{event}</code>
+              </label>
+            ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Latest deliveries of a webhook, with their request and response and a redeliver button
+function DeliveryLog({ blogId, webhookId, getAuthToken }) {
+  const [deliveries, setDeliveries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [expandedId, setExpandedId] = useState(null);
+  const [redeliveringId, setRedeliveringId] = useState(null);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [webhookId]);
+
+  const fetchDeliveries = async () => {
+    try {
+      setLoading(true);
+      setDeliveries(await webhooksService.fetchDeliveries(getAuthToken, blogId, webhookId));
+    } catch (err) {
+      toast.error(err.message || 'Failed to load deliveries');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRedeliver = async (delivery) => {
+    try {
+      setRedeliveringId(delivery.id);
+      const { delivery: redelivery } = await webhooksService.redeliver(getAuthToken, blogId, webhookId, delivery.id);
+      if (redelivery.status === 'succeeded') {
+        toast.success(`Redelivered ${delivery.event}`);
+      } else {
+        toast.error(`Redelivery failed: ${redelivery.error || 'no response'}`);
+      }
+      fetchDeliveries();
+    } catch (err) {
+      toast.error(err.message || 'Failed to redeliver');
+    } finally {
+      setRedeliveringId(null);
+    }
+  };
+
+  if (loading) {
+    return <div className="h-12 bg-gray-100 animate-pulse rounded-lg"></div>;
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between">
+        <span className="text-xs font-medium text-gray-500 uppercase">Recent deliveries</span>
+        <button
+          type="button"
+          onClick={fetchDeliveries}
+          className="p-1 text-gray-500 hover:text-gray-700 transition-colors"
+          title="Refresh deliveries"
+        >
+          <RefreshCw className="h-4 w-4" />
+        </button>
+      </div>
+      {deliveries.length === 0 ? (
+        <p className="text-sm text-gray-500">No deliveries yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg bg-white">
+          {deliveries.map(delivery => (
+            <li key={delivery.id} className="p-3">
+              <div className="flex items-center justify-between gap-4">
+                <button
+                  type="button"
+                  onClick={() => setExpandedId(expandedId === delivery.id ? null : delivery.id)}
+                  className="flex items-center gap-2 min-w-0 text-left"
+                >
+                  {expandedId === delivery.id
+                    ? <ChevronDown className="h-4 w-4 text-gray-400 flex-shrink-0" />
+                    : <ChevronRight className="h-4 w-4 text-gray-400 flex-shrink-0" />}
+                  <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${DELIVERY_STATUS_STYLES[delivery.status] || 'bg-gray-100 text-gray-600'}`}>
+                    {delivery.status}
+                  </span>
+                  <code className="text-xs text-gray-800">{delivery.event}</code>
+                  <span className="text-xs text-gray-500 truncate">
+                    {delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : delivery.error}
+                    {' · '}
+                    {delivery.attempts} {delivery.attempts === 1 ? 'attempt' : 'attempts'}
+                    {delivery.createdAt && ` · ${format(delivery.createdAt, 'MMM dd, yyyy HH:mm:ss')}`}
+                  </span>
+                </button>
+                <button
+                  type="button"
+                  onClick={() => handleRedeliver(delivery)}
+                  disabled={redeliveringId === delivery.id}
+                  className="flex items-center px-2 py-1 text-xs text-blue-700 rounded-md hover:bg-blue-50 transition-colors disabled:opacity-50"
+                  title="Send this delivery again"
+                >
+                  <RotateCcw className="h-3 w-3 mr-1" />
+                  {redeliveringId === delivery.id ? 'Sending...' : 'Redeliver'}
+                </button>
+              </div>
+              {expandedId === delivery.id && (
+                <div className="mt-3 space-y-3 text-xs">
+                  {delivery.status === 'pending' && delivery.attempts === 0 && (
+                    <p className="text-yellow-700">Queued, sending within a minute</p>
+                  )}
+                  {delivery.status === 'pending' && delivery.attempts > 0 && delivery.nextAttemptAt && (
+                    <p className="text-yellow-700">Next attempt {format(delivery.nextAttemptAt, 'MMM dd, yyyy HH:mm')}</p>
+                  )}
+                  {delivery.redeliveryOf && (
+                    <p className="text-gray-500">Redelivery of <code>{delivery.redeliveryOf}</code></p>
+                  )}
+                  <div>
+                    <div className="font-medium text-gray-700 mb-1">Request</div>
+                    <pre className="p-3 bg-gray-50 border border-gray-200 rounded-lg overflow-x-auto whitespace-pre-wrap break-all">
+                      {delivery.attempts > 0
+                        ? `POST ${delivery.url}\n${Object.entries(delivery.requestHeaders).map(([name, value]) => `${name}: ${value}`).join('\n')}\n\n${formatJson(delivery.requestBody)}`
+                        : formatJson(delivery.requestBody)}
+                    </pre>
+                  </div>
+                  {delivery.attempts > 0 && (
+                    <div>
+                      <div className="font-medium text-gray-700 mb-1">
+                        Response{delivery.durationMs !== null && ` (${delivery.durationMs} ms)`}
+                      </div>
+                      <pre className="p-3 bg-gray-50 border border-gray-200 rounded-lg overflow-x-auto whitespace-pre-wrap break-all">
+                        {delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : delivery.error}
+                      </pre>
+                    </div>
+                  )}
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+// Lists a blog's outgoing webhooks and lets the owner add, change and remove them
+export default function WebhooksManager({ blogId, getAuthToken, onCopy }) {
+  const [webhooks, setWebhooks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [newWebhook, setNewWebhook] = useState(EMPTY_WEBHOOK);
+  const [adding, setAdding] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [revealedId, setRevealedId] = useState(null);
+  const [expandedId, setExpandedId] = useState(null);
+
+  useEffect(() => {
+    if (blogId) {
+      setExpandedId(null);
+      fetchWebhooks();
+    }
+  }, [blogId]);
+
+  const fetchWebhooks = async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      setWebhooks(await webhooksService.fetchWebhooks(getAuthToken, blogId));
+    } catch (err) {
+      setError('Failed to load webhooks');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const replaceWebhook = (webhook) => {
+    setWebhooks(prev => prev.map(item => item.id === webhook.id ? webhook : item));
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+
+    try {
+      setAdding(true);
+      const webhook = await webhooksService.createWebhook(getAuthToken, blogId, {
+        url: newWebhook.url.trim(),
+        description: newWebhook.description.trim(),
+        events: newWebhook.events
+      });
+      setWebhooks(prev => [webhook, ...prev]);
+      setRevealedId(webhook.id);
+      setNewWebhook(EMPTY_WEBHOOK);
+      toast.success('Webhook added. Copy its secret to verify signatures.');
+    } catch (err) {
+      toast.error(err.message || 'Failed to add webhook');
+    } finally {
+      setAdding(false);
+    }
+  };
+
+  const handleUpdate = async (webhook, changes, message) => {
+    try {
+      setBusyId(webhook.id);
+      replaceWebhook(await webhooksService.updateWebhook(getAuthToken, blogId, webhook.id, changes));
+      toast.success(message);
+    } catch (err) {
+      toast.error(err.message || 'Failed to update webhook');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRotateSecret = (webhook) => {
+    if (!window.confirm('Rotate the signing secret? Receivers must be updated with the new secret.')) return;
+    setRevealedId(webhook.id);
+    handleUpdate(webhook, { rotateSecret: true }, 'Signing secret rotated');
+  };
+
+  const handleDelete = async (webhook) => {
+    if (!window.confirm(`Remove the webhook to ${webhook.url} and its delivery log?`)) return;
+
+    try {
+      setBusyId(webhook.id);
+      await webhooksService.deleteWebhook(getAuthToken, blogId, webhook.id);
+      setWebhooks(prev => prev.filter(item => item.id !== webhook.id));
+      toast.success('Webhook removed');
+    } catch (err) {
+      toast.error(err.message || 'Failed to remove webhook');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow-sm rounded-xl p-6">
+      <div className="mb-6">
+        <div className="flex items-center gap-4 mb-2">
+          <div className="p-3 bg-purple-100 rounded-lg">
+            <Webhook className="h-6 w-6 text-purple-600" />
+          </div>
+          <h2 className="text-xl font-semibold text-gray-900">Webhooks</h2>
+        </div>
+        <p className="text-sm text-gray-600">
+          Webhooks POST a JSON event to your URL when content or products change, e.g. to rebuild a static site on publish.
+          Each request carries an <code className="px-1 bg-gray-100 rounded text-xs">X-Webhook-Signature</code> header
+          with the HMAC-SHA256 of the body, keyed with the webhook's secret. Failed deliveries are retried with backoff for about 17 hours.
+        </p>
+      </div>
+
+      <form onSubmit={handleAdd} className="space-y-4 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          <input
+            type="url"
+            name="url"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            value={newWebhook.url}
+            onChange={(e) => setNewWebhook(prev => ({ ...prev, url: e.target.value }))}
+            placeholder="https://example.com/hooks/cms"
+            disabled={adding}
+          />
+          <input
+            type="text"
+            name="description"
+            className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+            value={newWebhook.description}
+            onChange={(e) => setNewWebhook(prev => ({ ...prev, description: e.target.value }))}
+            placeholder="Description (optional)"
+            maxLength={200}
+            disabled={adding}
+          />
+        </div>
+        <EventPicker
+          events={newWebhook.events}
+          onChange={(events) => setNewWebhook(prev => ({ ...prev, events }))}
+          disabled={adding}
+        />
+        <button
+          type="submit"
+          disabled={adding || !newWebhook.url.trim() || newWebhook.events.length === 0}
+          className="flex items-center justify-center px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors disabled:opacity-50"
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          {adding ? 'Adding...' : 'Add Webhook'}
+        </button>
+      </form>
+
+      {loading ? (
+        <div className="space-y-3">
+          {Array.from({ length: 2 }).map((_, index) => (
+            <div key={index} className="h-16 bg-gray-100 animate-pulse rounded-lg"></div>
+          ))}
+        </div>
+      ) : error ? (
+        <div className="flex items-start gap-3 p-4 bg-red-50 border border-red-200 rounded-lg">
+          <AlertTriangle className="h-5 w-5 text-red-600 flex-shrink-0 mt-0.5" />
+          <p className="text-sm text-red-700">{error}</p>
+        </div>
+      ) : webhooks.length === 0 ? (
+        <p className="text-sm text-gray-500">No webhooks yet.</p>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-lg">
+          {webhooks.map(webhook => (
+            <li key={webhook.id} className="p-3">
+              <div className="flex items-start justify-between gap-4">
+                <div className="min-w-0">
+                  <div className="flex items-center gap-2 min-w-0">
+                    <span className="text-sm font-mono text-gray-900 truncate">{webhook.url}</span>
+                    <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${webhook.active ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-600'}`}>
+                      {webhook.active ? 'Active' : 'Paused'}
+                    </span>
+                  </div>
+                  {webhook.description && <div className="text-xs text-gray-500 mt-1">{webhook.description}</div>}
+                  <div className="flex flex-wrap gap-1 mt-1">
+                    {webhook.events.map(event => (
+                      <code key={event} className="px-2 py-0.5 bg-purple-50 text-purple-700 rounded text-xs">{event}</code>
+                    ))}
+                  </div>
+                  <div className="flex items-center gap-2 mt-2">
+                    <code className="text-xs text-gray-600 font-mono">
+                      {revealedId === webhook.id ? webhook.secret : 'whsec_••••••••••••'}
+                    </code>
+                    <button
+                      type="button"
+                      onClick={() => setRevealedId(revealedId === webhook.id ? null : webhook.id)}
+                      className="p-1 text-gray-500 hover:text-gray-700 transition-colors"
+                      title={revealedId === webhook.id ? 'Hide secret' : 'Show secret'}
+                    >
+                      {revealedId === webhook.id ? <EyeOff className="h-4 w-4" /> : <Eye className="h-4 w-4" />}
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => onCopy(webhook.secret, 'Webhook secret')}
+                      className="p-1 text-gray-500 hover:text-gray-700 transition-colors"
+                      title="Copy secret"
+                    >
+                      <Copy className="h-4 w-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleRotateSecret(webhook)}
+                      disabled={busyId === webhook.id}
+                      className="p-1 text-gray-500 hover:text-gray-700 transition-colors disabled:opacity-50"
+                      title="Rotate secret"
+                    >
+                      <RefreshCw className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+                <div className="flex items-center gap-2 flex-shrink-0">
+                  <button
+                    type="button"
+                    onClick={() => handleUpdate(webhook, { active: !webhook.active }, webhook.active ? 'Webhook paused' : 'Webhook resumed')}
+                    disabled={busyId === webhook.id}
+                    className="px-3 py-1 text-xs border border-gray-300 rounded-md hover:bg-gray-50 transition-colors disabled:opacity-50"
+                  >
+                    {webhook.active ? 'Pause' : 'Resume'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => setExpandedId(expandedId === webhook.id ? null : webhook.id)}
+                    className="px-3 py-1 text-xs border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                  >
+                    {expandedId === webhook.id ? 'Hide deliveries' : 'Deliveries'}
+                  </button>
+                  <button
+                    type="button"
+                    onClick={() => handleDelete(webhook)}
+                    disabled={busyId === webhook.id}
+                    className="p-2 text-red-600 rounded-md hover:bg-red-50 transition-colors disabled:opacity-50"
+                    title="Remove webhook"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+              {expandedId === webhook.id && (
+                <div className="mt-4 p-3 bg-gray-50 rounded-lg">
+                  <DeliveryLog blogId={blogId} webhookId={webhook.id} getAuthToken={getAuthToken} />
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+import React from 'react';
+import { format } from 'date-fns';
+import { ListChecks, User, AlertTriangle, ArrowRight, MessageSquare } from 'lucide-react';
+import { getStatusBadgeClass } from '@/utils/helpers';
+import { getStatusLabel } from '@/utils/workflow';
+
+export default function WorkflowHistoryPanel({
+  transitions = [],
+  loading = false,
+  error = null,
+  className = ''
+}) {
+  const getAuthorLabel = (changedBy) => {
+    if (!changedBy) return 'Unknown';
+    return changedBy.name || changedBy.email || 'Unknown';
+  };
+
+  const getTransitionDate = (transition) => {
+    if (!transition.createdAt) return 'Just now';
+    return format(transition.createdAt, 'MMM dd, yyyy HH:mm');
+  };
+
+  return (
+    <div className={`card ${className}`}>
+      <div className="card-header">
+        <h3 className="card-title flex items-center">
+          <ListChecks className="h-5 w-5 mr-3" />
+          Workflow History
+        </h3>
+      </div>
+      <div className="card-content">
+        {loading ? (
+          <div className="space-y-4">
+            {Array.from({ length: 2 }).map((_, index) => (
+              <div key={index} className="h-14 bg-muted animate-pulse rounded-lg"></div>
+            ))}
+          </div>
+        ) : error ? (
+          <div className="flex items-start space-x-3 p-4 bg-red-50 border border-red-200 rounded-lg">
+            <AlertTriangle className="h-5 w-5 text-red-600 flex-shrink-0 mt-0.5" />
+            <p className="text-sm text-red-700">{error}</p>
+          </div>
+        ) : transitions.length === 0 ? (
+          <p className="text-sm text-muted-foreground">
+            No status changes yet. Submitting for review, approving and publishing are recorded here with any comments.
+          </p>
+        ) : (
+          <ul className="space-y-3 max-h-96 overflow-y-auto">
+            {transitions.map(transition => (
+              <li key={transition.id} className="p-4 border border-border rounded-lg">
+                <div className="flex items-center gap-2 text-sm">
+                  <span className={`badge ${getStatusBadgeClass(transition.from)} text-xs`}>
+                    {getStatusLabel(transition.from)}
+                  </span>
+                  <ArrowRight className="h-3 w-3 text-muted-foreground flex-shrink-0" />
+                  <span className={`badge ${getStatusBadgeClass(transition.to)} text-xs`}>
+                    {getStatusLabel(transition.to)}
+                  </span>
+                </div>
+                <div className="flex items-center text-xs text-muted-foreground mt-2">
+                  <User className="h-3 w-3 mr-1 flex-shrink-0" />
+                  <span className="truncate">
+                    {getAuthorLabel(transition.changedBy)} · {getTransitionDate(transition)}
+                  </span>
+                </div>
+                {transition.comment && (
+                  <div className="flex items-start text-sm text-foreground mt-2 p-3 bg-muted/30 rounded-md">
+                    <MessageSquare className="h-4 w-4 mr-2 flex-shrink-0 mt-0.5 text-muted-foreground" />
+                    <p className="whitespace-pre-wrap break-words">{transition.comment}</p>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -217,13 +217,7 @@ export default function UserManagementPage() {
         setDeleteModal({ isOpen: false, user: null });
       } else {
         // Complete failure
-        let errorMessage = responseData.error || `HTTP ${response.status}`;
-        
-        if (response.status === 403 && responseData.recommendation) {
-          errorMessage += `. ${responseData.recommendation}`;
-        }
-        
-        throw new Error(errorMessage);
+        throw new Error(responseData.error || `HTTP ${response.status}`);
       }
 
     } catch (error) {
@@ -0,0 +1,490 @@
+import React, { useState } from 'react';
+import { useAuth } from '@/hooks/useAuth';
+import { useContentTypes } from '@/hooks/useContentTypes';
+import { contentTypesService } from '@/services/contentTypesService';
+import Modal from '@/components/shared/Modal';
+import InputField from '@/components/shared/InputField';
+import { TableSkeleton } from '@/components/shared/SkeletonLoader';
+import { Shapes, Plus, Edit, Trash2, ArrowUp, ArrowDown, X, AlertTriangle } from 'lucide-react';
+import { FIELD_TYPES, FIELD_TYPE_LABELS, MAX_FIELDS, validateContentTypeSchema } from '@/utils/contentTypes';
+import { generateSlug } from '@/utils/helpers';
+import toast from 'react-hot-toast';
+
+const EMPTY_CONTENT_TYPE = { key: '', name: '', description: '', fields: [] };
+
+// Turn a field label into a camelCase key, e.g. "Cooking Time" -> "cookingTime"
+const generateFieldKey = (label) => {
+  const words = label.replace(/[^a-zA-Z0-9 ]/g, ' ').trim().split(/\s+/).filter(Boolean);
+  const key = words
+    .map((word, index) => index === 0
+      ? word.toLowerCase()
+      : word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+    .join('');
+  return /^[a-zA-Z]/.test(key) ? key : '';
+};
+
+export default function ContentTypesPage({ activeBlogId }) {
+  const { currentUser } = useAuth();
+  const { contentTypes, loading, error, refetch } = useContentTypes(activeBlogId);
+  const [editor, setEditor] = useState({ isOpen: false, isNew: true, contentType: EMPTY_CONTENT_TYPE });
+  const [saving, setSaving] = useState(false);
+  const [deleteModal, setDeleteModal] = useState({ isOpen: false, contentType: null });
+  const [deleting, setDeleting] = useState(false);
+
+  const openCreate = () => {
+    setEditor({ isOpen: true, isNew: true, contentType: EMPTY_CONTENT_TYPE });
+  };
+
+  const openEdit = (contentType) => {
+    setEditor({
+      isOpen: true,
+      isNew: false,
+      contentType: {
+        ...contentType,
+        // Fields keep their key once saved; only new fields get a key from their label
+        fields: contentType.fields.map(field => ({ ...field, options: field.options || {}, saved: true }))
+      }
+    });
+  };
+
+  const closeEditor = () => {
+    setEditor(prev => ({ ...prev, isOpen: false }));
+  };
+
+  const updateContentType = (changes) => {
+    setEditor(prev => ({ ...prev, contentType: { ...prev.contentType, ...changes } }));
+  };
+
+  const updateField = (index, changes) => {
+    setEditor(prev => ({
+      ...prev,
+      contentType: {
+        ...prev.contentType,
+        fields: prev.contentType.fields.map((field, i) => i === index ? { ...field, ...changes } : field)
+      }
+    }));
+  };
+
+  const addField = () => {
+    updateContentType({
+      fields: [...editor.contentType.fields, { key: '', label: '', type: 'text', required: false, options: {} }]
+    });
+  };
+
+  const removeField = (index) => {
+    updateContentType({ fields: editor.contentType.fields.filter((_, i) => i !== index) });
+  };
+
+  const moveField = (index, direction) => {
+    const fields = [...editor.contentType.fields];
+    const target = index + direction;
+    if (target < 0 || target >= fields.length) return;
+    [fields[index], fields[target]] = [fields[target], fields[index]];
+    updateContentType({ fields });
+  };
+
+  const handleNameChange = (e) => {
+    const name = e.target.value;
+    updateContentType(editor.isNew ? { name, key: generateSlug(name) } : { name });
+  };
+
+  const handleFieldLabelChange = (index, label) => {
+    const field = editor.contentType.fields[index];
+    updateField(index, field.saved ? { label } : { label, key: generateFieldKey(label) });
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    // Strip editor-only state and options that do not apply to the field type
+    const fields = editor.contentType.fields.map(({ saved, ...field }) => {
+      const options = {};
+      if (field.type === 'text' && field.options.multiline) options.multiline = true;
+      if (field.type === 'number') {
+        if (Number.isFinite(field.options.min)) options.min = field.options.min;
+        if (Number.isFinite(field.options.max)) options.max = field.options.max;
+      }
+      if (field.type === 'reference' && field.options.contentType) options.contentType = field.options.contentType;
+      return { key: field.key, label: field.label.trim(), type: field.type, required: Boolean(field.required), options };
+    });
+    const contentType = { ...editor.contentType, fields };
+
+    const schemaError = validateContentTypeSchema(contentType);
+    if (schemaError) {
+      toast.error(schemaError);
+      return;
+    }
+
+    try {
+      setSaving(true);
+      if (editor.isNew) {
+        await contentTypesService.createContentType(currentUser.uid, activeBlogId, contentType);
+        toast.success(`Content type "${contentType.name}" created`);
+      } else {
+        await contentTypesService.updateContentType(currentUser.uid, activeBlogId, contentType);
+        toast.success(`Content type "${contentType.name}" updated`);
+      }
+      closeEditor();
+      refetch();
+    } catch (err) {
+      toast.error(err.message || 'Failed to save content type');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    const { contentType } = deleteModal;
+    try {
+      setDeleting(true);
+      await contentTypesService.deleteContentType(currentUser.uid, activeBlogId, contentType.key);
+      toast.success(`Content type "${contentType.name}" deleted`);
+      setDeleteModal({ isOpen: false, contentType: null });
+      refetch();
+    } catch (err) {
+      toast.error(err.message || 'Failed to delete content type');
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  const renderFieldOptions = (field, index) => {
+    if (field.type === 'text') {
+      return (
+        <label className="flex items-center gap-2 text-sm text-foreground">
+          <input
+            type="checkbox"
+            className="w-4 h-4 text-primary"
+            checked={Boolean(field.options.multiline)}
+            onChange={(e) => updateField(index, { options: { ...field.options, multiline: e.target.checked } })}
+          />
+          Multiple lines
+        </label>
+      );
+    }
+
+    if (field.type === 'number') {
+      const setBound = (bound, value) => updateField(index, {
+        options: { ...field.options, [bound]: value === '' ? null : Number(value) }
+      });
+      return (
+        <div className="flex gap-3">
+          <input
+            type="number"
+            step="any"
+            className="input-field"
+            placeholder="Min"
+            value={field.options.min ?? ''}
+            onChange={(e) => setBound('min', e.target.value)}
+          />
+          <input
+            type="number"
+            step="any"
+            className="input-field"
+            placeholder="Max"
+            value={field.options.max ?? ''}
+            onChange={(e) => setBound('max', e.target.value)}
+          />
+        </div>
+      );
+    }
+
+    if (field.type === 'reference') {
+      return (
+        <select
+          className="input-field"
+          value={field.options.contentType || ''}
+          onChange={(e) => updateField(index, { options: { ...field.options, contentType: e.target.value } })}
+        >
+          <option value="">Any content</option>
+          {contentTypes.map(type => (
+            <option key={type.key} value={type.key}>{type.name}</option>
+          ))}
+          {editor.isNew && editor.contentType.key && (
+            <option value={editor.contentType.key}>{editor.contentType.name || editor.contentType.key} (this type)</option>
+          )}
+        </select>
+      );
+    }
+
+    return null;
+  };
+
+  return (
+    <div className="section-spacing">
+      <div className="page-header mb-12">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-6">
+          <div>
+            <h1 className="page-title mb-2">Content Types</h1>
+            <p className="page-description">
+              Define custom content types such as recipes or events, each with its own fields.
+            </p>
+          </div>
+          <button onClick={openCreate} className="btn-primary inline-flex items-center">
+            <Plus className="h-5 w-5 mr-2" />
+            New Content Type
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="card">
+          <div className="card-content p-0">
+            <TableSkeleton rows={3} columns={3} />
+          </div>
+        </div>
+      ) : error ? (
+        <div className="card border-red-200 bg-red-50">
+          <div className="card-content p-8 text-center">
+            <AlertTriangle className="h-16 w-16 mx-auto mb-6 text-red-500" />
+            <h3 className="text-xl font-bold text-red-800 mb-4">Error Loading Content Types</h3>
+            <p className="text-red-700 mb-6">{error}</p>
+            <button onClick={refetch} className="btn-secondary">
+              Try Again
+            </button>
+          </div>
+        </div>
+      ) : contentTypes.length === 0 ? (
+        <div className="card">
+          <div className="card-content text-center py-20">
+            <Shapes className="mx-auto h-16 w-16 text-muted-foreground mb-6" />
+            <h3 className="text-2xl font-semibold text-foreground mb-4">No content types yet</h3>
+            <p className="text-lg text-muted-foreground mb-8">
+              Content without a type is a regular post. Add a type to give content extra fields.
+            </p>
+            <button onClick={openCreate} className="btn-primary inline-flex items-center">
+              <Plus className="h-5 w-5 mr-2" />
+              New Content Type
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-6">
+          {contentTypes.map(contentType => (
+            <div key={contentType.key} className="card">
+              <div className="card-content space-y-4">
+                <div className="flex items-start justify-between gap-4">
+                  <div className="min-w-0">
+                    <h3 className="text-lg font-semibold text-foreground truncate">{contentType.name}</h3>
+                    <code className="text-xs text-muted-foreground">{contentType.key}</code>
+                  </div>
+                  <div className="flex items-center space-x-1 flex-shrink-0">
+                    <button
+                      onClick={() => openEdit(contentType)}
+                      className="text-primary p-2 rounded-md hover:bg-primary/10 transition-colors duration-200"
+                      title="Edit"
+                    >
+                      <Edit className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => setDeleteModal({ isOpen: true, contentType })}
+                      className="text-destructive p-2 rounded-md hover:bg-destructive/10 transition-colors duration-200"
+                      title="Delete"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </button>
+                  </div>
+                </div>
+                {contentType.description && (
+                  <p className="text-sm text-muted-foreground">{contentType.description}</p>
+                )}
+                <div className="flex flex-wrap gap-2">
+                  {contentType.fields.length === 0 ? (
+                    <span className="text-sm text-muted-foreground">No fields</span>
+                  ) : contentType.fields.map(field => (
+                    <span key={field.key} className="badge badge-secondary text-xs">
+                      {field.label} · {FIELD_TYPE_LABELS[field.type]}{field.required ? ' *' : ''}
+                    </span>
+                  ))}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Create / Edit Modal */}
+      <Modal
+        isOpen={editor.isOpen}
+        onClose={closeEditor}
+        title={editor.isNew ? 'New Content Type' : `Edit ${editor.contentType.name}`}
+        size="xl"
+      >
+        <form onSubmit={handleSave} className="space-y-8">
+          <div className="grid-responsive-2">
+            <InputField
+              label="Name"
+              name="name"
+              required
+              placeholder="Recipe"
+              value={editor.contentType.name}
+              onChange={handleNameChange}
+            />
+            <InputField
+              label="Key"
+              name="key"
+              required
+              placeholder="recipe"
+              value={editor.contentType.key}
+              onChange={(e) => updateContentType({ key: e.target.value })}
+              disabled={!editor.isNew}
+            />
+          </div>
+
+          <div>
+            <label className="block text-base font-medium text-foreground mb-3">Description</label>
+            <textarea
+              rows={2}
+              className="input-field resize-none"
+              value={editor.contentType.description}
+              onChange={(e) => updateContentType({ description: e.target.value })}
+            />
+          </div>
+
+          <div>
+            <div className="flex items-center justify-between mb-4">
+              <h4 className="text-base font-semibold text-foreground">Fields</h4>
+              <button
+                type="button"
+                onClick={addField}
+                disabled={editor.contentType.fields.length >= MAX_FIELDS}
+                className="btn-secondary btn-sm inline-flex items-center"
+              >
+                <Plus className="h-4 w-4 mr-2" />
+                Add Field
+              </button>
+            </div>
+
+            {editor.contentType.fields.length === 0 ? (
+              <p className="text-sm text-muted-foreground">
+                Every item also has a title, slug, body and the usual SEO settings. Add fields for anything else.
+              </p>
+            ) : (
+              <div className="space-y-4">
+                {editor.contentType.fields.map((field, index) => (
+                  <div key={index} className="p-4 border border-border rounded-lg space-y-4">
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+                      <input
+                        type="text"
+                        className="input-field"
+                        placeholder="Label"
+                        value={field.label}
+                        onChange={(e) => handleFieldLabelChange(index, e.target.value)}
+                      />
+                      <input
+                        type="text"
+                        className="input-field font-mono"
+                        placeholder="key"
+                        value={field.key}
+                        onChange={(e) => updateField(index, { key: e.target.value })}
+                        disabled={field.saved}
+                        title={field.saved ? 'Keys of saved fields cannot change' : undefined}
+                      />
+                      <select
+                        className="input-field"
+                        value={field.type}
+                        onChange={(e) => updateField(index, { type: e.target.value })}
+                      >
+                        {FIELD_TYPES.map(type => (
+                          <option key={type} value={type}>{FIELD_TYPE_LABELS[type]}</option>
+                        ))}
+                      </select>
+                    </div>
+                    <div className="flex flex-col md:flex-row md:items-center gap-4">
+                      <div className="flex-1">{renderFieldOptions(field, index)}</div>
+                      {field.type !== 'boolean' && (
+                        <label className="flex items-center gap-2 text-sm text-foreground">
+                          <input
+                            type="checkbox"
+                            className="w-4 h-4 text-primary"
+                            checked={Boolean(field.required)}
+                            onChange={(e) => updateField(index, { required: e.target.checked })}
+                          />
+                          Required
+                        </label>
+                      )}
+                      <div className="flex items-center space-x-1">
+                        <button
+                          type="button"
+                          onClick={() => moveField(index, -1)}
+                          disabled={index === 0}
+                          className="p-2 rounded-md hover:bg-muted transition-colors disabled:opacity-30"
+                          title="Move up"
+                        >
+                          <ArrowUp className="h-4 w-4" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => moveField(index, 1)}
+                          disabled={index === editor.contentType.fields.length - 1}
+                          className="p-2 rounded-md hover:bg-muted transition-colors disabled:opacity-30"
+                          title="Move down"
+                        >
+                          <ArrowDown className="h-4 w-4" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => removeField(index)}
+                          className="text-destructive p-2 rounded-md hover:bg-destructive/10 transition-colors"
+                          title="Remove field"
+                        >
+                          <X className="h-4 w-4" />
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            {!editor.isNew && (
+              <p className="text-sm text-muted-foreground mt-4">
+                Existing content keeps its saved values. Content must match the new fields the next time it is saved.
+              </p>
+            )}
+          </div>
+
+          <div className="flex justify-end space-x-4 pt-4 border-t border-border">
+            <button type="button" onClick={closeEditor} disabled={saving} className="btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="btn-primary">
+              {saving ? 'Saving...' : (editor.isNew ? 'Create Content Type' : 'Save Changes')}
+            </button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Delete Confirmation Modal */}
+      <Modal
+        isOpen={deleteModal.isOpen}
+        onClose={() => setDeleteModal({ isOpen: false, contentType: null })}
+        title="Delete Content Type"
+        size="sm"
+      >
+        {deleteModal.contentType && (
+          <div className="space-y-4">
+            <p className="text-base text-foreground">
+              Delete the "{deleteModal.contentType.name}" content type?
+            </p>
+            <p className="text-sm text-muted-foreground">
+              Content types that are still used by content cannot be deleted.
+            </p>
+            <div className="flex justify-end space-x-4 pt-4">
+              <button
+                onClick={() => setDeleteModal({ isOpen: false, contentType: null })}
+                disabled={deleting}
+                className="btn-secondary"
+              >
+                Cancel
+              </button>
+              <button onClick={handleDelete} disabled={deleting} className="btn-danger">
+                {deleting ? 'Deleting...' : 'Delete'}
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+}
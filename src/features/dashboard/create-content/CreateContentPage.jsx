@@ -1,9 +1,13 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '@/hooks/useAuth';
-import { useContentById, useContent } from '@/hooks/useContent';
-import { useAutoSave } from '@/hooks/useAutoSave';
-import { validateField, validateArray } from '@/utils/validation';
+import { useContentById, useContent, useContentRevisions, useContentTransitions } from '@/hooks/useContent';
+import { useBlogWorkflow } from '@/hooks/useBlogWorkflow';
+import { useContentTypes } from '@/hooks/useContentTypes';
+import { useTaxonomyTerms } from '@/hooks/useTaxonomy';
+import { useAutoSave, isVersionConflict } from '@/hooks/useAutoSave';
+import { useEditorPresence } from '@/hooks/usePresence';
+import { CONTENT_SCHEMA, validateForm as validateFormFields, validateSchema, validateSchedule } from '@/utils/validation';
 import SimpleMDE from 'react-simplemde-editor';
 import InputField from '@/components/shared/InputField';
 import AutoSaveIndicator from '@/components/shared/AutoSaveIndicator';
@@ -11,18 +15,68 @@ import ImageGalleryModal from '@/components/shared/ImageGalleryModal';
 import ImageUploader from '@/components/shared/ImageUploader';
 import Modal from '@/components/shared/Modal';
 import SkeletonLoader from '@/components/shared/SkeletonLoader';
-import { Save, ArrowLeft, Image as ImageIcon, Trash2, Upload, Info } from 'lucide-react';
-import { generateSlug, parseArrayInput } from '@/utils/helpers';
+import RevisionHistoryPanel from '@/components/shared/RevisionHistoryPanel';
+import RevisionDiffViewer from '@/components/shared/RevisionDiffViewer';
+import PublishScheduleFields from '@/components/shared/PublishScheduleFields';
+import WorkflowHistoryPanel from '@/components/shared/WorkflowHistoryPanel';
+import PreviewLinksPanel from '@/components/shared/PreviewLinksPanel';
+import CustomFieldsEditor from '@/components/shared/CustomFieldsEditor';
+import TaxonomyInput from '@/components/shared/TaxonomyInput';
+import VersionConflictModal from '@/components/shared/VersionConflictModal';
+import PresenceAvatars, { getSessionLabel } from '@/components/shared/PresenceAvatars';
+import { Save, ArrowLeft, Image as ImageIcon, Trash2, Upload, Info, Lock } from 'lucide-react';
+import {
+  generateSlug,
+  parseArrayInput,
+  toDateTimeLocalValue,
+  fromDateTimeLocalValue,
+  retryWithBackoff,
+  createResponseError
+} from '@/utils/helpers';
+import { getStatusOptions } from '@/utils/workflow';
+import { validateCustomFields, getEmptyFieldValues, pickFieldValues } from '@/utils/contentTypes';
 import toast from 'react-hot-toast';
 import 'easymde/dist/easymde.min.css';
 
+// Fields compared when a save conflicts with a version saved elsewhere
+const CONFLICT_FIELDS = [
+  { key: 'title', label: 'Title' },
+  { key: 'slug', label: 'Slug' },
+  { key: 'content', label: 'Content' },
+  { key: 'featuredImageUrl', label: 'Featured Image' },
+  { key: 'metaDescription', label: 'Meta Description' },
+  { key: 'seoTitle', label: 'SEO Title' },
+  { key: 'author', label: 'Author' },
+  { key: 'keywords', label: 'Keywords' },
+  { key: 'categories', label: 'Categories' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'status', label: 'Status' },
+  { key: 'fields', label: 'Custom Fields' }
+];
+
 export default function CreateContentPage({ activeBlogId }) {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { getAuthToken } = useAuth();
+  const { currentUser, getAuthToken } = useAuth();
   const isEditing = Boolean(id);
-  const { content: existingContent, loading: contentLoading } = useContentById(id, activeBlogId);
-  const { invalidateCache, refetch } = useContent(activeBlogId);
+  const { content: existingContent, loading: contentLoading, refetch: refetchExistingContent } = useContentById(id, activeBlogId);
+  const { content: allContent, invalidateCache, refetch } = useContent(activeBlogId);
+  const {
+    revisions,
+    loading: revisionsLoading,
+    error: revisionsError,
+    refetch: refetchRevisions
+  } = useContentRevisions(id, activeBlogId);
+  const {
+    transitions,
+    loading: transitionsLoading,
+    error: transitionsError
+  } = useContentTransitions(id, activeBlogId);
+  const { workflow } = useBlogWorkflow(activeBlogId);
+  const { contentTypes } = useContentTypes(activeBlogId);
+  const taxonomyTerms = useTaxonomyTerms(activeBlogId);
+  // Other sessions with this post open; while one of them holds the edit lock the form is read-only
+  const { otherSessions, lockHolder, hasLock, takeOver } = useEditorPresence('content', id, activeBlogId);
 
   const [formData, setFormData] = useState({
     title: '',
@@ -35,7 +89,11 @@ export default function CreateContentPage({ activeBlogId }) {
     author: '',
     categories: [],
     tags: [],
-    status: 'draft'
+    status: 'draft',
+    publishAt: '',
+    unpublishAt: '',
+    contentType: '',
+    fields: {}
   });
 
   // Separate state for array input fields to improve typing experience
@@ -49,10 +107,57 @@ export default function CreateContentPage({ activeBlogId }) {
   const [uploadModal, setUploadModal] = useState({ isOpen: false });
   const [showInfoModal, setShowInfoModal] = useState(false);
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
+  const [restoringRevisionId, setRestoringRevisionId] = useState(null);
+  const [diffModal, setDiffModal] = useState({ isOpen: false, baseRevisionId: null });
+  const [workflowComment, setWorkflowComment] = useState('');
+  const [fieldErrors, setFieldErrors] = useState({});
+  // Server copy and unsaved local copy of a save or revision restore rejected with VERSION_CONFLICT;
+  // auto-save waits while set
+  const [conflict, setConflict] = useState(null);
+
+  // Version of the content the form is based on, sent with each update so saves made elsewhere in the
+  // meantime are detected rather than overwritten. Saves are queued so they never race each other.
+  const versionRef = useRef(null);
+  const saveQueueRef = useRef(Promise.resolve());
+
+  const queueSave = (save) => {
+    const run = saveQueueRef.current.catch(() => {}).then(save);
+    saveQueueRef.current = run;
+    return run;
+  };
+
+  // Status changes are checked against the blog's workflow, starting from the saved status
+  const savedStatus = isEditing ? (existingContent?.status || 'draft') : 'draft';
+  const statusOptions = getStatusOptions(savedStatus, workflow);
+  const statusChanged = formData.status !== savedStatus;
+
+  // Custom fields follow the schema of the content type the content was created with
+  const activeContentType = contentTypes.find(type => type.key === formData.contentType) || null;
+
+  // Request body fields for the content type; untyped content sends none
+  const getContentTypePayload = (contentType, fields) => {
+    if (!contentType) return {};
+    return {
+      contentType,
+      fields: activeContentType ? pickFieldValues(fields, activeContentType) : fields
+    };
+  };
+
+  const handleVersionConflict = (error, fromSubmit = false) => {
+    setConflict({ serverItem: error.details.current, localItem: getContentPayload(), fromSubmit });
+  };
 
   // Auto-save functionality
-  const autoSaveFunction = async (dataToSave) => {
+  const autoSaveFunction = (dataToSave) => queueSave(async () => {
     if (!isEditing || !id) return; // Only auto-save for existing content
+
+    // Status changes wait for an explicit save so they can carry a workflow comment. So does the slug of
+    // published content, which gets a redirect from its old slug, rather than one per slug typed on the way.
+    const { status, publishAt, unpublishAt, contentType, fields, slug, ...fieldsToSave } = dataToSave;
+    const scheduleFields = status === savedStatus
+      ? { publishAt: fromDateTimeLocalValue(publishAt), unpublishAt: fromDateTimeLocalValue(unpublishAt) }
+      : {};
+    const slugField = savedStatus === 'published' ? {} : { slug };
     
     const token = await getAuthToken();
     const response = await fetch(`/.netlify/functions/admin-content`, {
@@ -64,7 +169,11 @@ export default function CreateContentPage({ activeBlogId }) {
       body: JSON.stringify({ 
         id, 
         blogId: activeBlogId,
-        ...dataToSave,
+        version: versionRef.current,
+        ...fieldsToSave,
+        ...slugField,
+        ...scheduleFields,
+        ...getContentTypePayload(contentType, fields),
         keywords: parseArrayInput(keywordsInput),
         categories: parseArrayInput(categoriesInput),
         tags: parseArrayInput(tagsInput)
@@ -72,21 +181,29 @@ export default function CreateContentPage({ activeBlogId }) {
     });
 
     if (!response.ok) {
-      throw new Error('Auto-save failed');
+      throw await createResponseError(response, 'Auto-save failed');
     }
+
+    const result = await response.json();
+    versionRef.current = result.version;
     
     // Invalidate cache after successful auto-save
     if (invalidateCache) {
       invalidateCache();
     }
-  };
+
+    // Auto-save may have recorded a new revision
+    refetchRevisions();
+  });
 
   const { autoSaveStatus, lastSaved, forceSave, retryCount } = useAutoSave(
     hasUnsavedChanges ? formData : null,
     autoSaveFunction,
     {
       delay: 3000, // 3 second delay for auto-save
-      enabled: isEditing, // Only enable for editing existing content
+      // Only enable for editing existing content, and not while resolving a conflict or locked by another session
+      enabled: isEditing && !conflict && !lockHolder,
+      onConflict: handleVersionConflict,
       showNotifications: false // We'll show our own indicator
     }
   );
@@ -117,16 +234,47 @@ export default function CreateContentPage({ activeBlogId }) {
         author: existingContent.author || '',
         categories: existingContent.categories || [],
         tags: existingContent.tags || [],
-        status: existingContent.status || 'draft'
+        status: existingContent.status || 'draft',
+        publishAt: toDateTimeLocalValue(existingContent.publishAt),
+        unpublishAt: toDateTimeLocalValue(existingContent.unpublishAt),
+        contentType: existingContent.contentType || '',
+        fields: existingContent.fields || {}
       });
 
       // Initialize array input fields with joined values
       setKeywordsInput((existingContent.keywords || []).join(', '));
       setCategoriesInput((existingContent.categories || []).join(', '));
       setTagsInput((existingContent.tags || []).join(', '));
+
+      // The form now matches the loaded version, which also ends any conflict being resolved
+      versionRef.current = existingContent.version || 0;
+      setHasUnsavedChanges(false);
+      setConflict(null);
     }
   }, [isEditing, existingContent]);
 
+  // Reload the post on getting the edit lock after another session held it, since that session may
+  // have saved changes in the meantime
+  const wasLockedByOtherRef = useRef(false);
+  useEffect(() => {
+    if (lockHolder) {
+      wasLockedByOtherRef.current = true;
+    } else if (hasLock && wasLockedByOtherRef.current) {
+      wasLockedByOtherRef.current = false;
+      refetchExistingContent();
+    }
+  }, [lockHolder, hasLock, refetchExistingContent]);
+
+  const handleTakeOver = async () => {
+    try {
+      await takeOver();
+      toast.success('You are now editing this content');
+    } catch (error) {
+      console.error('Error taking over edit lock:', error);
+      toast.error('Failed to take over editing');
+    }
+  };
+
   // Track unsaved changes
   useEffect(() => {
     if (isEditing && existingContent) {
@@ -139,6 +287,9 @@ export default function CreateContentPage({ activeBlogId }) {
         formData.seoTitle !== (existingContent.seoTitle || '') ||
         formData.author !== (existingContent.author || '') ||
         formData.status !== (existingContent.status || 'draft') ||
+        formData.publishAt !== toDateTimeLocalValue(existingContent.publishAt) ||
+        formData.unpublishAt !== toDateTimeLocalValue(existingContent.unpublishAt) ||
+        JSON.stringify(formData.fields) !== JSON.stringify(existingContent.fields || {}) ||
         keywordsInput !== ((existingContent.keywords || []).join(', ')) ||
         categoriesInput !== ((existingContent.categories || []).join(', ')) ||
         tagsInput !== ((existingContent.tags || []).join(', '));
@@ -158,39 +309,69 @@ export default function CreateContentPage({ activeBlogId }) {
     }
   }, [formData, keywordsInput, categoriesInput, tagsInput, isEditing, existingContent]);
 
-  const validateForm = () => {
-    const newErrors = {};
-    
-    // Title validation using centralized rules
-    const titleError = validateField('title', formData.title);
-    if (titleError) newErrors.title = titleError;
-    
-    // Slug validation using centralized rules
-    const slugError = validateField('slug', formData.slug);
-    if (slugError) newErrors.slug = slugError;
-    
-    // Content validation using centralized rules
-    const contentError = validateField('content', formData.content);
-    if (contentError) newErrors.content = contentError;
-
-    // Meta description validation using centralized rules
-    const metaDescError = validateField('metaDescription', formData.metaDescription);
-    if (metaDescError) newErrors.metaDescription = metaDescError;
+  // Content fields of the request body, as checked against CONTENT_SCHEMA here and by the server
+  const getContentPayload = () => {
+    const { contentType, fields, ...baseFormData } = formData;
+    return {
+      ...baseFormData,
+      ...getContentTypePayload(contentType, fields),
+      featuredImageUrl: formData.featuredImageUrl || '',
+      publishAt: fromDateTimeLocalValue(formData.publishAt),
+      unpublishAt: fromDateTimeLocalValue(formData.unpublishAt),
+      keywords: parseArrayInput(keywordsInput),
+      categories: parseArrayInput(categoriesInput),
+      tags: parseArrayInput(tagsInput)
+    };
+  };
 
-    // SEO title validation using centralized rules
-    const seoTitleError = validateField('seoTitle', formData.seoTitle);
-    if (seoTitleError) newErrors.seoTitle = seoTitleError;
+  const validateForm = () => {
+    // The shared schema's checks, then the editor's stricter rules for the fields it shows
+    const newErrors = {
+      ...validateSchema(getContentPayload(), CONTENT_SCHEMA),
+      ...validateFormFields(formData, {
+        title: 'title',
+        slug: 'slug',
+        content: 'content',
+        metaDescription: 'metaDescription',
+        seoTitle: 'seoTitle',
+        author: 'author',
+        featuredImageUrl: 'url'
+      })
+    };
 
-    // Author validation using centralized rules
-    const authorError = validateField('author', formData.author);
-    if (authorError) newErrors.author = authorError;
+    // Publish schedule validation
+    Object.assign(newErrors, validateSchedule(
+      formData.status,
+      fromDateTimeLocalValue(formData.publishAt),
+      fromDateTimeLocalValue(formData.unpublishAt)
+    ));
 
-    // Featured image URL validation using centralized rules
-    const imageUrlError = validateField('url', formData.featuredImageUrl);
-    if (imageUrlError) newErrors.featuredImageUrl = imageUrlError;
+    // Custom field validation against the content type schema
+    const newFieldErrors = validateCustomFields(formData.fields, activeContentType);
     
     setErrors(newErrors);
-    return Object.keys(newErrors).length === 0;
+    setFieldErrors(newFieldErrors);
+    return Object.keys(newErrors).length === 0 && Object.keys(newFieldErrors).length === 0;
+  };
+
+  const handleContentTypeChange = (e) => {
+    const contentType = contentTypes.find(type => type.key === e.target.value) || null;
+    setFormData(prev => ({
+      ...prev,
+      contentType: contentType ? contentType.key : '',
+      fields: getEmptyFieldValues(contentType)
+    }));
+    setFieldErrors({});
+  };
+
+  const handleCustomFieldChange = (key, value) => {
+    if (fieldErrors[key]) {
+      setFieldErrors(prev => ({ ...prev, [key]: '' }));
+    }
+    setFormData(prev => ({
+      ...prev,
+      fields: { ...prev.fields, [key]: value }
+    }));
   };
 
   const handleInputChange = (e) => {
@@ -286,21 +467,21 @@ export default function CreateContentPage({ activeBlogId }) {
     toast.error(`Upload failed: ${error.message || 'Unknown error'}`);
   };
 
-  const handleSubmit = async (e) => {
+  const handleSubmit = (e) => {
     e.preventDefault();
-    
+    saveContent();
+  };
+
+  const saveContent = async () => {
     if (!validateForm()) {
       return;
     }
 
     // Ensure array fields are updated with current input values before submitting
     const finalFormData = {
-      ...formData,
+      ...getContentPayload(),
       blogId: isEditing ? existingContent?.blogId || activeBlogId : activeBlogId,
-      featuredImageUrl: formData.featuredImageUrl || '',
-      keywords: parseArrayInput(keywordsInput),
-      categories: parseArrayInput(categoriesInput),
-      tags: parseArrayInput(tagsInput)
+      workflowComment: statusChanged && workflowComment.trim() ? workflowComment.trim() : undefined
     };
 
     // Use real-time operations for smooth experience
@@ -311,22 +492,46 @@ export default function CreateContentPage({ activeBlogId }) {
       const url = `/.netlify/functions/admin-content`;
       
       const method = isEditing ? 'PUT' : 'POST';
-      const body = isEditing 
-        ? { id, blogId: finalFormData.blogId, ...finalFormData }
-        : finalFormData;
 
-      const response = await fetch(url, {
-        method,
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify(body)
-      });
+      // Creates are retried on network and server errors. Every attempt carries the same Idempotency-Key,
+      // so an attempt that reached the server but lost its response returns the post it created instead of
+      // creating another.
+      const idempotencyKey = isEditing ? null : crypto.randomUUID();
+      const sendRequest = async () => {
+        const response = await fetch(url, {
+          method,
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`,
+            ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {})
+          },
+          body: JSON.stringify(isEditing
+            ? { id, ...finalFormData, version: versionRef.current }
+            : finalFormData)
+        });
+
+        if (idempotencyKey && (response.status >= 500 || response.status === 409)) {
+          // 409 means an earlier attempt is still running
+          throw await createResponseError(response);
+        }
+        return response;
+      };
+
+      const response = isEditing
+        ? await queueSave(sendRequest)
+        : await retryWithBackoff(sendRequest);
 
       if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || `HTTP ${response.status}`);
+        const error = await createResponseError(response);
+        if (isVersionConflict(error)) {
+          handleVersionConflict(error, true);
+          return;
+        }
+        // Show the server's field-level validation errors next to their fields
+        if (error.details?.fields) {
+          setErrors(error.details.fields);
+        }
+        throw error;
       }
 
       toast.success(isEditing ? 'Content updated successfully' : 'Content created successfully');
@@ -349,6 +554,84 @@ export default function CreateContentPage({ activeBlogId }) {
     }
   };
 
+  // Keep the local changes: they are saved over the version that is stored now
+  const handleKeepLocalChanges = () => {
+    versionRef.current = conflict.serverItem.version;
+    setConflict(null);
+    // Auto-save resumes by itself; a rejected explicit save or revision restore is sent again
+    if (conflict.restoreRevision) {
+      handleRestoreRevision(conflict.restoreRevision);
+    } else if (conflict.fromSubmit) {
+      saveContent();
+    }
+  };
+
+  // Drop the local changes and load the stored version, which also closes the conflict dialog
+  const handleLoadSavedVersion = () => {
+    refetchExistingContent();
+  };
+
+  const handleRestoreRevision = async (revision) => {
+    const restoredFields = {
+      title: revision.title || '',
+      slug: revision.slug || '',
+      content: revision.content || '',
+      featuredImageUrl: revision.featuredImageUrl || '',
+      metaDescription: revision.metaDescription || '',
+      seoTitle: revision.seoTitle || '',
+      keywords: revision.keywords || [],
+      author: revision.author || '',
+      categories: revision.categories || [],
+      tags: revision.tags || [],
+      ...(revision.fields ? getContentTypePayload(existingContent?.contentType, revision.fields) : {})
+    };
+
+    try {
+      setRestoringRevisionId(revision.id);
+
+      const token = await getAuthToken();
+      // Restoring is a save like any other: it waits for pending saves and is based on the loaded version
+      const response = await queueSave(() => fetch(`/.netlify/functions/admin-content`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          id,
+          blogId: existingContent?.blogId || activeBlogId,
+          version: versionRef.current,
+          restoredFrom: revision.id,
+          ...restoredFields
+        })
+      }));
+
+      if (!response.ok) {
+        const error = await createResponseError(response);
+        if (isVersionConflict(error)) {
+          setConflict({ serverItem: error.details.current, localItem: restoredFields, restoreRevision: revision });
+          return;
+        }
+        throw error;
+      }
+
+      const result = await response.json();
+      versionRef.current = result.version;
+      toast.success('Revision restored successfully');
+
+      if (invalidateCache) {
+        invalidateCache();
+      }
+      await refetchExistingContent();
+      refetchRevisions();
+    } catch (error) {
+      console.error('Error restoring revision:', error);
+      toast.error(error.message || 'Failed to restore revision');
+    } finally {
+      setRestoringRevisionId(null);
+    }
+  };
+
   if (contentLoading && isEditing) {
     return (
       <div className="section-spacing">
@@ -401,6 +684,12 @@ export default function CreateContentPage({ activeBlogId }) {
                 />
               </div>
             )}
+            {!lockHolder && otherSessions.length > 0 && (
+              <div className="mt-4 flex items-center gap-3 text-sm text-muted-foreground">
+                <PresenceAvatars sessions={otherSessions} size="md" />
+                <span>Also viewing this content</span>
+              </div>
+            )}
           </div>
         </div>
         
@@ -416,7 +705,7 @@ export default function CreateContentPage({ activeBlogId }) {
           <button
             type="submit"
             form="content-form"
-            disabled={loading}
+            disabled={loading || Boolean(lockHolder)}
             className="btn-primary"
           >
             <Save className="h-5 w-5 mr-3" />
@@ -425,7 +714,27 @@ export default function CreateContentPage({ activeBlogId }) {
         </div>
       </div>
 
+      {lockHolder && (
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 p-4 mb-10 bg-amber-50 border border-amber-200 rounded-lg">
+          <div className="flex items-center gap-3">
+            <Lock className="h-5 w-5 text-amber-600 flex-shrink-0" />
+            <PresenceAvatars sessions={[lockHolder]} size="md" />
+            <p className="text-sm text-amber-800">
+              {getSessionLabel(lockHolder, currentUser?.uid)} is editing this content, so it is read-only here.
+              Taking over makes their copy read-only instead.
+            </p>
+          </div>
+          <button type="button" onClick={handleTakeOver} className="btn-secondary flex-shrink-0">
+            Take over editing
+          </button>
+        </div>
+      )}
+
       <form id="content-form" onSubmit={handleSubmit}>
+        <fieldset
+          disabled={Boolean(lockHolder)}
+          className={`min-w-0 ${lockHolder ? 'pointer-events-none opacity-60' : ''}`}
+        >
         {/* Two Column Layout for Wide Screens */}
         <div className="grid grid-cols-1 xl:grid-cols-3 gap-10 lg:gap-12">
           
@@ -437,6 +746,24 @@ export default function CreateContentPage({ activeBlogId }) {
                 <h2 className="card-title">Content Details</h2>
               </div>
               <div className="card-content space-y-8">
+                {!isEditing && contentTypes.length > 0 && (
+                  <div>
+                    <label className="block text-base font-medium text-foreground mb-3">
+                      Content Type
+                    </label>
+                    <select
+                      className="input-field"
+                      value={formData.contentType}
+                      onChange={handleContentTypeChange}
+                    >
+                      <option value="">Post</option>
+                      {contentTypes.map(type => (
+                        <option key={type.key} value={type.key}>{type.name}</option>
+                      ))}
+                    </select>
+                  </div>
+                )}
+
                 <div className="grid-responsive-2">
                   <InputField
                     label="Title"
@@ -480,6 +807,31 @@ export default function CreateContentPage({ activeBlogId }) {
               </div>
             </div>
 
+            {/* Custom Fields */}
+            {formData.contentType && (
+              <div className="card">
+                <div className="card-header">
+                  <h3 className="card-title">
+                    {activeContentType ? `${activeContentType.name} Fields` : 'Custom Fields'}
+                  </h3>
+                </div>
+                <div className="card-content">
+                  {activeContentType ? (
+                    <CustomFieldsEditor
+                      contentType={activeContentType}
+                      values={formData.fields}
+                      onChange={handleCustomFieldChange}
+                      errors={fieldErrors}
+                      referenceOptions={allContent}
+                      currentContentId={id}
+                    />
+                  ) : (
+                    <p className="text-sm text-muted-foreground">Loading content type...</p>
+                  )}
+                </div>
+              </div>
+            )}
+
             {/* Featured Image */}
             <div className="card">
               <div className="card-header">
@@ -556,20 +908,36 @@ export default function CreateContentPage({ activeBlogId }) {
                 <h3 className="card-title">Publish Settings</h3>
               </div>
               <div className="card-content space-y-8">
-                <div>
-                  <label className="block text-base font-medium text-foreground mb-3">
-                    Status
-                  </label>
-                  <select
-                    name="status"
-                    className="input-field"
-                    value={formData.status}
-                    onChange={handleInputChange}
-                  >
-                    <option value="draft">Draft</option>
-                    <option value="published">Published</option>
-                  </select>
-                </div>
+                <PublishScheduleFields
+                  status={formData.status}
+                  publishAt={formData.publishAt}
+                  unpublishAt={formData.unpublishAt}
+                  onChange={handleInputChange}
+                  statusOptions={statusOptions}
+                  errors={errors}
+                />
+
+                {statusChanged && (
+                  <div>
+                    <label className="block text-base font-medium text-foreground mb-3">
+                      Comment (optional)
+                    </label>
+                    <textarea
+                      rows={3}
+                      maxLength={1000}
+                      className="input-field resize-none"
+                      value={workflowComment}
+                      onChange={(e) => setWorkflowComment(e.target.value)}
+                      placeholder="Notes for reviewers about this status change"
+                    />
+                  </div>
+                )}
+
+                {workflow.requireReview && !statusOptions.includes('published') && (
+                  <p className="text-sm text-muted-foreground">
+                    This blog requires review: submit content for review and have it approved before publishing.
+                  </p>
+                )}
 
                 <InputField
                   label="Author"
@@ -635,12 +1003,11 @@ export default function CreateContentPage({ activeBlogId }) {
                   <label className="block text-base font-medium text-foreground mb-3">
                     Categories (comma separated)
                   </label>
-                  <input
-                    type="text"
-                    className="input-field"
+                  <TaxonomyInput
                     value={categoriesInput}
-                    onChange={(e) => setCategoriesInput(e.target.value)}
+                    onChange={setCategoriesInput}
                     onBlur={handleCategoriesBlur}
+                    terms={taxonomyTerms.categories}
                     placeholder="Web Development, Technology"
                   />
                 </div>
@@ -649,19 +1016,50 @@ export default function CreateContentPage({ activeBlogId }) {
                   <label className="block text-base font-medium text-foreground mb-3">
                     Tags (comma separated)
                   </label>
-                  <input
-                    type="text"
-                    className="input-field"
+                  <TaxonomyInput
                     value={tagsInput}
-                    onChange={(e) => setTagsInput(e.target.value)}
+                    onChange={setTagsInput}
                     onBlur={handleTagsBlur}
+                    terms={taxonomyTerms.tags}
                     placeholder="react, javascript, tutorial"
                   />
                 </div>
               </div>
             </div>
+
+            {/* Revision History */}
+            {isEditing && (
+              <RevisionHistoryPanel
+                revisions={revisions}
+                loading={revisionsLoading}
+                error={revisionsError}
+                onRestore={handleRestoreRevision}
+                onCompare={(revision) => setDiffModal({ isOpen: true, baseRevisionId: revision.id })}
+                restoringRevisionId={restoringRevisionId}
+              />
+            )}
+
+            {/* Workflow History */}
+            {isEditing && (
+              <WorkflowHistoryPanel
+                transitions={transitions}
+                loading={transitionsLoading}
+                error={transitionsError}
+              />
+            )}
+
+            {/* Draft Preview Links */}
+            {isEditing && (
+              <PreviewLinksPanel
+                blogId={activeBlogId}
+                type="content"
+                itemId={id}
+                getAuthToken={getAuthToken}
+              />
+            )}
           </div>
         </div>
+        </fieldset>
       </form>
 
       {/* Image Gallery Modal */}
@@ -689,6 +1087,33 @@ export default function CreateContentPage({ activeBlogId }) {
         />
       </Modal>
 
+      {/* Revision Diff Modal */}
+      <Modal
+        isOpen={diffModal.isOpen}
+        onClose={() => setDiffModal({ isOpen: false, baseRevisionId: null })}
+        title="Compare Revisions"
+        size="xl"
+      >
+        {diffModal.isOpen && (
+          <RevisionDiffViewer
+            contentId={id}
+            blogId={existingContent?.blogId || activeBlogId}
+            initialBaseId={diffModal.baseRevisionId}
+          />
+        )}
+      </Modal>
+
+      {/* Version Conflict Modal */}
+      <VersionConflictModal
+        isOpen={Boolean(conflict)}
+        fields={CONFLICT_FIELDS}
+        localItem={conflict?.localItem}
+        serverItem={conflict?.serverItem}
+        onKeepLocal={handleKeepLocalChanges}
+        onLoadServer={handleLoadSavedVersion}
+        itemLabel="content"
+      />
+
       {/* Information Modal */}
       <Modal
         isOpen={showInfoModal}
@@ -816,6 +1241,20 @@ export default function CreateContentPage({ activeBlogId }) {
               </div>
             </div>
 
+            {/* Content Types Section */}
+            <div>
+              <h4 className="text-lg font-semibold text-foreground mb-4">Content Types</h4>
+              <div className="p-4 border border-border rounded-lg">
+                <h5 className="font-medium text-foreground mb-2">Custom Fields</h5>
+                <ul className="text-sm text-muted-foreground space-y-1">
+                  <li>• Choose a content type when creating content to add its custom fields</li>
+                  <li>• The content type cannot be changed after the content is created</li>
+                  <li>• Required custom fields are marked with *</li>
+                  <li>• Manage content types and their fields on the Content Types page</li>
+                </ul>
+              </div>
+            </div>
+
             {/* Featured Image Section */}
             <div>
               <h4 className="text-lg font-semibold text-foreground mb-4">Featured Image</h4>
@@ -839,9 +1278,14 @@ export default function CreateContentPage({ activeBlogId }) {
                 <h5 className="font-medium text-foreground mb-2">Status Options</h5>
                 <ul className="text-sm text-muted-foreground space-y-1">
                   <li>• <strong>Draft:</strong> Content is saved but not publicly visible</li>
+                  <li>• <strong>In Review:</strong> Content is waiting for an editor to approve it or request changes</li>
+                  <li>• <strong>Approved:</strong> Content has passed review and is ready to publish or schedule</li>
                   <li>• <strong>Published:</strong> Content is live and accessible via API</li>
+                  <li>• <strong>Scheduled:</strong> Content goes live automatically at the chosen publish time</li>
+                  <li>• Set an optional unpublish time to take content offline automatically</li>
                   <li>• Only published content appears in your public API endpoints</li>
-                  <li>• You can change status anytime after creation</li>
+                  <li>• Only the next steps of the workflow are offered, and status changes can include a comment</li>
+                  <li>• Blogs that require review only publish approved content</li>
                 </ul>
               </div>
             </div>
@@ -1,10 +1,11 @@
-import React, { useState, useEffect, useMemo } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '@/hooks/useAuth';
-import { useAutoSave } from '@/hooks/useAutoSave';
+import { useAutoSave, isVersionConflict } from '@/hooks/useAutoSave';
+import { useTaxonomyTerms } from '@/hooks/useTaxonomy';
 import { settingsService } from '@/services/settingsService';
 import { productsService } from '@/services/productsService';
-import { validateField, validateImageUrls } from '@/utils/validation';
+import { PRODUCT_SCHEMA, validateField, validateImageUrls, validateSchema, validateSchedule } from '@/utils/validation';
 import SimpleMDE from 'react-simplemde-editor';
 import InputField from '@/components/shared/InputField';
 import AutoSaveIndicator from '@/components/shared/AutoSaveIndicator';
@@ -12,16 +13,42 @@ import ImageGalleryModal from '@/components/shared/ImageGalleryModal';
 import ImageUploader from '@/components/shared/ImageUploader';
 import Modal from '@/components/shared/Modal';
 import SkeletonLoader from '@/components/shared/SkeletonLoader';
+import PublishScheduleFields from '@/components/shared/PublishScheduleFields';
+import TaxonomyInput from '@/components/shared/TaxonomyInput';
+import PreviewLinksPanel from '@/components/shared/PreviewLinksPanel';
+import VersionConflictModal from '@/components/shared/VersionConflictModal';
 import { Save, ArrowLeft, DollarSign, Percent, Image as ImageIcon, Trash2, Plus, Upload, Info } from 'lucide-react';
-import { generateSlug, parseArrayInput } from '@/utils/helpers';
+import {
+  generateSlug,
+  parseArrayInput,
+  toDateTimeLocalValue,
+  fromDateTimeLocalValue,
+  retryWithBackoff,
+  createResponseError
+} from '@/utils/helpers';
 import toast from 'react-hot-toast';
 import 'easymde/dist/easymde.min.css';
 
+// Fields compared when a save conflicts with a version saved elsewhere
+const CONFLICT_FIELDS = [
+  { key: 'name', label: 'Name' },
+  { key: 'slug', label: 'Slug' },
+  { key: 'description', label: 'Description' },
+  { key: 'price', label: 'Price' },
+  { key: 'percentOff', label: 'Percent Off' },
+  { key: 'imageUrls', label: 'Images' },
+  { key: 'productUrl', label: 'Product URL' },
+  { key: 'category', label: 'Category' },
+  { key: 'tags', label: 'Tags' },
+  { key: 'status', label: 'Status' }
+];
+
 export default function CreateProductPage({ activeBlogId }) {
   const { id } = useParams();
   const navigate = useNavigate();
   const { getAuthToken, currentUser } = useAuth();
   const isEditing = Boolean(id);
+  const taxonomyTerms = useTaxonomyTerms(activeBlogId);
 
   const [formData, setFormData] = useState({
     name: '',
@@ -33,7 +60,9 @@ export default function CreateProductPage({ activeBlogId }) {
     productUrl: '',
     category: '',
     tags: [],
-    status: 'draft'
+    status: 'draft',
+    publishAt: '',
+    unpublishAt: ''
   });
 
   // Separate state for array input fields
@@ -47,10 +76,32 @@ export default function CreateProductPage({ activeBlogId }) {
   const [uploadModal, setUploadModal] = useState({ isOpen: false });
   const [showInfoModal, setShowInfoModal] = useState(false);
   const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
+  // Server copy and unsaved local copy of a save rejected with VERSION_CONFLICT; auto-save waits while set
+  const [conflict, setConflict] = useState(null);
+
+  // Version of the product the form is based on, sent with each update so saves made elsewhere in the
+  // meantime are detected rather than overwritten. Saves are queued so they never race each other.
+  const versionRef = useRef(null);
+  const saveQueueRef = useRef(Promise.resolve());
+
+  const queueSave = (save) => {
+    const run = saveQueueRef.current.catch(() => {}).then(save);
+    saveQueueRef.current = run;
+    return run;
+  };
+
+  const handleVersionConflict = (error, fromSubmit = false) => {
+    setConflict({ serverItem: error.details.current, localItem: getProductPayload(), fromSubmit });
+  };
 
   // Auto-save functionality for editing
-  const autoSaveFunction = async (dataToSave) => {
+  const autoSaveFunction = (dataToSave) => queueSave(async () => {
     if (!isEditing || !id) return;
+
+    // The slug of a published product waits for an explicit save, which gets a redirect from the old
+    // slug, rather than one per slug typed on the way
+    const { slug, ...fieldsToSave } = dataToSave;
+    const slugField = existingContent?.status === 'published' ? {} : { slug };
     
     const token = await getAuthToken();
     const response = await fetch(`/.netlify/functions/admin-product`, {
@@ -62,49 +113,73 @@ export default function CreateProductPage({ activeBlogId }) {
       body: JSON.stringify({ 
         id, 
         blogId: activeBlogId,
-        ...dataToSave,
+        version: versionRef.current,
+        ...fieldsToSave,
+        ...slugField,
         price: parseFloat(dataToSave.price) || 0,
         percentOff: parseFloat(dataToSave.percentOff) || 0,
+        publishAt: fromDateTimeLocalValue(dataToSave.publishAt),
+        unpublishAt: fromDateTimeLocalValue(dataToSave.unpublishAt),
         tags: parseArrayInput(tagsInput)
       })
     });
 
     if (!response.ok) {
-      throw new Error('Auto-save failed');
+      throw await createResponseError(response, 'Auto-save failed');
     }
-  };
+
+    const result = await response.json();
+    versionRef.current = result.version;
+  });
 
   const { autoSaveStatus, lastSaved, forceSave, retryCount } = useAutoSave(
     hasUnsavedChanges ? formData : null,
     autoSaveFunction,
     {
       delay: 3000,
-      enabled: isEditing,
+      enabled: isEditing && !conflict,
+      onConflict: handleVersionConflict,
       showNotifications: false
     }
   );
 
-  // Update product images in database immediately after upload
-  const updateProductImagesInDatabase = async (newImageUrls, uploadResult) => {
+  // Save the product's images right after an upload, through the same queue and version check as other saves
+  const updateProductImagesInDatabase = (newImageUrls) => queueSave(async () => {
     if (!isEditing || !id) return;
-    
+
     try {
-      await productsService.updateProductImages(
-        currentUser.uid,
-        id,
-        activeBlogId,
-        newImageUrls,
-        {
-          lastUpload: uploadResult.fileName,
-          uploadedAt: new Date().toISOString()
+      const token = await getAuthToken();
+      const response = await fetch(`/.netlify/functions/admin-product`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          id,
+          blogId: activeBlogId,
+          version: versionRef.current,
+          imageUrls: newImageUrls,
+          imageUrl: newImageUrls[0] || ''
+        })
+      });
+
+      if (!response.ok) {
+        const error = await createResponseError(response);
+        if (isVersionConflict(error)) {
+          handleVersionConflict(error);
+          return;
         }
-      );
-      console.log('Product images updated in database:', newImageUrls);
+        throw error;
+      }
+
+      const result = await response.json();
+      versionRef.current = result.version;
     } catch (error) {
       console.error('Failed to update product images in database:', error);
-      toast.warning('Image uploaded but database update failed. Save the product to persist changes.');
+      toast.error('Image uploaded but database update failed. Save the product to persist changes.');
     }
-  };
+  });
 
   // Memoize SimpleMDE options
   const simpleMDEOptions = useMemo(() => ({
@@ -151,15 +226,22 @@ export default function CreateProductPage({ activeBlogId }) {
         description: data.description || '',
         price: data.price?.toString() || '',
         percentOff: data.percentOff?.toString() || '',
-        imageUrls: data.imageUrls || data.imageUrl ? [data.imageUrl] : [], // Handle both old and new format
+        imageUrls: data.imageUrls || (data.imageUrl ? [data.imageUrl] : []), // Handle both old and new format
         productUrl: data.productUrl || '',
         category: data.category || '',
         tags: data.tags || [],
-        status: data.status || 'draft'
+        status: data.status || 'draft',
+        publishAt: toDateTimeLocalValue(data.publishAt),
+        unpublishAt: toDateTimeLocalValue(data.unpublishAt)
       });
 
       setTagsInput((data.tags || []).join(', '));
       setExistingContent(data);
+
+      // The form now matches the loaded version, which also ends any conflict being resolved
+      versionRef.current = data.version || 0;
+      setHasUnsavedChanges(false);
+      setConflict(null);
     } catch (error) {
       console.error('Error fetching product:', error);
       toast.error('Failed to fetch product');
@@ -182,6 +264,8 @@ export default function CreateProductPage({ activeBlogId }) {
         formData.productUrl !== (existingContent.productUrl || '') ||
         formData.category !== (existingContent.category || '') ||
         formData.status !== (existingContent.status || 'draft') ||
+        formData.publishAt !== toDateTimeLocalValue(existingContent.publishAt) ||
+        formData.unpublishAt !== toDateTimeLocalValue(existingContent.unpublishAt) ||
         tagsInput !== ((existingContent.tags || []).join(', '));
       
       setHasUnsavedChanges(hasChanges);
@@ -197,8 +281,19 @@ export default function CreateProductPage({ activeBlogId }) {
     }
   }, [formData, tagsInput, isEditing, existingContent]);
 
+  // Product fields of the request body, as checked against PRODUCT_SCHEMA here and by the server
+  const getProductPayload = () => ({
+    ...formData,
+    price: parseFloat(formData.price),
+    percentOff: parseFloat(formData.percentOff) || 0,
+    publishAt: fromDateTimeLocalValue(formData.publishAt),
+    unpublishAt: fromDateTimeLocalValue(formData.unpublishAt),
+    tags: parseArrayInput(tagsInput)
+  });
+
   const validateForm = () => {
-    const newErrors = {};
+    // The shared schema's checks first; the editor's rules below replace them with friendlier messages
+    const newErrors = validateSchema(getProductPayload(), PRODUCT_SCHEMA);
     
     // Product name validation using centralized rules
     const nameError = validateField('productName', formData.name);
@@ -234,6 +329,13 @@ export default function CreateProductPage({ activeBlogId }) {
     // Image URLs validation using centralized rules
     const imageUrlsError = validateImageUrls(formData.imageUrls);
     if (imageUrlsError) newErrors.imageUrls = imageUrlsError;
+
+    // Publish schedule validation
+    Object.assign(newErrors, validateSchedule(
+      formData.status,
+      fromDateTimeLocalValue(formData.publishAt),
+      fromDateTimeLocalValue(formData.unpublishAt)
+    ));
     
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
@@ -302,19 +404,19 @@ export default function CreateProductPage({ activeBlogId }) {
     return price;
   };
 
-  const handleSubmit = async (e) => {
+  const handleSubmit = (e) => {
     e.preventDefault();
-    
+    saveProduct();
+  };
+
+  const saveProduct = async () => {
     if (!validateForm()) {
       return;
     }
 
     const finalFormData = {
-      ...formData,
-      blogId: activeBlogId,
-      price: parseFloat(formData.price),
-      percentOff: parseFloat(formData.percentOff) || 0,
-      tags: parseArrayInput(tagsInput)
+      ...getProductPayload(),
+      blogId: activeBlogId
     };
 
     try {
@@ -324,22 +426,45 @@ export default function CreateProductPage({ activeBlogId }) {
       const url = `/.netlify/functions/admin-product`;
       
       const method = isEditing ? 'PUT' : 'POST';
-      const body = isEditing 
-        ? { id, ...finalFormData }
-        : finalFormData;
 
-      const response = await fetch(url, {
-        method,
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${token}`
-        },
-        body: JSON.stringify(body)
-      });
+      // Creates are retried on network and server errors with one Idempotency-Key, so a retried
+      // create never adds the product twice
+      const idempotencyKey = isEditing ? null : crypto.randomUUID();
+      const sendRequest = async () => {
+        const response = await fetch(url, {
+          method,
+          headers: {
+            'Content-Type': 'application/json',
+            'Authorization': `Bearer ${token}`,
+            ...(idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {})
+          },
+          body: JSON.stringify(isEditing
+            ? { id, ...finalFormData, version: versionRef.current }
+            : finalFormData)
+        });
+
+        if (idempotencyKey && (response.status >= 500 || response.status === 409)) {
+          // 409 means an earlier attempt is still running
+          throw await createResponseError(response);
+        }
+        return response;
+      };
+
+      const response = isEditing
+        ? await queueSave(sendRequest)
+        : await retryWithBackoff(sendRequest);
 
       if (!response.ok) {
-        const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || `HTTP ${response.status}`);
+        const error = await createResponseError(response);
+        if (isVersionConflict(error)) {
+          handleVersionConflict(error, true);
+          return;
+        }
+        // Show the server's field-level validation errors next to their fields
+        if (error.details?.fields) {
+          setErrors(error.details.fields);
+        }
+        throw error;
       }
 
       toast.success(isEditing ? 'Product updated successfully' : 'Product created successfully');
@@ -352,6 +477,16 @@ export default function CreateProductPage({ activeBlogId }) {
     }
   };
 
+  // Keep the local changes: they are saved over the version that is stored now
+  const handleKeepLocalChanges = () => {
+    versionRef.current = conflict.serverItem.version;
+    setConflict(null);
+    // Auto-save resumes by itself; a rejected explicit save is sent again
+    if (conflict.fromSubmit) {
+      saveProduct();
+    }
+  };
+
   if (loading && isEditing) {
     return (
       <div className="section-spacing">
@@ -635,28 +770,29 @@ export default function CreateProductPage({ activeBlogId }) {
                 <h3 className="card-title">Publish Settings</h3>
               </div>
               <div className="card-content space-y-8">
+                <PublishScheduleFields
+                  status={formData.status}
+                  publishAt={formData.publishAt}
+                  unpublishAt={formData.unpublishAt}
+                  onChange={handleInputChange}
+                  errors={errors}
+                />
+
                 <div>
                   <label className="block text-base font-medium text-foreground mb-3">
-                    Status
+                    Category
                   </label>
-                  <select
-                    name="status"
-                    className="input-field"
-                    value={formData.status}
-                    onChange={handleInputChange}
-                  >
-                    <option value="draft">Draft</option>
-                    <option value="published">Published</option>
-                  </select>
+                  <TaxonomyInput
+                    value={formData.category}
+                    onChange={(value) => handleInputChange({ target: { name: 'category', value } })}
+                    terms={taxonomyTerms.categories}
+                    multiple={false}
+                    placeholder="e.g., Electronics, Clothing, Books"
+                  />
+                  {errors.category && (
+                    <p className="mt-3 text-sm text-destructive">{errors.category}</p>
+                  )}
                 </div>
-
-                <InputField
-                  label="Category"
-                  name="category"
-                  placeholder="e.g., Electronics, Clothing, Books"
-                  value={formData.category}
-                  onChange={handleInputChange}
-                />
               </div>
             </div>
 
@@ -670,12 +806,11 @@ export default function CreateProductPage({ activeBlogId }) {
                   <label className="block text-base font-medium text-foreground mb-3">
                     Tags (comma separated)
                   </label>
-                  <input
-                    type="text"
-                    className="input-field"
+                  <TaxonomyInput
                     value={tagsInput}
-                    onChange={(e) => setTagsInput(e.target.value)}
+                    onChange={setTagsInput}
                     onBlur={handleTagsBlur}
+                    terms={taxonomyTerms.tags}
                     placeholder="electronics, gadget, popular"
                   />
                 </div>
@@ -698,6 +833,16 @@ export default function CreateProductPage({ activeBlogId }) {
                 />
               </div>
             </div>
+
+            {/* Draft Preview Links */}
+            {isEditing && (
+              <PreviewLinksPanel
+                blogId={activeBlogId}
+                type="product"
+                itemId={id}
+                getAuthToken={getAuthToken}
+              />
+            )}
           </div>
         </div>
       </form>
@@ -729,7 +874,7 @@ export default function CreateProductPage({ activeBlogId }) {
               
               // If editing existing product, immediately update the database
               if (isEditing && id) {
-                updateProductImagesInDatabase(newImageUrls, uploadResult);
+                updateProductImagesInDatabase(newImageUrls);
               }
               
               setUploadModal({ isOpen: false });
@@ -758,6 +903,18 @@ export default function CreateProductPage({ activeBlogId }) {
         />
       </Modal>
 
+      {/* Version Conflict Modal */}
+      <VersionConflictModal
+        isOpen={Boolean(conflict)}
+        fields={CONFLICT_FIELDS}
+        localItem={conflict?.localItem}
+        serverItem={conflict?.serverItem}
+        onKeepLocal={handleKeepLocalChanges}
+        // Drop the local changes and load the stored version, which also closes this dialog
+        onLoadServer={fetchProduct}
+        itemLabel="product"
+      />
+
       {/* Information Modal */}
       <Modal
         isOpen={showInfoModal}
@@ -909,6 +1066,8 @@ export default function CreateProductPage({ activeBlogId }) {
                 <ul className="text-sm text-muted-foreground space-y-1">
                   <li>• <strong>Draft:</strong> Product is saved but not publicly visible</li>
                   <li>• <strong>Published:</strong> Product is live and accessible via API</li>
+                  <li>• <strong>Scheduled:</strong> Product goes live automatically at the chosen publish time</li>
+                  <li>• Set an optional unpublish time to take the product offline automatically</li>
                   <li>• Only published products appear in your public API endpoints</li>
                   <li>• You can change status anytime after creation</li>
                 </ul>
@@ -19,13 +19,14 @@ export default function DocumentationPage({ activeBlogId }) {
   const productsApiEndpoint = `${window.location.origin}/users/${uid}/blogs/${blogId}/api/products.json`;
 
   const codeExamples = {
-    javascript: `// Fetch all published content with pagination
-fetch('${apiEndpoint}?limit=10&offset=0')
+    javascript: `// Fetch published content 10 items at a time
+fetch('${apiEndpoint}?limit=10')
   .then(response => response.json())
   .then(data => {
     console.log('Content:', data.data);
     console.log('Pagination:', data.pagination);
     console.log('Applied filters:', data.filters);
+    // Fetch data.pagination.next for the following page while data.pagination.hasMore is true
   })
   .catch(error => {
     console.error('Error:', error);
@@ -385,8 +386,9 @@ if products:
   "pagination": {
     "total": 1,
     "limit": null,
-    "offset": 0,
-    "hasMore": false
+    "hasMore": false,
+    "nextCursor": null,
+    "next": null
   },
   "filters": {
     "category": null,
@@ -445,8 +447,9 @@ if products:
   "pagination": {
     "total": 1,
     "limit": null,
-    "offset": 0,
-    "hasMore": false
+    "hasMore": false,
+    "nextCursor": null,
+    "next": null
   },
   "filters": {
     "category": null,
@@ -487,12 +490,23 @@ ${apiEndpoint}?category=Technology
 # Filter by tag
 ${apiEndpoint}?tag=javascript
 
-# Pagination
-${apiEndpoint}?limit=10&offset=20
+# Pagination (pass pagination.nextCursor from the previous page, or follow pagination.next)
+${apiEndpoint}?limit=10
+${apiEndpoint}?limit=10&cursor=NEXT_CURSOR
 
 # Sort by title (ascending)
 ${apiEndpoint}?sortBy=title&sortOrder=asc
 
+# Rendered HTML, table of contents, reading time and BlogPosting JSON-LD
+${apiEndpoint}?format=html
+
+# Only the fields a list page needs, or everything but the Markdown body
+${apiEndpoint}?fields=title,slug,excerpt,featuredImageUrl
+${apiEndpoint}?exclude=content
+
+# Embed related products and the author's public profile in each item
+${apiEndpoint}?include=products,author
+
 # Combined filters
 ${apiEndpoint}?category=Technology&tag=javascript&limit=5&sortBy=createdAt&sortOrder=desc`}
                   </pre>
@@ -515,6 +529,12 @@ ${productsApiEndpoint}?minPrice=50&maxPrice=200
 # Sort by price (ascending)
 ${productsApiEndpoint}?sortBy=price&sortOrder=asc
 
+# Rendered description and Product JSON-LD
+${productsApiEndpoint}?format=html
+
+# Only the fields a product card needs
+${productsApiEndpoint}?fields=name,slug,excerpt,discountedPrice,imageUrls
+
 # Combined filters
 ${productsApiEndpoint}?category=Electronics&minPrice=100&maxPrice=500&limit=10&sortBy=price&sortOrder=asc`}
                   </pre>
@@ -721,8 +741,9 @@ ${productsApiEndpoint}?category=Electronics&minPrice=100&maxPrice=500&limit=10&s
               <h4 className="text-sm font-semibold text-amber-800 mb-2">🔒 Security & Access</h4>
               <ul className="text-sm text-amber-700 space-y-1">
                 <li>• These are <strong>public, read-only</strong> endpoints - no authentication required</li>
-                <li>• Only content and products with status "published" are returned</li>
-                <li>• Draft items are never exposed through the public API</li>
+                <li>• Only content and products with status "published" are returned by default</li>
+                <li>• Draft items (<code>?status=draft</code>) are only returned with an API key that has the <code>read:drafts</code> scope, sent as <code>Authorization: Bearer &lt;key&gt;</code></li>
+                <li>• A single draft can also be fetched with <code>?previewToken=</code> from a preview link created in the editor; the token expires and can be revoked</li>
                 <li>• Each user's data is completely isolated from other users</li>
               </ul>
             </div>
@@ -742,12 +763,12 @@ ${productsApiEndpoint}?category=Electronics&minPrice=100&maxPrice=500&limit=10&s
               <h4 className="text-sm font-semibold text-green-800 mb-2">🌐 Integration Features</h4>
               <ul className="text-sm text-green-700 space-y-1">
                 <li>• CORS enabled - can be called directly from browser applications</li>
-                <li>• Rate limiting: 100 requests per minute per IP address</li>
+                <li>• Rate limiting: 100 requests per minute per IP address, or 1000 per API key, unless the blog sets its own limits</li>
                 <li>• Images served from global CDN for optimal performance</li>
                 <li>• Content includes SEO metadata (title, description, keywords)</li>
                 <li>• Products include pricing with user-specific currency settings</li>
                 <li>• Advanced filtering by category, tags, price range, and date</li>
-                <li>• Pagination support with limit and offset parameters</li>
+                <li>• Cursor pagination with limit and cursor parameters, and exact totals</li>
                 <li>• Flexible sorting by multiple fields</li>
               </ul>
             </div>
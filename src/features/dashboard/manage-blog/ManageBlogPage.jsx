@@ -1,13 +1,38 @@
 import React, { useState, useEffect } from 'react';
 import { useAuth } from '@/hooks/useAuth';
 import { blogService } from '@/services/blogService';
+import { searchService } from '@/services/searchService';
 import InputField from '@/components/shared/InputField';
 import CreateBlogModal from '@/components/shared/CreateBlogModal';
+import RedirectsManager from '@/components/shared/RedirectsManager';
+import ApiKeysManager from '@/components/shared/ApiKeysManager';
+import WebhooksManager from '@/components/shared/WebhooksManager';
 import Modal from '@/components/shared/Modal';
 import SkeletonLoader from '@/components/shared/SkeletonLoader';
-import { BookOpen, Save, Plus, Edit, Check, Copy, Trash2, AlertTriangle, ExternalLink, RefreshCw, Globe, Database } from 'lucide-react';
+import { BookOpen, Save, Plus, Edit, Check, Copy, Trash2, AlertTriangle, ExternalLink, RefreshCw, Globe, Database, Search, Rss, Network, Gauge } from 'lucide-react';
 import toast from 'react-hot-toast';
 
+// Matches the limit applied by the sitemap API
+const MAX_ROBOTS_RULES_LENGTH = 5000;
+
+// Match the defaults and bounds applied by the public APIs' rate limiter
+const DEFAULT_IP_RATE_LIMIT = 100;
+const DEFAULT_API_KEY_RATE_LIMIT = 1000;
+const MIN_RATE_LIMIT = 10;
+const MAX_RATE_LIMIT = 10000;
+
+// Form values of a blog's editable settings
+const getBlogFormData = (blog) => ({
+  name: blog?.name || '',
+  description: blog?.description || '',
+  requireReview: Boolean(blog?.workflow?.requireReview),
+  trashRetentionDays: blog?.trashRetentionDays || 30,
+  allowIndexing: blog?.robots?.allowIndexing !== false,
+  robotsRules: blog?.robots?.customRules || '',
+  rateLimitPerIp: blog?.rateLimits?.perIp || DEFAULT_IP_RATE_LIMIT,
+  rateLimitPerApiKey: blog?.rateLimits?.perApiKey || DEFAULT_API_KEY_RATE_LIMIT
+});
+
 export default function ManageBlogPage({ activeBlogId, setActiveBlogId }) {
   const { currentUser, getAuthToken } = useAuth();
   const [currentBlog, setCurrentBlog] = useState(null);
@@ -19,11 +44,9 @@ export default function ManageBlogPage({ activeBlogId, setActiveBlogId }) {
   const [createModalOpen, setCreateModalOpen] = useState(false);
   const [deleteModalOpen, setDeleteModalOpen] = useState(false);
   const [deletingBlog, setDeletingBlog] = useState(false);
+  const [rebuildingIndex, setRebuildingIndex] = useState(false);
   
-  const [formData, setFormData] = useState({
-    name: '',
-    description: ''
-  });
+  const [formData, setFormData] = useState(getBlogFormData(null));
 
   useEffect(() => {
     if (currentUser?.uid && activeBlogId) {
@@ -50,7 +73,7 @@ export default function ManageBlogPage({ activeBlogId, setActiveBlogId }) {
       if (blogs.length === 0) {
         console.warn('No blogs found for user');
         setCurrentBlog(null);
-        setFormData({ name: '', description: '' });
+        setFormData(getBlogFormData(null));
         return;
       }
       
@@ -58,19 +81,13 @@ export default function ManageBlogPage({ activeBlogId, setActiveBlogId }) {
       
       if (activeBlog) {
         setCurrentBlog(activeBlog);
-        setFormData({
-          name: activeBlog.name || '',
-          description: activeBlog.description || ''
-        });
+        setFormData(getBlogFormData(activeBlog));
       } else {
         console.warn(`Active blog ${activeBlogId} not found, switching to first available blog`);
         const firstBlog = blogs[0];
         setActiveBlogId(firstBlog.id);
         setCurrentBlog(firstBlog);
-        setFormData({
-          name: firstBlog.name || '',
-          description: firstBlog.description || ''
-        });
+        setFormData(getBlogFormData(firstBlog));
         toast.success(`Switched to "${firstBlog.name}" as the previous blog was not found.`);
       }
     } catch (error) {
@@ -86,10 +103,10 @@ export default function ManageBlogPage({ activeBlogId, setActiveBlogId }) {
   };
 
   const handleInputChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     setFormData(prev => ({
       ...prev,
-      [name]: value
+      [name]: type === 'checkbox' ? checked : value
     }));
     
     if (saved) {
@@ -105,19 +122,42 @@ export default function ManageBlogPage({ activeBlogId, setActiveBlogId }) {
       return;
     }
 
+    const trashRetentionDays = Number(formData.trashRetentionDays);
+    if (!Number.isInteger(trashRetentionDays) || trashRetentionDays < 1 || trashRetentionDays > 365) {
+      toast.error('Trash retention must be between 1 and 365 days');
+      return;
+    }
+
+    if (formData.robotsRules.length > MAX_ROBOTS_RULES_LENGTH) {
+      toast.error(`robots.txt rules must be at most ${MAX_ROBOTS_RULES_LENGTH} characters`);
+      return;
+    }
+
+    const rateLimits = { perIp: Number(formData.rateLimitPerIp), perApiKey: Number(formData.rateLimitPerApiKey) };
+    if (Object.values(rateLimits).some(limit => !Number.isInteger(limit) || limit < MIN_RATE_LIMIT || limit > MAX_RATE_LIMIT)) {
+      toast.error(`Rate limits must be between ${MIN_RATE_LIMIT} and ${MAX_RATE_LIMIT} requests per minute`);
+      return;
+    }
+
     const originalBlog = { ...currentBlog };
     const originalAllBlogs = [...allBlogs];
     
+    const workflow = { requireReview: formData.requireReview };
+    const robots = { allowIndexing: formData.allowIndexing, customRules: formData.robotsRules.trim() };
     const updatedBlog = {
       ...currentBlog,
       name: formData.name.trim(),
-      description: formData.description.trim()
+      description: formData.description.trim(),
+      workflow,
+      trashRetentionDays,
+      robots,
+      rateLimits
     };
     setCurrentBlog(updatedBlog);
     
     const updatedAllBlogs = allBlogs.map(blog => 
       blog.id === activeBlogId 
-        ? { ...blog, name: formData.name.trim(), description: formData.description.trim() }
+        ? { ...blog, name: formData.name.trim(), description: formData.description.trim(), workflow, trashRetentionDays, robots, rateLimits }
         : blog
     );
     setAllBlogs(updatedAllBlogs);
@@ -126,7 +166,11 @@ export default function ManageBlogPage({ activeBlogId, setActiveBlogId }) {
       
       await blogService.updateBlog(currentUser.uid, activeBlogId, {
         name: formData.name.trim(),
-        description: formData.description.trim()
+        description: formData.description.trim(),
+        workflow,
+        trashRetentionDays,
+        robots,
+        rateLimits
       });
       
       setSaved(true);
@@ -167,10 +211,7 @@ export default function ManageBlogPage({ activeBlogId, setActiveBlogId }) {
     if (remainingBlogs.length > 0) {
       setActiveBlogId(remainingBlogs[0].id);
       setCurrentBlog(remainingBlogs[0]);
-      setFormData({
-        name: remainingBlogs[0].name || '',
-        description: remainingBlogs[0].description || ''
-      });
+      setFormData(getBlogFormData(remainingBlogs[0]));
     }
     try {
       setDeletingBlog(true);
@@ -182,7 +223,7 @@ export default function ManageBlogPage({ activeBlogId, setActiveBlogId }) {
       setDeleteModalOpen(false);
     } catch (error) {
       console.error('Error deleting blog:', error);
-      if (error.message.includes('LAST_BLOG_DELETION_FORBIDDEN')) {
+      if (error.code === 'LAST_BLOG_DELETION_FORBIDDEN') {
         toast.error('Cannot delete your last blog. Users must have at least one blog.');
       } else {
         toast.error(error.message || 'Failed to delete blog');
@@ -213,6 +254,32 @@ export default function ManageBlogPage({ activeBlogId, setActiveBlogId }) {
     return `${window.location.origin}/users/${currentUser?.uid}/blogs/${activeBlogId}/api/products.json`;
   };
 
+  const getRedirectsApiUrl = () => {
+    return `${window.location.origin}/users/${currentUser?.uid}/blogs/${activeBlogId}/api/redirects.json`;
+  };
+
+  // URL of a file served by the blog's public API, e.g. a feed or the sitemap
+  const getApiFileUrl = (file) => {
+    return `${window.location.origin}/users/${currentUser?.uid}/blogs/${activeBlogId}/api/${file}`;
+  };
+
+  const getSearchApiUrl = () => {
+    return `${window.location.origin}/users/${currentUser?.uid}/blogs/${activeBlogId}/api/search.json`;
+  };
+
+  // Index content and products saved before search existed, or repair a stale index
+  const handleRebuildSearchIndex = async () => {
+    try {
+      setRebuildingIndex(true);
+      const result = await searchService.rebuildSearchIndex(getAuthToken, activeBlogId);
+      toast.success(`Search index rebuilt: ${result.indexed.content} content items, ${result.indexed.product} products`);
+    } catch (error) {
+      toast.error(error.message || 'Failed to rebuild search index');
+    } finally {
+      setRebuildingIndex(false);
+    }
+  };
+
   const canManageMultipleBlogs = currentUser?.canManageMultipleBlogs || false;
 
   if (loading) {
@@ -261,7 +328,7 @@ export default function ManageBlogPage({ activeBlogId, setActiveBlogId }) {
               <h2 className="text-xl font-semibold text-gray-900">Edit Blog Details</h2>
             </div>
             <p className="text-sm text-gray-600">
-              Update your blog name and description
+              Update your blog name, description, review workflow, trash retention, search engine settings and API rate limits
             </p>
           </div>
           <div>
@@ -319,6 +386,119 @@ export default function ManageBlogPage({ activeBlogId, setActiveBlogId }) {
                 />
               </div>
 
+              <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg">
+                <label className="flex items-start gap-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    name="requireReview"
+                    className="w-4 h-4 mt-0.5 text-primary"
+                    checked={formData.requireReview}
+                    onChange={handleInputChange}
+                    disabled={saving}
+                  />
+                  <span>
+                    <span className="block text-sm font-medium text-gray-700">Require review before publishing</span>
+                    <span className="block text-xs text-gray-500 mt-1">
+                      Content must go from Draft to In Review to Approved before it can be published or scheduled.
+                    </span>
+                  </span>
+                </label>
+              </div>
+
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">
+                  Keep deleted items in the trash for (days)
+                </label>
+                <input
+                  type="number"
+                  name="trashRetentionDays"
+                  min={1}
+                  max={365}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                  value={formData.trashRetentionDays}
+                  onChange={handleInputChange}
+                  disabled={saving}
+                />
+                <p className="text-xs text-gray-500 mt-1">
+                  Trashed content and products are permanently deleted after this many days. Applies to items deleted after saving.
+                </p>
+              </div>
+
+              <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg space-y-4">
+                <label className="flex items-start gap-3 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    name="allowIndexing"
+                    className="w-4 h-4 mt-0.5 text-primary"
+                    checked={formData.allowIndexing}
+                    onChange={handleInputChange}
+                    disabled={saving}
+                  />
+                  <span>
+                    <span className="block text-sm font-medium text-gray-700">Allow search engines to index this blog</span>
+                    <span className="block text-xs text-gray-500 mt-1">
+                      When off, robots.txt disallows all crawlers and the sitemap lists no pages.
+                    </span>
+                  </span>
+                </label>
+                <div>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Additional robots.txt rules (Optional)
+                  </label>
+                  <textarea
+                    name="robotsRules"
+                    rows={4}
+                    maxLength={MAX_ROBOTS_RULES_LENGTH}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500 resize-none font-mono text-sm"
+                    value={formData.robotsRules}
+                    onChange={handleInputChange}
+                    placeholder={'Disallow: /drafts\n\nUser-agent: GPTBot\nDisallow: /'}
+                    disabled={saving}
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Rules without a User-agent line apply to all crawlers. The sitemap location is added automatically.
+                  </p>
+                </div>
+              </div>
+
+              <div className="p-4 bg-gray-50 border border-gray-200 rounded-lg space-y-4">
+                <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Requests per minute per IP address
+                    </label>
+                    <input
+                      type="number"
+                      name="rateLimitPerIp"
+                      min={MIN_RATE_LIMIT}
+                      max={MAX_RATE_LIMIT}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      value={formData.rateLimitPerIp}
+                      onChange={handleInputChange}
+                      disabled={saving}
+                    />
+                  </div>
+                  <div>
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Requests per minute per API key
+                    </label>
+                    <input
+                      type="number"
+                      name="rateLimitPerApiKey"
+                      min={MIN_RATE_LIMIT}
+                      max={MAX_RATE_LIMIT}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
+                      value={formData.rateLimitPerApiKey}
+                      onChange={handleInputChange}
+                      disabled={saving}
+                    />
+                  </div>
+                </div>
+                <p className="text-xs text-gray-500">
+                  Limits for this blog's public APIs. Requests with an API key count against the key; all others count against their IP address. Changes apply within a minute.
+                </p>
+              </div>
+
               <button
                 type="submit"
                 disabled={saving || !formData.name.trim()}
@@ -537,6 +717,14 @@ export default function ManageBlogPage({ activeBlogId, setActiveBlogId }) {
             </p>
           </div>
           <div className="flex flex-col gap-4">
+            <div className="flex items-start gap-3 p-4 bg-gray-50 border border-gray-200 rounded-lg">
+              <Gauge className="h-5 w-5 text-gray-600 flex-shrink-0 mt-0.5" />
+              <p className="text-sm text-gray-700">
+                Rate limited to <strong>{currentBlog?.rateLimits?.perIp || DEFAULT_IP_RATE_LIMIT}</strong> requests per minute per IP address
+                and <strong>{currentBlog?.rateLimits?.perApiKey || DEFAULT_API_KEY_RATE_LIMIT}</strong> per API key.
+                Responses report the remaining allowance in <code>X-RateLimit-*</code> headers.
+              </p>
+            </div>
             <div className="p-4 bg-blue-50 border border-blue-200 rounded-lg">
               <div className="flex items-center gap-3 mb-3">
                 <div className="p-2 bg-blue-500 rounded-lg">
@@ -606,6 +794,99 @@ export default function ManageBlogPage({ activeBlogId, setActiveBlogId }) {
                 </a>
               </div>
             </div>
+
+            <div className="p-4 bg-orange-50 border border-orange-200 rounded-lg">
+              <div className="flex items-center gap-3 mb-3">
+                <div className="p-2 bg-orange-500 rounded-lg">
+                  <Rss className="h-4 w-4 text-white" />
+                </div>
+                <div>
+                  <h4 className="text-base font-semibold text-orange-800">Feeds</h4>
+                  <p className="text-xs text-orange-600">RSS, Atom and JSON Feed of published content; add <code>?category=</code>, <code>?tag=</code> or <code>?mode=excerpt</code></p>
+                </div>
+              </div>
+              <div className="bg-white border border-orange-200 rounded-lg p-3 mb-3 overflow-x-auto">
+                <code className="text-xs text-orange-800 font-mono">
+                  {getApiFileUrl('rss.xml')}
+                </code>
+              </div>
+              <div className="flex gap-3">
+                {[['rss.xml', 'RSS'], ['atom.xml', 'Atom'], ['feed.json', 'JSON Feed']].map(([file, label]) => (
+                  <button
+                    key={file}
+                    onClick={() => copyToClipboard(getApiFileUrl(file), `${label} URL`)}
+                    className="flex-1 flex items-center justify-center px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm"
+                  >
+                    <Copy className="h-4 w-4 mr-1" />
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="p-4 bg-teal-50 border border-teal-200 rounded-lg">
+              <div className="flex items-center gap-3 mb-3">
+                <div className="p-2 bg-teal-500 rounded-lg">
+                  <Network className="h-4 w-4 text-white" />
+                </div>
+                <div>
+                  <h4 className="text-base font-semibold text-teal-800">Sitemap &amp; robots.txt</h4>
+                  <p className="text-xs text-teal-600">Published content and products for search engines, using your custom domain when set</p>
+                </div>
+              </div>
+              <div className="bg-white border border-teal-200 rounded-lg p-3 mb-3 overflow-x-auto">
+                <code className="text-xs text-teal-800 font-mono">
+                  {getApiFileUrl('sitemap.xml')}
+                </code>
+              </div>
+              <div className="flex gap-3">
+                {[['sitemap.xml', 'Sitemap'], ['robots.txt', 'robots.txt']].map(([file, label]) => (
+                  <button
+                    key={file}
+                    onClick={() => copyToClipboard(getApiFileUrl(file), `${label} URL`)}
+                    className="flex-1 flex items-center justify-center px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm"
+                  >
+                    <Copy className="h-4 w-4 mr-1" />
+                    {label}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div className="p-4 bg-purple-50 border border-purple-200 rounded-lg">
+              <div className="flex items-center gap-3 mb-3">
+                <div className="p-2 bg-purple-500 rounded-lg">
+                  <Search className="h-4 w-4 text-white" />
+                </div>
+                <div>
+                  <h4 className="text-base font-semibold text-purple-800">Search API</h4>
+                  <p className="text-xs text-purple-600">Full-text search of published content and products with <code>?q=</code></p>
+                </div>
+              </div>
+              <div className="bg-white border border-purple-200 rounded-lg p-3 mb-3 overflow-x-auto">
+                <code className="text-xs text-purple-800 font-mono">
+                  {getSearchApiUrl()}
+                </code>
+              </div>
+              <div className="flex gap-3">
+                <button
+                  onClick={() => copyToClipboard(getSearchApiUrl(), 'Search API URL')}
+                  className="flex-1 flex items-center justify-center px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm"
+                >
+                  <Copy className="h-4 w-4 mr-1" />
+                  Copy
+                </button>
+                <button
+                  onClick={handleRebuildSearchIndex}
+                  disabled={rebuildingIndex}
+                  className="flex-1 flex items-center justify-center px-3 py-1.5 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 transition-colors text-sm disabled:opacity-50"
+                  title="Re-index all content and products, e.g. items saved before search was available"
+                >
+                  <RefreshCw className={`h-4 w-4 mr-1 ${rebuildingIndex ? 'animate-spin' : ''}`} />
+                  {rebuildingIndex ? 'Rebuilding...' : 'Rebuild Index'}
+                </button>
+              </div>
+            </div>
           </div>
         </div>
 
@@ -664,6 +945,34 @@ export default function ManageBlogPage({ activeBlogId, setActiveBlogId }) {
             </div>
           </div>
         )}
+
+        {/* Redirects Section */}
+        {currentBlog && (
+          <RedirectsManager
+            userId={currentUser.uid}
+            blogId={currentBlog.id}
+            redirectsApiUrl={getRedirectsApiUrl()}
+            onCopy={copyToClipboard}
+          />
+        )}
+
+        {/* Webhooks Section */}
+        {currentBlog && (
+          <WebhooksManager
+            blogId={currentBlog.id}
+            getAuthToken={getAuthToken}
+            onCopy={copyToClipboard}
+          />
+        )}
+
+        {/* API Keys Section */}
+        {currentBlog && (
+          <ApiKeysManager
+            blogId={currentBlog.id}
+            getAuthToken={getAuthToken}
+            onCopy={copyToClipboard}
+          />
+        )}
       </div>
 
       <CreateBlogModal
@@ -1,25 +1,41 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '@/hooks/useAuth';
 import { useContent } from '@/hooks/useContent';
+import { useBlogWorkflow } from '@/hooks/useBlogWorkflow';
+import { useBlogPresence } from '@/hooks/usePresence';
+import { searchService } from '@/services/searchService';
 import DataTable from '@/components/shared/DataTable';
 import LoadingButton from '@/components/shared/LoadingButton';
 import { TableSkeleton } from '@/components/shared/SkeletonLoader';
 import Modal from '@/components/shared/Modal';
-import { Edit, Trash2, Plus, ImageIcon, BarChart3, AlertTriangle, Eye, Upload, Download, FileText, CheckSquare, Square } from 'lucide-react';
+import RevisionDiffViewer from '@/components/shared/RevisionDiffViewer';
+import PresenceAvatars from '@/components/shared/PresenceAvatars';
+import { Edit, Trash2, Plus, ImageIcon, BarChart3, AlertTriangle, Eye, Upload, Download, FileText, CheckSquare, Square, GitCompare, ListChecks, MessageSquare } from 'lucide-react';
 import { format } from 'date-fns';
 import { getStatusBadgeClass } from '@/utils/helpers';
+import { CONTENT_STATUSES } from '@/utils/validation';
+import { getStatusLabel, getAllowedTransitions } from '@/utils/workflow';
 import toast from 'react-hot-toast';
 
 export default function ManageContentPage({ activeBlogId }) {
   const { content, loading, error, refetch, invalidateCache } = useContent(activeBlogId);
+  // Sessions with each post's editor open, shown as avatars on its row
+  const editorsByContent = useBlogPresence('content', activeBlogId);
   const { getAuthToken, currentUser } = useAuth();
+  const { workflow } = useBlogWorkflow(activeBlogId);
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [workflowModal, setWorkflowModal] = useState({ isOpen: false, content: null });
+  const [transitioningItemId, setTransitioningItemId] = useState(null);
   const [deleteModal, setDeleteModal] = useState({ isOpen: false, content: null });
   const [analyticsModal, setAnalyticsModal] = useState({ isOpen: false, content: null });
+  const [diffModal, setDiffModal] = useState({ isOpen: false, content: null });
   const [bulkDeleteModal, setBulkDeleteModal] = useState({ isOpen: false });
   const [selectedItems, setSelectedItems] = useState([]);
   const [importing, setImporting] = useState(false);
   const [deletingItemId, setDeletingItemId] = useState(null);
+  const [searchQuery, setSearchQuery] = useState('');
+  const [searchResults, setSearchResults] = useState(null);
   
   // Individual loading states for each bulk action
   const [publishingLoading, setPublishingLoading] = useState(false);
@@ -28,9 +44,71 @@ export default function ManageContentPage({ activeBlogId }) {
   const [exportingSelectedLoading, setExportingSelectedLoading] = useState(false);
   const [exportingAllLoading, setExportingAllLoading] = useState(false);
 
+  // Counts per status for the filter tabs; the "in_review" tab is the editors' review queue
+  const statusCounts = useMemo(() => {
+    return content.reduce((counts, item) => {
+      const status = item.status || 'draft';
+      counts[status] = (counts[status] || 0) + 1;
+      return counts;
+    }, {});
+  }, [content]);
+
+  // Search the blog's search index, including drafts, once typing pauses
+  useEffect(() => {
+    if (!currentUser?.uid || !activeBlogId || searchQuery.trim().length < 2) {
+      setSearchResults(null);
+      return;
+    }
+
+    let cancelled = false;
+    const timeout = setTimeout(async () => {
+      try {
+        const result = await searchService.search(currentUser.uid, activeBlogId, searchQuery, {
+          type: 'content',
+          limit: 100,
+          getAuthToken
+        });
+        if (!cancelled) setSearchResults(result.data);
+      } catch (err) {
+        if (!cancelled) {
+          setSearchResults([]);
+          toast.error(err.message || 'Search failed');
+        }
+      }
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timeout);
+    };
+  }, [searchQuery, currentUser?.uid, activeBlogId]);
+
+  // Search results keyed by content ID, for highlighted snippets
+  const searchMatches = useMemo(() => {
+    return new Map((searchResults || []).map(result => [result.id, result]));
+  }, [searchResults]);
+
+  const filteredContent = useMemo(() => {
+    const byStatus = statusFilter === 'all'
+      ? content
+      : content.filter(item => (item.status || 'draft') === statusFilter);
+    if (!searchResults) return byStatus;
+
+    // Keep the search ranking order
+    const rank = new Map(searchResults.map((result, index) => [result.id, index]));
+    return byStatus
+      .filter(item => rank.has(item.id))
+      .sort((a, b) => rank.get(a.id) - rank.get(b.id));
+  }, [content, statusFilter, searchResults]);
+
+  const handleStatusFilterChange = (status) => {
+    setStatusFilter(status);
+    setSelectedItems([]);
+  };
+
   const handleSelectAll = (selectAll) => {
     if (selectAll) {
-      setSelectedItems(content.map(item => item.id));
+      setSelectedItems(filteredContent.map(item => item.id));
     } else {
       setSelectedItems([]);
     }
@@ -70,7 +148,8 @@ export default function ManageContentPage({ activeBlogId }) {
         });
         
         if (!response.ok) {
-          throw new Error(`Failed to publish item ${itemId}`);
+          const errorData = await response.json().catch(() => ({}));
+          throw new Error(errorData.error || `Failed to publish item ${itemId}`);
         }
       });
 
@@ -83,7 +162,9 @@ export default function ManageContentPage({ activeBlogId }) {
       refetch();
     } catch (error) {
       console.error('Bulk publish error:', error);
-      toast.error('Failed to publish selected items');
+      toast.error(error.message || 'Failed to publish selected items');
+      invalidateCache();
+      refetch();
     } finally {
       setPublishingLoading(false);
     }
@@ -115,7 +196,8 @@ export default function ManageContentPage({ activeBlogId }) {
         });
         
         if (!response.ok) {
-          throw new Error(`Failed to unpublish item ${itemId}`);
+          const errorData = await response.json().catch(() => ({}));
+          throw new Error(errorData.error || `Failed to unpublish item ${itemId}`);
         }
       });
 
@@ -128,7 +210,9 @@ export default function ManageContentPage({ activeBlogId }) {
       refetch();
     } catch (error) {
       console.error('Bulk unpublish error:', error);
-      toast.error('Failed to unpublish selected items');
+      toast.error(error.message || 'Failed to unpublish selected items');
+      invalidateCache();
+      refetch();
     } finally {
       setUnpublishingLoading(false);
     }
@@ -174,7 +258,7 @@ export default function ManageContentPage({ activeBlogId }) {
 
       await Promise.all(promises);
       
-      toast.success(`Successfully deleted ${selectedItems.length} item${selectedItems.length !== 1 ? 's' : ''}`);
+      toast.success(`Moved ${selectedItems.length} item${selectedItems.length !== 1 ? 's' : ''} to the trash`);
       
       setSelectedItems([]);
       setBulkDeleteModal({ isOpen: false });
@@ -440,7 +524,7 @@ export default function ManageContentPage({ activeBlogId }) {
         throw new Error('Failed to delete content');
       }
       
-      toast.success('Content deleted successfully');
+      toast.success('Content moved to the trash');
       
       setDeleteModal({ isOpen: false, content: null });
       invalidateCache();
@@ -454,6 +538,42 @@ export default function ManageContentPage({ activeBlogId }) {
     }
   };
 
+  const handleTransition = async (contentItem, toStatus, comment) => {
+    try {
+      setTransitioningItemId(contentItem.id);
+      
+      const token = await getAuthToken();
+      const response = await fetch(`/.netlify/functions/admin-content`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({
+          id: contentItem.id,
+          blogId: activeBlogId,
+          status: toStatus,
+          workflowComment: comment.trim() || undefined
+        })
+      });
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || `HTTP ${response.status}`);
+      }
+
+      toast.success(`"${contentItem.title}" moved to ${getStatusLabel(toStatus)}`);
+      setWorkflowModal({ isOpen: false, content: null });
+      invalidateCache();
+      refetch();
+    } catch (error) {
+      console.error('Workflow transition error:', error);
+      toast.error(error.message || 'Failed to change status');
+    } finally {
+      setTransitioningItemId(null);
+    }
+  };
+
   const columns = [
     {
       key: 'featuredImageUrl',
@@ -481,22 +601,51 @@ export default function ManageContentPage({ activeBlogId }) {
       title: 'Title',
       render: (value, row) => (
         <div className="flex flex-col min-w-0">
-          <div className="text-sm sm:text-base font-medium text-foreground truncate mb-1">
-            {value}
+          <div className="flex items-center gap-2 min-w-0 mb-1">
+            <div className="text-sm sm:text-base font-medium text-foreground truncate">
+              {value}
+            </div>
+            <PresenceAvatars sessions={editorsByContent[row.id]} className="flex-shrink-0" />
           </div>
           <div className="text-xs sm:text-sm text-muted-foreground truncate">
             /{row.slug}
+            {row.contentType && (
+              <span className="ml-2 badge badge-secondary text-xs">{row.contentType}</span>
+            )}
           </div>
+          {searchMatches.get(row.id)?.highlights.snippet && (
+            // Snippets are HTML-escaped by the search API, with matches wrapped in <mark>
+            <div
+              className="text-xs text-muted-foreground mt-1 line-clamp-2 whitespace-normal"
+              dangerouslySetInnerHTML={{ __html: searchMatches.get(row.id).highlights.snippet }}
+            />
+          )}
         </div>
       )
     },
     {
       key: 'status',
       title: 'Status',
-      render: (value) => (
-        <span className={`badge ${getStatusBadgeClass(value)} text-xs sm:text-sm`}>
-          {value}
-        </span>
+      render: (value, row) => (
+        <div className="flex flex-col items-start">
+          <span className={`badge ${getStatusBadgeClass(value)} text-xs sm:text-sm`}>
+            {getStatusLabel(value)}
+          </span>
+          {value === 'scheduled' && row.publishAt && (
+            <span className="text-xs text-muted-foreground mt-1">
+              {format(row.publishAt, 'MMM dd, yyyy HH:mm')}
+            </span>
+          )}
+          {row.lastTransition?.comment && row.lastTransition.to === value && (
+            <span
+              className="flex items-center text-xs text-muted-foreground mt-1 max-w-[12rem]"
+              title={row.lastTransition.comment}
+            >
+              <MessageSquare className="h-3 w-3 mr-1 flex-shrink-0" />
+              <span className="truncate">{row.lastTransition.comment}</span>
+            </span>
+          )}
+        </div>
       )
     },
     {
@@ -549,6 +698,21 @@ export default function ManageContentPage({ activeBlogId }) {
           >
             <Edit className="h-4 w-4" />
           </Link>
+          <button
+            onClick={() => setWorkflowModal({ isOpen: true, content: row })}
+            disabled={transitioningItemId === row.id}
+            className="text-amber-600 p-2 rounded-md hover:bg-amber-50 transition-colors duration-200"
+            title={row.status === 'in_review' ? 'Review' : 'Change Status'}
+          >
+            <ListChecks className="h-4 w-4" />
+          </button>
+          <button
+            onClick={() => setDiffModal({ isOpen: true, content: row })}
+            className="text-purple-600 p-2 rounded-md hover:bg-purple-50 transition-colors duration-200"
+            title="Compare Revisions"
+          >
+            <GitCompare className="h-4 w-4" />
+          </button>
           <button
             onClick={() => setAnalyticsModal({ isOpen: true, content: row })}
             className="text-blue-600 p-2 rounded-md hover:bg-blue-50 transition-colors duration-200"
@@ -718,14 +882,35 @@ export default function ManageContentPage({ activeBlogId }) {
           </div>
         ) : (
           <div className="card">
+            {/* Workflow status filters */}
+            <div className="flex flex-wrap gap-2 p-4 border-b border-border">
+              {['all', ...CONTENT_STATUSES].map(status => (
+                <button
+                  key={status}
+                  onClick={() => handleStatusFilterChange(status)}
+                  className={`${statusFilter === status ? 'btn-primary' : 'btn-ghost'} btn-sm inline-flex items-center`}
+                >
+                  {status === 'all' ? 'All' : getStatusLabel(status)}
+                  <span className="ml-2 text-xs opacity-75">
+                    {status === 'all' ? content.length : (statusCounts[status] || 0)}
+                  </span>
+                </button>
+              ))}
+            </div>
+            {statusFilter === 'in_review' && (
+              <div className="px-6 py-3 text-sm text-muted-foreground border-b border-border">
+                Review queue: open an item with the review action to approve it or request changes.
+              </div>
+            )}
             <div className="card-content p-0">
               <DataTable
-                data={content}
+                key={statusFilter}
+                data={filteredContent}
                 columns={columns}
                 searchable={true}
                 filterable={true}
                 filterOptions={{
-                  statuses: ['draft', 'published'],
+                  statuses: CONTENT_STATUSES,
                   categories: true,
                   tags: true,
                   dateRange: true
@@ -737,6 +922,9 @@ export default function ManageContentPage({ activeBlogId }) {
                 selectedItems={selectedItems}
                 onSelectAll={handleSelectAll}
                 onSelectRow={handleSelectRow}
+                searchValue={searchQuery}
+                onSearchChange={setSearchQuery}
+                searchPlaceholder="Search titles, text and tags..."
               />
             </div>
           </div>
@@ -756,7 +944,7 @@ export default function ManageContentPage({ activeBlogId }) {
             Are you sure you want to delete "{deleteModal.content.title}"?
           </p>
           <p className="text-sm text-muted-foreground">
-            This action cannot be undone.
+            It will be moved to the trash, where it can be restored until it is permanently deleted.
           </p>
           <div className="flex justify-end space-x-4 pt-4">
             <button
@@ -772,9 +960,9 @@ export default function ManageContentPage({ activeBlogId }) {
               className="btn-danger"
             >
               {deletingItemId === deleteModal.content.id ? (
-                'Deleting...'
+                'Moving...'
               ) : (
-                'Delete'
+                'Move to Trash'
               )}
             </button>
           </div>
@@ -798,6 +986,39 @@ export default function ManageContentPage({ activeBlogId }) {
         )}
       </Modal>
 
+      {/* Revision Diff Modal */}
+      <Modal
+        isOpen={diffModal.isOpen}
+        onClose={() => setDiffModal({ isOpen: false, content: null })}
+        title={`Compare Revisions: ${diffModal.content?.title}`}
+        size="xl"
+      >
+        {diffModal.content && (
+          <RevisionDiffViewer
+            contentId={diffModal.content.id}
+            blogId={activeBlogId}
+          />
+        )}
+      </Modal>
+
+      {/* Workflow Modal */}
+      <Modal
+        isOpen={workflowModal.isOpen}
+        onClose={() => setWorkflowModal({ isOpen: false, content: null })}
+        title={workflowModal.content?.status === 'in_review' ? 'Review Content' : 'Change Status'}
+        size="md"
+      >
+        {workflowModal.content && (
+          <ContentWorkflowModal
+            contentItem={workflowModal.content}
+            workflow={workflow}
+            onTransition={handleTransition}
+            onCancel={() => setWorkflowModal({ isOpen: false, content: null })}
+            submitting={transitioningItemId === workflowModal.content.id}
+          />
+        )}
+      </Modal>
+
       {/* Bulk Delete Confirmation Modal */}
       <Modal
         isOpen={bulkDeleteModal.isOpen}
@@ -815,7 +1036,7 @@ export default function ManageContentPage({ activeBlogId }) {
                 Delete {selectedItems.length} Content Item{selectedItems.length !== 1 ? 's' : ''}?
               </h3>
               <p className="text-base text-muted-foreground mb-4">
-                Are you sure you want to delete the {selectedItems.length} selected content item{selectedItems.length !== 1 ? 's' : ''}?
+                Are you sure you want to delete the {selectedItems.length} selected content item{selectedItems.length !== 1 ? 's' : ''}? They will be moved to the trash, where they can be restored until they are permanently deleted.
               </p>
             </div>
           </div>
@@ -848,6 +1069,94 @@ export default function ManageContentPage({ activeBlogId }) {
   );
 }
 
+// Content Workflow Modal Component
+function ContentWorkflowModal({ contentItem, workflow, onTransition, onCancel, submitting }) {
+  const currentStatus = contentItem.status || 'draft';
+  // Scheduling needs a publish time, which is set in the editor
+  const targets = getAllowedTransitions(currentStatus, workflow).filter(status => status !== 'scheduled');
+  const [toStatus, setToStatus] = useState(targets[0] || '');
+  const [comment, setComment] = useState('');
+
+  const getActionLabel = (status) => {
+    if (currentStatus === 'in_review' && status === 'approved') return 'Approve';
+    if (currentStatus === 'in_review' && status === 'draft') return 'Request changes';
+    if (status === 'in_review') return 'Submit for review';
+    return `Move to ${getStatusLabel(status)}`;
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <p className="text-base font-medium text-foreground">{contentItem.title}</p>
+        <p className="text-sm text-muted-foreground mt-1">
+          Current status:{' '}
+          <span className={`badge ${getStatusBadgeClass(currentStatus)} text-xs`}>
+            {getStatusLabel(currentStatus)}
+          </span>
+        </p>
+      </div>
+
+      {targets.length === 0 ? (
+        <p className="text-sm text-muted-foreground">
+          No status changes are available from here. Use the editor to schedule this content.
+        </p>
+      ) : (
+        <>
+          <div className="flex flex-wrap gap-2">
+            {targets.map(status => (
+              <button
+                key={status}
+                type="button"
+                onClick={() => setToStatus(status)}
+                className={`${toStatus === status ? 'btn-primary' : 'btn-secondary'} btn-sm`}
+              >
+                {getActionLabel(status)}
+              </button>
+            ))}
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-foreground mb-2">
+              Comment (optional)
+            </label>
+            <textarea
+              rows={4}
+              maxLength={1000}
+              className="input-field resize-none"
+              value={comment}
+              onChange={(e) => setComment(e.target.value)}
+              placeholder={currentStatus === 'in_review' ? 'Feedback for the writer' : 'Notes about this status change'}
+            />
+          </div>
+
+          {workflow.requireReview && !targets.includes('published') && (
+            <p className="text-sm text-muted-foreground">
+              This blog requires content to be approved before it is published.
+            </p>
+          )}
+        </>
+      )}
+
+      <div className="flex justify-end space-x-4 pt-4 border-t border-border">
+        <button
+          onClick={onCancel}
+          disabled={submitting}
+          className="btn-secondary"
+        >
+          Cancel
+        </button>
+        <button
+          onClick={() => onTransition(contentItem, toStatus, comment)}
+          disabled={submitting || !toStatus}
+          className="btn-primary"
+        >
+          {submitting ? 'Saving...' : getActionLabel(toStatus || currentStatus)}
+        </button>
+      </div>
+    </div>
+  );
+}
+
 // Content Analytics Modal Component
 function ContentAnalyticsModal({ contentId, contentTitle, activeBlogId }) {
   const [period, setPeriod] = useState(30);
@@ -191,7 +191,7 @@ export default function ManageProductsPage({ activeBlogId }) {
 
       await Promise.all(promises);
       
-      toast.success(`Successfully deleted ${selectedItems.length} product${selectedItems.length !== 1 ? 's' : ''}`);
+      toast.success(`Moved ${selectedItems.length} product${selectedItems.length !== 1 ? 's' : ''} to the trash`);
       
       setSelectedItems([]);
       setBulkDeleteModal({ isOpen: false });
@@ -418,7 +418,7 @@ export default function ManageProductsPage({ activeBlogId }) {
         throw new Error('Failed to delete product');
       }
       
-      toast.success('Product deleted successfully');
+      toast.success('Product moved to the trash');
       
       setDeleteModal({ isOpen: false, product: null });
     } catch (error) {
@@ -517,10 +517,17 @@ export default function ManageProductsPage({ activeBlogId }) {
     {
       key: 'status',
       title: 'Status',
-      render: (value) => (
-        <span className={`badge ${getStatusBadgeClass(value)} text-xs sm:text-sm`}>
-          {value}
-        </span>
+      render: (value, row) => (
+        <div className="flex flex-col items-start">
+          <span className={`badge ${getStatusBadgeClass(value)} text-xs sm:text-sm`}>
+            {value}
+          </span>
+          {value === 'scheduled' && row.publishAt && (
+            <span className="text-xs text-muted-foreground mt-1">
+              {format(row.publishAt, 'MMM dd, yyyy HH:mm')}
+            </span>
+          )}
+        </div>
       )
     },
     {
@@ -734,7 +741,7 @@ export default function ManageProductsPage({ activeBlogId }) {
                 searchable={true}
                 filterable={true}
                 filterOptions={{
-                  statuses: ['draft', 'published'],
+                  statuses: ['draft', 'published', 'scheduled'],
                   categories: true,
                   tags: true,
                   dateRange: true
@@ -764,7 +771,7 @@ export default function ManageProductsPage({ activeBlogId }) {
             Are you sure you want to delete "{deleteModal.product?.name}"?
           </p>
           <p className="text-sm text-muted-foreground">
-            This action cannot be undone.
+            It will be moved to the trash, where it can be restored until it is permanently deleted.
           </p>
           <div className="flex justify-end space-x-4 pt-4">
             <button
@@ -780,9 +787,9 @@ export default function ManageProductsPage({ activeBlogId }) {
               className="btn-danger"
             >
               {deletingItemId === deleteModal.product?.id ? (
-                'Deleting...'
+                'Moving...'
               ) : (
-                'Delete'
+                'Move to Trash'
               )}
             </button>
           </div>
@@ -806,7 +813,7 @@ export default function ManageProductsPage({ activeBlogId }) {
                 Delete {selectedItems.length} Product{selectedItems.length !== 1 ? 's' : ''}?
               </h3>
               <p className="text-base text-muted-foreground mb-4">
-                Are you sure you want to delete the {selectedItems.length} selected product{selectedItems.length !== 1 ? 's' : ''}?
+                Are you sure you want to delete the {selectedItems.length} selected product{selectedItems.length !== 1 ? 's' : ''}? They will be moved to the trash, where they can be restored until they are permanently deleted.
               </p>
             </div>
           </div>
@@ -16,7 +16,8 @@ export default function AccountSettingsPage() {
     displayName: '',
     bio: '',
     website: '',
-    location: ''
+    location: '',
+    publishAuthorProfile: false
   });
   const [loading, setLoading] = useState(false);
   const [saved, setSaved] = useState(false);
@@ -91,7 +92,8 @@ export default function AccountSettingsPage() {
         displayName: settings.displayName || '',
         bio: settings.bio || '',
         website: settings.website || '',
-        location: settings.location || ''
+        location: settings.location || '',
+        publishAuthorProfile: settings.publishAuthorProfile === true
       });
     } catch (error) {
       console.error('Error fetching user settings:', {
@@ -143,11 +145,18 @@ export default function AccountSettingsPage() {
 
     setProfileLoading(true);
     try {
-      await settingsService.setUserSettings(currentUser.uid, {
+      const profile = {
         displayName: profileData.displayName.trim(),
         bio: profileData.bio.trim(),
         website: profileData.website.trim(),
         location: profileData.location.trim()
+      };
+      const { publishAuthorProfile } = profileData;
+      await settingsService.setUserSettings(currentUser.uid, { ...profile, publishAuthorProfile });
+      // The public copy is what the content API embeds for ?include=author; it only exists while the
+      // owner chooses to publish it, and is removed when they stop
+      await settingsService.setPublicAppSettings(currentUser.uid, {
+        authorProfile: publishAuthorProfile ? profile : null
       });
 
       if (profileData.displayName.trim() !== currentUser.displayName) {
@@ -173,10 +182,10 @@ export default function AccountSettingsPage() {
   };
 
   const handleProfileInputChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     setProfileData(prev => ({
       ...prev,
-      [name]: value
+      [name]: type === 'checkbox' ? checked : value
     }));
     if (profileSaved) {
       setProfileSaved(false);
@@ -253,6 +262,24 @@ export default function AccountSettingsPage() {
                     disabled={profileLoading}
                   />
                 </div>
+                <div className="md:col-span-2 p-4 bg-muted/50 border border-border rounded-lg">
+                  <label className="flex items-start gap-3 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      name="publishAuthorProfile"
+                      className="w-4 h-4 mt-0.5 text-primary"
+                      checked={profileData.publishAuthorProfile}
+                      onChange={handleProfileInputChange}
+                      disabled={profileLoading}
+                    />
+                    <span>
+                      <span className="block text-sm font-medium text-foreground">Publish as author profile</span>
+                      <span className="block text-xs text-muted-foreground mt-1">
+                        Anyone can read your display name, website, location and bio through the public content API of your blogs (<code>?include=author</code>). Turn this off and save to remove them.
+                      </span>
+                    </span>
+                  </label>
+                </div>
               </div>
               <div className="mt-6 flex justify-end">
                 <LoadingButton
@@ -0,0 +1,474 @@
+import React, { useState, useMemo } from 'react';
+import { useAuth } from '@/hooks/useAuth';
+import { useTaxonomy } from '@/hooks/useTaxonomy';
+import { taxonomyService } from '@/services/taxonomyService';
+import Modal from '@/components/shared/Modal';
+import InputField from '@/components/shared/InputField';
+import { TableSkeleton } from '@/components/shared/SkeletonLoader';
+import { FolderTree, Plus, Edit, Trash2, Merge, AlertTriangle } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const KINDS = [
+  { kind: 'category', label: 'Categories', singular: 'Category' },
+  { kind: 'tag', label: 'Tags', singular: 'Tag' }
+];
+
+const EMPTY_TERM = { name: '', description: '', parentId: '' };
+
+// Order categories depth-first under their parents; names outside the taxonomy stay at the top level
+const buildTermRows = (terms) => {
+  const ids = new Set(terms.filter(term => term.id).map(term => term.id));
+  const rows = [];
+  const visited = new Set();
+
+  const addTerm = (term, depth) => {
+    if (visited.has(term)) return;
+    visited.add(term);
+    rows.push({ term, depth });
+    terms
+      .filter(child => term.id && child.parentId === term.id)
+      .forEach(child => addTerm(child, depth + 1));
+  };
+
+  terms
+    .filter(term => !term.parentId || !ids.has(term.parentId))
+    .forEach(term => addTerm(term, 0));
+
+  return rows;
+};
+
+// Collect a category and all of its subcategories, which cannot become its parent
+const getDescendantIds = (terms, termId) => {
+  const ids = new Set([termId]);
+  let added = true;
+  while (added) {
+    added = false;
+    terms.forEach(term => {
+      if (term.id && term.parentId && ids.has(term.parentId) && !ids.has(term.id)) {
+        ids.add(term.id);
+        added = true;
+      }
+    });
+  }
+  return ids;
+};
+
+const formatUpdatedCount = (count) => (
+  count > 0 ? ` ${count} item${count === 1 ? '' : 's'} updated.` : ''
+);
+
+export default function TaxonomyPage({ activeBlogId }) {
+  const { getAuthToken } = useAuth();
+  const { categories, tags, loading, error, refetch } = useTaxonomy(activeBlogId);
+  const [activeKind, setActiveKind] = useState('category');
+  const [editor, setEditor] = useState({ isOpen: false, original: null, term: EMPTY_TERM });
+  const [saving, setSaving] = useState(false);
+  const [selectedNames, setSelectedNames] = useState([]);
+  const [mergeModal, setMergeModal] = useState({ isOpen: false, targetName: '' });
+  const [merging, setMerging] = useState(false);
+  const [deleteModal, setDeleteModal] = useState({ isOpen: false, term: null });
+  const [deleting, setDeleting] = useState(false);
+
+  const kindInfo = KINDS.find(item => item.kind === activeKind);
+  const terms = activeKind === 'category' ? categories : tags;
+  const isCategory = activeKind === 'category';
+  const rows = useMemo(() => (isCategory ? buildTermRows(terms) : terms.map(term => ({ term, depth: 0 }))), [terms, isCategory]);
+
+  // Categories that can be chosen as the parent of the term being edited
+  const parentOptions = useMemo(() => {
+    if (!isCategory) return [];
+    const excluded = editor.original?.id ? getDescendantIds(terms, editor.original.id) : new Set();
+    return rows.filter(({ term }) => term.id && !excluded.has(term.id));
+  }, [rows, terms, isCategory, editor.original]);
+
+  const handleKindChange = (kind) => {
+    setActiveKind(kind);
+    setSelectedNames([]);
+  };
+
+  const toggleSelected = (name) => {
+    setSelectedNames(prev => prev.includes(name) ? prev.filter(item => item !== name) : [...prev, name]);
+  };
+
+  const openCreate = () => {
+    setEditor({ isOpen: true, original: null, term: EMPTY_TERM });
+  };
+
+  const openEdit = (term) => {
+    setEditor({
+      isOpen: true,
+      original: term,
+      term: { name: term.name, description: term.description || '', parentId: term.parentId || '' }
+    });
+  };
+
+  const closeEditor = () => {
+    setEditor(prev => ({ ...prev, isOpen: false }));
+  };
+
+  const updateEditorTerm = (changes) => {
+    setEditor(prev => ({ ...prev, term: { ...prev.term, ...changes } }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    const { original, term } = editor;
+    const name = term.name.trim();
+    if (!name) {
+      toast.error('Name is required');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      if (original) {
+        // Unmanaged names are added to the taxonomy by saving them under their current name
+        const result = await taxonomyService.updateTerm(getAuthToken, activeBlogId, {
+          kind: activeKind,
+          name: original.name,
+          newName: name,
+          description: term.description,
+          parentId: isCategory ? term.parentId || null : undefined
+        });
+        toast.success(`${kindInfo.singular} "${name}" saved.${formatUpdatedCount(result.updatedCount)}`);
+      } else {
+        await taxonomyService.createTerm(getAuthToken, activeBlogId, {
+          kind: activeKind,
+          name,
+          description: term.description,
+          parentId: isCategory ? term.parentId || null : null
+        });
+        toast.success(`${kindInfo.singular} "${name}" created`);
+      }
+      closeEditor();
+      refetch();
+    } catch (err) {
+      toast.error(err.message || `Failed to save ${kindInfo.singular.toLowerCase()}`);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const openMerge = () => {
+    setMergeModal({ isOpen: true, targetName: selectedNames[0] || '' });
+  };
+
+  const handleMerge = async () => {
+    const targetName = mergeModal.targetName.trim();
+    if (!targetName) {
+      toast.error('Choose the name to merge into');
+      return;
+    }
+
+    try {
+      setMerging(true);
+      const result = await taxonomyService.mergeTerms(getAuthToken, activeBlogId, {
+        kind: activeKind,
+        sourceNames: selectedNames.filter(name => name !== targetName),
+        targetName
+      });
+      toast.success(`Merged into "${targetName}".${formatUpdatedCount(result.updatedCount)}`);
+      setMergeModal({ isOpen: false, targetName: '' });
+      setSelectedNames([]);
+      refetch();
+    } catch (err) {
+      toast.error(err.message || 'Failed to merge');
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    const { term } = deleteModal;
+    try {
+      setDeleting(true);
+      const result = await taxonomyService.deleteTerm(getAuthToken, activeBlogId, { kind: activeKind, name: term.name });
+      toast.success(`${kindInfo.singular} "${term.name}" deleted.${formatUpdatedCount(result.updatedCount)}`);
+      setDeleteModal({ isOpen: false, term: null });
+      setSelectedNames(prev => prev.filter(name => name !== term.name));
+      refetch();
+    } catch (err) {
+      toast.error(err.message || `Failed to delete ${kindInfo.singular.toLowerCase()}`);
+    } finally {
+      setDeleting(false);
+    }
+  };
+
+  return (
+    <div className="section-spacing">
+      <div className="page-header mb-12">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-6">
+          <div>
+            <h1 className="page-title mb-2">Taxonomy</h1>
+            <p className="page-description">
+              Organize the categories and tags used by your content and products.
+            </p>
+          </div>
+          <button onClick={openCreate} className="btn-primary inline-flex items-center">
+            <Plus className="h-5 w-5 mr-2" />
+            New {kindInfo.singular}
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="card">
+          <div className="card-content p-0">
+            <TableSkeleton rows={5} columns={4} />
+          </div>
+        </div>
+      ) : error ? (
+        <div className="card border-red-200 bg-red-50">
+          <div className="card-content p-8 text-center">
+            <AlertTriangle className="h-16 w-16 mx-auto mb-6 text-red-500" />
+            <h3 className="text-xl font-bold text-red-800 mb-4">Error Loading Taxonomy</h3>
+            <p className="text-red-700 mb-6">{error}</p>
+            <button onClick={refetch} className="btn-secondary">
+              Try Again
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="card">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 p-4 border-b border-border">
+            <div className="flex flex-wrap gap-2">
+              {KINDS.map(({ kind, label }) => (
+                <button
+                  key={kind}
+                  onClick={() => handleKindChange(kind)}
+                  className={`${activeKind === kind ? 'btn-primary' : 'btn-ghost'} btn-sm inline-flex items-center`}
+                >
+                  {label}
+                  <span className="ml-2 text-xs opacity-75">
+                    {(kind === 'category' ? categories : tags).length}
+                  </span>
+                </button>
+              ))}
+            </div>
+            <button
+              onClick={openMerge}
+              disabled={selectedNames.length < 2}
+              className="btn-secondary btn-sm inline-flex items-center"
+              title="Select two or more to merge"
+            >
+              <Merge className="h-4 w-4 mr-2" />
+              Merge Selected{selectedNames.length > 0 ? ` (${selectedNames.length})` : ''}
+            </button>
+          </div>
+
+          {rows.length === 0 ? (
+            <div className="card-content text-center py-20">
+              <FolderTree className="mx-auto h-16 w-16 text-muted-foreground mb-6" />
+              <h3 className="text-2xl font-semibold text-foreground mb-4">No {kindInfo.label.toLowerCase()} yet</h3>
+              <p className="text-lg text-muted-foreground mb-8">
+                {kindInfo.label} added here or used by content and products will appear in this list.
+              </p>
+              <button onClick={openCreate} className="btn-primary inline-flex items-center">
+                <Plus className="h-5 w-5 mr-2" />
+                New {kindInfo.singular}
+              </button>
+            </div>
+          ) : (
+            <div className="card-content p-0 overflow-x-auto">
+              <table className="w-full">
+                <thead className="bg-muted/50">
+                  <tr>
+                    <th className="w-12 px-6 py-4"></th>
+                    <th className="px-6 py-4 text-left text-sm font-medium text-muted-foreground">Name</th>
+                    <th className="px-6 py-4 text-right text-sm font-medium text-muted-foreground">Content</th>
+                    <th className="px-6 py-4 text-right text-sm font-medium text-muted-foreground">Products</th>
+                    <th className="px-6 py-4 text-right text-sm font-medium text-muted-foreground">Actions</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-border">
+                  {rows.map(({ term, depth }) => (
+                    <tr key={term.id || `unmanaged-${term.name}`} className="hover:bg-muted/30">
+                      <td className="px-6 py-4">
+                        <input
+                          type="checkbox"
+                          className="w-4 h-4 text-primary"
+                          checked={selectedNames.includes(term.name)}
+                          onChange={() => toggleSelected(term.name)}
+                        />
+                      </td>
+                      <td className="px-6 py-4">
+                        <div style={{ paddingLeft: `${depth * 1.5}rem` }}>
+                          <div className="flex items-center gap-2">
+                            {depth > 0 && <span className="text-muted-foreground">↳</span>}
+                            <span className="font-medium text-foreground">{term.name}</span>
+                            {!term.managed && (
+                              <span className="badge badge-secondary text-xs" title="Used by items but not added to the taxonomy">
+                                Not managed
+                              </span>
+                            )}
+                          </div>
+                          {term.description && (
+                            <p className="text-sm text-muted-foreground mt-1">{term.description}</p>
+                          )}
+                        </div>
+                      </td>
+                      <td className="px-6 py-4 text-right text-sm text-foreground">{term.contentCount}</td>
+                      <td className="px-6 py-4 text-right text-sm text-foreground">{term.productCount}</td>
+                      <td className="px-6 py-4">
+                        <div className="flex items-center justify-end space-x-1">
+                          <button
+                            onClick={() => openEdit(term)}
+                            className="text-primary p-2 rounded-md hover:bg-primary/10 transition-colors duration-200"
+                            title={term.managed ? 'Edit' : 'Add to taxonomy'}
+                          >
+                            {term.managed ? <Edit className="h-4 w-4" /> : <Plus className="h-4 w-4" />}
+                          </button>
+                          <button
+                            onClick={() => setDeleteModal({ isOpen: true, term })}
+                            className="text-destructive p-2 rounded-md hover:bg-destructive/10 transition-colors duration-200"
+                            title="Delete"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Create / Edit Modal */}
+      <Modal
+        isOpen={editor.isOpen}
+        onClose={closeEditor}
+        title={editor.original
+          ? (editor.original.managed ? `Edit ${editor.original.name}` : `Add ${editor.original.name} to Taxonomy`)
+          : `New ${kindInfo.singular}`}
+        size="md"
+      >
+        <form onSubmit={handleSave} className="space-y-6">
+          <InputField
+            label="Name"
+            name="name"
+            required
+            value={editor.term.name}
+            onChange={(e) => updateEditorTerm({ name: e.target.value })}
+          />
+
+          {isCategory && (
+            <div>
+              <label className="block text-base font-medium text-foreground mb-3">Parent Category</label>
+              <select
+                className="input-field"
+                value={editor.term.parentId}
+                onChange={(e) => updateEditorTerm({ parentId: e.target.value })}
+              >
+                <option value="">None (top level)</option>
+                {parentOptions.map(({ term, depth }) => (
+                  <option key={term.id} value={term.id}>
+                    {'\u00A0\u00A0'.repeat(depth)}{term.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div>
+            <label className="block text-base font-medium text-foreground mb-3">Description</label>
+            <textarea
+              rows={3}
+              className="input-field resize-none"
+              value={editor.term.description}
+              onChange={(e) => updateEditorTerm({ description: e.target.value })}
+            />
+          </div>
+
+          {editor.original && editor.original.name !== editor.term.name.trim() && (
+            <p className="text-sm text-muted-foreground">
+              Renaming updates every content item and product that uses "{editor.original.name}".
+            </p>
+          )}
+
+          <div className="flex justify-end space-x-4 pt-4 border-t border-border">
+            <button type="button" onClick={closeEditor} disabled={saving} className="btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={saving} className="btn-primary">
+              {saving ? 'Saving...' : 'Save'}
+            </button>
+          </div>
+        </form>
+      </Modal>
+
+      {/* Merge Modal */}
+      <Modal
+        isOpen={mergeModal.isOpen}
+        onClose={() => setMergeModal({ isOpen: false, targetName: '' })}
+        title={`Merge ${kindInfo.label}`}
+        size="sm"
+      >
+        <div className="space-y-4">
+          <p className="text-base text-foreground">
+            Merge {selectedNames.map(name => `"${name}"`).join(', ')} into:
+          </p>
+          <select
+            className="input-field"
+            value={mergeModal.targetName}
+            onChange={(e) => setMergeModal(prev => ({ ...prev, targetName: e.target.value }))}
+          >
+            {selectedNames.map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+          <p className="text-sm text-muted-foreground">
+            Every content item and product using the other names will use this one instead.
+          </p>
+          <div className="flex justify-end space-x-4 pt-4">
+            <button
+              onClick={() => setMergeModal({ isOpen: false, targetName: '' })}
+              disabled={merging}
+              className="btn-secondary"
+            >
+              Cancel
+            </button>
+            <button onClick={handleMerge} disabled={merging} className="btn-primary">
+              {merging ? 'Merging...' : 'Merge'}
+            </button>
+          </div>
+        </div>
+      </Modal>
+
+      {/* Delete Confirmation Modal */}
+      <Modal
+        isOpen={deleteModal.isOpen}
+        onClose={() => setDeleteModal({ isOpen: false, term: null })}
+        title={`Delete ${kindInfo.singular}`}
+        size="sm"
+      >
+        {deleteModal.term && (
+          <div className="space-y-4">
+            <p className="text-base text-foreground">
+              Delete "{deleteModal.term.name}"?
+            </p>
+            <p className="text-sm text-muted-foreground">
+              It will be removed from {deleteModal.term.contentCount} content item{deleteModal.term.contentCount === 1 ? '' : 's'} and {deleteModal.term.productCount} product{deleteModal.term.productCount === 1 ? '' : 's'}.
+              {isCategory && deleteModal.term.managed && ' Its subcategories move up to its parent.'}
+            </p>
+            <div className="flex justify-end space-x-4 pt-4">
+              <button
+                onClick={() => setDeleteModal({ isOpen: false, term: null })}
+                disabled={deleting}
+                className="btn-secondary"
+              >
+                Cancel
+              </button>
+              <button onClick={handleDelete} disabled={deleting} className="btn-danger">
+                {deleting ? 'Deleting...' : 'Delete'}
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+}
@@ -0,0 +1,280 @@
+import React, { useState, useEffect } from 'react';
+import { useAuth } from '@/hooks/useAuth';
+import { useTrash } from '@/hooks/useTrash';
+import { useContent } from '@/hooks/useContent';
+import { useProducts } from '@/hooks/useProducts';
+import { blogService } from '@/services/blogService';
+import DataTable from '@/components/shared/DataTable';
+import { TableSkeleton } from '@/components/shared/SkeletonLoader';
+import Modal from '@/components/shared/Modal';
+import { Trash2, RotateCcw, AlertTriangle, FileText, Package } from 'lucide-react';
+import { format } from 'date-fns';
+import { getStatusBadgeClass } from '@/utils/helpers';
+import { getStatusLabel } from '@/utils/workflow';
+import toast from 'react-hot-toast';
+
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Admin function and labels for each kind of trashed item
+const TRASH_TYPES = {
+  content: { endpoint: 'admin-content', label: 'Content', titleKey: 'title' },
+  products: { endpoint: 'admin-product', label: 'Products', titleKey: 'name' }
+};
+
+export default function TrashPage({ activeBlogId }) {
+  const { currentUser, getAuthToken } = useAuth();
+  const { trashedContent, trashedProducts, loading, error, refetch } = useTrash(activeBlogId);
+  const { invalidateCache: invalidateContentCache } = useContent(activeBlogId);
+  const { invalidateCache: invalidateProductsCache } = useProducts(activeBlogId);
+  const [activeType, setActiveType] = useState('content');
+  const [retentionDays, setRetentionDays] = useState(DEFAULT_TRASH_RETENTION_DAYS);
+  const [restoringItemId, setRestoringItemId] = useState(null);
+  const [deletingItemId, setDeletingItemId] = useState(null);
+  const [deleteModal, setDeleteModal] = useState({ isOpen: false, item: null });
+
+  useEffect(() => {
+    if (!currentUser?.uid || !activeBlogId) return;
+
+    blogService.getBlogById(currentUser.uid, activeBlogId)
+      .then(blog => setRetentionDays(blog.trashRetentionDays || DEFAULT_TRASH_RETENTION_DAYS))
+      .catch(err => console.error('Error fetching trash retention:', err));
+  }, [currentUser?.uid, activeBlogId]);
+
+  const items = activeType === 'content' ? trashedContent : trashedProducts;
+  const { endpoint, titleKey } = TRASH_TYPES[activeType];
+
+  const invalidateActiveCache = () => {
+    if (activeType === 'content') {
+      invalidateContentCache();
+    } else {
+      invalidateProductsCache();
+    }
+  };
+
+  const sendTrashRequest = async (method, body) => {
+    const token = await getAuthToken();
+    const response = await fetch(`/.netlify/functions/${endpoint}`, {
+      method,
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': `Bearer ${token}`
+      },
+      body: JSON.stringify({ ...body, blogId: activeBlogId })
+    });
+
+    if (!response.ok) {
+      const errorData = await response.json().catch(() => ({}));
+      throw new Error(errorData.error || `HTTP ${response.status}`);
+    }
+  };
+
+  const handleRestore = async (item) => {
+    try {
+      setRestoringItemId(item.id);
+      await sendTrashRequest('PUT', { id: item.id, restore: true });
+      toast.success(`"${item[titleKey]}" restored`);
+      invalidateActiveCache();
+      refetch();
+    } catch (err) {
+      console.error('Error restoring item:', err);
+      toast.error(err.message || 'Failed to restore item');
+    } finally {
+      setRestoringItemId(null);
+    }
+  };
+
+  const handlePermanentDelete = async (item) => {
+    try {
+      setDeletingItemId(item.id);
+      await sendTrashRequest('DELETE', { id: item.id, permanent: true });
+      toast.success(`"${item[titleKey]}" permanently deleted`);
+      setDeleteModal({ isOpen: false, item: null });
+      refetch();
+    } catch (err) {
+      console.error('Error permanently deleting item:', err);
+      toast.error(err.message || 'Failed to delete item');
+    } finally {
+      setDeletingItemId(null);
+    }
+  };
+
+  const columns = [
+    {
+      key: titleKey,
+      title: activeType === 'content' ? 'Title' : 'Product',
+      render: (value, row) => (
+        <div className="flex flex-col min-w-0">
+          <div className="text-sm sm:text-base font-medium text-foreground truncate mb-1">
+            {value}
+          </div>
+          <div className="text-xs sm:text-sm text-muted-foreground truncate">
+            /{row.slug}
+          </div>
+        </div>
+      )
+    },
+    {
+      key: 'status',
+      title: 'Status',
+      render: (value) => (
+        <span className={`badge ${getStatusBadgeClass(value)} text-xs sm:text-sm`}>
+          {getStatusLabel(value)}
+        </span>
+      )
+    },
+    {
+      key: 'deletedAt',
+      title: 'Deleted',
+      render: (value) => (
+        <span className="text-sm sm:text-base text-foreground">
+          {value ? format(value, 'MMM dd, yyyy HH:mm') : 'N/A'}
+        </span>
+      )
+    },
+    {
+      key: 'purgeAt',
+      title: 'Permanently Deleted',
+      render: (value) => (
+        <span className="text-sm sm:text-base text-muted-foreground">
+          {value ? format(value, 'MMM dd, yyyy') : 'N/A'}
+        </span>
+      )
+    },
+    {
+      key: 'actions',
+      title: 'Actions',
+      sortable: false,
+      render: (_, row) => (
+        <div className="flex items-center space-x-1">
+          <button
+            onClick={() => handleRestore(row)}
+            disabled={restoringItemId === row.id}
+            className="text-primary p-2 rounded-md hover:bg-primary/10 transition-colors duration-200"
+            title="Restore"
+          >
+            {restoringItemId === row.id ? (
+              <div className="animate-spin rounded-full h-4 w-4 border-b-2 border-primary"></div>
+            ) : (
+              <RotateCcw className="h-4 w-4" />
+            )}
+          </button>
+          <button
+            onClick={() => setDeleteModal({ isOpen: true, item: row })}
+            disabled={deletingItemId === row.id}
+            className="text-destructive p-2 rounded-md hover:bg-destructive/10 transition-colors duration-200"
+            title="Delete Permanently"
+          >
+            <Trash2 className="h-4 w-4" />
+          </button>
+        </div>
+      )
+    }
+  ];
+
+  return (
+    <div className="section-spacing">
+      <div className="page-header mb-12">
+        <h1 className="page-title mb-2">Trash</h1>
+        <p className="page-description">
+          Deleted content and products are kept for {retentionDays} day{retentionDays !== 1 ? 's' : ''} before they are permanently deleted. Change this in Manage Blog.
+        </p>
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-8">
+        {Object.entries(TRASH_TYPES).map(([type, { label }]) => {
+          const Icon = type === 'content' ? FileText : Package;
+          const count = type === 'content' ? trashedContent.length : trashedProducts.length;
+          return (
+            <button
+              key={type}
+              onClick={() => setActiveType(type)}
+              className={`${activeType === type ? 'btn-primary' : 'btn-ghost'} btn-sm inline-flex items-center`}
+            >
+              <Icon className="h-4 w-4 mr-2" />
+              {label}
+              <span className="ml-2 text-xs opacity-75">{count}</span>
+            </button>
+          );
+        })}
+      </div>
+
+      {loading ? (
+        <div className="card">
+          <div className="card-content p-0">
+            <TableSkeleton rows={5} columns={5} />
+          </div>
+        </div>
+      ) : error ? (
+        <div className="card border-red-200 bg-red-50">
+          <div className="card-content p-8 text-center">
+            <AlertTriangle className="h-16 w-16 mx-auto mb-6 text-red-500" />
+            <h3 className="text-xl font-bold text-red-800 mb-4">Error Loading Trash</h3>
+            <p className="text-red-700 mb-6">{error}</p>
+            <button onClick={refetch} className="btn-secondary">
+              Try Again
+            </button>
+          </div>
+        </div>
+      ) : items.length === 0 ? (
+        <div className="card">
+          <div className="card-content text-center py-20">
+            <Trash2 className="mx-auto h-16 w-16 text-muted-foreground mb-6" />
+            <h3 className="text-2xl font-semibold text-foreground mb-4">Trash is empty</h3>
+            <p className="text-lg text-muted-foreground">
+              Deleted {activeType === 'content' ? 'content' : 'products'} will appear here.
+            </p>
+          </div>
+        </div>
+      ) : (
+        <div className="card">
+          <div className="card-content p-0">
+            <DataTable
+              key={activeType}
+              data={items}
+              columns={columns}
+              searchable={true}
+              sortable={true}
+              pagination={true}
+              pageSize={10}
+            />
+          </div>
+        </div>
+      )}
+
+      {/* Permanent Delete Confirmation Modal */}
+      <Modal
+        isOpen={deleteModal.isOpen}
+        onClose={() => setDeleteModal({ isOpen: false, item: null })}
+        title="Delete Permanently"
+        size="sm"
+      >
+        {deleteModal.item && (
+          <div className="space-y-4">
+            <p className="text-base text-foreground">
+              Permanently delete "{deleteModal.item[titleKey]}"?
+            </p>
+            <p className="text-sm text-muted-foreground">
+              This action cannot be undone.
+            </p>
+            <div className="flex justify-end space-x-4 pt-4">
+              <button
+                onClick={() => setDeleteModal({ isOpen: false, item: null })}
+                disabled={deletingItemId === deleteModal.item.id}
+                className="btn-secondary"
+              >
+                Cancel
+              </button>
+              <button
+                onClick={() => handlePermanentDelete(deleteModal.item)}
+                disabled={deletingItemId === deleteModal.item.id}
+                className="btn-danger"
+              >
+                {deletingItemId === deleteModal.item.id ? 'Deleting...' : 'Delete Permanently'}
+              </button>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+}
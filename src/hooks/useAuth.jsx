@@ -10,7 +10,6 @@ import { doc, onSnapshot } from 'firebase/firestore';
 import { db } from '@/firebase';
 import { settingsService } from '@/services/settingsService';
 import { useCache } from './useCache';
-import { webSocketService } from '@/services/webSocketService';
 import { userNotificationService } from '@/services/userNotificationService';
 import toast from 'react-hot-toast';
 
@@ -159,11 +158,6 @@ export function AuthProvider({ children }) {
             }
             return serverValidatedProfile;
           });
-          
-          // Dispatch auth state change for WebSocket auto-connect
-          window.dispatchEvent(new CustomEvent('auth-state-changed', {
-            detail: { user, blogId: null } // blogId will be set later
-          }));
         } catch (error) {
           console.error('Error fetching user settings:', error);
           console.error('Auth error details:', {
@@ -186,9 +180,6 @@ export function AuthProvider({ children }) {
         setUserProfile(null);
         setLastNotificationCheck(null);
         
-        // Disconnect WebSocket on logout
-        webSocketService.disconnect();
-        
         // Clear cache when user logs out
         cache.clear();
       }
@@ -1,13 +1,18 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import { debounce } from '@/utils/helpers';
 
-// Auto-save hook with real-time indicators
+// A save rejected because the item was saved elsewhere since it was loaded; retrying cannot help
+export const isVersionConflict = (error) => error?.code === 'VERSION_CONFLICT';
+
+// Auto-save hook with real-time indicators. Version conflicts are not retried: the status becomes
+// 'conflict' and onConflict(error) is called so the page can let the user resolve it.
 export function useAutoSave(data, saveFunction, options = {}) {
   const {
     delay = 2000,
     enabled = true,
     onSave = null,
     onError = null,
+    onConflict = null,
     showNotifications = true,
     maxRetries = 3
   } = options;
@@ -44,6 +49,13 @@ export function useAutoSave(data, saveFunction, options = {}) {
         }
       } catch (error) {
         console.error('Auto-save failed:', error);
+
+        if (isVersionConflict(error)) {
+          setAutoSaveStatus('conflict');
+          if (onConflict) onConflict(error);
+          return;
+        }
+
         setRetryCount(prev => prev + 1);
         
         if (retryCount < maxRetries) {
@@ -60,7 +72,7 @@ export function useAutoSave(data, saveFunction, options = {}) {
         }
       }
     }, delay),
-    [saveFunction, enabled, delay, onSave, onError, showNotifications, retryCount, maxRetries]
+    [saveFunction, enabled, delay, onSave, onError, onConflict, showNotifications, retryCount, maxRetries]
   );
 
   // Trigger auto-save when data changes
@@ -97,13 +109,18 @@ export function useAutoSave(data, saveFunction, options = {}) {
         console.log('Saved successfully');
       }
     } catch (error) {
-      setAutoSaveStatus('error');
-      if (onError) onError(error);
+      if (isVersionConflict(error)) {
+        setAutoSaveStatus('conflict');
+        if (onConflict) onConflict(error);
+      } else {
+        setAutoSaveStatus('error');
+        if (onError) onError(error);
+      }
       
       console.error('Save failed');
       throw error;
     }
-  }, [data, saveFunction, enabled, onSave, onError, showNotifications]);
+  }, [data, saveFunction, enabled, onSave, onError, onConflict, showNotifications]);
 
   return {
     autoSaveStatus,
@@ -0,0 +1,33 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '@/hooks/useAuth';
+import { blogService } from '@/services/blogService';
+
+// Workflow settings of a blog; review is optional until the blog turns it on
+export function useBlogWorkflow(blogId) {
+  const [workflow, setWorkflow] = useState({ requireReview: false });
+  const [loading, setLoading] = useState(true);
+  const { currentUser } = useAuth();
+
+  const fetchWorkflow = useCallback(async () => {
+    if (!currentUser?.uid || !blogId) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      const blog = await blogService.getBlogById(currentUser.uid, blogId);
+      setWorkflow({ requireReview: Boolean(blog.workflow?.requireReview) });
+    } catch (err) {
+      console.error('Error fetching blog workflow:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentUser?.uid, blogId]);
+
+  useEffect(() => {
+    fetchWorkflow();
+  }, [fetchWorkflow]);
+
+  return { workflow, loading, refetch: fetchWorkflow };
+}
@@ -1,4 +1,4 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useAuth } from '@/hooks/useAuth';
 import { contentService } from '@/services/contentService';
 import { useCachedData } from '@/hooks/useCache';
@@ -31,7 +31,9 @@ export function useContent(blogId) {
         ...item,
         createdAt: item.createdAt?.toDate ? item.createdAt.toDate() : item.createdAt,
         updatedAt: item.updatedAt?.toDate ? item.updatedAt.toDate() : item.updatedAt,
-        publishDate: item.publishDate?.toDate ? item.publishDate.toDate() : item.publishDate
+        publishDate: item.publishDate?.toDate ? item.publishDate.toDate() : item.publishDate,
+        publishAt: item.publishAt?.toDate ? item.publishAt.toDate() : item.publishAt,
+        unpublishAt: item.unpublishAt?.toDate ? item.unpublishAt.toDate() : item.unpublishAt
       }));
       setContent(processedData);
     }
@@ -56,7 +58,9 @@ export function useContent(blogId) {
         ...item,
         createdAt: item.createdAt?.toDate ? item.createdAt.toDate() : item.createdAt,
         updatedAt: item.updatedAt?.toDate ? item.updatedAt.toDate() : item.updatedAt,
-        publishDate: item.publishDate?.toDate ? item.publishDate.toDate() : item.publishDate
+        publishDate: item.publishDate?.toDate ? item.publishDate.toDate() : item.publishDate,
+        publishAt: item.publishAt?.toDate ? item.publishAt.toDate() : item.publishAt,
+        unpublishAt: item.unpublishAt?.toDate ? item.unpublishAt.toDate() : item.unpublishAt
       }));
       
       setContent(processedData);
@@ -127,28 +131,101 @@ export function useContentById(id, blogId) {
   const [error, setError] = useState(null);
   const { currentUser } = useAuth();
 
-  useEffect(() => {
+  const fetchContent = useCallback(async () => {
     if (!id || !currentUser?.uid || !blogId) {
       setContent(null);
       setLoading(false);
       return;
     }
 
-    const fetchContent = async () => {
-      try {
-        setLoading(true);
-        setError(null);
-        const data = await contentService.fetchContentById(currentUser.uid, id, blogId);
-        setContent(data);
-      } catch (err) {
-        setError(err.message);
-      } finally {
-        setLoading(false);
-      }
-    };
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await contentService.fetchContentById(currentUser.uid, id, blogId);
+      setContent(data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [id, currentUser?.uid, blogId]);
 
+  useEffect(() => {
     fetchContent();
+  }, [fetchContent]);
+
+  return { content, loading, error, refetch: fetchContent };
+}
+
+export function useContentRevisions(id, blogId) {
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { currentUser } = useAuth();
+
+  const fetchRevisions = useCallback(async () => {
+    if (!id || !currentUser?.uid || !blogId) {
+      setRevisions([]);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await contentService.fetchContentRevisions(currentUser.uid, id, blogId);
+
+      // Convert Firestore timestamps to JavaScript Date objects for consistency
+      setRevisions(data.map(revision => ({
+        ...revision,
+        createdAt: revision.createdAt?.toDate ? revision.createdAt.toDate() : revision.createdAt
+      })));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [id, currentUser?.uid, blogId]);
+
+  useEffect(() => {
+    fetchRevisions();
+  }, [fetchRevisions]);
+
+  return { revisions, loading, error, refetch: fetchRevisions };
+}
+export function useContentTransitions(id, blogId) {
+  const [transitions, setTransitions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { currentUser } = useAuth();
+
+  const fetchTransitions = useCallback(async () => {
+    if (!id || !currentUser?.uid || !blogId) {
+      setTransitions([]);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      const data = await contentService.fetchContentTransitions(currentUser.uid, id, blogId);
+
+      // Convert Firestore timestamps to JavaScript Date objects for consistency
+      setTransitions(data.map(transition => ({
+        ...transition,
+        createdAt: transition.createdAt?.toDate ? transition.createdAt.toDate() : transition.createdAt
+      })));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
   }, [id, currentUser?.uid, blogId]);
 
-  return { content, loading, error };
-}
\ No newline at end of file
+  useEffect(() => {
+    fetchTransitions();
+  }, [fetchTransitions]);
+
+  return { transitions, loading, error, refetch: fetchTransitions };
+}
@@ -0,0 +1,34 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '@/hooks/useAuth';
+import { contentTypesService } from '@/services/contentTypesService';
+
+export function useContentTypes(blogId) {
+  const [contentTypes, setContentTypes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { currentUser } = useAuth();
+
+  const fetchContentTypes = useCallback(async () => {
+    if (!currentUser?.uid || !blogId) {
+      setContentTypes([]);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setContentTypes(await contentTypesService.fetchContentTypes(currentUser.uid, blogId));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentUser?.uid, blogId]);
+
+  useEffect(() => {
+    fetchContentTypes();
+  }, [fetchContentTypes]);
+
+  return { contentTypes, loading, error, refetch: fetchContentTypes };
+}
@@ -0,0 +1,126 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { useAuth } from '@/hooks/useAuth';
+import { presenceService, SESSION_ID, PRESENCE_HEARTBEAT_MS, isSessionActive } from '@/services/presenceService';
+
+// Current time, updated every heartbeat so sessions that stop sending one drop out
+function usePresenceClock() {
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), PRESENCE_HEARTBEAT_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  return now;
+}
+
+// Describe the signed-in user to other sessions
+function usePresenceUser() {
+  const { currentUser } = useAuth();
+  return useMemo(() => currentUser ? {
+    uid: currentUser.uid,
+    name: currentUser.displayName || '',
+    email: currentUser.email || '',
+    photoURL: currentUser.photoURL || ''
+  } : null, [currentUser]);
+}
+
+// Presence in one item's editor, with its soft edit lock. The first session to open the editor holds
+// the lock; others see who holds it and can take it over. Sessions waiting for the lock get it when the
+// holder leaves or stops sending heartbeats.
+export function useEditorPresence(itemType, itemId, blogId) {
+  const user = usePresenceUser();
+  const now = usePresenceClock();
+  const [sessions, setSessions] = useState([]);
+  const [lock, setLock] = useState(null);
+  const uid = user?.uid;
+  const enabled = Boolean(uid && blogId && itemId);
+
+  // Announce this session, keep it and any lock it holds fresh, and leave when the editor closes
+  useEffect(() => {
+    if (!enabled) return;
+
+    const sendHeartbeat = () => {
+      presenceService.updatePresence(uid, blogId, { user, itemType, itemId })
+        .catch(error => console.error('Error updating presence:', error));
+      presenceService.refreshLock(uid, blogId, itemType, itemId)
+        .catch(error => console.error('Error refreshing edit lock:', error));
+    };
+    const leave = () => {
+      presenceService.clearPresence(uid, blogId)
+        .catch(error => console.error('Error clearing presence:', error));
+      presenceService.releaseLock(uid, blogId, itemType, itemId)
+        .catch(error => console.error('Error releasing edit lock:', error));
+    };
+
+    sendHeartbeat();
+    const interval = setInterval(sendHeartbeat, PRESENCE_HEARTBEAT_MS);
+    window.addEventListener('beforeunload', leave);
+
+    return () => {
+      clearInterval(interval);
+      window.removeEventListener('beforeunload', leave);
+      leave();
+    };
+  }, [enabled, uid, user, blogId, itemType, itemId]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    return presenceService.subscribeToPresence(uid, blogId, itemType, setSessions);
+  }, [enabled, uid, blogId, itemType]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    return presenceService.subscribeToLock(uid, blogId, itemType, itemId, setLock);
+  }, [enabled, uid, blogId, itemType, itemId]);
+
+  const activeLock = lock && isSessionActive(lock, now) ? lock : null;
+  const hasLock = activeLock?.sessionId === SESSION_ID;
+  const lockHolder = activeLock && !hasLock ? activeLock : null;
+
+  // Take the lock whenever nobody active holds it, including when its holder leaves
+  useEffect(() => {
+    if (!enabled || activeLock) return;
+    presenceService.acquireLock(uid, blogId, itemType, itemId, user)
+      .catch(error => console.error('Error acquiring edit lock:', error));
+  }, [enabled, activeLock, uid, user, blogId, itemType, itemId]);
+
+  const takeOver = useCallback(async () => {
+    if (!enabled) return;
+    await presenceService.acquireLock(uid, blogId, itemType, itemId, user, { force: true });
+  }, [enabled, uid, user, blogId, itemType, itemId]);
+
+  // Other active sessions with this item open, including the user's own other tabs
+  const otherSessions = useMemo(() => sessions.filter(session =>
+    session.itemId === itemId && session.sessionId !== SESSION_ID && isSessionActive(session, now)
+  ), [sessions, itemId, now]);
+
+  return { otherSessions, lockHolder, hasLock, takeOver };
+}
+
+// Active sessions per item of a blog, e.g. to show who is editing each row of a list; this session is
+// left out
+export function useBlogPresence(itemType, blogId) {
+  const { currentUser } = useAuth();
+  const now = usePresenceClock();
+  const [sessions, setSessions] = useState([]);
+  const uid = currentUser?.uid;
+
+  useEffect(() => {
+    if (!uid || !blogId) {
+      setSessions([]);
+      return;
+    }
+    return presenceService.subscribeToPresence(uid, blogId, itemType, setSessions);
+  }, [uid, blogId, itemType]);
+
+  return useMemo(() => {
+    const sessionsByItem = {};
+    sessions
+      .filter(session => session.sessionId !== SESSION_ID && isSessionActive(session, now))
+      .forEach(session => {
+        (sessionsByItem[session.itemId] = sessionsByItem[session.itemId] || []).push(session);
+      });
+    return sessionsByItem;
+  }, [sessions, now]);
+}
@@ -30,7 +30,9 @@ export function useProducts(blogId) {
       const processedData = cachedProducts.map(item => ({
         ...item,
         createdAt: item.createdAt?.toDate ? item.createdAt.toDate() : item.createdAt,
-        updatedAt: item.updatedAt?.toDate ? item.updatedAt.toDate() : item.updatedAt
+        updatedAt: item.updatedAt?.toDate ? item.updatedAt.toDate() : item.updatedAt,
+        publishAt: item.publishAt?.toDate ? item.publishAt.toDate() : item.publishAt,
+        unpublishAt: item.unpublishAt?.toDate ? item.unpublishAt.toDate() : item.unpublishAt
       }));
       setProducts(processedData);
     }
@@ -54,7 +56,9 @@ export function useProducts(blogId) {
       const processedData = data.map(item => ({
         ...item,
         createdAt: item.createdAt?.toDate ? item.createdAt.toDate() : item.createdAt,
-        updatedAt: item.updatedAt?.toDate ? item.updatedAt.toDate() : item.updatedAt
+        updatedAt: item.updatedAt?.toDate ? item.updatedAt.toDate() : item.updatedAt,
+        publishAt: item.publishAt?.toDate ? item.publishAt.toDate() : item.publishAt,
+        unpublishAt: item.unpublishAt?.toDate ? item.unpublishAt.toDate() : item.unpublishAt
       }));
       
       setProducts(processedData);
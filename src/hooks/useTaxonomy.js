@@ -0,0 +1,55 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '@/hooks/useAuth';
+import { taxonomyService } from '@/services/taxonomyService';
+
+// Category and tag usage for the taxonomy manager
+export function useTaxonomy(blogId) {
+  const [categories, setCategories] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { currentUser, getAuthToken } = useAuth();
+
+  const fetchTaxonomy = useCallback(async () => {
+    if (!currentUser?.uid || !blogId) {
+      setCategories([]);
+      setTags([]);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      const result = await taxonomyService.fetchTaxonomyUsage(getAuthToken, blogId);
+      setCategories(result.categories || []);
+      setTags(result.tags || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentUser?.uid, blogId]);
+
+  useEffect(() => {
+    fetchTaxonomy();
+  }, [fetchTaxonomy]);
+
+  return { categories, tags, loading, error, refetch: fetchTaxonomy };
+}
+
+// Managed category and tag names used to autocomplete the editors
+export function useTaxonomyTerms(blogId) {
+  const [terms, setTerms] = useState({ categories: [], tags: [] });
+  const { currentUser } = useAuth();
+
+  useEffect(() => {
+    if (!currentUser?.uid || !blogId) return;
+
+    taxonomyService.fetchTerms(currentUser.uid, blogId)
+      .then(setTerms)
+      .catch(err => console.error('Error fetching taxonomy terms:', err));
+  }, [currentUser?.uid, blogId]);
+
+  return terms;
+}
@@ -0,0 +1,50 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useAuth } from '@/hooks/useAuth';
+import { contentService } from '@/services/contentService';
+import { productsService } from '@/services/productsService';
+
+// Convert the Firestore timestamps used by the trash to JavaScript Date objects
+const processTrashedItem = (item) => ({
+  ...item,
+  createdAt: item.createdAt?.toDate ? item.createdAt.toDate() : item.createdAt,
+  deletedAt: item.deletedAt?.toDate ? item.deletedAt.toDate() : item.deletedAt,
+  purgeAt: item.purgeAt?.toDate ? item.purgeAt.toDate() : item.purgeAt
+});
+
+export function useTrash(blogId) {
+  const [trashedContent, setTrashedContent] = useState([]);
+  const [trashedProducts, setTrashedProducts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const { currentUser } = useAuth();
+
+  const fetchTrash = useCallback(async () => {
+    if (!currentUser?.uid || !blogId) {
+      setTrashedContent([]);
+      setTrashedProducts([]);
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      const [content, products] = await Promise.all([
+        contentService.fetchTrashedContent(currentUser.uid, blogId),
+        productsService.fetchTrashedProducts(currentUser.uid, blogId)
+      ]);
+      setTrashedContent(content.map(processTrashedItem));
+      setTrashedProducts(products.map(processTrashedItem));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [currentUser?.uid, blogId]);
+
+  useEffect(() => {
+    fetchTrash();
+  }, [fetchTrash]);
+
+  return { trashedContent, trashedProducts, loading, error, refetch: fetchTrash };
+}
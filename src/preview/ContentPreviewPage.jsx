@@ -1,43 +1,61 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import { useParams, Link, useNavigate, useSearchParams } from 'react-router-dom';
 import ReactMarkdown from 'react-markdown';
-import { Calendar, User, Tag, ArrowLeft, Eye, Clock, FileText, Share2, Bookmark } from 'lucide-react';
+import { Calendar, User, Tag, ArrowLeft, ArrowRight, Eye, Clock, FileText, Share2, Bookmark } from 'lucide-react';
 import { ContentPreviewSkeleton } from '@/components/shared/SkeletonLoader';
 import { FeaturedImage, GalleryImage } from '@/components/shared/ProgressiveImage';
+import DraftPreviewBanner from '@/components/shared/DraftPreviewBanner';
 import { useImageLoader } from '@/hooks/useImageLoader';
 
 export default function ContentPreviewPage() {
   const { uid, blogId, slug } = useParams();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  // Drafts are shown through a preview link, whose token the API checks
+  const previewToken = searchParams.get('token');
   const [content, setContent] = useState(null);
-  const [allContent, setAllContent] = useState([]);
+  const [relatedContent, setRelatedContent] = useState([]);
+  const [navigation, setNavigation] = useState({ previous: null, next: null });
+  const [preview, setPreview] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
   useEffect(() => {
     fetchContent();
-  }, [uid, blogId, slug]);
+  }, [uid, blogId, slug, previewToken]);
 
   const fetchContent = async () => {
     try {
       setLoading(true);
       setError(null);
       
-      const response = await fetch(`${window.location.origin}/users/${uid}/blogs/${blogId}/api/content.json`);
+      const response = await fetch(
+        `${window.location.origin}/users/${uid}/blogs/${blogId}/api/content/${encodeURIComponent(slug)}.json?related=6${previewToken ? `&previewToken=${encodeURIComponent(previewToken)}` : ''}`
+      );
+      if (response.status === 404) {
+        throw new Error('Content not found');
+      }
+      if (previewToken && response.status === 401) {
+        throw new Error('This preview link is invalid, has expired or has been revoked');
+      }
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
       
       const responseData = await response.json();
-      // Handle both old format (array) and new format (object with data property)
-      const allContentData = Array.isArray(responseData) ? responseData : responseData.data || [];
-      const foundContent = allContentData.find(item => item.slug === slug);
       
-      if (!foundContent) {
-        throw new Error('Content not found');
+      // The API redirects renamed slugs to the current one; show the current URL
+      // Preview links name the draft by its token, so keep the token when following the slug
+      if (responseData.data.slug && responseData.data.slug !== slug) {
+        const search = previewToken ? `?token=${encodeURIComponent(previewToken)}` : '';
+        navigate(`/preview/content/${uid}/${blogId}/${responseData.data.slug}${search}`, { replace: true });
+        return;
       }
       
-      setContent(foundContent);
-      setAllContent(allContentData);
+      setPreview(responseData.preview || null);
+      setContent(responseData.data);
+      setRelatedContent(responseData.related || []);
+      setNavigation(responseData.navigation || { previous: null, next: null });
     } catch (err) {
       console.error('Error fetching content:', err);
       setError(err.message);
@@ -55,12 +73,6 @@ export default function ContentPreviewPage() {
     });
   };
 
-  const getRelatedContent = () => {
-    return allContent
-      .filter(item => item.id !== content?.id && item.status === 'published')
-      .slice(0, 6);
-  };
-
   const getReadingTime = (content) => {
     const wordsPerMinute = 200;
     const words = content?.split(' ').length || 0;
@@ -119,6 +131,8 @@ export default function ContentPreviewPage() {
         </div>
       </header>
 
+      <DraftPreviewBanner preview={preview} />
+
       {/* Main Content */}
       {loading ? (
         <ContentPreviewSkeleton />
@@ -300,10 +314,16 @@ export default function ContentPreviewPage() {
             </div>
           </div>
 
+          {/* Previous / Next Navigation */}
+          <AdjacentContentNavigation
+            navigation={navigation}
+            uid={uid}
+            blogId={blogId}
+          />
+
           {/* Enhanced Related Content Section */}
           <RelatedContentSection 
-            allContent={allContent}
-            currentContentId={content?.id}
+            relatedContent={relatedContent}
             uid={uid}
             blogId={blogId}
             formatDate={formatDate}
@@ -314,12 +334,50 @@ export default function ContentPreviewPage() {
   );
 }
 
-// Separate component for related content to avoid re-rendering during loading
-function RelatedContentSection({ allContent, currentContentId, uid, blogId, formatDate }) {
-  const relatedContent = allContent
-    .filter(item => item.id !== currentContentId && item.status === 'published')
-    .slice(0, 6);
+// Links to the previous (older) and next (newer) published content
+function AdjacentContentNavigation({ navigation, uid, blogId }) {
+  const { previous, next } = navigation;
 
+  if (!previous && !next) {
+    return null;
+  }
+
+  return (
+    <nav className="mt-12 sm:mt-16 grid grid-cols-1 sm:grid-cols-2 gap-6">
+      {previous ? (
+        <Link
+          to={`/preview/content/${uid}/${blogId}/${previous.slug}`}
+          className="group block bg-white rounded-2xl shadow-lg border border-gray-200 p-6 sm:p-8 hover:shadow-2xl transition-all duration-300"
+        >
+          <div className="flex items-center text-sm font-medium text-gray-500 mb-2">
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Previous
+          </div>
+          <div className="text-lg sm:text-xl font-bold text-gray-900 group-hover:text-blue-600 transition-colors line-clamp-2">
+            {previous.title}
+          </div>
+        </Link>
+      ) : <div className="hidden sm:block" />}
+      {next && (
+        <Link
+          to={`/preview/content/${uid}/${blogId}/${next.slug}`}
+          className="group block bg-white rounded-2xl shadow-lg border border-gray-200 p-6 sm:p-8 hover:shadow-2xl transition-all duration-300 sm:text-right"
+        >
+          <div className="flex items-center sm:justify-end text-sm font-medium text-gray-500 mb-2">
+            Next
+            <ArrowRight className="h-4 w-4 ml-2" />
+          </div>
+          <div className="text-lg sm:text-xl font-bold text-gray-900 group-hover:text-blue-600 transition-colors line-clamp-2">
+            {next.title}
+          </div>
+        </Link>
+      )}
+    </nav>
+  );
+}
+
+// Separate component for related content to avoid re-rendering during loading
+function RelatedContentSection({ relatedContent, uid, blogId, formatDate }) {
   if (relatedContent.length === 0) {
     return null;
   }
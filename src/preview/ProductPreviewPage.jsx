@@ -1,8 +1,9 @@
 import React, { useState, useEffect } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import { useParams, Link, useNavigate, useSearchParams } from 'react-router-dom';
 import ReactMarkdown from 'react-markdown';
 import { 
   ArrowLeft, 
+  ArrowRight, 
   Eye, 
   Star, 
   ShoppingCart, 
@@ -20,13 +21,20 @@ import {
 } from 'lucide-react';
 import { ProductPreviewSkeleton } from '@/components/shared/SkeletonLoader';
 import { FeaturedImage, GalleryImage } from '@/components/shared/ProgressiveImage';
+import DraftPreviewBanner from '@/components/shared/DraftPreviewBanner';
 import { useImageLoader, useMultipleImageLoader } from '@/hooks/useImageLoader';
 import { settingsService } from '@/services/settingsService';
 
 export default function ProductPreviewPage() {
   const { uid, blogId, slug } = useParams();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  // Drafts are shown through a preview link, whose token the API checks
+  const previewToken = searchParams.get('token');
   const [product, setProduct] = useState(null);
-  const [allProducts, setAllProducts] = useState([]);
+  const [relatedProducts, setRelatedProducts] = useState([]);
+  const [navigation, setNavigation] = useState({ previous: null, next: null });
+  const [preview, setPreview] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [userCurrency, setUserCurrency] = useState('$');
@@ -35,7 +43,7 @@ export default function ProductPreviewPage() {
   useEffect(() => {
     fetchProduct();
     fetchUserCurrency();
-  }, [uid, blogId, slug]);
+  }, [uid, blogId, slug, previewToken]);
 
   const fetchUserCurrency = async () => {
     try {
@@ -52,22 +60,33 @@ export default function ProductPreviewPage() {
       setLoading(true);
       setError(null);
       
-      const response = await fetch(`${window.location.origin}/users/${uid}/blogs/${blogId}/api/products.json`);
+      const response = await fetch(
+        `${window.location.origin}/users/${uid}/blogs/${blogId}/api/products/${encodeURIComponent(slug)}.json?related=6${previewToken ? `&previewToken=${encodeURIComponent(previewToken)}` : ''}`
+      );
+      if (response.status === 404) {
+        throw new Error('Product not found');
+      }
+      if (previewToken && response.status === 401) {
+        throw new Error('This preview link is invalid, has expired or has been revoked');
+      }
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
       }
       
       const responseData = await response.json();
-      // Handle both old format (array) and new format (object with data property)
-      const allProductsData = Array.isArray(responseData) ? responseData : responseData.data || [];
-      const foundProduct = allProductsData.find(item => item.slug === slug);
       
-      if (!foundProduct) {
-        throw new Error('Product not found');
+      // The API redirects renamed slugs to the current one; show the current URL
+      // Preview links name the draft by its token, so keep the token when following the slug
+      if (responseData.data.slug && responseData.data.slug !== slug) {
+        const search = previewToken ? `?token=${encodeURIComponent(previewToken)}` : '';
+        navigate(`/preview/product/${uid}/${blogId}/${responseData.data.slug}${search}`, { replace: true });
+        return;
       }
       
-      setProduct(foundProduct);
-      setAllProducts(allProductsData);
+      setPreview(responseData.preview || null);
+      setProduct(responseData.data);
+      setRelatedProducts(responseData.related || []);
+      setNavigation(responseData.navigation || { previous: null, next: null });
     } catch (err) {
       console.error('Error fetching product:', err);
       setError(err.message);
@@ -163,6 +182,8 @@ export default function ProductPreviewPage() {
         </div>
       </header>
 
+      <DraftPreviewBanner preview={preview} />
+
       {/* Main Content */}
       {loading ? (
         <ProductPreviewSkeleton />
@@ -418,10 +439,16 @@ export default function ProductPreviewPage() {
             </div>
           </div>
 
+          {/* Previous / Next Navigation */}
+          <AdjacentProductNavigation
+            navigation={navigation}
+            uid={uid}
+            blogId={blogId}
+          />
+
           {/* Related Products Section */}
           <RelatedProductsSection 
-            allProducts={allProducts}
-            currentProductId={product?.id}
+            relatedProducts={relatedProducts}
             uid={uid}
             blogId={blogId}
             userCurrency={userCurrency}
@@ -434,12 +461,50 @@ export default function ProductPreviewPage() {
   );
 }
 
-// Separate component for related products to avoid re-rendering during loading
-function RelatedProductsSection({ allProducts, currentProductId, uid, blogId, userCurrency, formatDate, calculateDiscountedPrice }) {
-  const relatedProducts = allProducts
-    .filter(item => item.id !== currentProductId && item.status === 'published')
-    .slice(0, 6);
+// Links to the previous (older) and next (newer) published products
+function AdjacentProductNavigation({ navigation, uid, blogId }) {
+  const { previous, next } = navigation;
 
+  if (!previous && !next) {
+    return null;
+  }
+
+  return (
+    <nav className="mt-12 sm:mt-16 grid grid-cols-1 sm:grid-cols-2 gap-6">
+      {previous ? (
+        <Link
+          to={`/preview/product/${uid}/${blogId}/${previous.slug}`}
+          className="group block bg-white rounded-2xl shadow-lg border border-gray-200 p-6 sm:p-8 hover:shadow-2xl transition-all duration-300"
+        >
+          <div className="flex items-center text-sm font-medium text-gray-500 mb-2">
+            <ArrowLeft className="h-4 w-4 mr-2" />
+            Previous
+          </div>
+          <div className="text-lg sm:text-xl font-bold text-gray-900 group-hover:text-blue-600 transition-colors line-clamp-2">
+            {previous.name}
+          </div>
+        </Link>
+      ) : <div className="hidden sm:block" />}
+      {next && (
+        <Link
+          to={`/preview/product/${uid}/${blogId}/${next.slug}`}
+          className="group block bg-white rounded-2xl shadow-lg border border-gray-200 p-6 sm:p-8 hover:shadow-2xl transition-all duration-300 sm:text-right"
+        >
+          <div className="flex items-center sm:justify-end text-sm font-medium text-gray-500 mb-2">
+            Next
+            <ArrowRight className="h-4 w-4 ml-2" />
+          </div>
+          <div className="text-lg sm:text-xl font-bold text-gray-900 group-hover:text-blue-600 transition-colors line-clamp-2">
+            {next.name}
+          </div>
+        </Link>
+      )}
+    </nav>
+  );
+}
+
+// Separate component for related products to avoid re-rendering during loading
+function RelatedProductsSection({ relatedProducts, uid, blogId, userCurrency, formatDate, calculateDiscountedPrice }) {
   if (relatedProducts.length === 0) {
     return null;
   }
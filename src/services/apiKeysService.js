@@ -0,0 +1,54 @@
+// Scopes an API key can be granted, matching the Netlify Functions
+export const API_KEY_SCOPES = [
+  { value: 'read:drafts', label: 'Read drafts', description: 'List unpublished items through the public content and products APIs' },
+  { value: 'write:content', label: 'Write content', description: 'Create, update and delete content' },
+  { value: 'write:products', label: 'Write products', description: 'Create, update and delete products' },
+  { value: 'import-export', label: 'Import/export', description: 'Import and export content and products' }
+];
+
+// Send an authenticated request to the API keys function
+async function sendApiKeysRequest(getAuthToken, method, body) {
+  const token = await getAuthToken();
+  const query = method === 'GET' ? `?${new URLSearchParams(body)}` : '';
+  const response = await fetch(`/api/admin/api-keys${query}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: method === 'GET' ? undefined : JSON.stringify(body)
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `HTTP ${response.status}`);
+  }
+  return result;
+}
+
+const toDates = (apiKey) => ({
+  ...apiKey,
+  createdAt: apiKey.createdAt ? new Date(apiKey.createdAt) : null,
+  expiresAt: apiKey.expiresAt ? new Date(apiKey.expiresAt) : null,
+  revokedAt: apiKey.revokedAt ? new Date(apiKey.revokedAt) : null,
+  lastUsedAt: apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt) : null
+});
+
+export const apiKeysService = {
+  // Fetch a blog's API keys, newest first; only their hashes are stored, never the keys
+  async fetchApiKeys(getAuthToken, blogId) {
+    const { keys } = await sendApiKeysRequest(getAuthToken, 'GET', { blogId });
+    return keys.map(toDates);
+  },
+
+  // Create a key; the returned plain key is shown once and cannot be retrieved again
+  async createApiKey(getAuthToken, blogId, { name, scopes, expiresAt }) {
+    const result = await sendApiKeysRequest(getAuthToken, 'POST', { blogId, name, scopes, expiresAt: expiresAt || null });
+    return { key: result.key, apiKey: toDates(result.apiKey) };
+  },
+
+  // Revoke a key so it stops working immediately
+  async revokeApiKey(getAuthToken, blogId, id) {
+    return sendApiKeysRequest(getAuthToken, 'DELETE', { blogId, id });
+  }
+};
@@ -148,7 +148,10 @@ export const blogService = {
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.error || `HTTP ${response.status}`);
+        // Keep the error code so callers can tell refusals such as LAST_BLOG_DELETION_FORBIDDEN apart
+        const error = new Error(errorData.error || `HTTP ${response.status}`);
+        error.code = errorData.code;
+        throw error;
       }
 
       const result = await response.json();
@@ -1,5 +1,6 @@
-import { collection, getDocs, query, where, doc, getDoc, deleteDoc, addDoc, updateDoc } from 'firebase/firestore';
+import { collection, getDocs, query, where, orderBy, doc, getDoc, deleteDoc, addDoc, updateDoc } from 'firebase/firestore';
 import { db } from '@/firebase';
+import { isTrashed } from '@/utils/helpers';
 
 export const contentService = {
   // Get user's content collection reference
@@ -20,7 +21,8 @@ export const contentService = {
     try {
       const contentRef = this.getUserContentRef(userId, blogId);
       const snapshot = await getDocs(contentRef);
-      const contentData = snapshot.docs.map(doc => ({
+      // Trashed items are listed separately in the trash
+      const contentData = snapshot.docs.filter(doc => !isTrashed(doc.data())).map(doc => ({
         id: doc.id,
         ...doc.data()
       }));
@@ -45,7 +47,7 @@ export const contentService = {
       const contentRef = this.getUserContentRef(userId, blogId);
       const q = query(contentRef, where('status', '==', status));
       const snapshot = await getDocs(q);
-      return snapshot.docs.map(doc => ({
+      return snapshot.docs.filter(doc => !isTrashed(doc.data())).map(doc => ({
         id: doc.id,
         ...doc.data()
       }));
@@ -55,6 +57,30 @@ export const contentService = {
     }
   },
 
+  // Fetch trashed content for a user's blog (most recently deleted first)
+  async fetchTrashedContent(userId, blogId) {
+    try {
+      const contentRef = this.getUserContentRef(userId, blogId);
+      const q = query(contentRef, where('deletedAt', '!=', null));
+      const snapshot = await getDocs(q);
+      const trashed = snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+
+      trashed.sort((a, b) => {
+        const dateA = a.deletedAt?.toDate() || new Date(0);
+        const dateB = b.deletedAt?.toDate() || new Date(0);
+        return dateB - dateA;
+      });
+
+      return trashed;
+    } catch (error) {
+      console.error('Error fetching trashed content:', error);
+      throw error;
+    }
+  },
+
   // Fetch single content by ID for a user's blog
   async fetchContentById(userId, id, blogId) {
     try {
@@ -79,6 +105,44 @@ export const contentService = {
     }
   },
 
+  // Fetch the revision history of a content item (newest first)
+  async fetchContentRevisions(userId, contentId, blogId) {
+    try {
+      if (!blogId) {
+        throw new Error('blogId is required');
+      }
+      const revisionsRef = collection(db, 'users', userId, 'blogs', blogId, 'content', contentId, 'revisions');
+      const q = query(revisionsRef, orderBy('createdAt', 'desc'));
+      const snapshot = await getDocs(q);
+      return snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+    } catch (error) {
+      console.error('Error fetching content revisions:', error);
+      throw error;
+    }
+  },
+
+  // Fetch the workflow status changes and reviewer comments of a content item (newest first)
+  async fetchContentTransitions(userId, contentId, blogId) {
+    try {
+      if (!blogId) {
+        throw new Error('blogId is required');
+      }
+      const transitionsRef = collection(db, 'users', userId, 'blogs', blogId, 'content', contentId, 'transitions');
+      const q = query(transitionsRef, orderBy('createdAt', 'desc'));
+      const snapshot = await getDocs(q);
+      return snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+    } catch (error) {
+      console.error('Error fetching content transitions:', error);
+      throw error;
+    }
+  },
+
   // Get content statistics for a user's blog
   async getContentStats(userId, blogId) {
     try {
@@ -86,7 +150,7 @@ export const contentService = {
       
       // Get all content
       const allContent = await getDocs(contentRef);
-      const totalContent = allContent.size;
+      const totalContent = allContent.docs.filter(doc => !isTrashed(doc.data())).length;
       
       // Get published content
       const publishedQuery = query(contentRef, where('status', '==', 'published'));
@@ -105,9 +169,9 @@ export const contentService = {
       
       return {
         totalContent,
-        publishedContent: publishedContent.size,
-        draftContent: draftContent.size,
-        recentContent: recentContent.size
+        publishedContent: publishedContent.docs.filter(doc => !isTrashed(doc.data())).length,
+        draftContent: draftContent.docs.filter(doc => !isTrashed(doc.data())).length,
+        recentContent: recentContent.docs.filter(doc => !isTrashed(doc.data())).length
       };
     } catch (error) {
       console.error('Error fetching content stats:', error);
@@ -133,47 +197,5 @@ export const contentService = {
     } catch (error) {
       console.error('Error initializing content analytics:', error);
     }
-  },
-  
-  // Update content with image URL after successful upload
-  async updateContentImage(userId, contentId, blogId, imageUrl, imageMetadata = {}) {
-    try {
-      if (!blogId) {
-        throw new Error('blogId is required');
-      }
-      
-      const actualBlogId = blogId;
-      const contentRef = doc(db, 'users', userId, 'blogs', actualBlogId, 'content', contentId);
-      
-      // Get current content to preserve existing data
-      const contentDoc = await getDoc(contentRef);
-      if (!contentDoc.exists()) {
-        throw new Error('Content not found');
-      }
-      
-      const updateData = {
-        featuredImageUrl: imageUrl,
-        updatedAt: new Date(),
-        imageMetadata: {
-          uploadedAt: new Date().toISOString(),
-          originalName: imageMetadata.originalName || '',
-          fileSize: imageMetadata.fileSize || 0,
-          ...imageMetadata
-        }
-      };
-      
-      await updateDoc(contentRef, updateData);
-      
-      console.log('Content image updated successfully:', {
-        contentId,
-        imageUrl,
-        metadata: imageMetadata
-      });
-      
-      return true;
-    } catch (error) {
-      console.error('Error updating content image:', error);
-      throw error;
-    }
   }
 };
\ No newline at end of file
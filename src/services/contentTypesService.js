@@ -0,0 +1,86 @@
+import { collection, doc, getDoc, getDocs, setDoc, updateDoc, deleteDoc, query, where, limit } from 'firebase/firestore';
+import { db } from '@/firebase';
+import { validateContentTypeSchema } from '@/utils/contentTypes';
+
+export const contentTypesService = {
+  // Get a blog's content types collection reference
+  getContentTypesRef(userId, blogId) {
+    if (!blogId) {
+      throw new Error('blogId is required');
+    }
+    return collection(db, 'users', userId, 'blogs', blogId, 'contentTypes');
+  },
+
+  // Fetch all content types for a blog, sorted by name
+  async fetchContentTypes(userId, blogId) {
+    try {
+      const snapshot = await getDocs(this.getContentTypesRef(userId, blogId));
+      return snapshot.docs
+        .map(doc => ({ key: doc.id, ...doc.data() }))
+        .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    } catch (error) {
+      console.error('Error fetching content types:', error);
+      throw error;
+    }
+  },
+
+  // Create a content type; its key is the document ID and cannot change later
+  async createContentType(userId, blogId, contentType) {
+    const schemaError = validateContentTypeSchema(contentType);
+    if (schemaError) throw new Error(schemaError);
+
+    try {
+      const typeRef = doc(this.getContentTypesRef(userId, blogId), contentType.key);
+      const existing = await getDoc(typeRef);
+      if (existing.exists()) {
+        throw new Error(`A content type with the key "${contentType.key}" already exists`);
+      }
+
+      const now = new Date();
+      await setDoc(typeRef, {
+        name: contentType.name.trim(),
+        description: (contentType.description || '').trim(),
+        fields: contentType.fields,
+        createdAt: now,
+        updatedAt: now
+      });
+    } catch (error) {
+      console.error('Error creating content type:', error);
+      throw error;
+    }
+  },
+
+  // Update a content type's name, description and fields
+  async updateContentType(userId, blogId, contentType) {
+    const schemaError = validateContentTypeSchema(contentType);
+    if (schemaError) throw new Error(schemaError);
+
+    try {
+      await updateDoc(doc(this.getContentTypesRef(userId, blogId), contentType.key), {
+        name: contentType.name.trim(),
+        description: (contentType.description || '').trim(),
+        fields: contentType.fields,
+        updatedAt: new Date()
+      });
+    } catch (error) {
+      console.error('Error updating content type:', error);
+      throw error;
+    }
+  },
+
+  // Delete a content type that no content uses
+  async deleteContentType(userId, blogId, key) {
+    try {
+      const contentRef = collection(db, 'users', userId, 'blogs', blogId, 'content');
+      const inUse = await getDocs(query(contentRef, where('contentType', '==', key), limit(1)));
+      if (!inUse.empty) {
+        throw new Error('This content type is still used by content. Delete that content first.');
+      }
+
+      await deleteDoc(doc(this.getContentTypesRef(userId, blogId), key));
+    } catch (error) {
+      console.error('Error deleting content type:', error);
+      throw error;
+    }
+  }
+};
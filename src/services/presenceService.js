@@ -0,0 +1,133 @@
+import { collection, doc, setDoc, deleteDoc, query, where, onSnapshot, runTransaction, serverTimestamp, Timestamp } from 'firebase/firestore';
+import { db } from '@/firebase';
+
+// Sessions send a heartbeat while an editor is open; one silent for longer than the timeout (e.g. a
+// closed laptop) is treated as gone, and so is the edit lock it held
+export const PRESENCE_HEARTBEAT_MS = 30 * 1000;
+export const PRESENCE_TIMEOUT_MS = 90 * 1000;
+
+// One session per page load, so each browser tab counts separately
+export const SESSION_ID = crypto.randomUUID();
+
+// Read a timestamp that may still be a pending server timestamp on this client
+const toMillis = (timestamp) => (timestamp ? timestamp.toMillis() : Date.now());
+
+// Whether a session or lock has sent a heartbeat recently enough to count
+export const isSessionActive = (session, now = Date.now()) => now - session.lastSeen < PRESENCE_TIMEOUT_MS;
+
+const toSession = (data) => ({
+  sessionId: data.sessionId,
+  user: data.user,
+  itemType: data.itemType,
+  itemId: data.itemId,
+  lastSeen: toMillis(data.lastSeen)
+});
+
+export const presenceService = {
+  // Presence documents of a blog, one per session with an editor open
+  getPresenceRef(userId, blogId) {
+    return collection(db, 'users', userId, 'blogs', blogId, 'presence');
+  },
+
+  // Edit lock of one item
+  getLockRef(userId, blogId, itemType, itemId) {
+    return doc(db, 'users', userId, 'blogs', blogId, 'editLocks', `${itemType}_${itemId}`);
+  },
+
+  // Record that this session has an item's editor open; called again as the heartbeat.
+  // expiresAt lets a Firestore TTL policy remove sessions that never said goodbye.
+  async updatePresence(userId, blogId, { user, itemType, itemId }) {
+    await setDoc(doc(this.getPresenceRef(userId, blogId), SESSION_ID), {
+      sessionId: SESSION_ID,
+      user,
+      itemType,
+      itemId,
+      lastSeen: serverTimestamp(),
+      expiresAt: Timestamp.fromMillis(Date.now() + PRESENCE_TIMEOUT_MS)
+    });
+  },
+
+  // Remove this session's presence when its editor closes
+  async clearPresence(userId, blogId) {
+    await deleteDoc(doc(this.getPresenceRef(userId, blogId), SESSION_ID));
+  },
+
+  // Listen to the sessions with an editor of the given item type open. Returns the unsubscribe function.
+  subscribeToPresence(userId, blogId, itemType, callback) {
+    const presenceQuery = query(this.getPresenceRef(userId, blogId), where('itemType', '==', itemType));
+    return onSnapshot(
+      presenceQuery,
+      (snapshot) => {
+        callback(snapshot.docs.map(sessionDoc => toSession(sessionDoc.data({ serverTimestamps: 'estimate' }))));
+      },
+      (error) => {
+        console.error('Error in presence listener:', error);
+        callback([]);
+      }
+    );
+  },
+
+  // Take an item's edit lock for this session. Without force, a lock another active session holds is
+  // left alone and false is returned; force takes it over.
+  async acquireLock(userId, blogId, itemType, itemId, user, { force = false } = {}) {
+    const lockRef = this.getLockRef(userId, blogId, itemType, itemId);
+    return runTransaction(db, async (transaction) => {
+      const lockDoc = await transaction.get(lockRef);
+      if (lockDoc.exists() && !force) {
+        const lock = toSession(lockDoc.data());
+        if (lock.sessionId !== SESSION_ID && isSessionActive(lock)) {
+          return false;
+        }
+      }
+
+      transaction.set(lockRef, {
+        sessionId: SESSION_ID,
+        user,
+        itemType,
+        itemId,
+        lastSeen: serverTimestamp(),
+        expiresAt: Timestamp.fromMillis(Date.now() + PRESENCE_TIMEOUT_MS)
+      });
+      return true;
+    });
+  },
+
+  // Keep this session's lock fresh; does nothing once another session has taken it over
+  async refreshLock(userId, blogId, itemType, itemId) {
+    const lockRef = this.getLockRef(userId, blogId, itemType, itemId);
+    await runTransaction(db, async (transaction) => {
+      const lockDoc = await transaction.get(lockRef);
+      if (!lockDoc.exists() || lockDoc.data().sessionId !== SESSION_ID) return;
+      transaction.update(lockRef, {
+        lastSeen: serverTimestamp(),
+        expiresAt: Timestamp.fromMillis(Date.now() + PRESENCE_TIMEOUT_MS)
+      });
+    });
+  },
+
+  // Give up this session's lock, if it still holds it
+  async releaseLock(userId, blogId, itemType, itemId) {
+    const lockRef = this.getLockRef(userId, blogId, itemType, itemId);
+    await runTransaction(db, async (transaction) => {
+      const lockDoc = await transaction.get(lockRef);
+      if (lockDoc.exists() && lockDoc.data().sessionId === SESSION_ID) {
+        transaction.delete(lockRef);
+      }
+    });
+  },
+
+  // Listen to an item's edit lock; the callback gets the holder's session, or null when unlocked.
+  // Returns the unsubscribe function.
+  subscribeToLock(userId, blogId, itemType, itemId, callback) {
+    return onSnapshot(
+      this.getLockRef(userId, blogId, itemType, itemId),
+      (lockDoc) => {
+        callback(lockDoc.exists() ? toSession(lockDoc.data({ serverTimestamps: 'estimate' })) : null);
+      },
+      (error) => {
+        console.error('Error in edit lock listener:', error);
+        callback(null);
+      }
+    );
+  }
+};
@@ -0,0 +1,54 @@
+// Lifetimes offered for a new preview link, in hours
+export const PREVIEW_LINK_LIFETIMES = [
+  { value: 1, label: '1 hour' },
+  { value: 24, label: '1 day' },
+  { value: 72, label: '3 days' },
+  { value: 168, label: '7 days' },
+  { value: 720, label: '30 days' }
+];
+
+// Send an authenticated request to the preview tokens function
+async function sendPreviewTokensRequest(getAuthToken, method, body) {
+  const token = await getAuthToken();
+  const query = method === 'GET' ? `?${new URLSearchParams(body)}` : '';
+  const response = await fetch(`/api/admin/preview-tokens${query}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: method === 'GET' ? undefined : JSON.stringify(body)
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `HTTP ${response.status}`);
+  }
+  return result;
+}
+
+const toDates = (previewToken) => ({
+  ...previewToken,
+  createdAt: previewToken.createdAt ? new Date(previewToken.createdAt) : null,
+  expiresAt: previewToken.expiresAt ? new Date(previewToken.expiresAt) : null,
+  revokedAt: previewToken.revokedAt ? new Date(previewToken.revokedAt) : null
+});
+
+export const previewTokensService = {
+  // Fetch the preview links of a content item or product, newest first
+  async fetchPreviewTokens(getAuthToken, blogId, type, itemId) {
+    const { previewTokens } = await sendPreviewTokensRequest(getAuthToken, 'GET', { blogId, type, itemId });
+    return previewTokens.map(toDates);
+  },
+
+  // Create a preview link; the returned URL holds the token and is only available now
+  async createPreviewLink(getAuthToken, blogId, type, itemId, expiresInHours) {
+    const result = await sendPreviewTokensRequest(getAuthToken, 'POST', { blogId, type, itemId, expiresInHours });
+    return { url: `${window.location.origin}${result.path}`, previewToken: toDates(result.previewToken) };
+  },
+
+  // Revoke a preview link so it stops working immediately
+  async revokePreviewToken(getAuthToken, blogId, id) {
+    return sendPreviewTokensRequest(getAuthToken, 'DELETE', { blogId, id });
+  }
+};
@@ -1,5 +1,6 @@
 import { collection, getDocs, query, where, doc, getDoc } from 'firebase/firestore';
 import { db } from '@/firebase';
+import { isTrashed } from '@/utils/helpers';
 
 export const productsService = {
   // Get user's products collection reference
@@ -20,7 +21,8 @@ export const productsService = {
     try {
       const productsRef = this.getUserProductsRef(userId, blogId);
       const snapshot = await getDocs(productsRef);
-      const productsData = snapshot.docs.map(doc => ({
+      // Trashed items are listed separately in the trash
+      const productsData = snapshot.docs.filter(doc => !isTrashed(doc.data())).map(doc => ({
         id: doc.id,
         ...doc.data()
       }));
@@ -45,7 +47,7 @@ export const productsService = {
       const productsRef = this.getUserProductsRef(userId, blogId);
       const q = query(productsRef, where('status', '==', status));
       const snapshot = await getDocs(q);
-      return snapshot.docs.map(doc => ({
+      return snapshot.docs.filter(doc => !isTrashed(doc.data())).map(doc => ({
         id: doc.id,
         ...doc.data()
       }));
@@ -55,6 +57,30 @@ export const productsService = {
     }
   },
 
+  // Fetch trashed products for a user's blog (most recently deleted first)
+  async fetchTrashedProducts(userId, blogId) {
+    try {
+      const productsRef = this.getUserProductsRef(userId, blogId);
+      const q = query(productsRef, where('deletedAt', '!=', null));
+      const snapshot = await getDocs(q);
+      const trashed = snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data()
+      }));
+
+      trashed.sort((a, b) => {
+        const dateA = a.deletedAt?.toDate() || new Date(0);
+        const dateB = b.deletedAt?.toDate() || new Date(0);
+        return dateB - dateA;
+      });
+
+      return trashed;
+    } catch (error) {
+      console.error('Error fetching trashed products:', error);
+      throw error;
+    }
+  },
+
   // Fetch single product by ID for a user's blog
   async fetchProductById(userId, id, blogId) {
     try {
@@ -86,7 +112,7 @@ export const productsService = {
       
       // Get all products
       const allProducts = await getDocs(productsRef);
-      const totalProducts = allProducts.size;
+      const totalProducts = allProducts.docs.filter(doc => !isTrashed(doc.data())).length;
       
       // Get published products
       const publishedQuery = query(productsRef, where('status', '==', 'published'));
@@ -105,58 +131,13 @@ export const productsService = {
       
       return {
         totalProducts,
-        publishedProducts: publishedProducts.size,
-        draftProducts: draftProducts.size,
-        recentProducts: recentProducts.size
+        publishedProducts: publishedProducts.docs.filter(doc => !isTrashed(doc.data())).length,
+        draftProducts: draftProducts.docs.filter(doc => !isTrashed(doc.data())).length,
+        recentProducts: recentProducts.docs.filter(doc => !isTrashed(doc.data())).length
       };
     } catch (error) {
       console.error('Error fetching product stats:', error);
       throw error;
     }
-  },
-  
-  // Update product with new image URLs after successful upload
-  async updateProductImages(userId, productId, blogId, imageUrls, imageMetadata = {}) {
-    try {
-      if (!blogId) {
-        throw new Error('blogId is required');
-      }
-      
-      const actualBlogId = blogId;
-      const productRef = doc(db, 'users', userId, 'blogs', actualBlogId, 'products', productId);
-      
-      // Get current product to preserve existing data
-      const productDoc = await getDoc(productRef);
-      if (!productDoc.exists()) {
-        throw new Error('Product not found');
-      }
-      
-      const currentData = productDoc.data();
-      const updatedImageUrls = Array.isArray(imageUrls) ? imageUrls : [imageUrls];
-      
-      const updateData = {
-        imageUrls: updatedImageUrls,
-        imageUrl: updatedImageUrls[0] || '', // Backward compatibility
-        updatedAt: new Date(),
-        imageMetadata: {
-          uploadedAt: new Date().toISOString(),
-          totalImages: updatedImageUrls.length,
-          ...imageMetadata
-        }
-      };
-      
-      await updateDoc(productRef, updateData);
-      
-      console.log('Product images updated successfully:', {
-        productId,
-        imageUrls: updatedImageUrls,
-        metadata: imageMetadata
-      });
-      
-      return true;
-    } catch (error) {
-      console.error('Error updating product images:', error);
-      throw error;
-    }
   }
 };
\ No newline at end of file
@@ -0,0 +1,72 @@
+import { collection, doc, getDocs, setDoc, deleteDoc, orderBy, query } from 'firebase/firestore';
+import { db } from '@/firebase';
+import { validateField } from '@/utils/validation';
+
+export const REDIRECT_TYPES = ['content', 'product'];
+
+// Redirect documents are keyed by type and old slug, matching the Netlify Functions
+const getRedirectId = (type, fromSlug) => `${type}_${fromSlug}`;
+
+export const redirectsService = {
+  // Fetch all redirects for a blog
+  async fetchRedirects(userId, blogId) {
+    try {
+      const redirectsRef = collection(db, 'users', userId, 'blogs', blogId, 'redirects');
+      const q = query(redirectsRef, orderBy('createdAt', 'desc'));
+      const snapshot = await getDocs(q);
+
+      return snapshot.docs.map(doc => ({
+        id: doc.id,
+        ...doc.data(),
+        createdAt: doc.data().createdAt?.toDate(),
+        updatedAt: doc.data().updatedAt?.toDate()
+      }));
+    } catch (error) {
+      console.error('Error fetching redirects:', error);
+      throw error;
+    }
+  },
+
+  // Create or replace a manual redirect from an old slug to a current slug
+  async createRedirect(userId, blogId, { type, fromSlug, toSlug }) {
+    if (!REDIRECT_TYPES.includes(type)) {
+      throw new Error(`Type must be one of: ${REDIRECT_TYPES.join(', ')}`);
+    }
+
+    const fromError = validateField('slug', fromSlug);
+    if (fromError) throw new Error(`From: ${fromError}`);
+    const toError = validateField('slug', toSlug);
+    if (toError) throw new Error(`To: ${toError}`);
+
+    if (fromSlug === toSlug) {
+      throw new Error('A redirect cannot point to the same slug');
+    }
+
+    try {
+      const now = new Date();
+      const redirectRef = doc(db, 'users', userId, 'blogs', blogId, 'redirects', getRedirectId(type, fromSlug));
+      await setDoc(redirectRef, {
+        type,
+        fromSlug,
+        toSlug,
+        targetId: null,
+        source: 'manual',
+        createdAt: now,
+        updatedAt: now
+      });
+    } catch (error) {
+      console.error('Error creating redirect:', error);
+      throw error;
+    }
+  },
+
+  // Delete a redirect
+  async deleteRedirect(userId, blogId, redirectId) {
+    try {
+      await deleteDoc(doc(db, 'users', userId, 'blogs', blogId, 'redirects', redirectId));
+    } catch (error) {
+      console.error('Error deleting redirect:', error);
+      throw error;
+    }
+  }
+};
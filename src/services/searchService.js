@@ -0,0 +1,54 @@
+export const searchService = {
+  // Search a blog's content and products through the search API
+  // Passing getAuthToken searches as the blog owner, which includes unpublished items
+  async search(uid, blogId, q, { type = 'all', status, limit = 20, offset = 0, getAuthToken } = {}) {
+    try {
+      const params = new URLSearchParams({ q, type, limit: String(limit), offset: String(offset) });
+      if (status) params.set('status', status);
+
+      const headers = {};
+      if (getAuthToken) {
+        headers.Authorization = `Bearer ${await getAuthToken()}`;
+      }
+
+      const response = await fetch(
+        `${window.location.origin}/users/${uid}/blogs/${blogId}/api/search.json?${params}`,
+        { headers }
+      );
+      const responseData = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(responseData.error || `HTTP error! status: ${response.status}`);
+      }
+
+      return responseData;
+    } catch (error) {
+      console.error('Error searching blog:', error);
+      throw error;
+    }
+  },
+
+  // Rebuild the search index of a blog from its current content and products
+  async rebuildSearchIndex(getAuthToken, blogId) {
+    try {
+      const token = await getAuthToken();
+      const response = await fetch('/.netlify/functions/search-api', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${token}`
+        },
+        body: JSON.stringify({ blogId })
+      });
+
+      const responseData = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        throw new Error(responseData.error || `HTTP error! status: ${response.status}`);
+      }
+
+      return responseData;
+    } catch (error) {
+      console.error('Error rebuilding search index:', error);
+      throw error;
+    }
+  }
+};
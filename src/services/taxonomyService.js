@@ -0,0 +1,65 @@
+import { collection, getDocs } from 'firebase/firestore';
+import { db } from '@/firebase';
+
+// Send an authenticated request to the taxonomy function
+async function sendTaxonomyRequest(getAuthToken, method, body) {
+  const token = await getAuthToken();
+  const query = method === 'GET' ? `?${new URLSearchParams(body)}` : '';
+  const response = await fetch(`/.netlify/functions/admin-taxonomy${query}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: method === 'GET' ? undefined : JSON.stringify(body)
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `HTTP ${response.status}`);
+  }
+  return result;
+}
+
+export const taxonomyService = {
+  // Fetch the managed categories and tags of a blog, for autocomplete
+  async fetchTerms(userId, blogId) {
+    try {
+      const snapshot = await getDocs(collection(db, 'users', userId, 'blogs', blogId, 'taxonomy'));
+      const terms = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+      terms.sort((a, b) => a.name.localeCompare(b.name));
+      return {
+        categories: terms.filter(term => term.kind === 'category'),
+        tags: terms.filter(term => term.kind === 'tag')
+      };
+    } catch (error) {
+      console.error('Error fetching taxonomy terms:', error);
+      throw error;
+    }
+  },
+
+  // Fetch all categories and tags with usage counts, including names not yet in the taxonomy
+  async fetchTaxonomyUsage(getAuthToken, blogId) {
+    return sendTaxonomyRequest(getAuthToken, 'GET', { blogId });
+  },
+
+  // Add a term to the taxonomy
+  async createTerm(getAuthToken, blogId, { kind, name, description, parentId }) {
+    return sendTaxonomyRequest(getAuthToken, 'POST', { operation: 'create', blogId, kind, name, description, parentId });
+  },
+
+  // Rename a term or change its description or parent, rewriting items when it is renamed
+  async updateTerm(getAuthToken, blogId, { kind, name, newName, description, parentId }) {
+    return sendTaxonomyRequest(getAuthToken, 'PUT', { blogId, kind, name, newName, description, parentId });
+  },
+
+  // Merge terms into a target term, rewriting every item that uses them
+  async mergeTerms(getAuthToken, blogId, { kind, sourceNames, targetName }) {
+    return sendTaxonomyRequest(getAuthToken, 'POST', { operation: 'merge', blogId, kind, sourceNames, targetName });
+  },
+
+  // Delete a term and remove it from every item that uses it
+  async deleteTerm(getAuthToken, blogId, { kind, name }) {
+    return sendTaxonomyRequest(getAuthToken, 'DELETE', { blogId, kind, name });
+  }
+};
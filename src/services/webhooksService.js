@@ -0,0 +1,81 @@
+// Events a webhook can subscribe to, matching the Netlify Functions
+export const WEBHOOK_EVENT_GROUPS = [
+  {
+    label: 'Content',
+    wildcard: 'content.*',
+    events: ['content.created', 'content.updated', 'content.published', 'content.unpublished', 'content.deleted']
+  },
+  {
+    label: 'Products',
+    wildcard: 'product.*',
+    events: ['product.created', 'product.updated', 'product.published', 'product.unpublished', 'product.deleted']
+  },
+  {
+    label: 'Imports',
+    wildcard: null,
+    events: ['import.completed']
+  }
+];
+
+// Send an authenticated request to the webhooks function
+async function sendWebhooksRequest(getAuthToken, method, body) {
+  const token = await getAuthToken();
+  const query = method === 'GET' ? `?${new URLSearchParams(body)}` : '';
+  const response = await fetch(`/api/admin/webhooks${query}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${token}`
+    },
+    body: method === 'GET' ? undefined : JSON.stringify(body)
+  });
+
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error || `HTTP ${response.status}`);
+  }
+  return result;
+}
+
+const toDate = (value) => value ? new Date(value) : null;
+
+export const webhooksService = {
+  // Fetch a blog's webhooks, newest first
+  async fetchWebhooks(getAuthToken, blogId) {
+    const { webhooks } = await sendWebhooksRequest(getAuthToken, 'GET', { blogId });
+    return webhooks.map(webhook => ({ ...webhook, createdAt: toDate(webhook.createdAt) }));
+  },
+
+  // Fetch the latest deliveries of a webhook, newest first
+  async fetchDeliveries(getAuthToken, blogId, webhookId) {
+    const { deliveries } = await sendWebhooksRequest(getAuthToken, 'GET', { blogId, webhookId });
+    return deliveries.map(delivery => ({
+      ...delivery,
+      createdAt: toDate(delivery.createdAt),
+      lastAttemptAt: toDate(delivery.lastAttemptAt),
+      nextAttemptAt: toDate(delivery.nextAttemptAt)
+    }));
+  },
+
+  // Add a webhook; its signing secret is generated by the server
+  async createWebhook(getAuthToken, blogId, { url, events, description }) {
+    const { webhook } = await sendWebhooksRequest(getAuthToken, 'POST', { operation: 'create', blogId, url, events, description });
+    return { ...webhook, createdAt: toDate(webhook.createdAt) };
+  },
+
+  // Change a webhook's URL, events, description or active state, or rotate its secret
+  async updateWebhook(getAuthToken, blogId, id, changes) {
+    const { webhook } = await sendWebhooksRequest(getAuthToken, 'PUT', { blogId, id, ...changes });
+    return { ...webhook, createdAt: toDate(webhook.createdAt) };
+  },
+
+  // Remove a webhook and its delivery log
+  async deleteWebhook(getAuthToken, blogId, id) {
+    return sendWebhooksRequest(getAuthToken, 'DELETE', { blogId, id });
+  },
+
+  // Send a logged delivery again
+  async redeliver(getAuthToken, blogId, webhookId, deliveryId) {
+    return sendWebhooksRequest(getAuthToken, 'POST', { operation: 'redeliver', blogId, webhookId, deliveryId });
+  }
+};
@@ -0,0 +1,128 @@
+// Custom content type schemas and field validation
+// Mirrors netlify/functions/shared/contentTypes.cjs so the editor catches what the server rejects
+
+export const FIELD_TYPES = ['text', 'number', 'date', 'boolean', 'image', 'reference', 'list'];
+
+export const FIELD_TYPE_LABELS = {
+  text: 'Text',
+  number: 'Number',
+  date: 'Date',
+  boolean: 'Yes / No',
+  image: 'Image',
+  reference: 'Reference',
+  list: 'List'
+};
+
+export const MAX_FIELDS = 50;
+const MAX_TEXT_LENGTH = 10000;
+const MAX_LIST_ITEMS = 100;
+const MAX_LIST_ITEM_LENGTH = 200;
+
+const TYPE_KEY_PATTERN = /^[a-z0-9-]+$/;
+const FIELD_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validate a content type definition, returning the first error or null
+export const validateContentTypeSchema = (contentType) => {
+  if (!contentType) return 'Content type is required';
+
+  const { key, name, fields } = contentType;
+  if (typeof key !== 'string' || key.length < 2 || key.length > 50 || !TYPE_KEY_PATTERN.test(key)) {
+    return 'Key must be 2-50 lowercase letters, numbers, and hyphens';
+  }
+  if (typeof name !== 'string' || !name.trim() || name.length > 100) {
+    return 'Name is required and must be less than 100 characters';
+  }
+  if (!Array.isArray(fields)) return 'Fields must be a list';
+  if (fields.length > MAX_FIELDS) return `Content types can have at most ${MAX_FIELDS} fields`;
+
+  const seenKeys = new Set();
+  for (const field of fields) {
+    if (typeof field.key !== 'string' || field.key.length > 50 || !FIELD_KEY_PATTERN.test(field.key)) {
+      return 'Field keys must start with a letter and contain only letters, numbers, and underscores';
+    }
+    if (seenKeys.has(field.key)) return `Duplicate field key: ${field.key}`;
+    seenKeys.add(field.key);
+
+    if (typeof field.label !== 'string' || !field.label.trim() || field.label.length > 100) {
+      return `Field "${field.key}" needs a label of at most 100 characters`;
+    }
+    if (!FIELD_TYPES.includes(field.type)) {
+      return `Field "${field.key}" type must be one of: ${FIELD_TYPES.join(', ')}`;
+    }
+
+    const { min, max } = field.options || {};
+    if (field.type === 'number' && Number.isFinite(min) && Number.isFinite(max) && min > max) {
+      return `Field "${field.key}" min must not exceed max`;
+    }
+  }
+
+  return null;
+};
+
+const isEmptyValue = (value) =>
+  value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Validate a single custom field value, returning an error message or null
+export const validateFieldValue = (field, value) => {
+  const label = field.label || field.key;
+  const options = field.options || {};
+
+  if (field.type === 'boolean') return null;
+
+  if (isEmptyValue(value) || (field.type === 'list' && value.every(item => !item.trim()))) {
+    return field.required ? `${label} is required` : null;
+  }
+
+  switch (field.type) {
+    case 'text':
+      return value.length > MAX_TEXT_LENGTH ? `${label} must be less than ${MAX_TEXT_LENGTH} characters` : null;
+    case 'number':
+      if (!Number.isFinite(value)) return `${label} must be a number`;
+      if (Number.isFinite(options.min) && value < options.min) return `${label} must be at least ${options.min}`;
+      if (Number.isFinite(options.max) && value > options.max) return `${label} must be at most ${options.max}`;
+      return null;
+    case 'date':
+      return !DATE_PATTERN.test(value) || isNaN(new Date(value).getTime()) ? `${label} must be a valid date` : null;
+    case 'image':
+      return !/^https?:\/\/\S+$/.test(value) ? `${label} must be an image URL` : null;
+    case 'list':
+      if (value.length > MAX_LIST_ITEMS) return `${label} can have at most ${MAX_LIST_ITEMS} items`;
+      if (value.some(item => item.length > MAX_LIST_ITEM_LENGTH)) {
+        return `${label} items must be less than ${MAX_LIST_ITEM_LENGTH} characters`;
+      }
+      return null;
+    default:
+      return null;
+  }
+};
+
+// Validate custom field values, returning errors keyed by field key
+export const validateCustomFields = (values, contentType) => {
+  const errors = {};
+  (contentType?.fields || []).forEach(field => {
+    const error = validateFieldValue(field, values?.[field.key]);
+    if (error) errors[field.key] = error;
+  });
+  return errors;
+};
+
+// Starting values for a new item of a content type
+export const getEmptyFieldValues = (contentType) => {
+  const values = {};
+  (contentType?.fields || []).forEach(field => {
+    if (field.type === 'boolean') values[field.key] = false;
+    else if (field.type === 'list') values[field.key] = [];
+    else values[field.key] = null;
+  });
+  return values;
+};
+
+// Keep only the values that belong to the content type's current fields
+export const pickFieldValues = (values, contentType) => {
+  const picked = getEmptyFieldValues(contentType);
+  Object.keys(picked).forEach(key => {
+    if (values && values[key] !== undefined) picked[key] = values[key];
+  });
+  return picked;
+};
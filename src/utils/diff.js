@@ -0,0 +1,165 @@
+// Diff utilities for comparing content revisions
+
+// Split text into word and whitespace tokens so whitespace is preserved in the output
+const tokenize = (text) => {
+  if (!text) return [];
+  return String(text).split(/(\s+)/).filter(token => token !== '');
+};
+
+// Merge consecutive operations of the same type into single segments
+const mergeSegments = (operations) => {
+  const segments = [];
+  operations.forEach(({ type, value }) => {
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.value += value;
+    } else {
+      segments.push({ type, value });
+    }
+  });
+  return segments;
+};
+
+const toOperations = (type, tokens) => tokens.map(value => ({ type, value }));
+
+// Find where the forward and backward searches of Myers' algorithm meet, walking both ends of the edit
+// graph at once. Returns the point { x, y } that splits a shortest edit script in two, or null when the
+// token arrays have nothing in common. Only the furthest point on each diagonal is kept, so memory is
+// linear in the token count.
+const findMiddleSnake = (a, b) => {
+  const n = a.length;
+  const m = b.length;
+  const maxD = Math.ceil((n + m) / 2);
+  const offset = maxD;
+  const size = 2 * maxD + 2;
+  const forward = new Int32Array(size).fill(-1);
+  const backward = new Int32Array(size).fill(-1);
+  forward[offset + 1] = 0;
+  backward[offset + 1] = 0;
+
+  const delta = n - m;
+  // With an odd delta the paths meet while searching forwards, otherwise while searching backwards
+  const meetsForward = delta % 2 !== 0;
+  // Diagonals that have run off the edit graph are skipped from then on
+  let forwardStart = 0;
+  let forwardEnd = 0;
+  let backwardStart = 0;
+  let backwardEnd = 0;
+
+  for (let d = 0; d < maxD; d++) {
+    for (let k = -d + forwardStart; k <= d - forwardEnd; k += 2) {
+      const index = offset + k;
+      let x = (k === -d || (k !== d && forward[index - 1] < forward[index + 1]))
+        ? forward[index + 1]
+        : forward[index - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      forward[index] = x;
+
+      if (x > n) {
+        forwardEnd += 2;
+      } else if (y > m) {
+        forwardStart += 2;
+      } else if (meetsForward) {
+        const backwardIndex = offset + delta - k;
+        if (backwardIndex >= 0 && backwardIndex < size && backward[backwardIndex] !== -1 && x >= n - backward[backwardIndex]) {
+          return { x, y };
+        }
+      }
+    }
+
+    for (let k = -d + backwardStart; k <= d - backwardEnd; k += 2) {
+      const index = offset + k;
+      let x = (k === -d || (k !== d && backward[index - 1] < backward[index + 1]))
+        ? backward[index + 1]
+        : backward[index - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[n - x - 1] === b[m - y - 1]) {
+        x++;
+        y++;
+      }
+      backward[index] = x;
+
+      if (x > n) {
+        backwardEnd += 2;
+      } else if (y > m) {
+        backwardStart += 2;
+      } else if (!meetsForward) {
+        const forwardIndex = offset + delta - k;
+        if (forwardIndex >= 0 && forwardIndex < size && forward[forwardIndex] !== -1) {
+          const forwardX = forward[forwardIndex];
+          if (forwardX >= n - x) {
+            return { x: forwardX, y: forwardX - (forwardIndex - offset) };
+          }
+        }
+      }
+    }
+  }
+
+  return null;
+};
+
+// Shortest edit script between two token arrays (Myers' linear-space refinement): trim what the arrays
+// share at either end, split the rest at the middle snake and diff both halves
+const diffTokens = (a, b) => {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let aEnd = a.length;
+  let bEnd = b.length;
+  while (aEnd > start && bEnd > start && a[aEnd - 1] === b[bEnd - 1]) {
+    aEnd--;
+    bEnd--;
+  }
+
+  const prefix = toOperations('equal', a.slice(0, start));
+  const suffix = toOperations('equal', a.slice(aEnd));
+  const oldMiddle = a.slice(start, aEnd);
+  const newMiddle = b.slice(start, bEnd);
+
+  let middle;
+  if (oldMiddle.length === 0 || newMiddle.length === 0) {
+    middle = toOperations('removed', oldMiddle).concat(toOperations('added', newMiddle));
+  } else {
+    const split = findMiddleSnake(oldMiddle, newMiddle);
+    middle = split
+      ? diffTokens(oldMiddle.slice(0, split.x), newMiddle.slice(0, split.y))
+        .concat(diffTokens(oldMiddle.slice(split.x), newMiddle.slice(split.y)))
+      : toOperations('removed', oldMiddle).concat(toOperations('added', newMiddle));
+  }
+
+  return prefix.concat(middle, suffix);
+};
+
+// Word-level diff between two strings
+// Returns segments of { type: 'equal' | 'added' | 'removed', value }
+export const diffWords = (oldText, newText) => {
+  return mergeSegments(diffTokens(tokenize(oldText), tokenize(newText)));
+};
+
+// Set-style diff between two arrays of strings
+export const diffArrays = (oldValues = [], newValues = []) => {
+  const oldList = Array.isArray(oldValues) ? oldValues : [];
+  const newList = Array.isArray(newValues) ? newValues : [];
+
+  return {
+    added: newList.filter(value => !oldList.includes(value)),
+    removed: oldList.filter(value => !newList.includes(value)),
+    unchanged: newList.filter(value => oldList.includes(value))
+  };
+};
+
+// Count changed words in a set of diff segments
+export const countChangedWords = (segments) => {
+  return segments.reduce((counts, segment) => {
+    if (segment.type === 'equal') return counts;
+    const words = segment.value.split(/\s+/).filter(Boolean).length;
+    counts[segment.type] += words;
+    return counts;
+  }, { added: 0, removed: 0 });
+};
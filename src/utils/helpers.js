@@ -26,18 +26,41 @@ export const formatDate = (date) => {
   return new Date(date).toLocaleDateString();
 };
 
+// Convert a Date, Firestore timestamp or ISO string to a datetime-local input value
+export const toDateTimeLocalValue = (date) => {
+  if (!date) return '';
+  const value = date.toDate ? date.toDate() : new Date(date);
+  if (isNaN(value.getTime())) return '';
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}T${pad(value.getHours())}:${pad(value.getMinutes())}`;
+};
+
+// Convert a datetime-local input value (local time) to an ISO string, or null when empty
+export const fromDateTimeLocalValue = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date.toISOString();
+};
+
 export const truncateText = (text, maxLength = 100) => {
   if (!text) return '';
   if (text.length <= maxLength) return text;
   return text.substring(0, maxLength) + '...';
 };
 
+// Items moved to the trash keep their data and carry a deletedAt timestamp
+export const isTrashed = (item) => Boolean(item?.deletedAt);
+
 export const getStatusBadgeClass = (status) => {
   switch (status) {
     case 'published':
       return 'badge-success';
     case 'draft':
       return 'badge-warning';
+    case 'scheduled':
+      return 'badge-outline';
+    case 'in_review':
+      return 'badge-default';
     default:
       return 'badge-secondary';
   }
@@ -153,6 +176,17 @@ export const retryWithBackoff = async (fn, maxRetries = 3, baseDelay = 1000) =>
   throw lastError;
 };
 
+// Error for a failed API response, keeping the server's error code, details and status so callers can
+// tell failures such as VERSION_CONFLICT apart
+export const createResponseError = async (response, fallbackMessage = `HTTP ${response.status}`) => {
+  const errorData = await response.json().catch(() => ({}));
+  const error = new Error(errorData.error || fallbackMessage);
+  error.status = response.status;
+  error.code = errorData.code;
+  error.details = errorData.details;
+  return error;
+};
+
 // Check if object has changed
 export const hasObjectChanged = (obj1, obj2, ignoreKeys = []) => {
   const keys1 = Object.keys(obj1).filter(key => !ignoreKeys.includes(key));
@@ -1,4 +1,19 @@
 // Centralized validation utilities
+import itemSchemas from '../../schemas/itemSchemas.json';
+
+export { validateSchema } from '../../schemas/validateSchema.js';
+
+// Fields accepted when saving content and products. The Netlify functions validate request bodies
+// against the same schemas, so forms checked with validateSchema are not rejected by the server.
+export const CONTENT_SCHEMA = itemSchemas.content;
+export const PRODUCT_SCHEMA = itemSchemas.product;
+
+// Publishing statuses accepted for products
+export const PUBLISH_STATUSES = PRODUCT_SCHEMA.status.enum;
+
+// Content statuses, including the editorial review states
+export const CONTENT_STATUSES = CONTENT_SCHEMA.status.enum;
+
 export const validationRules = {
   email: {
     required: (value) => !value ? 'Email is required' : null,
@@ -416,8 +431,36 @@ export const validateRole = (role) => {
 };
 
 // Status validation
-export const validateStatus = (status) => {
+export const validateStatus = (status, allowedStatuses = CONTENT_STATUSES) => {
   if (!status) return null;
-  if (!['draft', 'published'].includes(status)) return 'Status must be either "draft" or "published"';
+  if (!allowedStatuses.includes(status)) return `Status must be one of: ${allowedStatuses.join(', ')}`;
   return null;
-};
\ No newline at end of file
+};
+
+// Publish schedule validation
+export const validateSchedule = (status, publishAt, unpublishAt) => {
+  const errors = {};
+  const now = new Date();
+  const publishDate = publishAt ? new Date(publishAt) : null;
+  const unpublishDate = unpublishAt ? new Date(unpublishAt) : null;
+
+  if (status === 'scheduled') {
+    if (!publishDate || isNaN(publishDate.getTime())) {
+      errors.publishAt = 'Choose when this item should be published';
+    } else if (publishDate <= now) {
+      errors.publishAt = 'Publish time must be in the future';
+    }
+  }
+
+  if (unpublishDate && status !== 'draft') {
+    if (isNaN(unpublishDate.getTime())) {
+      errors.unpublishAt = 'Unpublish time is invalid';
+    } else if (unpublishDate <= now) {
+      errors.unpublishAt = 'Unpublish time must be in the future';
+    } else if (status === 'scheduled' && publishDate && unpublishDate <= publishDate) {
+      errors.unpublishAt = 'Unpublish time must be after the publish time';
+    }
+  }
+
+  return errors;
+};
@@ -0,0 +1,39 @@
+// Editorial workflow rules for content
+// Mirrors netlify/functions/shared/workflow.cjs so the editor only offers transitions the server accepts
+
+export const STATUS_LABELS = {
+  draft: 'Draft',
+  in_review: 'In Review',
+  approved: 'Approved',
+  published: 'Published',
+  scheduled: 'Scheduled'
+};
+
+// Statuses each content status may move to
+export const WORKFLOW_TRANSITIONS = {
+  draft: ['in_review', 'published', 'scheduled'],
+  in_review: ['draft', 'approved'],
+  approved: ['draft', 'in_review', 'published', 'scheduled'],
+  scheduled: ['draft', 'approved', 'published'],
+  published: ['draft', 'in_review', 'scheduled']
+};
+
+// Statuses that put content live, now or at its scheduled time
+export const LIVE_STATUSES = ['published', 'scheduled'];
+
+export const getStatusLabel = (status) => STATUS_LABELS[status] || status;
+
+// List the statuses content may move to from its current status
+export const getAllowedTransitions = (fromStatus, workflow = {}) => {
+  const targets = WORKFLOW_TRANSITIONS[fromStatus] || WORKFLOW_TRANSITIONS.draft;
+  if (!workflow.requireReview) return targets;
+
+  // When review is required only approved (or already live) content may go live
+  const canGoLive = fromStatus === 'approved' || LIVE_STATUSES.includes(fromStatus);
+  return targets.filter(status => canGoLive || !LIVE_STATUSES.includes(status));
+};
+
+// Statuses to offer in a status select: the current one followed by its allowed transitions
+export const getStatusOptions = (currentStatus, workflow = {}) => {
+  return [currentStatus, ...getAllowedTransitions(currentStatus, workflow)];
+};